@@ -4,12 +4,167 @@
  */
 
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 
 // Import controllers and middleware
 const adminController = require('../../controllers/adminController');
-const { authenticateToken, requireManager } = require('../../middleware/auth');
+const scheduleExceptionController = require('../../controllers/scheduleExceptionController');
+const auditController = require('../../controllers/auditController');
+const { AUDITED_ENTITIES } = require('../../models/AuditLog');
+const { USER_ROLES } = require('../../models/User');
+const { PERMISSIONS } = require('../../config/permissions');
+const { LEVELS, CATEGORIES } = require('../../services/logService');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { adminSecurity } = require('../../middleware/adminSecurity');
+const { validateRequest } = require('../../middleware/validation');
+
+// Validation schemas
+const restoreBackupValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid backup ID is required'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+];
+
+const securityPolicyValidation = [
+  body('twoFactorRequiredRoles')
+    .isArray()
+    .withMessage('twoFactorRequiredRoles must be an array'),
+  body('twoFactorRequiredRoles.*')
+    .isIn(USER_ROLES)
+    .withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`)
+];
+
+const permissionMatrixValidation = [
+  body('rolePermissions')
+    .isObject()
+    .withMessage('rolePermissions must map roles to arrays of permissions')
+    .custom(value => Object.keys(value).every(role => USER_ROLES.includes(role)))
+    .withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+  body('rolePermissions.*')
+    .isArray()
+    .withMessage('Each role must map to an array of permissions'),
+  body('rolePermissions.*.*')
+    .isIn(PERMISSIONS)
+    .withMessage('Unknown permission')
+];
+
+const userPermissionsValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  body('granted')
+    .optional()
+    .isArray()
+    .withMessage('granted must be an array'),
+  body('granted.*')
+    .isIn(PERMISSIONS)
+    .withMessage('Unknown permission'),
+  body('revoked')
+    .optional()
+    .isArray()
+    .withMessage('revoked must be an array'),
+  body('revoked.*')
+    .isIn(PERMISSIONS)
+    .withMessage('Unknown permission')
+];
+
+const createUserValidation = [
+  body('firstName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  body('lastName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail(),
+  body('phone')
+    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .withMessage('Please enter a valid phone number'),
+  body('role')
+    .isIn(USER_ROLES)
+    .withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+  body('dateOfBirth')
+    .isISO8601()
+    .withMessage('Please enter a valid date of birth'),
+  body('gender')
+    .isIn(['male', 'female', 'other'])
+    .withMessage('Gender must be male, female, or other'),
+  body('specialization')
+    .if(body('role').equals('doctor'))
+    .isMongoId()
+    .withMessage('Specialization is required for doctors'),
+  body('licenseNumber')
+    .if(body('role').equals('doctor'))
+    .notEmpty()
+    .withMessage('License number is required for doctors'),
+  body('experience')
+    .if(body('role').equals('doctor'))
+    .isInt({ min: 0 })
+    .withMessage('Experience must be a positive number')
+];
+
+const logQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('level')
+    .optional()
+    .isIn(LEVELS)
+    .withMessage(`Level must be one of: ${LEVELS.join(', ')}`),
+  query('category')
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid from date is required'),
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid to date is required')
+];
+
+const auditQueryValidation = [
+  query('entity')
+    .optional()
+    .isIn(AUDITED_ENTITIES)
+    .withMessage(`Entity must be one of: ${AUDITED_ENTITIES.join(', ')}`),
+  query('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid actor user ID is required'),
+  query('action')
+    .optional()
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Action must be create, update or delete'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid from date is required'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid to date is required')
+];
 
 // Routes
 
@@ -72,11 +227,11 @@ const { adminSecurity } = require('../../middleware/adminSecurity');
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Manager access required
+ *         description: Forbidden - Insufficient permissions
  */
 router.get('/dashboard',
   authenticateToken,
-  requireManager,
+  requirePermission('view_reports'),
   ...adminSecurity,
   adminController.getDashboardStats
 );
@@ -120,14 +275,116 @@ router.get('/dashboard',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Manager access required
+ *         description: Forbidden - Insufficient permissions
  */
 router.get('/users',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_users'),
   adminController.getSystemUsers
 );
 
+/**
+ * @swagger
+ * /admin/users:
+ *   post:
+ *     summary: Invite staff member
+ *     description: |
+ *       Create a staff account without a password and email the staff member a single-use
+ *       invitation link to choose one. The account cannot sign in until the invitation is accepted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [firstName, lastName, email, phone, role, dateOfBirth, gender]
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [manager, doctor, secretary, nurse]
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *               gender:
+ *                 type: string
+ *                 enum: [male, female, other]
+ *               specialization:
+ *                 type: string
+ *                 description: Required for doctors
+ *               licenseNumber:
+ *                 type: string
+ *                 description: Required for doctors
+ *               experience:
+ *                 type: number
+ *                 description: Required for doctors
+ *     responses:
+ *       201:
+ *         description: User created and invitation sent
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: User with this email already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.post('/users',
+  authenticateToken,
+  requirePermission('manage_users'),
+  ...adminSecurity,
+  createUserValidation,
+  validateRequest,
+  adminController.createUser
+);
+
+/**
+ * @swagger
+ * /admin/users/{id}/resend-invitation:
+ *   post:
+ *     summary: Resend invitation
+ *     description: Email a new invitation link to a staff member who has not accepted yet; earlier links stop working
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Invitation sent successfully
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: No pending invitation
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.post('/users/:id/resend-invitation',
+  authenticateToken,
+  requirePermission('manage_users'),
+  ...adminSecurity,
+  adminController.resendInvitation
+);
+
 /**
  * @swagger
  * /admin/users/{id}/status:
@@ -163,11 +420,11 @@ router.get('/users',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Manager access required
+ *         description: Forbidden - Insufficient permissions
  */
 router.patch('/users/:id/status',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_users'),
   adminController.updateUserStatus
 );
 
@@ -197,11 +454,11 @@ router.patch('/users/:id/status',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Manager access required
+ *         description: Forbidden - Insufficient permissions
  */
 router.patch('/users/:id/unlock',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_users'),
   ...adminSecurity,
   adminController.unlockUserAccount
 );
@@ -230,15 +487,326 @@ router.patch('/users/:id/unlock',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Manager access required
+ *         description: Forbidden - Insufficient permissions
  */
 router.patch('/users/:id/reset-login-attempts',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_users'),
   ...adminSecurity,
   adminController.resetUserLoginAttempts
 );
 
+/**
+ * @swagger
+ * /admin/users/{id}/reset-two-factor:
+ *   patch:
+ *     summary: Reset user two-factor authentication
+ *     description: |
+ *       Turn off two-factor authentication for a user who lost their authenticator and backup codes.
+ *       Users whose role requires it enroll again at their next login.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset successfully
+ *       400:
+ *         description: Two-factor authentication is not set up
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.patch('/users/:id/reset-two-factor',
+  authenticateToken,
+  requirePermission('manage_users'),
+  ...adminSecurity,
+  adminController.resetUserTwoFactor
+);
+
+/**
+ * @swagger
+ * /admin/users/{id}/sessions:
+ *   get:
+ *     summary: Get user sessions
+ *     description: List the devices a user is signed in on
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User sessions retrieved successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.get('/users/:id/sessions',
+  authenticateToken,
+  requirePermission('manage_users'),
+  adminController.getUserSessions
+);
+
+/**
+ * @swagger
+ * /admin/users/{id}/sign-out-everywhere:
+ *   post:
+ *     summary: Sign user out everywhere
+ *     description: Revoke every session of a user whose account may be compromised; their tokens stop working immediately
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User signed out of every session successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.post('/users/:id/sign-out-everywhere',
+  authenticateToken,
+  requirePermission('manage_users'),
+  ...adminSecurity,
+  adminController.signOutUserEverywhere
+);
+
+/**
+ * @swagger
+ * /admin/security-policy:
+ *   get:
+ *     summary: Get security policy
+ *     description: Roles required to use two-factor authentication, with how many active users of each role have enrolled
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Security policy retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *   put:
+ *     summary: Update security policy
+ *     description: |
+ *       Set the roles that must use two-factor authentication. Users of those roles who have not
+ *       enrolled are asked to at their next login.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [twoFactorRequiredRoles]
+ *             properties:
+ *               twoFactorRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [manager, doctor, secretary, nurse]
+ *     responses:
+ *       200:
+ *         description: Security policy updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.get('/security-policy',
+  authenticateToken,
+  requirePermission('manage_settings'),
+  adminController.getSecurityPolicy
+);
+
+router.put('/security-policy',
+  authenticateToken,
+  requirePermission('manage_settings'),
+  ...adminSecurity,
+  securityPolicyValidation,
+  validateRequest,
+  adminController.updateSecurityPolicy
+);
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     summary: Get permission matrix
+ *     description: Every permission with its description, the permissions of each role and the defaults a new clinic starts with
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission matrix retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *   put:
+ *     summary: Update permission matrix
+ *     description: |
+ *       Replace the permissions of the roles given; roles left out keep theirs. Takes effect within
+ *       a minute. The manager role always keeps manage_settings.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rolePermissions]
+ *             properties:
+ *               rolePermissions:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 example:
+ *                   doctor: [view_patients, view_medical_records, manage_medical_records, view_appointments]
+ *     responses:
+ *       200:
+ *         description: Permission matrix updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.get('/permissions',
+  authenticateToken,
+  requirePermission('manage_settings'),
+  adminController.getPermissionMatrix
+);
+
+router.put('/permissions',
+  authenticateToken,
+  requirePermission('manage_settings'),
+  ...adminSecurity,
+  permissionMatrixValidation,
+  validateRequest,
+  adminController.updatePermissionMatrix
+);
+
+/**
+ * @swagger
+ * /admin/users/{id}/permissions:
+ *   get:
+ *     summary: Get user permissions
+ *     description: The permissions granted to and revoked from the user on top of their role, and the resulting permissions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User permissions retrieved successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *   put:
+ *     summary: Update user permissions
+ *     description: Replace the user's overrides; a revoked permission wins over the role and over a grant
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               granted:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [view_reports]
+ *               revoked:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [manage_billing]
+ *     responses:
+ *       200:
+ *         description: User permissions updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.get('/users/:id/permissions',
+  authenticateToken,
+  requirePermission('manage_settings'),
+  adminController.getUserPermissions
+);
+
+router.put('/users/:id/permissions',
+  authenticateToken,
+  requirePermission('manage_settings'),
+  ...adminSecurity,
+  userPermissionsValidation,
+  validateRequest,
+  adminController.updateUserPermissions
+);
+
 /**
  * @swagger
  * /admin/users/locked:
@@ -267,11 +835,11 @@ router.patch('/users/:id/reset-login-attempts',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Manager access required
+ *         description: Forbidden - Insufficient permissions
  */
 router.get('/users/locked',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_users'),
   ...adminSecurity,
   adminController.getLockedAccounts
 );
@@ -281,7 +849,7 @@ router.get('/users/locked',
  * /admin/logs:
  *   get:
  *     summary: Get system logs
- *     description: Retrieve system logs for monitoring and debugging
+ *     description: Page through entries of the application log files, newest first. Files are read from the newest entry back until the page is filled, so the pagination has no total count; `hasNextPage` tells whether older entries match. New entries are also pushed live to managers as `log-entry` events in the socket.io admin room.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -302,9 +870,20 @@ router.get('/users/locked',
  *         name: level
  *         schema:
  *           type: string
- *           enum: [error, warn, info, debug]
+ *           enum: [error, warn, info, http, verbose, debug]
  *         description: Filter by log level
  *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [api, security, auth, database, job, notification, websocket, file, system, general]
+ *         description: Filter by log category
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Free-text search in message, stack and metadata
+ *       - in: query
  *         name: dateFrom
  *         schema:
  *           type: string
@@ -322,20 +901,87 @@ router.get('/users/locked',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Manager access required
+ *         description: Forbidden - Insufficient permissions
  */
 router.get('/logs',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_system'),
+  logQueryValidation,
+  validateRequest,
   adminController.getSystemLogs
 );
 
+/**
+ * @swagger
+ * /admin/audit:
+ *   get:
+ *     summary: Search the audit trail
+ *     description: List create/update/delete entries for patients, appointments, billing, prescriptions and users with field-level diffs
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [Patient, Appointment, Billing, Prescription, User]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.get('/audit',
+  authenticateToken,
+  requirePermission('view_audit_history'),
+  auditQueryValidation,
+  validateRequest,
+  auditController.getAuditLogs
+);
+
 /**
  * @swagger
  * /admin/backup:
  *   get:
  *     summary: Get backup status
- *     description: Retrieve current backup status and schedule
+ *     description: Retrieve the last backup, next scheduled run, retention settings and backup history
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -345,11 +991,11 @@ router.get('/logs',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Manager access required
+ *         description: Forbidden - Insufficient permissions
  */
 router.get('/backup',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_system'),
   adminController.getBackupStatus
 );
 
@@ -358,24 +1004,69 @@ router.get('/backup',
  * /admin/backup:
  *   post:
  *     summary: Trigger manual backup
- *     description: Initiate a manual backup process
+ *     description: Dump all collections to a compressed (and, when BACKUP_ENCRYPTION_KEY is set, encrypted) archive
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     responses:
- *       200:
- *         description: Backup process initiated successfully
+ *       201:
+ *         description: Backup completed successfully
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Manager access required
+ *         description: Forbidden - Insufficient permissions
+ *       409:
+ *         description: Another backup or restore is in progress
  */
 router.post('/backup',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_system'),
   adminController.triggerBackup
 );
 
+/**
+ * @swagger
+ * /admin/backup/{id}/restore:
+ *   post:
+ *     summary: Restore database from a backup
+ *     description: Verify the archive checksum and validate every document. Unless dryRun is false nothing is written; a real restore first takes a pre-restore backup and then replaces all backed-up collections.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Backup ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Backup validated or restored successfully
+ *       400:
+ *         description: Archive is corrupt, unreadable or not restorable
+ *       404:
+ *         description: Backup or archive file not found
+ *       409:
+ *         description: Another backup or restore is in progress
+ */
+router.post('/backup/:id/restore',
+  authenticateToken,
+  requirePermission('manage_system'),
+  restoreBackupValidation,
+  validateRequest,
+  adminController.restoreBackup
+);
+
 /**
  * @swagger
  * /admin/health:
@@ -432,12 +1123,158 @@ router.post('/backup',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Manager access required
+ *         description: Forbidden - Insufficient permissions
  */
 router.get('/health',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_system'),
   adminController.getSystemHealth
 );
 
+/**
+ * @swagger
+ * /admin/holidays:
+ *   get:
+ *     summary: Get clinic holidays
+ *     description: List clinic-wide public holidays and closures
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only holidays ending on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only holidays starting on or before this date
+ *     responses:
+ *       200:
+ *         description: Holidays retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.get('/holidays',
+  authenticateToken,
+  requirePermission('manage_schedules'),
+  scheduleExceptionController.getHolidays
+);
+
+/**
+ * @swagger
+ * /admin/holidays:
+ *   post:
+ *     summary: Add clinic holiday
+ *     description: Close the clinic for all doctors on the given days. Already-booked appointments inside the holiday are flagged and returned.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startDate, endDate]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [public-holiday, half-day, other]
+ *                 example: public-holiday
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-09-23
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-09-23
+ *               startTime:
+ *                 type: string
+ *                 example: 12:00
+ *               endTime:
+ *                 type: string
+ *                 example: 17:00
+ *               reason:
+ *                 type: string
+ *                 example: National Day
+ *     responses:
+ *       201:
+ *         description: Holiday added successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+router.post('/holidays',
+  authenticateToken,
+  requirePermission('manage_schedules'),
+  scheduleExceptionController.createHoliday
+);
+
+/**
+ * @swagger
+ * /admin/holidays/{id}:
+ *   put:
+ *     summary: Update clinic holiday
+ *     description: Update a holiday and re-flag the appointments it overlaps
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Holiday ID
+ *     responses:
+ *       200:
+ *         description: Holiday updated successfully
+ *       404:
+ *         description: Holiday not found
+ */
+router.put('/holidays/:id',
+  authenticateToken,
+  requirePermission('manage_schedules'),
+  scheduleExceptionController.updateHoliday
+);
+
+/**
+ * @swagger
+ * /admin/holidays/{id}:
+ *   delete:
+ *     summary: Remove clinic holiday
+ *     description: Delete a holiday and clear the flags it set on appointments
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Holiday ID
+ *     responses:
+ *       200:
+ *         description: Holiday removed successfully
+ *       404:
+ *         description: Holiday not found
+ */
+router.delete('/holidays/:id',
+  authenticateToken,
+  requirePermission('manage_schedules'),
+  scheduleExceptionController.deleteHoliday
+);
+
 module.exports = router;
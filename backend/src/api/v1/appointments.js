@@ -4,13 +4,17 @@
  */
 
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const router = express.Router();
 
 // Import controllers and middleware
 const appointmentController = require('../../controllers/appointmentController');
-const { authenticateToken, requireSecretary } = require('../../middleware/auth');
+const auditController = require('../../controllers/auditController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { validateRequest } = require('../../middleware/validation');
+const { FREQUENCIES, MAX_OCCURRENCES } = require('../../services/recurrenceService');
+
+const SERIES_SCOPES = ['this', 'following', 'all'];
 
 // Validation schemas
 const createAppointmentValidation = [
@@ -37,7 +41,61 @@ const createAppointmentValidation = [
   body('duration')
     .optional()
     .isInt({ min: 15, max: 180 })
-    .withMessage('Duration must be between 15 and 180 minutes')
+    .withMessage('Duration must be between 15 and 180 minutes'),
+  body('override')
+    .optional()
+    .isBoolean()
+    .withMessage('Override must be a boolean'),
+  body('recurrence.frequency')
+    .if(body('recurrence').exists())
+    .isIn(FREQUENCIES)
+    .withMessage(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`),
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Recurrence interval must be between 1 and 12'),
+  body('recurrence.count')
+    .optional()
+    .isInt({ min: 1, max: MAX_OCCURRENCES })
+    .withMessage(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`),
+  body('recurrence.until')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurrence end date must be a valid date'),
+  body('recurrence')
+    .optional()
+    .custom(recurrence => recurrence.count || recurrence.until)
+    .withMessage('Recurrence requires either count or until')
+];
+
+const updateAppointmentValidation = [
+  body('appointmentDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid appointment date is required'),
+  body('appointmentTime')
+    .optional()
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid appointment time is required (HH:MM)'),
+  body('duration')
+    .optional()
+    .isInt({ min: 15, max: 180 })
+    .withMessage('Duration must be between 15 and 180 minutes'),
+  body('override')
+    .optional()
+    .isBoolean()
+    .withMessage('Override must be a boolean'),
+  body('scope')
+    .optional()
+    .isIn(SERIES_SCOPES)
+    .withMessage(`Scope must be one of: ${SERIES_SCOPES.join(', ')}`)
+];
+
+const deleteAppointmentValidation = [
+  query('scope')
+    .optional()
+    .isIn(SERIES_SCOPES)
+    .withMessage(`Scope must be one of: ${SERIES_SCOPES.join(', ')}`)
 ];
 
 // Routes
@@ -81,6 +139,11 @@ const createAppointmentValidation = [
  *           type: string
  *         description: Filter by patient ID
  *       - in: query
+ *         name: seriesId
+ *         schema:
+ *           type: string
+ *         description: Filter by recurring series ID
+ *       - in: query
  *         name: date
  *         schema:
  *           type: string
@@ -94,6 +157,7 @@ const createAppointmentValidation = [
  */
 router.get('/',
   authenticateToken,
+  requirePermission('view_appointments'),
   appointmentController.getAllAppointments
 );
 
@@ -121,15 +185,52 @@ router.get('/',
  */
 router.get('/:id',
   authenticateToken,
+  requirePermission('view_appointments'),
   appointmentController.getAppointmentById
 );
 
+/**
+ * @swagger
+ * /appointments/{id}/history:
+ *   get:
+ *     summary: Get appointment change history
+ *     description: List audit entries (actor, action, field-level diff, IP) for a appointment, newest first
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Appointment history retrieved successfully
+ */
+router.get('/:id/history',
+  authenticateToken,
+  requirePermission('view_appointments', 'view_audit_history'),
+  auditController.getRecordHistory('Appointment')
+);
+
 /**
  * @swagger
  * /appointments:
  *   post:
  *     summary: Create a new appointment
- *     description: Create a new appointment
+ *     description: Create a new appointment, or a recurring series when a recurrence rule is given. Occurrences that conflict with other bookings or doctor time-off are skipped and reported back.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
@@ -169,15 +270,43 @@ router.get('/:id',
  *                 items:
  *                   type: string
  *                 example: [headache, fever]
+ *               override:
+ *                 type: boolean
+ *                 description: Book even if the doctor is already booked in this slot (managers only)
+ *                 example: false
+ *               recurrence:
+ *                 type: object
+ *                 description: Repeat the appointment; requires count or until (at most 52 occurrences)
+ *                 required: [frequency]
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [daily, weekly, monthly]
+ *                     example: weekly
+ *                   interval:
+ *                     type: integer
+ *                     description: Repeat every N periods (2 with weekly means biweekly)
+ *                     example: 2
+ *                   count:
+ *                     type: integer
+ *                     example: 6
+ *                   until:
+ *                     type: string
+ *                     format: date
+ *                     example: 2024-03-31
  *     responses:
  *       201:
- *         description: Appointment created successfully
+ *         description: Appointment (or series with skipped occurrences) created successfully
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Overriding scheduling conflicts requires the manage_schedules permission
+ *       409:
+ *         description: Doctor already has an appointment in this slot or is on time-off/holiday
  */
 router.post('/',
   authenticateToken,
-  requireSecretary,
+  requirePermission('manage_appointments'),
   createAppointmentValidation,
   validateRequest,
   appointmentController.createAppointment
@@ -188,7 +317,7 @@ router.post('/',
  * /appointments/{id}:
  *   put:
  *     summary: Update appointment
- *     description: Update an existing appointment
+ *     description: Update an existing appointment. For recurring series, scope selects this occurrence, this and following occurrences, or the entire series; cancel by setting status to cancelled. Occurrences that would conflict are skipped and reported back; in-progress, completed, no-show and cancelled occurrences are left as they are.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
@@ -214,6 +343,9 @@ router.post('/',
  *               status:
  *                 type: string
  *                 enum: [scheduled, confirmed, in-progress, completed, cancelled, no-show]
+ *                 description: |
+ *                   Completing an appointment drafts its bill from the catalog services set up for its type
+ *                   (returned as billing). From then on cost and paymentStatus follow the bill and are not editable here.
  *               reason:
  *                 type: string
  *               diagnosis:
@@ -222,15 +354,33 @@ router.post('/',
  *                 type: string
  *               notes:
  *                 type: string
+ *               duration:
+ *                 type: number
+ *               override:
+ *                 type: boolean
+ *                 description: Keep the change even if it double-books the doctor (managers only)
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, all]
+ *                 default: this
+ *                 description: Which occurrences of a recurring series to update
  *     responses:
  *       200:
  *         description: Appointment updated successfully
+ *       400:
+ *         description: Appointment date can only be changed for a single occurrence
+ *       403:
+ *         description: Overriding scheduling conflicts requires the manage_schedules permission
  *       404:
  *         description: Appointment not found
+ *       409:
+ *         description: Doctor already has an appointment in this slot or is on time-off/holiday
  */
 router.put('/:id',
   authenticateToken,
-  requireSecretary,
+  requirePermission('manage_appointments'),
+  updateAppointmentValidation,
+  validateRequest,
   appointmentController.updateAppointment
 );
 
@@ -239,7 +389,7 @@ router.put('/:id',
  * /appointments/{id}:
  *   delete:
  *     summary: Delete appointment
- *     description: Delete an appointment
+ *     description: Delete an appointment, or cancel several occurrences of its recurring series. Series occurrences are set to cancelled rather than deleted; in-progress, completed, no-show and already cancelled occurrences are left as they are.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
@@ -250,15 +400,24 @@ router.put('/:id',
  *         schema:
  *           type: string
  *         description: Appointment ID
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, following, all]
+ *           default: this
+ *         description: Which occurrences of a recurring series to cancel; this deletes only the given appointment
  *     responses:
  *       200:
- *         description: Appointment deleted successfully
+ *         description: Appointment deleted or series occurrences cancelled successfully
  *       404:
  *         description: Appointment not found
  */
 router.delete('/:id',
   authenticateToken,
-  requireSecretary,
+  requirePermission('manage_appointments'),
+  deleteAppointmentValidation,
+  validateRequest,
   appointmentController.deleteAppointment
 );
 
@@ -299,6 +458,7 @@ router.delete('/:id',
  */
 router.get('/date-range',
   authenticateToken,
+  requirePermission('view_appointments'),
   appointmentController.getAppointmentsByDateRange
 );
 
@@ -317,6 +477,7 @@ router.get('/date-range',
  */
 router.get('/today',
   authenticateToken,
+  requirePermission('view_appointments'),
   appointmentController.getTodayAppointments
 );
 
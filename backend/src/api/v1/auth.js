@@ -4,13 +4,13 @@
  */
 
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const router = express.Router();
 
 // Import controllers and middleware
 const authController = require('../../controllers/authController');
-const { authenticateToken, authRateLimit } = require('../../middleware/auth');
-const { validateRequest } = require('../../middleware/validation');
+const { authenticateToken, authenticateTwoFactorEnrollment, authRateLimit, loginThrottle } = require('../../middleware/auth');
+const { validateRequest, passwordPolicyValidation } = require('../../middleware/validation');
 
 // Validation schemas
 const loginValidation = [
@@ -27,11 +27,59 @@ const changePasswordValidation = [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+  passwordPolicyValidation('newPassword')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email address')
+];
+
+// Reset and invitation links carry a 64-character hex token
+const passwordTokenValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Valid token is required'),
+  passwordPolicyValidation('password')
+];
+
+const twoFactorCodeValidation = body('code')
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('Two-factor code must be 6 digits');
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  body('backupCode')
+    .optional()
+    .isString()
+    .withMessage('Backup code must be a string'),
+  body()
+    .custom(value => Boolean(value.code || value.backupCode))
+    .withMessage('A two-factor code or a backup code is required')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  twoFactorCodeValidation
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid session ID is required')
 ];
 
 const tokenValidation = [
@@ -45,7 +93,11 @@ const tokenValidation = [
  * /auth/login:
  *   post:
  *     summary: User login
- *     description: Authenticate user and return JWT tokens
+ *     description: |
+ *       Authenticate user and return JWT tokens. Users with two-factor authentication get
+ *       `twoFactorRequired` and a short-lived challenge token for /auth/2fa/login instead; users whose
+ *       role requires it but who have not enrolled get `twoFactorEnrollmentRequired` and a challenge
+ *       token for /auth/2fa/setup and /auth/2fa/verify.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -107,11 +159,211 @@ const tokenValidation = [
  */
 router.post('/login',
   authRateLimit,
+  loginThrottle,
   loginValidation,
   validateRequest,
   authController.login
 );
 
+/**
+ * @swagger
+ * /auth/2fa/login:
+ *   post:
+ *     summary: Complete two-factor login
+ *     description: |
+ *       Second login step for users with two-factor authentication. Exchanges the challenge token
+ *       returned by /auth/login and a code from the authenticator app, or a one-time backup code,
+ *       for the access and refresh tokens.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               backupCode:
+ *                 type: string
+ *                 example: 3f9a1-c07e2
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge token
+ *       429:
+ *         description: Too many login attempts
+ */
+router.post('/2fa/login',
+  authRateLimit,
+  loginThrottle,
+  twoFactorLoginValidation,
+  validateRequest,
+  authController.verifyTwoFactorLogin
+);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: |
+ *       Generate an authenticator secret and return it as an otpauth URI and QR code. Users whose
+ *       role requires two-factor authentication enroll during login with the challenge token from /auth/login.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Enrollment challenge token, instead of an access token
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUrl:
+ *                       type: string
+ *                     qrCode:
+ *                       type: string
+ *                       description: PNG data URL
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup',
+  authenticateTwoFactorEnrollment,
+  authController.setupTwoFactor
+);
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Confirm two-factor setup
+ *     description: |
+ *       Enable two-factor authentication with a code from the authenticator app and return the
+ *       one-time backup codes. With an enrollment challenge token the login is completed as well.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/verify',
+  authRateLimit,
+  authenticateTwoFactorEnrollment,
+  twoFactorCodeValidation,
+  validateRequest,
+  authController.verifyTwoFactorSetup
+);
+
+/**
+ * @swagger
+ * /auth/2fa/backup-codes:
+ *   post:
+ *     summary: Regenerate backup codes
+ *     description: Replace all backup codes; the previous ones stop working
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Backup codes regenerated
+ *       400:
+ *         description: Invalid code
+ *       409:
+ *         description: Two-factor authentication is not enabled
+ */
+router.post('/2fa/backup-codes',
+  authenticateToken,
+  twoFactorCodeValidation,
+  validateRequest,
+  authController.regenerateBackupCodes
+);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed when the security policy requires two-factor authentication for the user's role
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password, code]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Required for the user's role
+ */
+router.post('/2fa/disable',
+  authenticateToken,
+  disableTwoFactorValidation,
+  validateRequest,
+  authController.disableTwoFactor
+);
+
 /**
  * @swagger
  * /auth/logout:
@@ -137,7 +389,9 @@ router.post('/logout',
  * /auth/refresh:
  *   post:
  *     summary: Refresh access token
- *     description: Get new access token using refresh token
+ *     description: |
+ *       Exchange the refresh token for a new access and refresh token pair. Each refresh token works
+ *       once; presenting one that was already used signs that device out.
  *     tags: [Authentication]
  *     requestBody:
  *       content:
@@ -151,18 +405,83 @@ router.post('/logout',
  *       200:
  *         description: Token refreshed successfully
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, reused or signed-out refresh token
  */
 router.post('/refresh',
   authController.refreshToken
 );
 
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: Get signed-in devices
+ *     description: List the current user's active sessions; the one making the request is marked current
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Sign out other devices
+ *     description: Sign out every session of the current user except the one making the request
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions signed out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions',
+  authenticateToken,
+  authController.getSessions
+);
+
+router.delete('/sessions',
+  authenticateToken,
+  authController.revokeOtherSessions
+);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out a device
+ *     description: Revoke one of the current user's sessions; its tokens stop working immediately
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session signed out successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id',
+  authenticateToken,
+  sessionIdValidation,
+  validateRequest,
+  authController.revokeSession
+);
+
 /**
  * @swagger
  * /auth/me:
  *   get:
  *     summary: Get current user
- *     description: Get current authenticated user information
+ *     description: Get current authenticated user information and the permissions they have
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -182,7 +501,7 @@ router.get('/me',
  * /auth/change-password:
  *   put:
  *     summary: Change password
- *     description: Change user password
+ *     description: Change user password; signs out the user's other devices
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -199,7 +518,7 @@ router.get('/me',
  *                 example: currentPassword123
  *               newPassword:
  *                 type: string
- *                 example: newPassword123
+ *                 example: NewPassword123!
  *     responses:
  *       200:
  *         description: Password changed successfully
@@ -215,6 +534,112 @@ router.put('/change-password',
   authController.changePassword
 );
 
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Forgot password
+ *     description: |
+ *       Email a single-use password reset link. The answer is the same whether or not
+ *       the address belongs to an account.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: doctor@clinic.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/forgot-password',
+  authRateLimit,
+  forgotPasswordValidation,
+  validateRequest,
+  authController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: Set a new password with the token from a reset link; signs out every device
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 example: NewPassword123!
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired link, or the password does not meet the policy
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/reset-password',
+  authRateLimit,
+  passwordTokenValidation,
+  validateRequest,
+  authController.resetPassword
+);
+
+/**
+ * @swagger
+ * /auth/accept-invitation:
+ *   post:
+ *     summary: Accept invitation
+ *     description: Choose the password of a staff account a manager created, with the token from the invitation link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 example: NewPassword123!
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       400:
+ *         description: Invalid or expired link, or the password does not meet the policy
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/accept-invitation',
+  authRateLimit,
+  passwordTokenValidation,
+  validateRequest,
+  authController.acceptInvitation
+);
+
 /**
  * @swagger
  * /auth/verify:
@@ -4,12 +4,15 @@
  */
 
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 
 // Import controllers and middleware
 const billingController = require('../../controllers/billingController');
-const { authenticateToken, requireSecretary } = require('../../middleware/auth');
+const { PAYMENT_METHODS } = require('../../models/Billing');
+const taxConfig = require('../../config/tax');
+const auditController = require('../../controllers/auditController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { validateRequest } = require('../../middleware/validation');
 
 // Validation schemas
@@ -21,23 +24,231 @@ const createBillingValidation = [
     .optional()
     .isMongoId()
     .withMessage('Valid appointment ID is required'),
+  body('doctor')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid doctor ID is required'),
   body('items')
     .isArray({ min: 1 })
     .withMessage('At least one billing item is required'),
+  body('items.*')
+    .custom(item => Boolean(item && (item.code || (item.description && item.unitPrice !== undefined))))
+    .withMessage('Each item needs a catalog code, or a description and unit price'),
+  body('items.*.code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{2,20}$/)
+    .withMessage('Service code must be 2-20 letters, digits or dashes'),
   body('items.*.description')
+    .optional()
     .notEmpty()
     .withMessage('Item description is required'),
   body('items.*.quantity')
     .isInt({ min: 1 })
-    .withMessage('Quantity must be at least 1'),
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
   body('items.*.unitPrice')
+    .optional()
     .isFloat({ min: 0 })
-    .withMessage('Unit price must be a positive number'),
+    .withMessage('Unit price must be a positive number')
+    .toFloat(),
+  body('items.*.taxCategory')
+    .optional()
+    .isIn(taxConfig.categories)
+    .withMessage(`Tax category must be one of: ${taxConfig.categories.join(', ')}`),
+  body('dueDate')
+    .isISO8601()
+    .withMessage('Valid due date is required')
+];
+
+const updateBillingValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid billing ID is required'),
+  body('patient')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  body('appointment')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid appointment ID is required'),
+  body('doctor')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid doctor ID is required'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one billing item is required'),
+  body('items.*')
+    .custom(item => Boolean(item && (item.code || (item.description && item.unitPrice !== undefined))))
+    .withMessage('Each item needs a catalog code, or a description and unit price'),
+  body('items.*.code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{2,20}$/)
+    .withMessage('Service code must be 2-20 letters, digits or dashes'),
+  body('items.*.description')
+    .optional()
+    .notEmpty()
+    .withMessage('Item description is required'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+  body('items.*.unitPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number')
+    .toFloat(),
+  body('items.*.taxCategory')
+    .optional()
+    .isIn(taxConfig.categories)
+    .withMessage(`Tax category must be one of: ${taxConfig.categories.join(', ')}`),
+  body('discount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount must be a positive number')
+    .toFloat(),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid due date is required')
+];
+
+const paymentStatusValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid billing ID is required'),
+  body('status')
+    .isIn(['pending', 'paid', 'partial', 'overdue'])
+    .withMessage('Invalid payment status; cancel bills through the cancellation endpoint'),
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method'),
+  body('paymentDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid payment date is required')
+];
+
+const paymentValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid billing ID is required'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Payment amount must be greater than zero'),
+  body('method')
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method'),
+  body('reference')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Payment reference cannot exceed 100 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid payment date is required'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Payment notes cannot exceed 500 characters')
+];
+
+const refundValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid billing ID is required'),
+  param('paymentId')
+    .isMongoId()
+    .withMessage('Valid payment ID is required'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be greater than zero'),
+  body('method')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid refund method'),
+  body('reference')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Refund reference cannot exceed 100 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Refund notes cannot exceed 500 characters')
+];
+
+const voidPaymentValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid billing ID is required'),
+  param('paymentId')
+    .isMongoId()
+    .withMessage('Valid payment ID is required'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Void reason must be between 3 and 500 characters')
+];
+
+const cancelBillingValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid billing ID is required'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Cancellation reason must be between 3 and 500 characters')
+];
+
+const issueBillingValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid billing ID is required'),
   body('dueDate')
+    .optional()
     .isISO8601()
     .withMessage('Valid due date is required')
 ];
 
+const creditNoteValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid billing ID is required'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Credit amount must be greater than zero')
+    .toFloat(),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Credit reason must be between 3 and 500 characters')
+];
+
+const invoiceValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid billing ID is required'),
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf'])
+    .withMessage('Format must be json or pdf')
+];
+
+const verifyInvoiceValidation = [
+  param('invoiceNumber')
+    .notEmpty()
+    .withMessage('Invoice number is required'),
+  query('sig')
+    .isHexadecimal()
+    .withMessage('Valid signature is required')
+];
+
 // Routes
 
 /**
@@ -66,7 +277,7 @@ const createBillingValidation = [
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, paid, partial, overdue, cancelled]
+ *           enum: [draft, pending, paid, partial, overdue, cancelled]
  *         description: Filter by payment status
  *       - in: query
  *         name: patientId
@@ -93,10 +304,41 @@ const createBillingValidation = [
  */
 router.get('/',
   authenticateToken,
-  requireSecretary,
+  requirePermission('view_billing'),
   billingController.getAllBilling
 );
 
+/**
+ * @swagger
+ * /billing/verify/{invoiceNumber}:
+ *   get:
+ *     summary: Verify invoice
+ *     description: Check a printed invoice against the records using the signature from its QR code
+ *     tags: [Billing]
+ *     parameters:
+ *       - in: path
+ *         name: invoiceNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signature embedded in the invoice QR code
+ *     responses:
+ *       200:
+ *         description: Invoice verified successfully
+ *       404:
+ *         description: Invoice could not be verified
+ */
+router.get('/verify/:invoiceNumber',
+  verifyInvoiceValidation,
+  validateRequest,
+  billingController.verifyInvoice
+);
+
 /**
  * @swagger
  * /billing/{id}:
@@ -121,16 +363,52 @@ router.get('/',
  */
 router.get('/:id',
   authenticateToken,
-  requireSecretary,
+  requirePermission('view_billing'),
   billingController.getBillingById
 );
 
+/**
+ * @swagger
+ * /billing/{id}/history:
+ *   get:
+ *     summary: Get billing record change history
+ *     description: List audit entries (actor, action, field-level diff, IP) for a billing record, newest first
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Billing record ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Billing history retrieved successfully
+ */
+router.get('/:id/history',
+  authenticateToken,
+  requirePermission('view_billing', 'view_audit_history'),
+  auditController.getRecordHistory('Billing')
+);
+
 /**
  * @swagger
  * /billing:
  *   post:
  *     summary: Create a new billing record
- *     description: Create a new billing record for a patient
+ *     description: Create a new billing record for a patient. Items given as a catalog code take their description, price and tax category from the service catalog, priced for the bill's doctor (or the appointment's doctor). Line totals and tax are calculated from each item's tax category.
  *     tags: [Billing]
  *     security:
  *       - bearerAuth: []
@@ -148,11 +426,20 @@ router.get('/:id',
  *               appointment:
  *                 type: string
  *                 example: 507f1f77bcf86cd799439012
+ *               doctor:
+ *                 type: string
+ *                 description: Doctor whose catalog prices apply; defaults to the appointment's doctor
+ *                 example: 507f1f77bcf86cd799439013
  *               items:
  *                 type: array
  *                 items:
  *                   type: object
+ *                   required: [quantity]
  *                   properties:
+ *                     code:
+ *                       type: string
+ *                       description: Service catalog code; replaces description, unitPrice and taxCategory
+ *                       example: CONS-GEN
  *                     description:
  *                       type: string
  *                       example: Consultation fee
@@ -162,6 +449,9 @@ router.get('/:id',
  *                     unitPrice:
  *                       type: number
  *                       example: 100.00
+ *                     taxCategory:
+ *                       type: string
+ *                       enum: [standard, zero, exempt]
  *               dueDate:
  *                 type: string
  *                 format: date
@@ -174,10 +464,12 @@ router.get('/:id',
  *         description: Billing record created successfully
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: The appointment already has a bill
  */
 router.post('/',
   authenticateToken,
-  requireSecretary,
+  requirePermission('manage_billing'),
   createBillingValidation,
   validateRequest,
   billingController.createBilling
@@ -188,7 +480,9 @@ router.post('/',
  * /billing/{id}:
  *   put:
  *     summary: Update billing record
- *     description: Update an existing billing record
+ *     description: |
+ *       Update an existing billing record. Items accept catalog codes as on creation; changing them recalculates totals and tax.
+ *       Items and discount can only change while the bill is a draft; issued bills are adjusted with credit notes.
  *     tags: [Billing]
  *     security:
  *       - bearerAuth: []
@@ -208,6 +502,9 @@ router.post('/',
  *             properties:
  *               items:
  *                 type: array
+ *               discount:
+ *                 type: number
+ *                 example: 10.00
  *               dueDate:
  *                 type: string
  *                 format: date
@@ -218,10 +515,14 @@ router.post('/',
  *         description: Billing record updated successfully
  *       404:
  *         description: Billing record not found
+ *       409:
+ *         description: Items or discount of an issued bill cannot be changed
  */
 router.put('/:id',
   authenticateToken,
-  requireSecretary,
+  requirePermission('manage_billing'),
+  updateBillingValidation,
+  validateRequest,
   billingController.updateBilling
 );
 
@@ -229,8 +530,10 @@ router.put('/:id',
  * @swagger
  * /billing/{id}:
  *   delete:
- *     summary: Delete billing record
- *     description: Delete a billing record
+ *     summary: Cancel billing record
+ *     description: |
+ *       Same as POST /billing/{id}/cancel. Billing records are never deleted; the invoice is kept
+ *       as cancelled and a credit note offsets its remaining balance.
  *     tags: [Billing]
  *     security:
  *       - bearerAuth: []
@@ -241,16 +544,221 @@ router.put('/:id',
  *         schema:
  *           type: string
  *         description: Billing record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Invoice issued to the wrong patient
  *     responses:
  *       200:
- *         description: Billing record deleted successfully
+ *         description: Billing record cancelled successfully
  *       404:
  *         description: Billing record not found
+ *       409:
+ *         description: Bill is already cancelled or has payments
  */
 router.delete('/:id',
   authenticateToken,
-  requireSecretary,
-  billingController.deleteBilling
+  requirePermission('manage_billing'),
+  cancelBillingValidation,
+  validateRequest,
+  billingController.cancelBilling
+);
+
+/**
+ * @swagger
+ * /billing/{id}/cancel:
+ *   post:
+ *     summary: Cancel billing record
+ *     description: |
+ *       Cancel an invoice while keeping it on record. A credit note with its own number is issued
+ *       for the balance not yet credited. Bills with payments must be refunded first.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Billing record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Invoice issued to the wrong patient
+ *     responses:
+ *       200:
+ *         description: Billing record cancelled successfully
+ *       404:
+ *         description: Billing record not found
+ *       409:
+ *         description: Bill is already cancelled or has payments
+ */
+router.post('/:id/cancel',
+  authenticateToken,
+  requirePermission('manage_billing'),
+  cancelBillingValidation,
+  validateRequest,
+  billingController.cancelBilling
+);
+
+/**
+ * @swagger
+ * /billing/{id}/issue:
+ *   post:
+ *     summary: Issue draft bill
+ *     description: |
+ *       Issue a draft bill, such as one drafted when its appointment was completed, to the patient.
+ *       The bill gets its invoice number and issue date now; payments can only be recorded once it is issued.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Billing record ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to the configured payment terms from today
+ *     responses:
+ *       200:
+ *         description: Bill issued successfully
+ *       404:
+ *         description: Billing record not found
+ *       409:
+ *         description: Bill is not a draft
+ */
+router.post('/:id/issue',
+  authenticateToken,
+  requirePermission('manage_billing'),
+  issueBillingValidation,
+  validateRequest,
+  billingController.issueBilling
+);
+
+/**
+ * @swagger
+ * /billing/{id}/credit-notes:
+ *   get:
+ *     summary: Get credit notes
+ *     description: List the credit notes issued against a bill with its credited and net totals
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Billing record ID
+ *     responses:
+ *       200:
+ *         description: Credit notes retrieved successfully
+ *       404:
+ *         description: Billing record not found
+ *   post:
+ *     summary: Issue credit note
+ *     description: |
+ *       Credit part or all of the unpaid balance. Crediting the whole invoice cancels it.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Billing record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, reason]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 50
+ *               reason:
+ *                 type: string
+ *                 example: Duplicate lab test charge
+ *     responses:
+ *       201:
+ *         description: Credit note issued successfully
+ *       400:
+ *         description: Credit exceeds the unpaid balance
+ *       404:
+ *         description: Billing record not found
+ *       409:
+ *         description: Bill is already cancelled
+ */
+router.get('/:id/credit-notes',
+  authenticateToken,
+  requirePermission('view_billing'),
+  billingController.getCreditNotes
+);
+
+router.post('/:id/credit-notes',
+  authenticateToken,
+  requirePermission('manage_billing'),
+  creditNoteValidation,
+  validateRequest,
+  billingController.issueCreditNote
+);
+
+/**
+ * @swagger
+ * /billing/{id}/reminders:
+ *   get:
+ *     summary: Get payment reminders
+ *     description: List the overdue payment reminders sent for a bill, including stages skipped for opted-out patients or patients with no contact details
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Billing record ID
+ *     responses:
+ *       200:
+ *         description: Payment reminders retrieved successfully
+ *       404:
+ *         description: Billing record not found
+ */
+router.get('/:id/reminders',
+  authenticateToken,
+  requirePermission('view_billing'),
+  billingController.getDunningNotices
 );
 
 /**
@@ -285,7 +793,7 @@ router.delete('/:id',
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, paid, partial, overdue, cancelled]
+ *           enum: [draft, pending, paid, partial, overdue, cancelled]
  *         description: Filter by payment status
  *     responses:
  *       200:
@@ -293,7 +801,7 @@ router.delete('/:id',
  */
 router.get('/patient/:patientId',
   authenticateToken,
-  requireSecretary,
+  requirePermission('view_billing'),
   billingController.getBillingByPatient
 );
 
@@ -302,7 +810,9 @@ router.get('/patient/:patientId',
  * /billing/{id}/payment:
  *   patch:
  *     summary: Update payment status
- *     description: Update the payment status of a billing record
+ *     description: |
+ *       Reconcile the payment status with the payments ledger. Marking a bill as paid records the
+ *       outstanding balance as a payment; other statuses must agree with the amount already paid.
  *     tags: [Billing]
  *     security:
  *       - bearerAuth: []
@@ -323,7 +833,7 @@ router.get('/patient/:patientId',
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, paid, partial, overdue, cancelled]
+ *                 enum: [pending, paid, partial, overdue]
  *                 example: paid
  *               paymentMethod:
  *                 type: string
@@ -338,13 +848,203 @@ router.get('/patient/:patientId',
  *         description: Payment status updated successfully
  *       404:
  *         description: Billing record not found
+ *       409:
+ *         description: Status conflicts with the payments ledger
  */
 router.patch('/:id/payment',
   authenticateToken,
-  requireSecretary,
+  requirePermission('manage_billing'),
+  paymentStatusValidation,
+  validateRequest,
   billingController.updatePaymentStatus
 );
 
+/**
+ * @swagger
+ * /billing/{id}/payments:
+ *   get:
+ *     summary: Get payments ledger
+ *     description: List the payments, refunds and voided entries of a bill with its paid and outstanding amounts
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Billing record ID
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ *       404:
+ *         description: Billing record not found
+ *   post:
+ *     summary: Record payment
+ *     description: |
+ *       Record a full or partial payment; the bill status is derived from the ledger. Cash and card
+ *       payments are attributed to the cashier's open cash session and refused without one.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Billing record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, method]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 150
+ *               method:
+ *                 type: string
+ *                 enum: [cash, credit_card, debit_card, bank_transfer, insurance, other]
+ *               reference:
+ *                 type: string
+ *                 example: POS-558120
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded successfully
+ *       400:
+ *         description: Payment exceeds the outstanding amount
+ *       404:
+ *         description: Billing record not found
+ *       409:
+ *         description: Bill is cancelled, was modified concurrently or no cash session is open
+ */
+router.get('/:id/payments',
+  authenticateToken,
+  requirePermission('view_billing'),
+  billingController.getPayments
+);
+
+router.post('/:id/payments',
+  authenticateToken,
+  requirePermission('manage_billing'),
+  paymentValidation,
+  validateRequest,
+  billingController.addPayment
+);
+
+/**
+ * @swagger
+ * /billing/{id}/payments/{paymentId}/refund:
+ *   post:
+ *     summary: Refund payment
+ *     description: Refund part or all of a payment; omitting amount refunds the remaining refundable balance
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Billing record ID
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ledger entry ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [cash, credit_card, debit_card, bank_transfer, insurance, other]
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment refunded successfully
+ *       400:
+ *         description: Refund exceeds the refundable amount
+ *       404:
+ *         description: Billing record or payment not found
+ *       409:
+ *         description: Payment is voided or already fully refunded
+ */
+router.post('/:id/payments/:paymentId/refund',
+  authenticateToken,
+  requirePermission('manage_billing'),
+  refundValidation,
+  validateRequest,
+  billingController.refundPayment
+);
+
+/**
+ * @swagger
+ * /billing/{id}/payments/{paymentId}/void:
+ *   post:
+ *     summary: Void payment
+ *     description: Void a payment or refund recorded in error; the entry stays in the ledger marked as voided
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Billing record ID
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ledger entry ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Duplicate card transaction
+ *     responses:
+ *       200:
+ *         description: Payment voided successfully
+ *       404:
+ *         description: Billing record or payment not found
+ *       409:
+ *         description: Entry already voided, has refunds that must be voided first or belongs to a closed cash session
+ */
+router.post('/:id/payments/:paymentId/void',
+  authenticateToken,
+  requirePermission('manage_billing'),
+  voidPaymentValidation,
+  validateRequest,
+  billingController.voidPayment
+);
+
 /**
  * @swagger
  * /billing/{id}/invoice:
@@ -361,15 +1061,34 @@ router.patch('/:id/payment',
  *         schema:
  *           type: string
  *         description: Billing record ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *         description: pdf renders a printable invoice in the user's preferred language (English or Arabic)
  *     responses:
  *       200:
  *         description: Invoice generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
  *       404:
  *         description: Billing record not found
+ *       409:
+ *         description: Bill is still a draft
  */
 router.get('/:id/invoice',
   authenticateToken,
-  requireSecretary,
+  requirePermission('view_billing'),
+  invoiceValidation,
+  validateRequest,
   billingController.generateInvoice
 );
 
@@ -0,0 +1,347 @@
+/**
+ * Cash Session Routes
+ * Cashier drawer sessions and end-of-day Z-reports
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import controllers and middleware
+const cashSessionController = require('../../controllers/cashSessionController');
+const auditController = require('../../controllers/auditController');
+const { PAYMENT_METHODS } = require('../../models/Billing');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { validateRequest } = require('../../middleware/validation');
+
+// Validation schemas
+const openSessionValidation = [
+  body('openingFloat')
+    .isFloat({ min: 0 })
+    .withMessage('Opening float must be a non-negative number')
+    .toFloat(),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid cash session ID is required')
+];
+
+const closeSessionValidation = [
+  ...sessionIdValidation,
+  body('counted')
+    .isObject()
+    .withMessage('Counted amounts by payment method are required')
+    .custom(counted => Object.keys(counted).every(method => PAYMENT_METHODS.includes(method)))
+    .withMessage(`Counted amounts must be keyed by payment method: ${PAYMENT_METHODS.join(', ')}`),
+  body('counted.*')
+    .isFloat({ min: 0 })
+    .withMessage('Counted amounts must be non-negative numbers')
+    .toFloat(),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const reviewSessionValidation = [
+  ...sessionIdValidation,
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Review notes cannot exceed 500 characters')
+];
+
+const sessionQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['open', 'closed'])
+    .withMessage('Status must be open or closed'),
+  query('cashier')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid cashier ID is required'),
+  query('reviewed')
+    .optional()
+    .isBoolean()
+    .withMessage('reviewed must be a boolean'),
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /cash-sessions:
+ *   get:
+ *     summary: Get cash sessions
+ *     description: List drawer sessions. Secretaries only see their own sessions.
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: cashier
+ *         schema:
+ *           type: string
+ *         description: Cashier user ID (managers only)
+ *       - in: query
+ *         name: reviewed
+ *         schema:
+ *           type: boolean
+ *         description: Filter by manager sign-off
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Cash sessions retrieved successfully
+ *   post:
+ *     summary: Open cash session
+ *     description: |
+ *       Open the current user's drawer with its float. Cash and card payments and refunds the
+ *       user takes are attributed to the open session until it is closed.
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [openingFloat]
+ *             properties:
+ *               openingFloat:
+ *                 type: number
+ *                 example: 500
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cash session opened successfully
+ *       409:
+ *         description: User already has an open cash session
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('view_billing'),
+  sessionQueryValidation,
+  validateRequest,
+  cashSessionController.getCashSessions
+);
+
+router.post('/',
+  authenticateToken,
+  requirePermission('manage_cash_sessions'),
+  openSessionValidation,
+  validateRequest,
+  cashSessionController.openCashSession
+);
+
+/**
+ * @swagger
+ * /cash-sessions/current:
+ *   get:
+ *     summary: Get current cash session
+ *     description: The current user's open session with the amounts expected in the drawer so far
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cash session retrieved successfully
+ *       404:
+ *         description: No open cash session
+ */
+router.get('/current',
+  authenticateToken,
+  requirePermission('manage_cash_sessions'),
+  cashSessionController.getCurrentCashSession
+);
+
+/**
+ * @swagger
+ * /cash-sessions/{id}:
+ *   get:
+ *     summary: Get Z-report
+ *     description: |
+ *       Totals taken per payment method against the closing count, the variances and every
+ *       payment, refund and void of the session
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Z-report generated successfully
+ *       404:
+ *         description: Cash session not found
+ */
+router.get('/:id',
+  authenticateToken,
+  requirePermission('view_billing'),
+  sessionIdValidation,
+  validateRequest,
+  cashSessionController.getCashSessionReport
+);
+
+/**
+ * @swagger
+ * /cash-sessions/{id}/close:
+ *   post:
+ *     summary: Close cash session
+ *     description: |
+ *       Close the drawer with the amounts counted per payment method. Cash is expected to hold
+ *       the opening float plus the net cash taken; variances are recorded on the session.
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [counted]
+ *             properties:
+ *               counted:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                 example: { cash: 1450, credit_card: 820 }
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cash session closed successfully
+ *       404:
+ *         description: Cash session not found
+ *       409:
+ *         description: Cash session is already closed
+ */
+router.post('/:id/close',
+  authenticateToken,
+  requirePermission('manage_cash_sessions'),
+  closeSessionValidation,
+  validateRequest,
+  cashSessionController.closeCashSession
+);
+
+/**
+ * @swagger
+ * /cash-sessions/{id}/review:
+ *   post:
+ *     summary: Review cash session
+ *     description: Sign off the Z-report of a closed session
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cash session reviewed successfully
+ *       404:
+ *         description: Cash session not found
+ *       409:
+ *         description: Cash session is open or already reviewed
+ */
+router.post('/:id/review',
+  authenticateToken,
+  requirePermission('review_cash_sessions'),
+  reviewSessionValidation,
+  validateRequest,
+  cashSessionController.reviewCashSession
+);
+
+/**
+ * @swagger
+ * /cash-sessions/{id}/history:
+ *   get:
+ *     summary: Get cash session change history
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CashSession history retrieved successfully
+ */
+router.get('/:id/history',
+  authenticateToken,
+  requirePermission('review_cash_sessions', 'view_audit_history'),
+  auditController.getRecordHistory('CashSession')
+);
+
+module.exports = router;
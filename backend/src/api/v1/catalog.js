@@ -0,0 +1,330 @@
+/**
+ * Catalog Routes
+ * Service catalog used to price billing items
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import controllers and middleware
+const catalogController = require('../../controllers/catalogController');
+const auditController = require('../../controllers/auditController');
+const taxConfig = require('../../config/tax');
+const { APPOINTMENT_TYPES } = require('../../models/Appointment');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { validateRequest } = require('../../middleware/validation');
+
+// Validation schemas
+
+// Updates accept any subset of the fields
+const buildCatalogItemValidation = ({ partial = false } = {}) => [
+  (partial ? body('code').optional() : body('code'))
+    .trim()
+    .matches(/^[A-Za-z0-9-]{2,20}$/)
+    .withMessage('Service code must be 2-20 letters, digits or dashes'),
+  (partial ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Service name must be between 2 and 200 characters'),
+  body('nameAr')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Arabic name cannot exceed 200 characters'),
+  body('category')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Category cannot exceed 50 characters'),
+  (partial ? body('defaultPrice').optional() : body('defaultPrice'))
+    .isFloat({ min: 0 })
+    .withMessage('Default price must be a non-negative number')
+    .toFloat(),
+  body('taxCategory')
+    .optional()
+    .isIn(taxConfig.categories)
+    .withMessage(`Tax category must be one of: ${taxConfig.categories.join(', ')}`),
+  body('priceOverrides')
+    .optional()
+    .isArray()
+    .withMessage('Price overrides must be an array'),
+  body('priceOverrides.*.doctor')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid doctor ID is required'),
+  body('priceOverrides.*.specialization')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Specialization cannot be empty'),
+  body('priceOverrides.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('Override price must be a non-negative number')
+    .toFloat(),
+  body('appointmentTypes')
+    .optional()
+    .isArray()
+    .withMessage('Appointment types must be an array'),
+  body('appointmentTypes.*')
+    .isIn(APPOINTMENT_TYPES)
+    .withMessage(`Appointment type must be one of: ${APPOINTMENT_TYPES.join(', ')}`),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const catalogItemValidation = buildCatalogItemValidation();
+
+const catalogIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid catalog service ID is required')
+];
+
+const updateCatalogItemValidation = [
+  ...catalogIdValidation,
+  ...buildCatalogItemValidation({ partial: true })
+];
+
+const catalogQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean'),
+  query('doctor')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid doctor ID is required')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /catalog:
+ *   get:
+ *     summary: Get catalog services
+ *     description: List billable services. When a doctor is given each service also carries the price that applies to that doctor.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active flag
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by code or name
+ *       - in: query
+ *         name: doctor
+ *         schema:
+ *           type: string
+ *         description: Doctor to price the services for
+ *     responses:
+ *       200:
+ *         description: Catalog retrieved successfully
+ *   post:
+ *     summary: Add catalog service
+ *     description: Add a billable service to the catalog
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name, defaultPrice]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: CONS-GEN
+ *               name:
+ *                 type: string
+ *                 example: General consultation
+ *               nameAr:
+ *                 type: string
+ *                 example: استشارة عامة
+ *               category:
+ *                 type: string
+ *                 example: consultation
+ *               defaultPrice:
+ *                 type: number
+ *                 example: 200
+ *               taxCategory:
+ *                 type: string
+ *                 enum: [standard, zero, exempt]
+ *               priceOverrides:
+ *                 type: array
+ *                 description: Prices for a specific doctor or for every doctor of a specialization; a doctor's own price wins
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     doctor:
+ *                       type: string
+ *                     specialization:
+ *                       type: string
+ *                       example: Cardiology
+ *                     price:
+ *                       type: number
+ *                       example: 350
+ *               appointmentTypes:
+ *                 type: array
+ *                 description: Appointment types whose completion adds this service to the draft bill
+ *                 items:
+ *                   type: string
+ *                   enum: [consultation, follow-up, emergency, routine, specialist]
+ *     responses:
+ *       201:
+ *         description: Catalog service created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Service code already exists
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('view_billing'),
+  catalogQueryValidation,
+  validateRequest,
+  catalogController.getCatalogItems
+);
+
+router.post('/',
+  authenticateToken,
+  requirePermission('manage_catalog'),
+  catalogItemValidation,
+  validateRequest,
+  catalogController.createCatalogItem
+);
+
+/**
+ * @swagger
+ * /catalog/{id}:
+ *   get:
+ *     summary: Get catalog service by ID
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Catalog service retrieved successfully
+ *       404:
+ *         description: Catalog service not found
+ *   put:
+ *     summary: Update catalog service
+ *     description: Update a service's names, prices or tax category. Bills already issued keep their prices.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Catalog service updated successfully
+ *       404:
+ *         description: Catalog service not found
+ *   delete:
+ *     summary: Deactivate catalog service
+ *     description: Withdraw a service from billing. It is kept for the bills that already use it.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Catalog service deactivated successfully
+ *       404:
+ *         description: Catalog service not found
+ */
+router.get('/:id',
+  authenticateToken,
+  requirePermission('view_billing'),
+  catalogIdValidation,
+  validateRequest,
+  catalogController.getCatalogItemById
+);
+
+router.put('/:id',
+  authenticateToken,
+  requirePermission('manage_catalog'),
+  updateCatalogItemValidation,
+  validateRequest,
+  catalogController.updateCatalogItem
+);
+
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('manage_catalog'),
+  catalogIdValidation,
+  validateRequest,
+  catalogController.deactivateCatalogItem
+);
+
+/**
+ * @swagger
+ * /catalog/{id}/history:
+ *   get:
+ *     summary: Get catalog service change history
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CatalogItem history retrieved successfully
+ */
+router.get('/:id/history',
+  authenticateToken,
+  requirePermission('view_billing', 'view_audit_history'),
+  auditController.getRecordHistory('CatalogItem')
+);
+
+module.exports = router;
@@ -4,13 +4,14 @@
  */
 
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const router = express.Router();
 
 // Import controllers and middleware
 const doctorController = require('../../controllers/doctorController');
-const { authenticateToken, requireManager } = require('../../middleware/auth');
-const { validateRequest } = require('../../middleware/validation');
+const scheduleExceptionController = require('../../controllers/scheduleExceptionController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { validateRequest, passwordPolicyValidation } = require('../../middleware/validation');
 
 // Validation schemas
 const createDoctorValidation = [
@@ -29,9 +30,7 @@ const createDoctorValidation = [
   body('phone')
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
     .withMessage('Please enter a valid phone number'),
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long'),
+  passwordPolicyValidation('password'),
   body('specialization')
     .notEmpty()
     .withMessage('Specialization is required'),
@@ -49,6 +48,46 @@ const createDoctorValidation = [
     .withMessage('Gender must be male, female, or other')
 ];
 
+const availabilityValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  query('duration')
+    .optional()
+    .isInt({ min: 15, max: 180 })
+    .withMessage('Duration must be between 15 and 180 minutes')
+];
+
+const timeOffValidation = [
+  body('type')
+    .isIn(['vacation', 'sick-leave', 'conference', 'half-day', 'other'])
+    .withMessage('Invalid time-off type'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  body('startTime')
+    .optional()
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid start time is required (HH:MM)'),
+  body('endTime')
+    .optional()
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid end time is required (HH:MM)'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
 // Routes
 
 /**
@@ -91,6 +130,7 @@ const createDoctorValidation = [
  */
 router.get('/',
   authenticateToken,
+  requirePermission('view_doctors'),
   doctorController.getAllDoctors
 );
 
@@ -118,6 +158,7 @@ router.get('/',
  */
 router.get('/:id',
   authenticateToken,
+  requirePermission('view_doctors'),
   doctorController.getDoctorById
 );
 
@@ -179,7 +220,7 @@ router.get('/:id',
  */
 router.post('/',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_users'),
   createDoctorValidation,
   validateRequest,
   doctorController.createDoctor
@@ -231,7 +272,7 @@ router.post('/',
  */
 router.put('/:id',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_users'),
   doctorController.updateDoctor
 );
 
@@ -259,7 +300,7 @@ router.put('/:id',
  */
 router.delete('/:id',
   authenticateToken,
-  requireManager,
+  requirePermission('manage_users'),
   doctorController.deleteDoctor
 );
 
@@ -287,7 +328,232 @@ router.delete('/:id',
  */
 router.get('/search',
   authenticateToken,
+  requirePermission('view_doctors'),
   doctorController.searchDoctors
 );
 
+/**
+ * @swagger
+ * /doctors/{id}/availability:
+ *   get:
+ *     summary: Get doctor availability
+ *     description: List open appointment slots computed from the doctor's working hours minus scheduled and confirmed appointments. Dates and times are in the doctor's timezone.
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to search (defaults to today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day to search (defaults to 6 days after from, max range 31 days)
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Required slot length in minutes
+ *     responses:
+ *       200:
+ *         description: Doctor availability retrieved successfully
+ *       400:
+ *         description: Invalid date range
+ *       404:
+ *         description: Doctor not found
+ */
+router.get('/:id/availability',
+  authenticateToken,
+  requirePermission('view_doctors'),
+  availabilityValidation,
+  validateRequest,
+  doctorController.getDoctorAvailability
+);
+
+/**
+ * @swagger
+ * /doctors/{id}/time-off:
+ *   get:
+ *     summary: Get doctor time-off
+ *     description: List vacations, conference days and other absences of a doctor
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only entries ending on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only entries starting on or before this date
+ *       - in: query
+ *         name: includeHolidays
+ *         schema:
+ *           type: boolean
+ *         description: Also include clinic-wide holidays
+ *     responses:
+ *       200:
+ *         description: Doctor time-off retrieved successfully
+ */
+router.get('/:id/time-off',
+  authenticateToken,
+  requirePermission('view_doctors'),
+  scheduleExceptionController.getDoctorTimeOff
+);
+
+/**
+ * @swagger
+ * /doctors/{id}/time-off:
+ *   post:
+ *     summary: Add doctor time-off
+ *     description: Block whole days or a time window (half-days) for a doctor. Already-booked appointments inside the absence are flagged and returned.
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, startDate, endDate]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [vacation, sick-leave, conference, half-day, other]
+ *                 example: vacation
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-07-01
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-07-14
+ *               startTime:
+ *                 type: string
+ *                 example: 13:00
+ *               endTime:
+ *                 type: string
+ *                 example: 17:00
+ *               reason:
+ *                 type: string
+ *                 example: Annual leave
+ *     responses:
+ *       201:
+ *         description: Doctor time-off added successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Doctors can only manage their own time-off
+ *       404:
+ *         description: Doctor not found
+ */
+router.post('/:id/time-off',
+  authenticateToken,
+  requirePermission('manage_time_off'),
+  timeOffValidation,
+  validateRequest,
+  scheduleExceptionController.createDoctorTimeOff
+);
+
+/**
+ * @swagger
+ * /doctors/{id}/time-off/{exceptionId}:
+ *   put:
+ *     summary: Update doctor time-off
+ *     description: Update an absence and re-flag the appointments it overlaps
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Time-off entry ID
+ *     responses:
+ *       200:
+ *         description: Doctor time-off updated successfully
+ *       404:
+ *         description: Time-off entry not found
+ */
+router.put('/:id/time-off/:exceptionId',
+  authenticateToken,
+  requirePermission('manage_time_off'),
+  scheduleExceptionController.updateDoctorTimeOff
+);
+
+/**
+ * @swagger
+ * /doctors/{id}/time-off/{exceptionId}:
+ *   delete:
+ *     summary: Remove doctor time-off
+ *     description: Delete an absence and clear the flags it set on appointments
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Time-off entry ID
+ *     responses:
+ *       200:
+ *         description: Doctor time-off removed successfully
+ *       404:
+ *         description: Time-off entry not found
+ */
+router.delete('/:id/time-off/:exceptionId',
+  authenticateToken,
+  requirePermission('manage_time_off'),
+  scheduleExceptionController.deleteDoctorTimeOff
+);
+
 module.exports = router;
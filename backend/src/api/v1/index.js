@@ -5,6 +5,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { auditContext } = require('../../middleware/auditContext');
 
 // Import all route modules
 const authRoutes = require('./auth');
@@ -12,16 +13,25 @@ const patientRoutes = require('./patients');
 const doctorRoutes = require('./doctors');
 const appointmentRoutes = require('./appointments');
 const billingRoutes = require('./billing');
+const catalogRoutes = require('./catalog');
+const cashSessionRoutes = require('./cashSessions');
+const insuranceRoutes = require('./insurance');
 const adminRoutes = require('./admin');
 const reportRoutes = require('./reports');
 const prescriptionRoutes = require('./prescriptions');
 
+// Expose the current request to the audit trail
+router.use(auditContext);
+
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/patients', patientRoutes);
 router.use('/doctors', doctorRoutes);
 router.use('/appointments', appointmentRoutes);
 router.use('/billing', billingRoutes);
+router.use('/catalog', catalogRoutes);
+router.use('/cash-sessions', cashSessionRoutes);
+router.use('/insurance', insuranceRoutes);
 router.use('/admin', adminRoutes);
 router.use('/reports', reportRoutes);
 router.use('/prescriptions', prescriptionRoutes);
@@ -0,0 +1,604 @@
+/**
+ * Insurance Routes
+ * Insurer registry, claims lifecycle and claims aging
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import controllers and middleware
+const insuranceController = require('../../controllers/insuranceController');
+const auditController = require('../../controllers/auditController');
+const { CLAIM_STATUSES, RESPONSE_DECISIONS } = require('../../models/InsuranceClaim');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { validateRequest } = require('../../middleware/validation');
+
+// Validation schemas
+
+// Updates accept any subset of the fields
+const buildInsurerValidation = ({ partial = false } = {}) => [
+  (partial ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Insurer name must be between 2 and 100 characters'),
+  body('nameAr')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Arabic name cannot exceed 100 characters'),
+  (partial ? body('code').optional() : body('code'))
+    .trim()
+    .matches(/^[A-Za-z0-9-]{2,20}$/)
+    .withMessage('Insurer code must be 2-20 letters, digits or dashes'),
+  body('contact.email')
+    .optional()
+    .isEmail()
+    .withMessage('Valid contact email is required'),
+  body('defaultCoverage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Default coverage must be between 0 and 100'),
+  body('paymentTermsDays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Payment terms must be a non-negative number of days'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const insurerValidation = buildInsurerValidation();
+
+const updateInsurerValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid insurer ID is required'),
+  ...buildInsurerValidation({ partial: true })
+];
+
+const claimQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(CLAIM_STATUSES)
+    .withMessage(`Status must be one of: ${CLAIM_STATUSES.join(', ')}`),
+  query(['insurer', 'patient', 'billing'])
+    .optional()
+    .isMongoId()
+    .withMessage('Valid ID is required'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Valid date is required')
+];
+
+const claimIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid claim ID is required')
+];
+
+const createClaimValidation = [
+  body('billing')
+    .isMongoId()
+    .withMessage('Valid billing ID is required'),
+  body('insurer')
+    .isMongoId()
+    .withMessage('Valid insurer ID is required'),
+  body('policyNumber')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Policy number cannot exceed 50 characters'),
+  body('coverage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Coverage must be between 0 and 100'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const claimResponseValidation = [
+  ...claimIdValidation,
+  body('decision')
+    .isIn(RESPONSE_DECISIONS)
+    .withMessage(`Decision must be one of: ${RESPONSE_DECISIONS.join(', ')}`),
+  body('approvedAmount')
+    .if(body('decision').equals('partially-approved'))
+    .isFloat({ gt: 0 })
+    .withMessage('Approved amount is required for a partial approval'),
+  body('rejectionReason.description')
+    .if(body('decision').equals('rejected'))
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Rejection reason is required when rejecting a claim'),
+  body('rejectionReason.code')
+    .optional()
+    .isLength({ max: 20 })
+    .withMessage('Rejection code cannot exceed 20 characters')
+];
+
+const resubmitClaimValidation = [
+  ...claimIdValidation,
+  body('claimedAmount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Claimed amount must be greater than zero'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const claimPaymentValidation = [
+  ...claimIdValidation,
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Payment amount must be greater than zero'),
+  body('reference')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Payment reference cannot exceed 100 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid payment date is required')
+];
+
+const agingValidation = [
+  query('asOf')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid report date is required'),
+  query('insurer')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid insurer ID is required')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /insurance/insurers:
+ *   get:
+ *     summary: Get insurers
+ *     description: List registered insurance companies
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active flag
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name or code
+ *     responses:
+ *       200:
+ *         description: Insurers retrieved successfully
+ *   post:
+ *     summary: Register insurer
+ *     description: Add an insurance company to the registry
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, code]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Bupa Arabia
+ *               nameAr:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: BUPA
+ *               contact:
+ *                 type: object
+ *                 properties:
+ *                   phone:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *               defaultCoverage:
+ *                 type: number
+ *                 example: 80
+ *               paymentTermsDays:
+ *                 type: integer
+ *                 example: 30
+ *     responses:
+ *       201:
+ *         description: Insurer created successfully
+ *       409:
+ *         description: Insurer code already exists
+ */
+router.get('/insurers',
+  authenticateToken,
+  requirePermission('view_billing'),
+  insuranceController.getInsurers
+);
+
+router.post('/insurers',
+  authenticateToken,
+  requirePermission('manage_insurers'),
+  insurerValidation,
+  validateRequest,
+  insuranceController.createInsurer
+);
+
+/**
+ * @swagger
+ * /insurance/insurers/{id}:
+ *   put:
+ *     summary: Update insurer
+ *     description: Update an insurer's details or deactivate it
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Insurer ID
+ *     responses:
+ *       200:
+ *         description: Insurer updated successfully
+ *       404:
+ *         description: Insurer not found
+ */
+router.put('/insurers/:id',
+  authenticateToken,
+  requirePermission('manage_insurers'),
+  updateInsurerValidation,
+  validateRequest,
+  insuranceController.updateInsurer
+);
+
+/**
+ * @swagger
+ * /insurance/claims:
+ *   get:
+ *     summary: Get insurance claims
+ *     description: List insurance claims with filtering and pagination
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [submitted, approved, partially-approved, rejected, paid]
+ *       - in: query
+ *         name: insurer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patient
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: billing
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Submitted on or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Submitted on or before
+ *     responses:
+ *       200:
+ *         description: Insurance claims retrieved successfully
+ *   post:
+ *     summary: Submit insurance claim
+ *     description: |
+ *       Create a claim for the insurer's share of a bill. Coverage defaults to the bill's
+ *       insurance coverage, then to the insurer's default coverage.
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [billing, insurer]
+ *             properties:
+ *               billing:
+ *                 type: string
+ *               insurer:
+ *                 type: string
+ *               policyNumber:
+ *                 type: string
+ *               coverage:
+ *                 type: number
+ *                 example: 80
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Insurance claim submitted successfully
+ *       404:
+ *         description: Billing record or insurer not found
+ *       409:
+ *         description: Bill is a draft, cancelled, fully credited or already has a claim
+ */
+router.get('/claims',
+  authenticateToken,
+  requirePermission('view_billing'),
+  claimQueryValidation,
+  validateRequest,
+  insuranceController.getClaims
+);
+
+router.post('/claims',
+  authenticateToken,
+  requirePermission('manage_billing'),
+  createClaimValidation,
+  validateRequest,
+  insuranceController.createClaim
+);
+
+/**
+ * @swagger
+ * /insurance/claims/{id}:
+ *   get:
+ *     summary: Get insurance claim by ID
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Insurance claim retrieved successfully
+ *       404:
+ *         description: Insurance claim not found
+ */
+router.get('/claims/:id',
+  authenticateToken,
+  requirePermission('view_billing'),
+  claimIdValidation,
+  validateRequest,
+  insuranceController.getClaimById
+);
+
+/**
+ * @swagger
+ * /insurance/claims/{id}/history:
+ *   get:
+ *     summary: Get insurance claim change history
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: InsuranceClaim history retrieved successfully
+ */
+router.get('/claims/:id/history',
+  authenticateToken,
+  requirePermission('view_billing', 'view_audit_history'),
+  auditController.getRecordHistory('InsuranceClaim')
+);
+
+/**
+ * @swagger
+ * /insurance/claims/{id}/response:
+ *   post:
+ *     summary: Record insurer response
+ *     description: Approve, partially approve or reject a submitted claim
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approved, partially-approved, rejected]
+ *               approvedAmount:
+ *                 type: number
+ *                 description: Required for partially-approved
+ *               rejectionReason:
+ *                 type: object
+ *                 description: Required for rejected
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                     example: PA-01
+ *                   description:
+ *                     type: string
+ *                     example: Missing prior authorization
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Response recorded
+ *       409:
+ *         description: Claim is not awaiting a response
+ */
+router.post('/claims/:id/response',
+  authenticateToken,
+  requirePermission('manage_billing'),
+  claimResponseValidation,
+  validateRequest,
+  insuranceController.recordClaimResponse
+);
+
+/**
+ * @swagger
+ * /insurance/claims/{id}/resubmit:
+ *   post:
+ *     summary: Resubmit rejected claim
+ *     description: Resubmit a rejected claim, optionally with a corrected claimed amount
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               claimedAmount:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Insurance claim resubmitted successfully
+ *       409:
+ *         description: Claim is not rejected
+ */
+router.post('/claims/:id/resubmit',
+  authenticateToken,
+  requirePermission('manage_billing'),
+  resubmitClaimValidation,
+  validateRequest,
+  insuranceController.resubmitClaim
+);
+
+/**
+ * @swagger
+ * /insurance/claims/{id}/payments:
+ *   post:
+ *     summary: Record insurer payment
+ *     description: |
+ *       Record money received for an approved claim. The payment is also posted to the bill's
+ *       payments ledger; the claim becomes paid once the approved amount is settled.
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               reference:
+ *                 type: string
+ *                 example: REM-2024-0042
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Insurance payment recorded successfully
+ *       400:
+ *         description: Payment exceeds the outstanding amount
+ *       409:
+ *         description: Claim is not approved
+ */
+router.post('/claims/:id/payments',
+  authenticateToken,
+  requirePermission('manage_billing'),
+  claimPaymentValidation,
+  validateRequest,
+  insuranceController.recordClaimPayment
+);
+
+/**
+ * @swagger
+ * /insurance/reports/aging:
+ *   get:
+ *     summary: Claims aging report
+ *     description: |
+ *       Outstanding amounts of submitted and approved claims per insurer, bucketed by days
+ *       since first submission (0-30, 31-60, 61-90, 90+)
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Report date (defaults to now)
+ *       - in: query
+ *         name: insurer
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Claims aging report generated successfully
+ */
+router.get('/reports/aging',
+  authenticateToken,
+  requirePermission('view_billing'),
+  agingValidation,
+  validateRequest,
+  insuranceController.getClaimsAging
+);
+
+module.exports = router;
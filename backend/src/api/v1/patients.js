@@ -4,13 +4,15 @@
  */
 
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const router = express.Router();
 
 // Import controllers and middleware
 const patientController = require('../../controllers/patientController');
-const { authenticateToken, requireSecretary } = require('../../middleware/auth');
+const auditController = require('../../controllers/auditController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { validateRequest } = require('../../middleware/validation');
+const { HISTORY_SECTIONS } = require('../../models/Patient');
 
 // Validation schemas
 const createPatientValidation = [
@@ -41,7 +43,59 @@ const createPatientValidation = [
     .withMessage('Emergency contact name must be between 2 and 100 characters'),
   body('emergencyContact.phone')
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
-    .withMessage('Emergency contact phone must be a valid phone number')
+    .withMessage('Emergency contact phone must be a valid phone number'),
+  body('reminderPreferences.email')
+    .optional()
+    .isBoolean()
+    .withMessage('reminderPreferences.email must be a boolean'),
+  body('reminderPreferences.sms')
+    .optional()
+    .isBoolean()
+    .withMessage('reminderPreferences.sms must be a boolean'),
+  body('paymentRemindersOptOut')
+    .optional()
+    .isBoolean()
+    .withMessage('paymentRemindersOptOut must be a boolean')
+];
+
+const updatePatientValidation = [
+  body('reminderPreferences.email')
+    .optional()
+    .isBoolean()
+    .withMessage('reminderPreferences.email must be a boolean'),
+  body('reminderPreferences.sms')
+    .optional()
+    .isBoolean()
+    .withMessage('reminderPreferences.sms must be a boolean'),
+  body('paymentRemindersOptOut')
+    .optional()
+    .isBoolean()
+    .withMessage('paymentRemindersOptOut must be a boolean')
+];
+
+const medicalHistoryValidation = [
+  param('section')
+    .optional()
+    .isIn(Object.keys(HISTORY_SECTIONS))
+    .withMessage(`Section must be one of: ${Object.keys(HISTORY_SECTIONS).join(', ')}`),
+  param('entryId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid entry ID is required'),
+  body('icd10Code')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-TV-Z][0-9][0-9AB](\.[0-9A-TV-Z]{1,4})?$/)
+    .withMessage('Please enter a valid ICD-10 code'),
+  body('severity')
+    .optional()
+    .isIn(['mild', 'moderate', 'severe', 'life-threatening', 'unknown'])
+    .withMessage('Severity must be mild, moderate, severe, life-threatening or unknown'),
+  body(['diagnosedDate', 'resolvedDate', 'startDate', 'endDate', 'date'])
+    .optional()
+    .isISO8601()
+    .withMessage('Please enter a valid date')
 ];
 
 // Routes
@@ -137,7 +191,7 @@ const createPatientValidation = [
  */
 router.get('/',
   authenticateToken,
-  requireSecretary,
+  requirePermission('view_patients'),
   patientController.getAllPatients
 );
 
@@ -203,7 +257,7 @@ router.get('/',
  */
 router.post('/',
   authenticateToken,
-  requireSecretary,
+  requirePermission('manage_patients'),
   createPatientValidation,
   validateRequest,
   patientController.createPatient
@@ -327,7 +381,7 @@ router.post('/',
  */
 router.get('/search',
   authenticateToken,
-  requireSecretary,
+  requirePermission('view_patients'),
   patientController.searchPatients
 );
 
@@ -355,10 +409,46 @@ router.get('/search',
  */
 router.get('/:id',
   authenticateToken,
-  requireSecretary,
+  requirePermission('view_patients'),
   patientController.getPatientById
 );
 
+/**
+ * @swagger
+ * /patients/{id}/history:
+ *   get:
+ *     summary: Get patient change history
+ *     description: List audit entries (actor, action, field-level diff, IP) for a patient, newest first
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Patient history retrieved successfully
+ */
+router.get('/:id/history',
+  authenticateToken,
+  requirePermission('view_patients', 'view_audit_history'),
+  auditController.getRecordHistory('Patient')
+);
+
 /**
  * @swagger
  * /patients/{id}:
@@ -401,6 +491,17 @@ router.get('/:id',
  *               status:
  *                 type: string
  *                 enum: [active, inactive, deceased]
+ *               reminderPreferences:
+ *                 type: object
+ *                 description: Channels appointment reminders may use
+ *                 properties:
+ *                   email:
+ *                     type: boolean
+ *                   sms:
+ *                     type: boolean
+ *               paymentRemindersOptOut:
+ *                 type: boolean
+ *                 description: Stop reminders for overdue bills
  *     responses:
  *       200:
  *         description: Patient updated successfully
@@ -409,7 +510,9 @@ router.get('/:id',
  */
 router.put('/:id',
   authenticateToken,
-  requireSecretary,
+  requirePermission('manage_patients'),
+  updatePatientValidation,
+  validateRequest,
   patientController.updatePatient
 );
 
@@ -437,8 +540,324 @@ router.put('/:id',
  */
 router.delete('/:id',
   authenticateToken,
-  requireSecretary,
+  requirePermission('manage_patients'),
   patientController.deletePatient
 );
 
+/**
+ * @swagger
+ * /patients/{id}/medical-history:
+ *   get:
+ *     summary: Get patient medical history
+ *     description: Conditions, allergies, medications, surgical and family history of a patient
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Medical history retrieved successfully
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/:id/medical-history',
+  authenticateToken,
+  requirePermission('view_medical_records'),
+  patientController.getMedicalHistory
+);
+
+/**
+ * @swagger
+ * /patients/{id}/medical-history/{section}:
+ *   post:
+ *     summary: Add medical history entry
+ *     description: |
+ *       Fields by section:
+ *       - conditions: condition, icd10Code, status (active, chronic, in-remission, resolved), diagnosedDate, notes
+ *       - allergies: allergen, category (drug, food, environmental, other), reaction, severity, notes
+ *       - medications: name, dosage, frequency, startDate, endDate, notes
+ *       - surgeries: procedure, date, hospital, surgeon, notes
+ *       - family-history: relation, condition, icd10Code, notes
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [conditions, allergies, medications, surgeries, family-history]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               condition: Type 2 diabetes mellitus
+ *               icd10Code: E11.9
+ *               status: chronic
+ *               diagnosedDate: 2020-03-01
+ *     responses:
+ *       201:
+ *         description: Medical history entry added successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Patient not found
+ */
+router.post('/:id/medical-history/:section',
+  authenticateToken,
+  requirePermission('manage_medical_records'),
+  medicalHistoryValidation,
+  validateRequest,
+  patientController.addHistoryEntry
+);
+
+/**
+ * @swagger
+ * /patients/{id}/medical-history/{section}/{entryId}:
+ *   put:
+ *     summary: Update medical history entry
+ *     description: Edit the fields of an existing entry; accepts the same fields as adding one
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [conditions, allergies, medications, surgeries, family-history]
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Medical history entry updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Patient or entry not found
+ */
+router.put('/:id/medical-history/:section/:entryId',
+  authenticateToken,
+  requirePermission('manage_medical_records'),
+  medicalHistoryValidation,
+  validateRequest,
+  patientController.updateHistoryEntry
+);
+
+/**
+ * @swagger
+ * /patients/{id}/medical-history/{section}/{entryId}/resolve:
+ *   post:
+ *     summary: Resolve medical history entry
+ *     description: Mark a condition or allergy as resolved, or a medication as discontinued
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [conditions, allergies, medications]
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Resolution date, defaults to now
+ *     responses:
+ *       200:
+ *         description: Medical history entry resolved successfully
+ *       400:
+ *         description: Section entries cannot be resolved
+ *       404:
+ *         description: Patient or entry not found
+ */
+router.post('/:id/medical-history/:section/:entryId/resolve',
+  authenticateToken,
+  requirePermission('manage_medical_records'),
+  medicalHistoryValidation,
+  validateRequest,
+  patientController.resolveHistoryEntry
+);
+
+/**
+ * @swagger
+ * /patients/{id}/medical-history/{section}/{entryId}:
+ *   delete:
+ *     summary: Remove medical history entry
+ *     description: Remove an entry recorded in error (the change stays in the audit trail)
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [conditions, allergies, medications, surgeries, family-history]
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Medical history entry removed successfully
+ *       404:
+ *         description: Patient or entry not found
+ */
+router.delete('/:id/medical-history/:section/:entryId',
+  authenticateToken,
+  requirePermission('manage_medical_records'),
+  medicalHistoryValidation,
+  validateRequest,
+  patientController.removeHistoryEntry
+);
+
+/**
+ * @swagger
+ * /patients/{id}/medical-condition:
+ *   post:
+ *     summary: Add medical condition
+ *     description: "Shortcut for the medical-history section endpoint. Fields: condition, icd10Code, status, diagnosedDate, notes"
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     responses:
+ *       201:
+ *         description: Medical condition added successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Patient not found
+ */
+router.post('/:id/medical-condition',
+  authenticateToken,
+  requirePermission('manage_medical_records'),
+  medicalHistoryValidation,
+  validateRequest,
+  patientController.addMedicalCondition
+);
+
+/**
+ * @swagger
+ * /patients/{id}/medication:
+ *   post:
+ *     summary: Add medication
+ *     description: "Shortcut for the medical-history section endpoint. Fields: name, dosage, frequency, startDate, endDate, notes"
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     responses:
+ *       201:
+ *         description: Medication added successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Patient not found
+ */
+router.post('/:id/medication',
+  authenticateToken,
+  requirePermission('manage_medical_records'),
+  medicalHistoryValidation,
+  validateRequest,
+  patientController.addMedication
+);
+
+/**
+ * @swagger
+ * /patients/{id}/allergy:
+ *   post:
+ *     summary: Add allergy
+ *     description: "Shortcut for the medical-history section endpoint. Fields: allergen, category, reaction, severity, notes"
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     responses:
+ *       201:
+ *         description: Allergy added successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Patient not found
+ */
+router.post('/:id/allergy',
+  authenticateToken,
+  requirePermission('manage_medical_records'),
+  medicalHistoryValidation,
+  validateRequest,
+  patientController.addAllergy
+);
+
 module.exports = router;
@@ -6,7 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const prescriptionController = require('../../controllers/prescriptionController');
-const { authenticateToken, requireDoctor, requireSecretary } = require('../../middleware/auth');
+const auditController = require('../../controllers/auditController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 
 /**
  * @swagger
@@ -94,6 +95,9 @@ const { authenticateToken, requireDoctor, requireSecretary } = require('../../mi
  *         notes:
  *           type: string
  *           description: Additional notes
+ *         overrideReason:
+ *           type: string
+ *           description: Required to prescribe despite a contraindicated drug-allergy or drug-drug interaction; stored on the prescription
  */
 
 /**
@@ -113,15 +117,17 @@ const { authenticateToken, requireDoctor, requireSecretary } = require('../../mi
  *             $ref: '#/components/schemas/Prescription'
  *     responses:
  *       201:
- *         description: Prescription created successfully
+ *         description: Prescription created successfully; interaction warnings by severity are returned in `warnings`
  *       400:
  *         description: Invalid input data
  *       404:
  *         description: Patient or doctor not found
+ *       409:
+ *         description: Contraindicated interaction found and no override reason given
  */
 router.post('/',
   authenticateToken,
-  requireDoctor,
+  requirePermission('manage_prescriptions'),
   prescriptionController.createPrescription
 );
 
@@ -167,6 +173,7 @@ router.post('/',
  */
 router.get('/patient/:patientId',
   authenticateToken,
+  requirePermission('view_prescriptions'),
   prescriptionController.getPatientPrescriptions
 );
 
@@ -194,9 +201,46 @@ router.get('/patient/:patientId',
  */
 router.get('/:id',
   authenticateToken,
+  requirePermission('view_prescriptions'),
   prescriptionController.getPrescription
 );
 
+/**
+ * @swagger
+ * /api/v1/prescriptions/{id}/history:
+ *   get:
+ *     summary: Get prescription change history
+ *     description: List audit entries (actor, action, field-level diff, IP) for a prescription, newest first
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Prescription ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Prescription history retrieved successfully
+ */
+router.get('/:id/history',
+  authenticateToken,
+  requirePermission('view_prescriptions', 'view_audit_history'),
+  auditController.getRecordHistory('Prescription')
+);
+
 /**
  * @swagger
  * /api/v1/prescriptions/{id}:
@@ -221,13 +265,15 @@ router.get('/:id',
  *             $ref: '#/components/schemas/Prescription'
  *     responses:
  *       200:
- *         description: Prescription updated successfully
+ *         description: Prescription updated successfully; medications are re-checked for interactions when changed
  *       404:
  *         description: Prescription not found
+ *       409:
+ *         description: Contraindicated interaction found and no override reason given
  */
 router.put('/:id',
   authenticateToken,
-  requireDoctor,
+  requirePermission('manage_prescriptions'),
   prescriptionController.updatePrescription
 );
 
@@ -255,7 +301,7 @@ router.put('/:id',
  */
 router.delete('/:id',
   authenticateToken,
-  requireDoctor,
+  requirePermission('manage_prescriptions'),
   prescriptionController.deletePrescription
 );
 
@@ -285,6 +331,7 @@ router.delete('/:id',
  */
 router.post('/:id/scan',
   authenticateToken,
+  requirePermission('dispense_prescriptions'),
   prescriptionController.incrementScanCount
 );
 
@@ -320,6 +367,7 @@ router.post('/:id/scan',
  */
 router.post('/:id/medications/:medicationId/scan',
   authenticateToken,
+  requirePermission('dispense_prescriptions'),
   prescriptionController.incrementMedicationScanCount
 );
 
@@ -366,6 +414,7 @@ router.post('/:id/medications/:medicationId/scan',
  */
 router.get('/date-range',
   authenticateToken,
+  requirePermission('view_prescriptions'),
   prescriptionController.getPrescriptionsByDateRange
 );
 
@@ -402,7 +451,7 @@ router.get('/date-range',
  */
 router.get('/stats',
   authenticateToken,
-  requireSecretary,
+  requirePermission('view_prescription_stats'),
   prescriptionController.getPrescriptionStats
 );
 
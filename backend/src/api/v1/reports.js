@@ -8,7 +8,7 @@ const router = express.Router();
 
 // Import controllers and middleware
 const reportsController = require('../../controllers/reportsController');
-const { authenticateToken, requireManager } = require('../../middleware/auth');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 
 // Routes
 
@@ -53,7 +53,7 @@ const { authenticateToken, requireManager } = require('../../middleware/auth');
  */
 router.get('/appointments',
   authenticateToken,
-  requireManager,
+  requirePermission('view_reports'),
   reportsController.getAppointmentReports
 );
 
@@ -62,7 +62,9 @@ router.get('/appointments',
  * /reports/billing:
  *   get:
  *     summary: Get billing reports
- *     description: Generate comprehensive billing and revenue reports
+ *     description: |
+ *       Generate comprehensive billing and revenue reports. totalRevenue is net of credit notes
+ *       issued in the period (grossRevenue less totalCredits); paidRevenue comes from the payments ledger.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
@@ -99,7 +101,7 @@ router.get('/appointments',
  */
 router.get('/billing',
   authenticateToken,
-  requireManager,
+  requirePermission('view_reports'),
   reportsController.getBillingReports
 );
 
@@ -151,7 +153,7 @@ router.get('/billing',
  */
 router.get('/patients',
   authenticateToken,
-  requireManager,
+  requirePermission('view_reports'),
   reportsController.getPatientReports
 );
 
@@ -185,7 +187,7 @@ router.get('/patients',
  */
 router.get('/doctors',
   authenticateToken,
-  requireManager,
+  requirePermission('view_reports'),
   reportsController.getDoctorReports
 );
 
@@ -194,7 +196,9 @@ router.get('/doctors',
  * /reports/financial:
  *   get:
  *     summary: Get financial reports
- *     description: Generate comprehensive financial and revenue reports
+ *     description: |
+ *       Generate comprehensive financial and revenue reports. Credit notes are netted out of the
+ *       period they were issued in (timeStats credits and net).
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
@@ -226,8 +230,51 @@ router.get('/doctors',
  */
 router.get('/financial',
   authenticateToken,
-  requireManager,
+  requirePermission('view_reports'),
   reportsController.getFinancialReports
 );
 
+/**
+ * @swagger
+ * /reports/tax:
+ *   get:
+ *     summary: Get tax summary report
+ *     description: |
+ *       Taxable amounts and tax per tax category and rate for invoices issued in the period. Credit notes
+ *       issued in the period reverse their bill's tax pro rata (creditedTax); netTax is what remains due.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for report period (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for report period (YYYY-MM-DD)
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: month
+ *         description: Group timeStats by time period
+ *     responses:
+ *       200:
+ *         description: Tax report generated successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/tax',
+  authenticateToken,
+  requirePermission('view_reports'),
+  reportsController.getTaxReports
+);
+
 module.exports = router;
@@ -83,13 +83,45 @@ const authConfig = {
 
   // Account Security
   account: {
-    maxLoginAttempts: 5,
-    lockoutDuration: 15 * 60 * 1000, // 15 minutes
+    maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
+    // Failures further apart than this start a new count
+    loginAttemptWindow: 60 * 60 * 1000, // 1 hour
+    // The first lockout lasts lockoutDuration; each further one before a successful login doubles it
+    lockoutDuration: parseInt(process.env.LOCKOUT_DURATION_MS) || 15 * 60 * 1000, // 15 minutes
+    maxLockoutDuration: parseInt(process.env.MAX_LOCKOUT_DURATION_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    // Failed logins allowed from one IP across all accounts
+    ipThrottle: {
+      windowMs: parseInt(process.env.LOGIN_IP_THROTTLE_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+      maxFailures: parseInt(process.env.LOGIN_IP_THROTTLE_MAX_FAILURES) || 20
+    },
     requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
     requireTwoFactor: process.env.REQUIRE_TWO_FACTOR === 'true',
     sessionTimeout: 60 * 60 * 1000 // 1 hour
   },
 
+  // Two-Factor Authentication
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || process.env.CLINIC_NAME || 'Medical Clinic',
+    // Signs the short-lived token between the password and the code step; never accepted as an access token
+    challengeSecret: process.env.TWO_FACTOR_CHALLENGE_SECRET || crypto.randomBytes(64).toString('hex'),
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    window: 1, // Accept codes one 30-second step early or late
+    backupCodeCount: 10,
+    // Roles that must use two-factor authentication until a manager changes the policy
+    requiredRoles: process.env.REQUIRE_TWO_FACTOR === 'true'
+      ? ['manager', 'doctor', 'secretary', 'nurse']
+      : (process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean)
+  },
+
+  // Password reset and staff invitation links
+  passwordLinks: {
+    resetExpiresIn: parseInt(process.env.PASSWORD_RESET_EXPIRES_MS) || 60 * 60 * 1000, // 1 hour
+    invitationExpiresIn: parseInt(process.env.INVITATION_EXPIRES_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    // Frontend pages that read the token from the query string
+    resetUrl: process.env.PASSWORD_RESET_URL || `${process.env.FRONTEND_URL || 'http://localhost:4200'}/reset-password`,
+    invitationUrl: process.env.INVITATION_URL || `${process.env.FRONTEND_URL || 'http://localhost:4200'}/accept-invitation`
+  },
+
   // CORS Configuration for Authentication
   cors: {
     origin: process.env.FRONTEND_URL || 'http://localhost:4200',
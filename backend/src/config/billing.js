@@ -0,0 +1,20 @@
+/**
+ * Billing Configuration
+ * Payment terms, automatic billing of completed appointments and cash drawer sessions
+ */
+
+const billingConfig = {
+  // Days between issuing a bill and its due date when none is given
+  paymentTermsDays: parseInt(process.env.BILLING_PAYMENT_TERMS_DAYS) || 14,
+
+  // Create a draft bill when an appointment is marked completed
+  autoDraftOnCompletion: process.env.BILLING_AUTO_DRAFT !== 'false',
+
+  // Payment methods taken at the desk, counted in the cashier's drawer session
+  drawerMethods: (process.env.BILLING_DRAWER_METHODS || 'cash,credit_card,debit_card').split(',').map(method => method.trim()).filter(Boolean),
+
+  // Refuse drawer payments and refunds from cashiers without an open session
+  requireCashSession: process.env.BILLING_REQUIRE_CASH_SESSION !== 'false'
+};
+
+module.exports = billingConfig;
@@ -0,0 +1,47 @@
+/**
+ * Dunning Configuration
+ * Reminders sent to patients for overdue bills
+ *
+ * Each stage is a number of days past the due date; a bill gets the reminder of the highest stage it
+ * has reached, once. The first stage uses the "first" template, the last one "final", any others "second".
+ * Templates may use {{patientName}}, {{invoiceNumber}}, {{amount}}, {{dueDate}}, {{daysOverdue}} and
+ * {{clinicName}}. DUNNING_TEMPLATES_PATH can point to a JSON file overriding any of them, e.g.
+ * { "final": { "sms": "..." } }.
+ */
+
+const parseStages = (value) => {
+  if (!value) return null;
+  const stages = value.split(',').map(stage => parseInt(stage, 10)).filter(stage => stage > 0);
+  return stages.length > 0 ? [...new Set(stages)].sort((a, b) => a - b) : null;
+};
+
+const dunningConfig = {
+  enabled: process.env.DUNNING_ENABLED !== 'false',
+
+  // Days past the due date at which reminders go out
+  stages: parseStages(process.env.DUNNING_STAGES) || [3, 14, 30],
+
+  channels: (process.env.DUNNING_CHANNELS || 'email,sms').split(',').map(channel => channel.trim()).filter(Boolean),
+
+  templatesPath: process.env.DUNNING_TEMPLATES_PATH || null,
+
+  templates: {
+    first: {
+      subject: 'Payment reminder for invoice {{invoiceNumber}}',
+      email: 'Dear {{patientName}},\n\nThis is a friendly reminder that invoice {{invoiceNumber}} was due on {{dueDate}} and {{amount}} is still outstanding. If you have already paid, please disregard this message.\n\n{{clinicName}}',
+      sms: '{{clinicName}}: invoice {{invoiceNumber}} was due on {{dueDate}}; {{amount}} is outstanding. Please disregard if already paid.'
+    },
+    second: {
+      subject: 'Second reminder: invoice {{invoiceNumber}} is {{daysOverdue}} days overdue',
+      email: 'Dear {{patientName}},\n\nInvoice {{invoiceNumber}} is now {{daysOverdue}} days overdue with {{amount}} outstanding. Please settle the balance or contact us to arrange payment.\n\n{{clinicName}}',
+      sms: '{{clinicName}}: invoice {{invoiceNumber}} is {{daysOverdue}} days overdue; {{amount}} outstanding. Please contact us to arrange payment.'
+    },
+    final: {
+      subject: 'Final notice: invoice {{invoiceNumber}}',
+      email: 'Dear {{patientName}},\n\nDespite our earlier reminders, invoice {{invoiceNumber}} remains unpaid {{daysOverdue}} days after its due date of {{dueDate}}. Please pay the outstanding {{amount}} as soon as possible or contact us.\n\n{{clinicName}}',
+      sms: '{{clinicName}}: final notice, invoice {{invoiceNumber}} is {{daysOverdue}} days overdue with {{amount}} outstanding. Please contact us.'
+    }
+  }
+};
+
+module.exports = dunningConfig;
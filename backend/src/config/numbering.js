@@ -0,0 +1,24 @@
+/**
+ * Document Numbering Configuration
+ * Formats for invoice, credit note and claim numbers
+ *
+ * Tokens: {CLINIC} clinic code, {YYYY} / {YY} year, {MM} month, {SEQ:n} sequence padded to n digits.
+ * The sequence restarts whenever the date part of the format changes: monthly when {MM} is used,
+ * yearly with only {YYYY} / {YY}, never when the format has no date tokens.
+ */
+
+const numberingConfig = {
+  clinicCode: process.env.CLINIC_CODE || '',
+  timezone: process.env.TIMEZONE || 'UTC',
+
+  formats: {
+    invoice: process.env.INVOICE_NUMBER_FORMAT || 'INV-{YYYY}{MM}-{SEQ:4}',
+    creditNote: process.env.CREDIT_NOTE_NUMBER_FORMAT || 'CN-{YYYY}{MM}-{SEQ:4}',
+    claim: process.env.CLAIM_NUMBER_FORMAT || 'CLM-{YYYY}{MM}-{SEQ:4}'
+  },
+
+  // Attempts to save a document when its generated number is already taken
+  maxAttempts: parseInt(process.env.NUMBERING_MAX_ATTEMPTS) || 5
+};
+
+module.exports = numberingConfig;
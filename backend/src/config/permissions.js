@@ -0,0 +1,95 @@
+/**
+ * Permissions Configuration
+ * Every permission a route can require and the role matrix a new clinic starts with.
+ * Managers edit the matrix at runtime through /admin/permissions; this is only the default.
+ */
+
+// Permission names and what they allow, shown in the admin matrix
+const PERMISSION_DESCRIPTIONS = {
+  view_patients: 'View patient records',
+  manage_patients: 'Register, update and delete patients',
+  view_medical_records: 'View patient medical history',
+  manage_medical_records: 'Record conditions, medications and allergies',
+  view_appointments: 'View appointments',
+  manage_appointments: 'Book, reschedule and cancel appointments',
+  view_doctors: 'View doctors, their availability and time-off',
+  manage_time_off: 'Manage one\'s own time-off',
+  manage_schedules: 'Manage anyone\'s time-off and clinic holidays, and book over schedule conflicts',
+  view_prescriptions: 'View prescriptions',
+  manage_prescriptions: 'Write, update and delete prescriptions',
+  dispense_prescriptions: 'Record prescription scans at dispensing',
+  view_billing: 'View bills, payments, the service catalog, insurers and claims',
+  manage_billing: 'Create bills, take payments, refund and submit insurance claims',
+  manage_cash_sessions: 'Open and close cash drawer sessions',
+  review_cash_sessions: 'See every cashier\'s drawer sessions and review closed ones',
+  manage_catalog: 'Edit the service catalog',
+  manage_insurers: 'Edit insurers and their contracts',
+  view_prescription_stats: 'View prescription statistics',
+  view_reports: 'View the dashboard and reports',
+  view_audit_history: 'View the change history of records',
+  manage_users: 'Invite staff and manage their accounts',
+  manage_settings: 'Edit the security policy and the permission matrix',
+  manage_system: 'View system logs and health, and run backups',
+  manage_specializations: 'Manage medical specializations',
+  send_notifications: 'Send notifications to staff and patients'
+};
+
+const PERMISSIONS = Object.keys(PERMISSION_DESCRIPTIONS);
+
+// Permissions managers cannot take from their own role, so the matrix always stays editable
+const LOCKED_MANAGER_PERMISSIONS = ['manage_settings'];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  manager: PERMISSIONS.filter(permission => ![
+    'view_medical_records',
+    'manage_medical_records',
+    'manage_prescriptions',
+    'view_prescription_stats'
+  ].includes(permission)),
+
+  doctor: [
+    'view_patients',
+    'view_medical_records',
+    'manage_medical_records',
+    'view_appointments',
+    'view_doctors',
+    'manage_time_off',
+    'view_prescriptions',
+    'manage_prescriptions',
+    'dispense_prescriptions',
+    'view_audit_history'
+  ],
+
+  secretary: [
+    'view_patients',
+    'manage_patients',
+    'view_medical_records',
+    'manage_medical_records',
+    'view_appointments',
+    'manage_appointments',
+    'view_doctors',
+    'view_prescriptions',
+    'dispense_prescriptions',
+    'view_prescription_stats',
+    'view_billing',
+    'manage_billing',
+    'manage_cash_sessions',
+    'view_audit_history'
+  ],
+
+  nurse: [
+    'view_patients',
+    'view_medical_records',
+    'view_appointments',
+    'view_doctors',
+    'view_prescriptions',
+    'dispense_prescriptions'
+  ]
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  LOCKED_MANAGER_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+};
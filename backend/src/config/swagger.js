@@ -67,6 +67,14 @@ const options = {
             gender: { type: 'string', enum: ['male', 'female', 'other'], example: 'female' },
             bloodType: { type: 'string', enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'], example: 'A+' },
             status: { type: 'string', enum: ['active', 'inactive', 'deceased'], example: 'active' },
+            reminderPreferences: {
+              type: 'object',
+              properties: {
+                email: { type: 'boolean', example: true },
+                sms: { type: 'boolean', example: true }
+              }
+            },
+            paymentRemindersOptOut: { type: 'boolean', example: false },
             address: {
               type: 'object',
               properties: {
@@ -169,7 +177,8 @@ const options = {
           type: 'object',
           properties: {
             _id: { type: 'string', example: '60d5ec49f8c7a40015a7b3b2' },
-            invoiceNumber: { type: 'string', example: 'INV-202408-0001' },
+            invoiceNumber: { type: 'string', example: 'INV-202408-0001', description: 'Allocated when the bill is issued; drafts have none' },
+            issuedAt: { type: 'string', format: 'date-time', description: 'When the bill was issued; reports date bills by it' },
             patient: { type: 'string', example: '507f1f77bcf86cd799439012' },
             appointment: { type: 'string', example: '60d5ec49f8c7a40015a7b3b1' },
             items: {
@@ -177,18 +186,22 @@ const options = {
               items: {
                 type: 'object',
                 properties: {
+                  serviceCode: { type: 'string', example: 'CONS-GEN' },
                   description: { type: 'string', example: 'Consultation fee' },
                   quantity: { type: 'number', example: 1 },
                   unitPrice: { type: 'number', example: 100.00 },
-                  total: { type: 'number', example: 100.00 }
+                  total: { type: 'number', example: 100.00 },
+                  taxCategory: { type: 'string', enum: ['standard', 'zero', 'exempt'], example: 'standard' },
+                  taxRate: { type: 'number', example: 15 },
+                  tax: { type: 'number', example: 15.00 }
                 }
               }
             },
             subtotal: { type: 'number', example: 100.00 },
-            tax: { type: 'number', example: 10.00 },
+            tax: { type: 'number', example: 15.00 },
             discount: { type: 'number', example: 0 },
-            total: { type: 'number', example: 110.00 },
-            status: { type: 'string', enum: ['pending', 'paid', 'partial', 'overdue', 'cancelled'], example: 'pending' },
+            total: { type: 'number', example: 115.00 },
+            status: { type: 'string', enum: ['draft', 'pending', 'paid', 'partial', 'overdue', 'cancelled'], example: 'pending' },
             paymentMethod: { type: 'string', enum: ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'insurance', 'other'], example: 'cash' },
             dueDate: { type: 'string', format: 'date', example: '2024-08-30' },
             createdAt: { type: 'string', format: 'date-time' }
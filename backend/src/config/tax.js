@@ -0,0 +1,40 @@
+/**
+ * Tax Configuration
+ * Tax categories applied to billing line items, with their rates and invoice labels
+ *
+ * Each line item is taxed at the rate of its category when the line is added; the rate is stored
+ * on the line so changing a rate here never alters bills already issued.
+ */
+
+const parseRate = (value, fallback) => {
+  const rate = parseFloat(value);
+  return Number.isNaN(rate) ? fallback : rate;
+};
+
+const taxConfig = {
+  // Percentage rate of each category
+  rates: {
+    standard: {
+      rate: parseRate(process.env.TAX_STANDARD_RATE, 15),
+      label: 'VAT',
+      labelAr: 'ضريبة القيمة المضافة'
+    },
+    zero: {
+      rate: 0,
+      label: 'Zero-rated',
+      labelAr: 'خاضع لنسبة الصفر'
+    },
+    exempt: {
+      rate: 0,
+      label: 'Exempt',
+      labelAr: 'معفى'
+    }
+  },
+
+  // Category of catalog services and line items entered without one
+  defaultCategory: process.env.TAX_DEFAULT_CATEGORY || 'exempt'
+};
+
+taxConfig.categories = Object.keys(taxConfig.rates);
+
+module.exports = taxConfig;
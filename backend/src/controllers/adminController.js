@@ -3,12 +3,38 @@
  * Handles administrative operations
  */
 
+const crypto = require('crypto');
+const moment = require('moment-timezone');
 const User = require('../models/User');
 const Patient = require('../models/Patient');
 const Appointment = require('../models/Appointment');
 const Billing = require('../models/Billing');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { resetTwoFactor } = require('../services/twoFactorService');
+const { listSessions, revokeSessions } = require('../services/authSessionService');
+const { resetLockout } = require('../services/lockoutService');
+const { sendInvitation } = require('../services/passwordService');
+const permissionService = require('../services/permissionService');
+const { PERMISSION_DESCRIPTIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const backupService = require('../services/backupService');
+const logService = require('../services/logService');
 const logger = require('../utils/logger');
 
+// Profile fields a manager sets when inviting staff; the password is chosen by the invitee
+const INVITE_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'role', 'specialization',
+  'licenseNumber', 'experience', 'dateOfBirth', 'gender', 'address', 'workingHours'
+];
+
+const BACKUP_HOUR = 2; // matches the daily backup cron in jobs/scheduler.js
+
+// Next daily backup run in the scheduler timezone
+const getNextScheduledBackup = () => {
+  const now = moment.tz(process.env.TIMEZONE || 'UTC');
+  const next = now.clone().startOf('day').hour(BACKUP_HOUR);
+  return (next.isAfter(now) ? next : next.add(1, 'day')).toDate();
+};
+
 // Helper function for consistent responses
 const sendSuccessResponse = (res, data, message = 'Success', statusCode = 200) => {
   res.status(statusCode).json({
@@ -66,7 +92,7 @@ const getDashboardStats = async (req, res) => {
     const monthRevenue = await Billing.aggregate([
       {
         $match: {
-          createdAt: { $gte: startOfMonth },
+          issuedAt: { $gte: startOfMonth },
           status: 'paid'
         }
       },
@@ -139,6 +165,85 @@ const getSystemUsers = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Create a staff account and email an invitation to choose a password
+ * @route   POST /api/v1/admin/users
+ * @access  Private (Manager only)
+ */
+const createUser = async (req, res) => {
+  try {
+    const email = String(req.body.email).toLowerCase();
+    
+    if (await User.exists({ email })) {
+      return sendErrorResponse(res, { message: 'User with this email already exists' }, 409);
+    }
+    
+    const profile = Object.fromEntries(INVITE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    
+    const user = new User({
+      ...profile,
+      email,
+      // Nobody knows this password; the account is usable once the invitation is accepted
+      password: crypto.randomBytes(32).toString('hex'),
+      invitedBy: req.user._id,
+      invitedAt: new Date()
+    });
+    await user.save();
+    
+    let invitation;
+    try {
+      invitation = await sendInvitation(user, req.user, req);
+    } catch (error) {
+      logger.error(`Failed to send invitation to ${user.email}:`, error);
+      invitation = { sent: false };
+    }
+    
+    logger.security(`Staff account created: ${user.email} (${user.role}) (Admin: ${req.user.email})`);
+    
+    const userResponse = user.toObject();
+    delete userResponse.password;
+    
+    sendSuccessResponse(res, { user: userResponse, invitation }, 'User created and invitation sent', 201);
+    
+  } catch (error) {
+    sendErrorResponse(res, error, error.name === 'ValidationError' ? 400 : 500);
+  }
+};
+
+/**
+ * @desc    Send a new invitation link; earlier links stop working
+ * @route   POST /api/v1/admin/users/:id/resend-invitation
+ * @access  Private (Manager only)
+ */
+const resendInvitation = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return sendErrorResponse(res, { message: 'User not found' }, 404);
+    }
+    
+    if (!user.invitationPending) {
+      return sendErrorResponse(res, { message: 'User has no pending invitation' }, 409);
+    }
+    
+    if (!user.isActive) {
+      return sendErrorResponse(res, { message: 'User is deactivated' }, 409);
+    }
+    
+    const invitation = await sendInvitation(user, req.user, req);
+    
+    logger.security(`Invitation re-sent: ${user.email} (Admin: ${req.user.email})`);
+    
+    sendSuccessResponse(res, { invitation }, 'Invitation sent successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
 /**
  * @desc    Update user status
  * @route   PATCH /api/v1/admin/users/:id/status
@@ -179,13 +284,12 @@ const unlockUserAccount = async (req, res) => {
     }
     
     // Check if account is actually locked
-    if (!user.lockUntil || user.lockUntil <= Date.now()) {
+    if (!user.isLocked) {
       return sendErrorResponse(res, { message: 'Account is not locked' }, 400);
     }
     
-    // Unlock the account
-    user.lockUntil = null;
-    user.loginAttempts = 0;
+    // Unlock the account and forget the backoff of earlier lockouts
+    resetLockout(user);
     await user.save();
     
     logger.security(`Account unlocked by admin: ${user.email} (Admin: ${req.user.email})`);
@@ -199,7 +303,8 @@ const unlockUserAccount = async (req, res) => {
         role: user.role,
         isActive: user.isActive,
         lockUntil: user.lockUntil,
-        loginAttempts: user.loginAttempts
+        loginAttempts: user.loginAttempts,
+        lockoutCount: user.lockoutCount
       }
     }, 'Account unlocked successfully');
     
@@ -222,8 +327,7 @@ const resetUserLoginAttempts = async (req, res) => {
     }
     
     // Reset login attempts and unlock if necessary
-    user.loginAttempts = 0;
-    user.lockUntil = null;
+    resetLockout(user);
     await user.save();
     
     logger.security(`Login attempts reset by admin: ${user.email} (Admin: ${req.user.email})`);
@@ -237,7 +341,8 @@ const resetUserLoginAttempts = async (req, res) => {
         role: user.role,
         isActive: user.isActive,
         lockUntil: user.lockUntil,
-        loginAttempts: user.loginAttempts
+        loginAttempts: user.loginAttempts,
+        lockoutCount: user.lockoutCount
       }
     }, 'Login attempts reset successfully');
     
@@ -246,6 +351,228 @@ const resetUserLoginAttempts = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Turn off a user's two-factor authentication, e.g. after a lost phone; roles that
+ *          require it enroll again at their next login
+ * @route   PATCH /api/v1/admin/users/:id/reset-two-factor
+ * @access  Private (Manager only)
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('+twoFactorSecret +backupCodes +twoFactorLastCounter');
+    
+    if (!user) {
+      return sendErrorResponse(res, { message: 'User not found' }, 404);
+    }
+    
+    if (!user.twoFactorEnabled && !user.twoFactorSecret) {
+      return sendErrorResponse(res, { message: 'Two-factor authentication is not set up' }, 400);
+    }
+    
+    resetTwoFactor(user);
+    await user.save();
+    
+    logger.security(`Two-factor authentication reset by admin: ${user.email} (Admin: ${req.user.email})`);
+    
+    sendSuccessResponse(res, {
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        twoFactorEnabled: user.twoFactorEnabled
+      }
+    }, 'Two-factor authentication reset successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Get the devices a user is signed in on
+ * @route   GET /api/v1/admin/users/:id/sessions
+ * @access  Private (Manager only)
+ */
+const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return sendErrorResponse(res, { message: 'User not found' }, 404);
+    }
+    
+    const sessions = await listSessions(user._id);
+    
+    sendSuccessResponse(res, { sessions }, 'User sessions retrieved successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Sign a user out of every device, e.g. when the account may be compromised
+ * @route   POST /api/v1/admin/users/:id/sign-out-everywhere
+ * @access  Private (Manager only)
+ */
+const signOutUserEverywhere = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return sendErrorResponse(res, { message: 'User not found' }, 404);
+    }
+    
+    const revoked = await revokeSessions({ user: user._id }, { reason: 'signed-out-everywhere', revokedBy: req.user.id });
+    
+    logger.security(`User signed out everywhere by admin: ${user.email}, ${revoked} sessions (Admin: ${req.user.email})`);
+    
+    sendSuccessResponse(res, { revoked }, 'User signed out of every session successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Get the security policy
+ * @route   GET /api/v1/admin/security-policy
+ * @access  Private (Manager only)
+ */
+const getSecurityPolicy = async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+    
+    const enrollment = await User.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$role', users: { $sum: 1 }, enrolled: { $sum: { $cond: ['$twoFactorEnabled', 1, 0] } } } },
+      { $project: { _id: 0, role: '$_id', users: 1, enrolled: 1 } },
+      { $sort: { role: 1 } }
+    ]);
+    
+    sendSuccessResponse(res, { policy, twoFactorEnrollment: enrollment }, 'Security policy retrieved successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Update the security policy
+ * @route   PUT /api/v1/admin/security-policy
+ * @access  Private (Manager only)
+ */
+const updateSecurityPolicy = async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+    
+    policy.set({ twoFactorRequiredRoles: req.body.twoFactorRequiredRoles, updatedBy: req.user.id });
+    await policy.save();
+    
+    logger.security(`Security policy updated by ${req.user.email}: two-factor required for ${policy.twoFactorRequiredRoles.join(', ') || 'no roles'}`);
+    
+    sendSuccessResponse(res, { policy }, 'Security policy updated successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Get the role permission matrix
+ * @route   GET /api/v1/admin/permissions
+ * @access  Private (Manager only)
+ */
+const getPermissionMatrix = async (req, res) => {
+  try {
+    const rolePermissions = await permissionService.getRolePermissions();
+    
+    sendSuccessResponse(res, {
+      permissions: PERMISSION_DESCRIPTIONS,
+      rolePermissions,
+      defaults: DEFAULT_ROLE_PERMISSIONS
+    }, 'Permission matrix retrieved successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Replace the permissions of one or more roles
+ * @route   PUT /api/v1/admin/permissions
+ * @access  Private (Manager only)
+ */
+const updatePermissionMatrix = async (req, res) => {
+  try {
+    const rolePermissions = await permissionService.updateRolePermissions(req.body.rolePermissions, req.user.id);
+    
+    logger.security(`Permission matrix updated by ${req.user.email}: ${Object.keys(req.body.rolePermissions).join(', ')}`);
+    
+    sendSuccessResponse(res, { rolePermissions }, 'Permission matrix updated successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+};
+
+/**
+ * @desc    Get a user's permission overrides and resulting permissions
+ * @route   GET /api/v1/admin/users/:id/permissions
+ * @access  Private (Manager only)
+ */
+const getUserPermissions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return sendErrorResponse(res, { message: 'User not found' }, 404);
+    }
+    
+    sendSuccessResponse(res, {
+      role: user.role,
+      granted: user.permissions,
+      revoked: user.revokedPermissions,
+      effective: await permissionService.getEffectivePermissions(user)
+    }, 'User permissions retrieved successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Grant or revoke permissions for one user on top of their role
+ * @route   PUT /api/v1/admin/users/:id/permissions
+ * @access  Private (Manager only)
+ */
+const updateUserPermissions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return sendErrorResponse(res, { message: 'User not found' }, 404);
+    }
+    
+    permissionService.setUserOverrides(user, req.body, req.user);
+    await user.save();
+    
+    logger.security(`Permissions of ${user.email} changed by ${req.user.email}: granted [${user.permissions.join(', ')}], revoked [${user.revokedPermissions.join(', ')}]`);
+    
+    sendSuccessResponse(res, {
+      role: user.role,
+      granted: user.permissions,
+      revoked: user.revokedPermissions,
+      effective: await permissionService.getEffectivePermissions(user)
+    }, 'User permissions updated successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+};
+
 /**
  * @desc    Get locked accounts
  * @route   GET /api/v1/admin/users/locked
@@ -301,30 +628,19 @@ const getLockedAccounts = async (req, res) => {
  */
 const getSystemLogs = async (req, res) => {
   try {
-    const { page = 1, limit = 50, level, dateFrom, dateTo } = req.query;
-    
-    // This would typically query a log database or file
-    // For now, we'll return a placeholder response
-    const logs = [
-      {
-        timestamp: new Date(),
-        level: 'info',
-        message: 'System running normally',
-        user: 'system'
-      }
-    ];
+    const { page = 1, limit = 50, level, category, dateFrom, dateTo, search } = req.query;
+    
+    const result = await logService.queryLogs({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      level,
+      category,
+      from: dateFrom,
+      to: dateTo,
+      search
+    });
     
-    sendSuccessResponse(res, {
-      logs,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: 1,
-        totalItems: logs.length,
-        itemsPerPage: parseInt(limit),
-        hasNextPage: false,
-        hasPrevPage: false
-      }
-    }, 'System logs retrieved successfully');
+    sendSuccessResponse(res, result, 'System logs retrieved successfully');
     
   } catch (error) {
     sendErrorResponse(res, error);
@@ -332,18 +648,17 @@ const getSystemLogs = async (req, res) => {
 };
 
 /**
- * @desc    Get backup status
+ * @desc    Get backup status and history
  * @route   GET /api/v1/admin/backup
  * @access  Private (Manager only)
  */
 const getBackupStatus = async (req, res) => {
   try {
-    // This would typically check backup systems
+    const overview = await backupService.getBackupOverview();
+    
     const backupStatus = {
-      lastBackup: new Date(),
-      nextBackup: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours from now
-      status: 'scheduled',
-      size: '2.5 GB'
+      ...overview,
+      nextBackup: getNextScheduledBackup()
     };
     
     sendSuccessResponse(res, { backupStatus }, 'Backup status retrieved successfully');
@@ -360,13 +675,36 @@ const getBackupStatus = async (req, res) => {
  */
 const triggerBackup = async (req, res) => {
   try {
-    // This would typically trigger a backup process
-    logger.info('Manual backup triggered by admin');
+    logger.info(`Manual backup triggered by ${req.user.email}`);
+    
+    const backup = await backupService.createBackup({ trigger: 'manual', userId: req.user.id });
     
-    sendSuccessResponse(res, {}, 'Backup process initiated successfully');
+    sendSuccessResponse(res, { backup }, 'Backup completed successfully', 201);
     
   } catch (error) {
-    sendErrorResponse(res, error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+};
+
+/**
+ * @desc    Restore database from a backup (dry run by default)
+ * @route   POST /api/v1/admin/backup/:id/restore
+ * @access  Private (Manager only)
+ */
+const restoreBackup = async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== false;
+    
+    const result = await backupService.restoreBackup(req.params.id, { dryRun, userId: req.user.id });
+    
+    if (!dryRun) {
+      logger.warn(`Database restored from backup ${req.params.id} by ${req.user.email}`);
+    }
+    
+    sendSuccessResponse(res, result, dryRun ? 'Backup validated successfully' : 'Backup restored successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error, error.statusCode || 500);
   }
 };
 
@@ -395,12 +733,24 @@ const getSystemHealth = async (req, res) => {
 module.exports = {
   getDashboardStats,
   getSystemUsers,
+  createUser,
+  resendInvitation,
   updateUserStatus,
   unlockUserAccount,
   resetUserLoginAttempts,
+  resetUserTwoFactor,
+  getUserSessions,
+  signOutUserEverywhere,
   getLockedAccounts,
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  getPermissionMatrix,
+  updatePermissionMatrix,
+  getUserPermissions,
+  updateUserPermissions,
   getSystemLogs,
   getBackupStatus,
   triggerBackup,
+  restoreBackup,
   getSystemHealth
 };
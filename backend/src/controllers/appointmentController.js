@@ -3,9 +3,15 @@
  * Handles appointment-related operations
  */
 
+const mongoose = require('mongoose');
 const Appointment = require('../models/Appointment');
+const Billing = require('../models/Billing');
+const ScheduleException = require('../models/ScheduleException');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
+const { expandOccurrences } = require('../services/recurrenceService');
+const { createDraftBill } = require('../services/appointmentBillingService');
+const billingConfig = require('../config/billing');
 const logger = require('../utils/logger');
 
 // Helper function for consistent responses
@@ -28,6 +34,147 @@ const sendErrorResponse = (res, error, statusCode = 500) => {
   });
 };
 
+// Summaries of what blocked a booking, used in 409 responses and series reports
+const summarizeConflict = (conflict) => ({
+  id: conflict._id,
+  patient: conflict.patient,
+  appointmentDate: conflict.appointmentDate,
+  appointmentTime: conflict.appointmentTime,
+  endTime: conflict.endTime,
+  duration: conflict.duration,
+  status: conflict.status
+});
+
+const summarizeException = (exception) => ({
+  id: exception._id,
+  scope: exception.scope,
+  type: exception.type,
+  reason: exception.reason,
+  startDate: exception.startDate,
+  endDate: exception.endDate,
+  startTime: exception.startTime,
+  endTime: exception.endTime
+});
+
+// Helper function for double-booking rejections
+const sendConflictResponse = (res, conflicts) => {
+  logger.warn(`Appointment conflict: ${conflicts.length} overlapping appointment(s)`);
+  res.status(409).json({
+    success: false,
+    error: {
+      message: 'Doctor already has an appointment in this time slot',
+      statusCode: 409,
+      type: 'AppointmentConflictError',
+      conflicts: conflicts.map(summarizeConflict)
+    }
+  });
+};
+
+// Helper function for bookings that fall inside doctor time-off or a holiday
+const sendUnavailableResponse = (res, exceptions) => {
+  logger.warn(`Appointment rejected: doctor unavailable (${exceptions.map(exception => exception.type).join(', ')})`);
+  res.status(409).json({
+    success: false,
+    error: {
+      message: 'Doctor is not available at this time',
+      statusCode: 409,
+      type: 'DoctorUnavailableError',
+      exceptions: exceptions.map(summarizeException)
+    }
+  });
+};
+
+// Fields that move an appointment to a different slot
+const SCHEDULE_FIELDS = ['doctor', 'appointmentDate', 'appointmentTime', 'duration', 'status'];
+
+// Statuses that series-wide edits and cancellations leave untouched
+const CLOSED_STATUSES = ['in-progress', 'completed', 'no-show', 'cancelled'];
+
+/**
+ * Check a booking against doctor absences and other appointments.
+ * Returns { absences } or { conflicts } when the slot is rejected, {} otherwise.
+ */
+const checkSlot = async (appointment, override) => {
+  const absences = await ScheduleException.findBlocking(appointment);
+  if (absences.length > 0) return { absences };
+
+  const conflicts = await appointment.findConflicts();
+  if (conflicts.length > 0 && !override) return { conflicts };
+
+  appointment.doubleBookingOverride = conflicts.length > 0;
+  appointment.scheduleConflict = undefined;
+  return {};
+};
+
+const sendSlotRejection = (res, { absences, conflicts }) => {
+  return absences
+    ? sendUnavailableResponse(res, absences)
+    : sendConflictResponse(res, conflicts);
+};
+
+// Describe an occurrence skipped because its slot was rejected
+const summarizeSkipped = (appointment, { absences, conflicts }) => ({
+  id: appointment.isNew ? undefined : appointment._id,
+  seriesOccurrence: appointment.seriesOccurrence,
+  appointmentDate: appointment.appointmentDate,
+  appointmentTime: appointment.appointmentTime,
+  type: absences ? 'DoctorUnavailableError' : 'AppointmentConflictError',
+  ...(absences
+    ? { exceptions: absences.map(summarizeException) }
+    : { conflicts: conflicts.map(summarizeConflict) })
+});
+
+// A failed draft bill never fails the appointment update; the bill can still be entered by hand
+const billCompletedAppointment = async (appointment, userId) => {
+  if (!billingConfig.autoDraftOnCompletion) return null;
+
+  try {
+    return await createDraftBill(appointment, { userId });
+  } catch (error) {
+    logger.error(`Failed to create draft bill for appointment ${appointment._id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Apply changes to one appointment and save it, re-checking the slot
+ * only when the booking actually moves or is reactivated.
+ * Completing the appointment drafts its bill, returned as { draftBill }.
+ */
+const applyAppointmentUpdate = async (appointment, updateData, { override, userId }) => {
+  // Cost and payment status follow the appointment's bill once it has one
+  if (('cost' in updateData || 'paymentStatus' in updateData) && await Billing.exists({ appointment: appointment._id })) {
+    const { cost, paymentStatus, ...otherFields } = updateData;
+    updateData = otherFields;
+  }
+
+  appointment.set(updateData);
+  appointment.updatedBy = userId;
+
+  const slotChanged = SCHEDULE_FIELDS.some(field => appointment.isModified(field));
+  if (slotChanged && Appointment.BLOCKING_STATUSES.includes(appointment.status)) {
+    const rejection = await checkSlot(appointment, override);
+    if (rejection.absences || rejection.conflicts) return rejection;
+  }
+
+  const completed = appointment.isModified('status') && appointment.status === 'completed';
+  await appointment.save();
+
+  return completed ? { draftBill: await billCompletedAppointment(appointment, userId) } : {};
+};
+
+// Find the occurrences targeted by a series-scoped edit or cancellation
+const findSeriesTargets = (appointment, scope) => {
+  const query = {
+    seriesId: appointment.seriesId,
+    status: { $nin: CLOSED_STATUSES }
+  };
+  if (scope === 'following') {
+    query.seriesOccurrence = { $gte: appointment.seriesOccurrence };
+  }
+  return Appointment.find(query).sort({ seriesOccurrence: 1 });
+};
+
 /**
  * @desc    Get all appointments
  * @route   GET /api/v1/appointments
@@ -35,10 +182,11 @@ const sendErrorResponse = (res, error, statusCode = 500) => {
  */
 const getAllAppointments = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, doctorId, patientId, date } = req.query;
+    const { page = 1, limit = 10, status, doctorId, patientId, seriesId, date } = req.query;
     
     const query = {};
     if (status) query.status = status;
+    if (seriesId) query.seriesId = seriesId;
     if (doctorId) query.doctor = doctorId;
     if (patientId) query.patient = patientId;
     if (date) {
@@ -97,13 +245,32 @@ const getAppointmentById = async (req, res) => {
 };
 
 /**
- * @desc    Create new appointment
+ * @desc    Create new appointment (or a recurring series)
  * @route   POST /api/v1/appointments
  * @access  Private
  */
 const createAppointment = async (req, res) => {
   try {
-    const appointment = new Appointment(req.body);
+    const { override, recurrence, ...appointmentData } = req.body;
+    
+    if (override && !req.permissions.includes('manage_schedules')) {
+      return sendErrorResponse(res, { message: 'Overriding scheduling conflicts requires the manage_schedules permission' }, 403);
+    }
+    
+    if (recurrence) {
+      return createAppointmentSeries(req, res, { appointmentData, recurrence, override });
+    }
+    
+    const appointment = new Appointment({
+      ...appointmentData,
+      createdBy: req.user.id
+    });
+    
+    const rejection = await checkSlot(appointment, override);
+    if (rejection.absences || rejection.conflicts) {
+      return sendSlotRejection(res, rejection);
+    }
+    
     await appointment.save();
     
     const populatedAppointment = await Appointment.findById(appointment._id)
@@ -118,24 +285,125 @@ const createAppointment = async (req, res) => {
 };
 
 /**
- * @desc    Update appointment
+ * Create every occurrence of a recurring series, skipping dates whose slot is taken
+ */
+const createAppointmentSeries = async (req, res, { appointmentData, recurrence, override }) => {
+  let dates;
+  try {
+    dates = expandOccurrences(appointmentData.appointmentDate, recurrence);
+  } catch (error) {
+    return sendErrorResponse(res, error, 400);
+  }
+  
+  const seriesId = new mongoose.Types.ObjectId();
+  const created = [];
+  const skipped = [];
+  
+  // Occurrences are saved one by one so later ones are checked against earlier ones
+  for (const [index, appointmentDate] of dates.entries()) {
+    const appointment = new Appointment({
+      ...appointmentData,
+      appointmentDate,
+      seriesId,
+      seriesOccurrence: index + 1,
+      recurrence,
+      createdBy: req.user.id
+    });
+    
+    const rejection = await checkSlot(appointment, override);
+    if (rejection.absences || rejection.conflicts) {
+      skipped.push(summarizeSkipped(appointment, rejection));
+      continue;
+    }
+    
+    await appointment.save();
+    created.push(appointment._id);
+  }
+  
+  if (created.length === 0) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        message: 'No occurrence of the series could be booked',
+        statusCode: 409,
+        type: 'AppointmentConflictError',
+        skipped
+      }
+    });
+  }
+  
+  const appointments = await Appointment.find({ _id: { $in: created } })
+    .populate('patient', 'name nationalId phone')
+    .populate('doctor', 'firstName lastName email')
+    .sort({ seriesOccurrence: 1 });
+  
+  logger.info(`Appointment series ${seriesId} created: ${created.length} booked, ${skipped.length} skipped`);
+  
+  sendSuccessResponse(res, { seriesId, appointments, skipped }, 'Appointment series created successfully', 201);
+};
+
+/**
+ * @desc    Update appointment (optionally across its recurring series)
  * @route   PUT /api/v1/appointments/:id
  * @access  Private
  */
 const updateAppointment = async (req, res) => {
   try {
-    const appointment = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('patient', 'name nationalId phone')
-     .populate('doctor', 'firstName lastName email');
+    const { override, scope = 'this', recurrence, seriesId, seriesOccurrence, ...updateData } = req.body;
+    
+    if (override && !req.permissions.includes('manage_schedules')) {
+      return sendErrorResponse(res, { message: 'Overriding scheduling conflicts requires the manage_schedules permission' }, 403);
+    }
+    
+    const appointment = await Appointment.findById(req.params.id);
     
     if (!appointment) {
       return sendErrorResponse(res, { message: 'Appointment not found' }, 404);
     }
     
-    sendSuccessResponse(res, { appointment }, 'Appointment updated successfully');
+    const options = { override, userId: req.user.id };
+    
+    if (scope === 'this' || !appointment.seriesId) {
+      const result = await applyAppointmentUpdate(appointment, updateData, options);
+      if (result.absences || result.conflicts) {
+        return sendSlotRejection(res, result);
+      }
+      
+      await appointment.populate([
+        { path: 'patient', select: 'name nationalId phone' },
+        { path: 'doctor', select: 'firstName lastName email' }
+      ]);
+      
+      return sendSuccessResponse(res, {
+        appointment,
+        ...(result.draftBill && { billing: result.draftBill })
+      }, 'Appointment updated successfully');
+    }
+    
+    // Moving several occurrences to one date would collapse the series
+    if (updateData.appointmentDate) {
+      return sendErrorResponse(res, { message: 'Appointment date can only be changed for a single occurrence' }, 400);
+    }
+    
+    const targets = await findSeriesTargets(appointment, scope);
+    const updated = [];
+    const skipped = [];
+    
+    for (const target of targets) {
+      const rejection = await applyAppointmentUpdate(target, updateData, options);
+      if (rejection.absences || rejection.conflicts) {
+        skipped.push(summarizeSkipped(target, rejection));
+      } else {
+        updated.push(target);
+      }
+    }
+    
+    sendSuccessResponse(res, {
+      seriesId: appointment.seriesId,
+      scope,
+      appointments: updated,
+      skipped
+    }, 'Appointment series updated successfully');
     
   } catch (error) {
     sendErrorResponse(res, error);
@@ -143,19 +411,37 @@ const updateAppointment = async (req, res) => {
 };
 
 /**
- * @desc    Delete appointment
+ * @desc    Delete appointment, or cancel occurrences across its recurring series
  * @route   DELETE /api/v1/appointments/:id
  * @access  Private
  */
 const deleteAppointment = async (req, res) => {
   try {
-    const appointment = await Appointment.findByIdAndDelete(req.params.id);
+    const { scope = 'this' } = req.query;
+    
+    const appointment = await Appointment.findById(req.params.id);
     
     if (!appointment) {
       return sendErrorResponse(res, { message: 'Appointment not found' }, 404);
     }
     
-    sendSuccessResponse(res, {}, 'Appointment deleted successfully');
+    if (scope === 'this' || !appointment.seriesId) {
+      await appointment.deleteOne();
+      return sendSuccessResponse(res, {}, 'Appointment deleted successfully');
+    }
+    
+    // Occurrences are cancelled like single appointments rather than deleted, so their history stays
+    const targets = await findSeriesTargets(appointment, scope);
+    for (const target of targets) {
+      target.set({ status: 'cancelled', updatedBy: req.user.id });
+      await target.save();
+    }
+    
+    sendSuccessResponse(res, {
+      seriesId: appointment.seriesId,
+      scope,
+      cancelledCount: targets.length
+    }, 'Appointment series cancelled successfully');
     
   } catch (error) {
     sendErrorResponse(res, error);
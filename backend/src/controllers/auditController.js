@@ -0,0 +1,99 @@
+/**
+ * Audit Controller
+ * Query the audit trail of clinical and financial changes
+ */
+
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// Helper function for consistent responses
+const sendSuccessResponse = (res, data, message = 'Success', statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendErrorResponse = (res, error, statusCode = 500) => {
+  logger.error('Audit Controller Error:', error);
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      message: error.message || 'Internal server error',
+      statusCode
+    }
+  });
+};
+
+// Run a paginated audit query, newest entries first
+const findAuditLogs = async (query, { page = 1, limit = 50 }) => {
+  const logs = await AuditLog.find(query)
+    .populate('actor.user', 'firstName lastName email role')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await AuditLog.countDocuments(query);
+
+  return {
+    logs,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: parseInt(limit),
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * @desc    Search the audit trail
+ * @route   GET /api/v1/admin/audit
+ * @access  Private (Manager only)
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { entity, entityId, actor, action, from, to } = req.query;
+
+    const query = {};
+    if (entity) query.entity = entity;
+    if (entityId) query.entityId = entityId;
+    if (actor) query['actor.user'] = actor;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const result = await findAuditLogs(query, req.query);
+
+    sendSuccessResponse(res, result, 'Audit logs retrieved successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * Build a handler listing the change history of one record
+ * @param {String} entity - Audited model name, e.g. 'Patient'
+ */
+const getRecordHistory = (entity) => async (req, res) => {
+  try {
+    const result = await findAuditLogs({ entity, entityId: req.params.id }, req.query);
+
+    sendSuccessResponse(res, { entity, entityId: req.params.id, ...result }, `${entity} history retrieved successfully`);
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getRecordHistory
+};
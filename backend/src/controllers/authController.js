@@ -8,6 +8,22 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 const authConfig = require('../config/auth');
+const {
+  TWO_FACTOR_FIELDS,
+  createChallenge,
+  verifyChallenge,
+  isTwoFactorRequired,
+  verifyTotp,
+  verifySecondFactor,
+  generateBackupCodes,
+  startEnrollment,
+  completeEnrollment,
+  resetTwoFactor
+} = require('../services/twoFactorService');
+const { generateTokens, startSession, rotateSession, revokeSessions, listSessions } = require('../services/authSessionService');
+const { recordFailedLogin, resetLockout, getRetryAfterSeconds } = require('../services/lockoutService');
+const { setPassword, requestPasswordReset, redeemPasswordToken } = require('../services/passwordService');
+const { getEffectivePermissions } = require('../services/permissionService');
 
 // Helper function to send success response
 const sendSuccessResponse = (res, data, message = 'Success', statusCode = 200) => {
@@ -32,33 +48,6 @@ const sendErrorResponse = (res, message, statusCode = 400, type = 'Error') => {
   });
 };
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId, type: 'access' },
-    authConfig.jwt.secret,
-    {
-      expiresIn: authConfig.jwt.expiresIn,
-      issuer: authConfig.jwt.issuer,
-      audience: authConfig.jwt.audience,
-      algorithm: 'HS256'
-    }
-  );
-
-  const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
-    authConfig.jwt.refreshSecret,
-    {
-      expiresIn: authConfig.jwt.refreshExpiresIn,
-      issuer: authConfig.jwt.issuer,
-      audience: authConfig.jwt.audience,
-      algorithm: 'HS256'
-    }
-  );
-
-  return { accessToken, refreshToken };
-};
-
 // Set secure cookies
 const setAuthCookies = (res, accessToken, refreshToken) => {
   // Set access token cookie
@@ -93,6 +82,61 @@ const clearAuthCookies = (res) => {
   });
 };
 
+// Refuse a locked account and say when it can try again
+const sendAccountLockedError = (res, lockUntil) => {
+  res.set('Retry-After', String(getRetryAfterSeconds({ lockUntil })));
+  sendErrorResponse(res, 'Account is locked due to multiple failed login attempts', 401, 'AccountLockedError');
+};
+
+// Issue the tokens of a fully authenticated login and send the login response
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Reset failed login attempts and the lockout backoff on successful login
+  resetLockout(user);
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Register the device and generate its tokens
+  const { accessToken, refreshToken } = await startSession(user, req);
+
+  // Set session
+  req.session.userId = user._id;
+  req.session.role = user.role;
+
+  // Set secure cookies
+  setAuthCookies(res, accessToken, refreshToken);
+
+  // Log successful login
+  logger.auth(`Successful login: ${user.email} (ID: ${user._id})`);
+
+  // Send response
+  sendSuccessResponse(res, {
+    user: {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      isActive: user.isActive,
+      twoFactorEnabled: user.twoFactorEnabled
+    },
+    accessToken,
+    refreshToken,
+    ...extra
+  }, 'Login successful');
+};
+
+// Service errors carry their status code; invalid or expired challenge tokens mean signing in again
+const sendTwoFactorError = (res, error, fallbackMessage) => {
+  if (['TokenExpiredError', 'JsonWebTokenError'].includes(error.name)) {
+    return sendErrorResponse(res, 'Invalid or expired challenge token; sign in again', 401, 'InvalidTokenError');
+  }
+  if (error.statusCode) {
+    return sendErrorResponse(res, error.message, error.statusCode, 'TwoFactorError');
+  }
+  logger.error(`${fallbackMessage}:`, error);
+  sendErrorResponse(res, fallbackMessage, 500, 'ServerError');
+};
+
 /**
  * @desc    User login
  * @route   POST /api/v1/auth/login
@@ -123,64 +167,191 @@ const login = async (req, res) => {
     // Check if user is locked
     if (user.isLocked) {
       logger.security(`Failed login attempt: Locked account - ${email}`);
-      return sendErrorResponse(res, 'Account is locked due to multiple failed login attempts', 401, 'AccountLockedError');
+      return sendAccountLockedError(res, user.lockUntil);
     }
 
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
-      // Increment failed login attempts
-      user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
-      
-      // Lock account if too many failed attempts
-      if (user.failedLoginAttempts >= authConfig.account.maxLoginAttempts) {
-        user.isLocked = true;
-        user.lockedUntil = new Date(Date.now() + authConfig.account.lockoutDuration);
-        logger.security(`Account locked due to multiple failed login attempts - ${email}`);
-      }
-      
-      await user.save();
+      const { locked, lockUntil } = await recordFailedLogin(user, req);
       logger.security(`Failed login attempt: Invalid password - ${email}`);
+      if (locked) {
+        return sendAccountLockedError(res, lockUntil);
+      }
       return sendErrorResponse(res, 'Invalid email or password', 401, 'AuthenticationError');
     }
 
-    // Reset failed login attempts on successful login
-    user.failedLoginAttempts = 0;
-    user.isLocked = false;
-    user.lockedUntil = null;
-    user.lastLogin = new Date();
+    // Second step: a code from the authenticator app, or enrollment when the policy requires it
+    if (user.twoFactorEnabled) {
+      logger.auth(`Password accepted, awaiting two-factor code: ${email}`);
+      return sendSuccessResponse(res, {
+        twoFactorRequired: true,
+        challengeToken: createChallenge(user, 'login')
+      }, 'Two-factor code required');
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      logger.auth(`Password accepted, two-factor enrollment required: ${email}`);
+      return sendSuccessResponse(res, {
+        twoFactorEnrollmentRequired: true,
+        challengeToken: createChallenge(user, 'enroll')
+      }, 'Two-factor enrollment required');
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    logger.error('Login error:', error);
+    sendErrorResponse(res, 'Login failed', 500, 'ServerError');
+  }
+};
+
+/**
+ * @desc    Complete a login with a two-factor code or backup code
+ * @route   POST /api/v1/auth/2fa/login
+ * @access  Public (challenge token)
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    const decoded = verifyChallenge(challengeToken, 'login');
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return sendErrorResponse(res, 'Invalid or expired challenge token; sign in again', 401, 'InvalidTokenError');
+    }
+
+    if (user.isLocked) {
+      logger.security(`Failed two-factor attempt: Locked account - ${user.email}`);
+      return sendAccountLockedError(res, user.lockUntil);
+    }
+
+    const factor = await verifySecondFactor(user, { code, backupCode });
+    if (!factor) {
+      const { locked, lockUntil } = await recordFailedLogin(user, req);
+      logger.security(`Failed login attempt: Invalid two-factor code - ${user.email}`);
+      if (locked) {
+        return sendAccountLockedError(res, lockUntil);
+      }
+      return sendErrorResponse(res, 'Invalid two-factor code', 401, 'AuthenticationError');
+    }
+
+    if (factor === 'backup-code') {
+      logger.security(`Backup code used to sign in: ${user.email}, ${user.backupCodes.length} left`);
+    }
+
+    await completeLogin(req, res, user, factor === 'backup-code' ? { backupCodesRemaining: user.backupCodes.length } : {});
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Two-factor login failed');
+  }
+};
+
+/**
+ * @desc    Start two-factor enrollment with a new authenticator secret
+ * @route   POST /api/v1/auth/2fa/setup
+ * @access  Private (or enrollment challenge token)
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    const enrollment = await startEnrollment(user);
     await user.save();
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    logger.security(`Two-factor setup started: ${user.email}`);
+
+    sendSuccessResponse(res, enrollment, 'Scan the QR code and confirm with a code from your authenticator app');
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to start two-factor setup');
+  }
+};
+
+/**
+ * @desc    Confirm two-factor enrollment; completes the login when enrolling from a login challenge
+ * @route   POST /api/v1/auth/2fa/verify
+ * @access  Private (or enrollment challenge token)
+ */
+const verifyTwoFactorSetup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
 
-    // Set session
-    req.session.userId = user._id;
-    req.session.role = user.role;
+    const backupCodes = await completeEnrollment(user, req.body.code);
 
-    // Set secure cookies
-    setAuthCookies(res, accessToken, refreshToken);
+    logger.security(`Two-factor authentication enabled: ${user.email}`);
 
-    // Log successful login
-    logger.security(`Successful login: ${email} (ID: ${user._id})`);
+    if (req.twoFactorChallenge) {
+      return completeLogin(req, res, user, { backupCodes });
+    }
 
-    // Send response
-    sendSuccessResponse(res, {
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        isActive: user.isActive
-      },
-      accessToken,
-      refreshToken
-    }, 'Login successful');
+    await user.save();
+    sendSuccessResponse(res, { backupCodes }, 'Two-factor authentication enabled; store the backup codes safely');
 
   } catch (error) {
-    logger.error('Login error:', error);
-    sendErrorResponse(res, 'Login failed', 500, 'ServerError');
+    sendTwoFactorError(res, error, 'Failed to verify two-factor setup');
+  }
+};
+
+/**
+ * @desc    Replace the backup codes
+ * @route   POST /api/v1/auth/2fa/backup-codes
+ * @access  Private
+ */
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return sendErrorResponse(res, 'Two-factor authentication is not enabled', 409, 'TwoFactorError');
+    }
+    if (!verifyTotp(user, req.body.code)) {
+      return sendErrorResponse(res, 'Invalid two-factor code', 400, 'ValidationError');
+    }
+
+    const backupCodes = await generateBackupCodes(user);
+    await user.save();
+
+    logger.security(`Backup codes regenerated: ${user.email}`);
+
+    sendSuccessResponse(res, { backupCodes }, 'Backup codes regenerated; the previous codes no longer work');
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to regenerate backup codes');
+  }
+};
+
+/**
+ * @desc    Turn off two-factor authentication, unless the security policy requires it for the user's role
+ * @route   POST /api/v1/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+      return sendErrorResponse(res, 'Two-factor authentication is not enabled', 409, 'TwoFactorError');
+    }
+    if (await isTwoFactorRequired(user)) {
+      return sendErrorResponse(res, `Two-factor authentication is required for the ${user.role} role`, 403, 'AuthorizationError');
+    }
+    if (!await bcrypt.compare(password, user.password) || !verifyTotp(user, code)) {
+      return sendErrorResponse(res, 'Invalid password or two-factor code', 400, 'ValidationError');
+    }
+
+    resetTwoFactor(user);
+    await user.save();
+
+    logger.security(`Two-factor authentication disabled: ${user.email}`);
+
+    sendSuccessResponse(res, null, 'Two-factor authentication disabled');
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to disable two-factor authentication');
   }
 };
 
@@ -191,6 +362,11 @@ const login = async (req, res) => {
  */
 const logout = async (req, res) => {
   try {
+    // Revoke the device's refresh token
+    if (req.token?.sid) {
+      await revokeSessions({ _id: req.token.sid }, { reason: 'logout', revokedBy: req.user._id });
+    }
+
     // Clear session
     req.session.destroy((err) => {
       if (err) {
@@ -201,7 +377,7 @@ const logout = async (req, res) => {
     // Clear cookies
     clearAuthCookies(res);
 
-    logger.security(`User logged out: ${req.user?.email || 'Unknown'}`);
+    logger.auth(`User logged out: ${req.user?.email || 'Unknown'}`);
 
     sendSuccessResponse(res, null, 'Logout successful');
 
@@ -224,22 +400,15 @@ const refreshToken = async (req, res) => {
       return sendErrorResponse(res, 'Refresh token required', 401, 'AuthenticationError');
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, authConfig.jwt.refreshSecret, {
-      issuer: authConfig.jwt.issuer,
-      audience: authConfig.jwt.audience,
-      algorithms: ['HS256']
-    });
+    // Rotate the refresh token; a token that was already used signs the device out
+    const { accessToken, refreshToken: newRefreshToken, userId } = await rotateSession(refreshToken, req);
 
     // Check if user exists and is active
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(userId);
     if (!user || !user.isActive) {
       return sendErrorResponse(res, 'Invalid refresh token', 401, 'AuthenticationError');
     }
 
-    // Generate new tokens
-    const { accessToken, newRefreshToken } = generateTokens(user._id);
-
     // Set new cookies
     setAuthCookies(res, accessToken, newRefreshToken);
 
@@ -261,10 +430,93 @@ const refreshToken = async (req, res) => {
       return sendErrorResponse(res, 'Invalid refresh token', 401, 'InvalidTokenError');
     }
     
+    if (error.statusCode === 401) {
+      clearAuthCookies(res);
+      return sendErrorResponse(res, error.message, 401, 'SessionRevokedError');
+    }
+    
     sendErrorResponse(res, 'Token refresh failed', 500, 'ServerError');
   }
 };
 
+// Session fields shown to users; the refresh token hash never leaves the server
+const toSessionSummary = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  signedInAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: String(session._id) === String(currentSessionId)
+});
+
+/**
+ * @desc    Get the devices the current user is signed in on
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    sendSuccessResponse(res, {
+      sessions: sessions.map(session => toSessionSummary(session, req.token.sid))
+    }, 'Sessions retrieved successfully');
+
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    sendErrorResponse(res, 'Failed to get sessions', 500, 'ServerError');
+  }
+};
+
+/**
+ * @desc    Sign out one of the current user's devices
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await revokeSessions(
+      { _id: req.params.id, user: req.user._id },
+      { reason: 'signed-out-remotely', revokedBy: req.user._id }
+    );
+
+    if (revoked === 0) {
+      return sendErrorResponse(res, 'Session not found', 404, 'NotFoundError');
+    }
+
+    logger.security(`Session ${req.params.id} signed out remotely: ${req.user.email}`);
+
+    sendSuccessResponse(res, null, 'Session signed out successfully');
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    sendErrorResponse(res, 'Failed to sign out session', 500, 'ServerError');
+  }
+};
+
+/**
+ * @desc    Sign out every device of the current user except this one
+ * @route   DELETE /api/v1/auth/sessions
+ * @access  Private
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.token.sid) filter._id = { $ne: req.token.sid };
+
+    const revoked = await revokeSessions(filter, { reason: 'signed-out-everywhere', revokedBy: req.user._id });
+
+    logger.security(`Other sessions signed out: ${req.user.email} (${revoked} sessions)`);
+
+    sendSuccessResponse(res, { revoked }, 'Other sessions signed out successfully');
+
+  } catch (error) {
+    logger.error('Revoke other sessions error:', error);
+    sendErrorResponse(res, 'Failed to sign out other sessions', 500, 'ServerError');
+  }
+};
+
 /**
  * @desc    Get current user
  * @route   GET /api/v1/auth/me
@@ -274,7 +526,10 @@ const getCurrentUser = async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
     
-    sendSuccessResponse(res, { user }, 'User retrieved successfully');
+    // Everything the user may do, so clients can hide what they cannot
+    const permissions = await getEffectivePermissions(user);
+    
+    sendSuccessResponse(res, { user, permissions }, 'User retrieved successfully');
 
   } catch (error) {
     logger.error('Get current user error:', error);
@@ -295,11 +550,6 @@ const changePassword = async (req, res) => {
       return sendErrorResponse(res, 'Current password and new password are required', 400, 'ValidationError');
     }
 
-    // Validate new password strength
-    if (newPassword.length < authConfig.password.minLength) {
-      return sendErrorResponse(res, `Password must be at least ${authConfig.password.minLength} characters long`, 400, 'ValidationError');
-    }
-
     const user = await User.findById(req.user._id).select('+password');
 
     // Verify current password
@@ -308,21 +558,86 @@ const changePassword = async (req, res) => {
       return sendErrorResponse(res, 'Current password is incorrect', 400, 'ValidationError');
     }
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, authConfig.password.bcryptRounds);
-    user.password = hashedPassword;
-    await user.save();
+    // Enforce the password policy and sign out the user's other devices
+    await setPassword(user, newPassword, { keepSessionId: req.token.sid });
 
     logger.security(`Password changed: ${user.email}`);
 
     sendSuccessResponse(res, null, 'Password changed successfully');
 
   } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.message, error.statusCode, 'ValidationError');
+    }
     logger.error('Change password error:', error);
     sendErrorResponse(res, 'Failed to change password', 500, 'ServerError');
   }
 };
 
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/v1/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email, req);
+  } catch (error) {
+    // Answer as usual so failures do not reveal whether the account exists
+    logger.error('Forgot password error:', error);
+  }
+
+  sendSuccessResponse(res, null, 'If an account exists for this email, a password reset link has been sent');
+};
+
+/**
+ * @desc    Set a new password with a reset link
+ * @route   POST /api/v1/auth/reset-password
+ * @access  Public (reset token)
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await redeemPasswordToken(token, 'reset', password);
+
+    logger.security(`Password reset through emailed link: ${user.email} (IP: ${req.ip})`);
+
+    sendSuccessResponse(res, null, 'Password reset successfully; sign in with your new password');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.message, error.statusCode, 'ValidationError');
+    }
+    logger.error('Reset password error:', error);
+    sendErrorResponse(res, 'Failed to reset password', 500, 'ServerError');
+  }
+};
+
+/**
+ * @desc    Accept a staff invitation by choosing a password
+ * @route   POST /api/v1/auth/accept-invitation
+ * @access  Public (invitation token)
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await redeemPasswordToken(token, 'invitation', password);
+
+    logger.security(`Invitation accepted: ${user.email} (IP: ${req.ip})`);
+
+    sendSuccessResponse(res, { email: user.email }, 'Invitation accepted; sign in with your new password');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.message, error.statusCode, 'ValidationError');
+    }
+    logger.error('Accept invitation error:', error);
+    sendErrorResponse(res, 'Failed to accept invitation', 500, 'ServerError');
+  }
+};
+
 /**
  * @desc    Verify token
  * @route   POST /api/v1/auth/verify
@@ -366,10 +681,21 @@ const verifyToken = async (req, res) => {
 
 module.exports = {
   login,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  regenerateBackupCodes,
+  disableTwoFactor,
   logout,
   refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   getCurrentUser,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  acceptInvitation,
   verifyToken,
   generateTokens,
   setAuthCookies,
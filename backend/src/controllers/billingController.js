@@ -4,8 +4,14 @@
  */
 
 const Billing = require('../models/Billing');
+const CreditNote = require('../models/CreditNote');
+const DunningNotice = require('../models/DunningNotice');
 const Patient = require('../models/Patient');
 const Appointment = require('../models/Appointment');
+const { generateInvoicePdf, verifyInvoiceSignature } = require('../services/invoicePdfService');
+const { resolveDoctor, resolveBillingItems } = require('../services/catalogService');
+const { resolveCashSession, assertEntryVoidable } = require('../services/cashSessionService');
+const { isDuplicateKeyError } = require('../services/sequenceService');
 const logger = require('../utils/logger');
 
 // Helper function for consistent responses
@@ -28,6 +34,77 @@ const sendErrorResponse = (res, error, statusCode = 500) => {
   });
 };
 
+// Ledger errors carry their status code; a concurrent change to the same bill or a second bill
+// for the same appointment is a conflict
+const sendLedgerError = (res, error) => {
+  if (error.name === 'VersionError') {
+    return sendErrorResponse(res, { message: 'Billing record was modified by another request, please retry' }, 409);
+  }
+  if (isDuplicateKeyError(error, 'appointment')) {
+    return sendErrorResponse(res, { message: 'This appointment already has a bill' }, 409);
+  }
+  sendErrorResponse(res, error, error.statusCode || 500);
+};
+
+// Fields a client may set on a bill; the invoice number, totals, credits and payment ledger are derived
+const BILLING_FIELDS = [
+  'patient', 'appointment', 'doctor', 'items', 'discount', 'dueDate', 'paymentMethod',
+  'insuranceProvider', 'insurancePolicyNumber', 'insuranceCoverage', 'notes'
+];
+
+// Fields that change what an issued invoice is worth; credit notes adjust it instead
+const PRICED_FIELDS = ['items', 'discount'];
+
+const pickBillingFields = (body) => BILLING_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+const createCreditNote = (billing, { amount, type, reason, cancellation = false, userId }) => {
+  const creditNote = new CreditNote({
+    billing: billing._id,
+    invoiceNumber: billing.invoiceNumber,
+    patient: billing.patient,
+    type,
+    amount,
+    reason,
+    cancellation,
+    issuedBy: userId
+  });
+  return creditNote.saveNumbered();
+};
+
+/**
+ * Save a credited bill together with its credit note. The note is written first so a credited bill
+ * never lacks one; if the bill then fails to save, the note is removed again.
+ * @returns {Promise<Object>} The credit note
+ */
+const saveCreditedBilling = async (billing, creditNoteDetails) => {
+  await billing.validate();
+  const creditNote = await createCreditNote(billing, creditNoteDetails);
+
+  try {
+    await billing.save();
+  } catch (error) {
+    try {
+      await CreditNote.deleteOne({ _id: creditNote._id });
+    } catch (deleteError) {
+      logger.error(`Failed to remove credit note ${creditNote.creditNoteNumber} after bill ${billing.invoiceNumber} failed to save:`, deleteError);
+    }
+    throw error;
+  }
+
+  return creditNote;
+};
+
+const getLedgerSummary = (billing) => ({
+  payments: billing.payments,
+  total: billing.total,
+  amountPaid: billing.amountPaid,
+  outstandingAmount: billing.outstandingAmount,
+  status: billing.status
+});
+
 /**
  * @desc    Get all billing records
  * @route   GET /api/v1/billing
@@ -102,22 +179,30 @@ const getBillingById = async (req, res) => {
  */
 const createBilling = async (req, res) => {
   try {
+    const billingFields = pickBillingFields(req.body);
+    
+    // Catalog codes fill in description, price and tax category for the doctor seen
+    const doctor = await resolveDoctor(billingFields);
+    
     const billingData = {
-      ...req.body,
+      ...billingFields,
+      doctor: doctor ? doctor._id : undefined,
+      items: await resolveBillingItems(billingFields.items, { doctor }),
       createdBy: req.user.id
     };
     
     const billing = new Billing(billingData);
-    await billing.save();
+    await billing.saveNumbered();
     
     const populatedBilling = await Billing.findById(billing._id)
       .populate('patient', 'name nationalId phone')
-      .populate('appointment', 'appointmentDate appointmentTime');
+      .populate('appointment', 'appointmentDate appointmentTime')
+      .populate('doctor', 'firstName lastName specialization');
     
     sendSuccessResponse(res, { billing: populatedBilling }, 'Billing record created successfully', 201);
     
   } catch (error) {
-    sendErrorResponse(res, error);
+    sendLedgerError(res, error);
   }
 };
 
@@ -128,44 +213,174 @@ const createBilling = async (req, res) => {
  */
 const updateBilling = async (req, res) => {
   try {
-    const billing = await Billing.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('patient', 'name nationalId phone')
-     .populate('appointment', 'appointmentDate appointmentTime');
+    const updateData = pickBillingFields(req.body);
+    
+    const billing = await Billing.findById(req.params.id);
     
     if (!billing) {
       return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
     }
     
+    if (billing.status !== 'draft' && PRICED_FIELDS.some(field => updateData[field] !== undefined)) {
+      return sendErrorResponse(res, { message: 'Items and discount of an issued bill cannot be changed; issue a credit note instead' }, 409);
+    }
+    
+    if (updateData.items) {
+      const doctor = await resolveDoctor({
+        doctor: updateData.doctor || billing.doctor,
+        appointment: updateData.appointment || billing.appointment
+      });
+      updateData.items = await resolveBillingItems(updateData.items, { doctor });
+    }
+    
+    // Saved rather than updated in place so totals and tax are recalculated
+    billing.set({ ...updateData, updatedBy: req.user.id });
+    await billing.save();
+    
+    await billing.populate([
+      { path: 'patient', select: 'name nationalId phone' },
+      { path: 'appointment', select: 'appointmentDate appointmentTime' }
+    ]);
+    
     sendSuccessResponse(res, { billing }, 'Billing record updated successfully');
     
   } catch (error) {
-    sendErrorResponse(res, error);
+    sendLedgerError(res, error);
   }
 };
 
 /**
- * @desc    Delete billing record
+ * @desc    Cancel billing record; the invoice is kept and a credit note offsets what is left of it
+ * @route   POST /api/v1/billing/:id/cancel
  * @route   DELETE /api/v1/billing/:id
  * @access  Private
  */
-const deleteBilling = async (req, res) => {
+const cancelBilling = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    const billing = await Billing.findById(req.params.id);
+    
+    if (!billing) {
+      return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
+    }
+    
+    const amount = billing.cancel({ reason, userId: req.user.id });
+    
+    let creditNote = null;
+    if (amount > 0) {
+      creditNote = await saveCreditedBilling(billing, { amount, type: 'full', reason, cancellation: true, userId: req.user.id });
+    } else {
+      await billing.save();
+    }
+    
+    sendSuccessResponse(res, { billing, creditNote }, 'Billing record cancelled successfully');
+    
+  } catch (error) {
+    sendLedgerError(res, error);
+  }
+};
+
+/**
+ * @desc    Issue a draft bill to the patient
+ * @route   POST /api/v1/billing/:id/issue
+ * @access  Private
+ */
+const issueBilling = async (req, res) => {
+  try {
+    const billing = await Billing.findById(req.params.id);
+    
+    if (!billing) {
+      return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
+    }
+    
+    billing.issue({ dueDate: req.body.dueDate, userId: req.user.id });
+    await billing.saveNumbered();
+    
+    sendSuccessResponse(res, { billing }, 'Bill issued successfully');
+    
+  } catch (error) {
+    sendLedgerError(res, error);
+  }
+};
+
+/**
+ * @desc    Get credit notes of a bill
+ * @route   GET /api/v1/billing/:id/credit-notes
+ * @access  Private
+ */
+const getCreditNotes = async (req, res) => {
+  try {
+    const billing = await Billing.findById(req.params.id);
+    
+    if (!billing) {
+      return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
+    }
+    
+    const creditNotes = await CreditNote.find({ billing: billing._id })
+      .populate('issuedBy', 'firstName lastName')
+      .sort({ issuedAt: 1 });
+    
+    sendSuccessResponse(res, {
+      creditNotes,
+      total: billing.total,
+      creditedAmount: billing.creditedAmount,
+      netTotal: billing.netTotal,
+      outstandingAmount: billing.outstandingAmount
+    }, 'Credit notes retrieved successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Get the payment reminders sent for an overdue bill
+ * @route   GET /api/v1/billing/:id/reminders
+ * @access  Private
+ */
+const getDunningNotices = async (req, res) => {
   try {
-    const billing = await Billing.findByIdAndDelete(req.params.id);
+    const billing = await Billing.findById(req.params.id);
     
     if (!billing) {
       return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
     }
     
-    sendSuccessResponse(res, {}, 'Billing record deleted successfully');
+    const reminders = await DunningNotice.find({ billing: billing._id }).sort({ sentAt: 1 });
+    
+    sendSuccessResponse(res, reminders, 'Payment reminders retrieved successfully');
     
   } catch (error) {
     sendErrorResponse(res, error);
   }
 };
 
+/**
+ * @desc    Issue a credit note for part or all of the unpaid balance
+ * @route   POST /api/v1/billing/:id/credit-notes
+ * @access  Private
+ */
+const issueCreditNote = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    const billing = await Billing.findById(req.params.id);
+    
+    if (!billing) {
+      return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
+    }
+    
+    const { type, amount } = billing.applyCredit(req.body.amount, { reason, userId: req.user.id });
+    const creditNote = await saveCreditedBilling(billing, { amount, type, reason, userId: req.user.id });
+    
+    sendSuccessResponse(res, { creditNote, billing }, 'Credit note issued successfully', 201);
+    
+  } catch (error) {
+    sendLedgerError(res, error);
+  }
+};
+
 /**
  * @desc    Get billing by patient
  * @route   GET /api/v1/billing/patient/:patientId
@@ -212,28 +427,131 @@ const updatePaymentStatus = async (req, res) => {
   try {
     const { status, paymentMethod, paymentDate } = req.body;
     
-    const billing = await Billing.findByIdAndUpdate(
-      req.params.id,
-      {
-        status,
-        paymentMethod,
-        paymentDate: paymentDate || new Date(),
-        updatedBy: req.user.id
-      },
-      { new: true, runValidators: true }
-    ).populate('patient', 'name nationalId phone');
+    const billing = await Billing.findById(req.params.id);
     
     if (!billing) {
       return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
     }
     
+    // Marking as paid takes the outstanding balance through the cashier's drawer
+    const cashSession = status === 'paid' && billing.outstandingAmount > 0
+      ? await resolveCashSession(req.user.id, paymentMethod || billing.paymentMethod)
+      : undefined;
+    
+    billing.reconcileStatus(status, { paymentMethod, paymentDate, receivedBy: req.user.id, cashSession });
+    billing.updatedBy = req.user.id;
+    await billing.save();
+    await billing.populate('patient', 'name nationalId phone');
+    
     sendSuccessResponse(res, { billing }, 'Payment status updated successfully');
     
+  } catch (error) {
+    sendLedgerError(res, error);
+  }
+};
+
+/**
+ * @desc    Get the payment ledger of a bill
+ * @route   GET /api/v1/billing/:id/payments
+ * @access  Private
+ */
+const getPayments = async (req, res) => {
+  try {
+    const billing = await Billing.findById(req.params.id)
+      .populate('payments.receivedBy', 'firstName lastName')
+      .populate('payments.voidedBy', 'firstName lastName');
+    
+    if (!billing) {
+      return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
+    }
+    
+    sendSuccessResponse(res, getLedgerSummary(billing), 'Payments retrieved successfully');
+    
   } catch (error) {
     sendErrorResponse(res, error);
   }
 };
 
+/**
+ * @desc    Record a payment
+ * @route   POST /api/v1/billing/:id/payments
+ * @access  Private
+ */
+const addPayment = async (req, res) => {
+  try {
+    const { amount, method, reference, date, notes } = req.body;
+    
+    const billing = await Billing.findById(req.params.id);
+    
+    if (!billing) {
+      return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
+    }
+    
+    const cashSession = await resolveCashSession(req.user.id, method);
+    const payment = billing.recordPayment({ amount, method, reference, date, notes, receivedBy: req.user.id, cashSession });
+    billing.updatedBy = req.user.id;
+    await billing.save();
+    
+    sendSuccessResponse(res, { payment, ...getLedgerSummary(billing) }, 'Payment recorded successfully', 201);
+    
+  } catch (error) {
+    sendLedgerError(res, error);
+  }
+};
+
+/**
+ * @desc    Refund part or all of a payment
+ * @route   POST /api/v1/billing/:id/payments/:paymentId/refund
+ * @access  Private
+ */
+const refundPayment = async (req, res) => {
+  try {
+    const { amount, method, reference, notes } = req.body;
+    
+    const billing = await Billing.findById(req.params.id);
+    
+    if (!billing) {
+      return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
+    }
+    
+    const original = billing.payments.id(req.params.paymentId);
+    const cashSession = await resolveCashSession(req.user.id, method || (original && original.method));
+    const refund = billing.refundPayment(req.params.paymentId, { amount, method, reference, notes, receivedBy: req.user.id, cashSession });
+    billing.updatedBy = req.user.id;
+    await billing.save();
+    
+    sendSuccessResponse(res, { refund, ...getLedgerSummary(billing) }, 'Payment refunded successfully', 201);
+    
+  } catch (error) {
+    sendLedgerError(res, error);
+  }
+};
+
+/**
+ * @desc    Void a payment or refund recorded in error
+ * @route   POST /api/v1/billing/:id/payments/:paymentId/void
+ * @access  Private
+ */
+const voidPayment = async (req, res) => {
+  try {
+    const billing = await Billing.findById(req.params.id);
+    
+    if (!billing) {
+      return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
+    }
+    
+    await assertEntryVoidable(billing.payments.id(req.params.paymentId));
+    const payment = billing.voidPayment(req.params.paymentId, { reason: req.body.reason, voidedBy: req.user.id });
+    billing.updatedBy = req.user.id;
+    await billing.save();
+    
+    sendSuccessResponse(res, { payment, ...getLedgerSummary(billing) }, 'Payment voided successfully');
+    
+  } catch (error) {
+    sendLedgerError(res, error);
+  }
+};
+
 /**
  * @desc    Generate invoice
  * @route   GET /api/v1/billing/:id/invoice
@@ -250,6 +568,23 @@ const generateInvoice = async (req, res) => {
       return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
     }
     
+    if (billing.status === 'draft') {
+      return sendErrorResponse(res, { message: 'Issue the draft bill before generating its invoice' }, 409);
+    }
+    
+    if (req.query.format === 'pdf') {
+      const pdf = await generateInvoicePdf(billing, { language: req.user.preferences?.language });
+      
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${billing.invoiceNumber}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
+    
+    const { insuranceShare, patientShare } = billing.getInsuranceSplit();
+    
     // Generate invoice data
     const invoice = {
       invoiceNumber: billing.invoiceNumber,
@@ -258,10 +593,20 @@ const generateInvoice = async (req, res) => {
       items: billing.items,
       subtotal: billing.subtotal,
       tax: billing.tax,
+      taxSummary: billing.getTaxSummary(),
       discount: billing.discount,
       total: billing.total,
+      amountPaid: billing.amountPaid,
+      outstandingAmount: billing.outstandingAmount,
+      insuranceProvider: billing.insuranceProvider,
+      insuranceCoverage: billing.insuranceCoverage,
+      insuranceShare,
+      patientShare,
       status: billing.status,
+      paymentMethod: billing.paymentMethod,
+      paymentDate: billing.paymentDate,
       dueDate: billing.dueDate,
+      issuedAt: billing.issuedAt,
       createdAt: billing.createdAt
     };
     
@@ -272,13 +617,50 @@ const generateInvoice = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Verify a printed invoice from its QR code
+ * @route   GET /api/v1/billing/verify/:invoiceNumber
+ * @access  Public
+ */
+const verifyInvoice = async (req, res) => {
+  try {
+    const billing = await Billing.findOne({ invoiceNumber: req.params.invoiceNumber });
+    
+    if (!billing || !verifyInvoiceSignature(billing, req.query.sig)) {
+      return sendErrorResponse(res, { message: 'Invoice could not be verified' }, 404);
+    }
+    
+    sendSuccessResponse(res, {
+      verified: true,
+      invoice: {
+        invoiceNumber: billing.invoiceNumber,
+        issueDate: billing.issuedAt,
+        total: billing.total,
+        status: billing.status
+      }
+    }, 'Invoice verified successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
 module.exports = {
   getAllBilling,
   getBillingById,
   createBilling,
   updateBilling,
-  deleteBilling,
+  cancelBilling,
+  issueBilling,
+  getCreditNotes,
+  issueCreditNote,
+  getDunningNotices,
   getBillingByPatient,
   updatePaymentStatus,
-  generateInvoice
+  getPayments,
+  addPayment,
+  refundPayment,
+  voidPayment,
+  generateInvoice,
+  verifyInvoice
 };
@@ -0,0 +1,215 @@
+/**
+ * Cash Session Controller
+ * Cashier drawer sessions, closing counts and Z-reports
+ */
+
+const CashSession = require('../models/CashSession');
+const { openSession, findOpenSession, closeSession, buildZReport } = require('../services/cashSessionService');
+const logger = require('../utils/logger');
+
+// Helper function for consistent responses
+const sendSuccessResponse = (res, data, message = 'Success', statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendErrorResponse = (res, error, statusCode = 500) => {
+  logger.error('Cash Session Controller Error:', error);
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      message: error.message || 'Internal server error',
+      statusCode
+    }
+  });
+};
+
+// Model and service errors carry their status code; a concurrent change to the same session is a conflict
+const sendSessionError = (res, error) => {
+  if (error.name === 'VersionError') {
+    return sendErrorResponse(res, { message: 'Cash session was modified by another request, please retry' }, 409);
+  }
+  if (error.name === 'ValidationError') {
+    return sendErrorResponse(res, error, 400);
+  }
+  sendErrorResponse(res, error, error.statusCode || 500);
+};
+
+// Cashiers see their own sessions, reviewers every session
+const canAccessSession = (req, session) =>
+  req.permissions.includes('review_cash_sessions') || String(session.cashier._id || session.cashier) === String(req.user.id);
+
+/**
+ * @desc    Get cash sessions
+ * @route   GET /api/v1/cash-sessions
+ * @access  Private (Manager, Secretary)
+ */
+const getCashSessions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, cashier, reviewed, dateFrom, dateTo } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (!req.permissions.includes('review_cash_sessions')) {
+      query.cashier = req.user.id;
+    } else if (cashier) {
+      query.cashier = cashier;
+    }
+    if (reviewed !== undefined) {
+      query['review.reviewedAt'] = { $exists: reviewed === 'true' };
+    }
+    if (dateFrom || dateTo) {
+      query.openedAt = {};
+      if (dateFrom) query.openedAt.$gte = new Date(dateFrom);
+      if (dateTo) query.openedAt.$lte = new Date(dateTo);
+    }
+
+    const sessions = await CashSession.find(query)
+      .populate('cashier', 'firstName lastName')
+      .populate('review.reviewedBy', 'firstName lastName')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ openedAt: -1 });
+
+    const total = await CashSession.countDocuments(query);
+
+    sendSuccessResponse(res, {
+      sessions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    }, 'Cash sessions retrieved successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Get the current user's open session with its running totals
+ * @route   GET /api/v1/cash-sessions/current
+ * @access  Private (Secretary only)
+ */
+const getCurrentCashSession = async (req, res) => {
+  try {
+    const session = await findOpenSession(req.user.id);
+
+    if (!session) {
+      return sendErrorResponse(res, { message: 'No open cash session' }, 404);
+    }
+
+    sendSuccessResponse(res, await buildZReport(session), 'Cash session retrieved successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Open a cash session with the drawer's float
+ * @route   POST /api/v1/cash-sessions
+ * @access  Private (Secretary only)
+ */
+const openCashSession = async (req, res) => {
+  try {
+    const { openingFloat, notes } = req.body;
+
+    const session = await openSession({ userId: req.user.id, openingFloat, notes });
+
+    sendSuccessResponse(res, { session }, 'Cash session opened successfully', 201);
+
+  } catch (error) {
+    sendSessionError(res, error);
+  }
+};
+
+/**
+ * @desc    Get the Z-report of a cash session
+ * @route   GET /api/v1/cash-sessions/:id
+ * @access  Private (Manager, Secretary)
+ */
+const getCashSessionReport = async (req, res) => {
+  try {
+    const session = await CashSession.findById(req.params.id)
+      .populate('cashier', 'firstName lastName')
+      .populate('closedBy', 'firstName lastName')
+      .populate('review.reviewedBy', 'firstName lastName');
+
+    if (!session || !canAccessSession(req, session)) {
+      return sendErrorResponse(res, { message: 'Cash session not found' }, 404);
+    }
+
+    sendSuccessResponse(res, await buildZReport(session), 'Z-report generated successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Close a cash session with the amounts counted per payment method
+ * @route   POST /api/v1/cash-sessions/:id/close
+ * @access  Private (Manager, Secretary)
+ */
+const closeCashSession = async (req, res) => {
+  try {
+    const { counted, notes } = req.body;
+
+    const session = await CashSession.findById(req.params.id);
+
+    if (!session || !canAccessSession(req, session)) {
+      return sendErrorResponse(res, { message: 'Cash session not found' }, 404);
+    }
+
+    await closeSession(session, { counted, notes, userId: req.user.id });
+
+    if (session.totalVariance !== 0) {
+      logger.warn(`Cash session ${session._id} closed with a variance of ${session.totalVariance}`);
+    }
+
+    sendSuccessResponse(res, await buildZReport(session), 'Cash session closed successfully');
+
+  } catch (error) {
+    sendSessionError(res, error);
+  }
+};
+
+/**
+ * @desc    Sign off the Z-report of a closed cash session
+ * @route   POST /api/v1/cash-sessions/:id/review
+ * @access  Private (Manager only)
+ */
+const reviewCashSession = async (req, res) => {
+  try {
+    const session = await CashSession.findById(req.params.id);
+
+    if (!session) {
+      return sendErrorResponse(res, { message: 'Cash session not found' }, 404);
+    }
+
+    session.markReviewed({ notes: req.body.notes, userId: req.user.id });
+    await session.save();
+
+    sendSuccessResponse(res, { session }, 'Cash session reviewed successfully');
+
+  } catch (error) {
+    sendSessionError(res, error);
+  }
+};
+
+module.exports = {
+  getCashSessions,
+  getCurrentCashSession,
+  openCashSession,
+  getCashSessionReport,
+  closeCashSession,
+  reviewCashSession
+};
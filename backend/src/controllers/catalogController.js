@@ -0,0 +1,178 @@
+/**
+ * Catalog Controller
+ * Service catalog of billable services and their prices
+ */
+
+const CatalogItem = require('../models/CatalogItem');
+const { resolveDoctor } = require('../services/catalogService');
+const logger = require('../utils/logger');
+
+// Helper function for consistent responses
+const sendSuccessResponse = (res, data, message = 'Success', statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendErrorResponse = (res, error, statusCode = 500) => {
+  logger.error('Catalog Controller Error:', error);
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      message: error.message || 'Internal server error',
+      statusCode
+    }
+  });
+};
+
+// Model and service errors carry their status code; a taken code is a conflict
+const sendCatalogError = (res, error) => {
+  if (error.code === 11000) {
+    return sendErrorResponse(res, { message: 'A service with this code already exists' }, 409);
+  }
+  if (error.name === 'ValidationError') {
+    return sendErrorResponse(res, error, 400);
+  }
+  sendErrorResponse(res, error, error.statusCode || 500);
+};
+
+/**
+ * @desc    Get catalog services, with the price for a doctor when one is given
+ * @route   GET /api/v1/catalog
+ * @access  Private (Manager, Secretary)
+ */
+const getCatalogItems = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, active, category, search, doctor: doctorId } = req.query;
+
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+    if (category) query.category = category.toLowerCase();
+    if (search) {
+      query.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } },
+        { nameAr: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const doctor = await resolveDoctor({ doctor: doctorId });
+
+    const catalogItems = await CatalogItem.find(query)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ category: 1, name: 1 });
+
+    const total = await CatalogItem.countDocuments(query);
+
+    sendSuccessResponse(res, {
+      items: catalogItems.map(item => ({ ...item.toObject(), price: item.getPriceFor(doctor) })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    }, 'Catalog retrieved successfully');
+
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+};
+
+/**
+ * @desc    Get catalog service by ID
+ * @route   GET /api/v1/catalog/:id
+ * @access  Private (Manager, Secretary)
+ */
+const getCatalogItemById = async (req, res) => {
+  try {
+    const item = await CatalogItem.findById(req.params.id)
+      .populate('priceOverrides.doctor', 'firstName lastName specialization');
+
+    if (!item) {
+      return sendErrorResponse(res, { message: 'Catalog service not found' }, 404);
+    }
+
+    sendSuccessResponse(res, { item }, 'Catalog service retrieved successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Add a service to the catalog
+ * @route   POST /api/v1/catalog
+ * @access  Private (Manager only)
+ */
+const createCatalogItem = async (req, res) => {
+  try {
+    const item = await CatalogItem.create({ ...req.body, createdBy: req.user.id });
+
+    sendSuccessResponse(res, { item }, 'Catalog service created successfully', 201);
+
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+};
+
+/**
+ * @desc    Update a catalog service; bills already issued keep their prices
+ * @route   PUT /api/v1/catalog/:id
+ * @access  Private (Manager only)
+ */
+const updateCatalogItem = async (req, res) => {
+  try {
+    const item = await CatalogItem.findById(req.params.id);
+
+    if (!item) {
+      return sendErrorResponse(res, { message: 'Catalog service not found' }, 404);
+    }
+
+    // Saved rather than updated in place so the price override checks run
+    item.set({ ...req.body, updatedBy: req.user.id });
+    await item.save();
+
+    sendSuccessResponse(res, { item }, 'Catalog service updated successfully');
+
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+};
+
+/**
+ * @desc    Withdraw a catalog service; it stays on existing bills but can no longer be billed
+ * @route   DELETE /api/v1/catalog/:id
+ * @access  Private (Manager only)
+ */
+const deactivateCatalogItem = async (req, res) => {
+  try {
+    const item = await CatalogItem.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user.id },
+      { new: true }
+    );
+
+    if (!item) {
+      return sendErrorResponse(res, { message: 'Catalog service not found' }, 404);
+    }
+
+    sendSuccessResponse(res, { item }, 'Catalog service deactivated successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getCatalogItems,
+  getCatalogItemById,
+  createCatalogItem,
+  updateCatalogItem,
+  deactivateCatalogItem
+};
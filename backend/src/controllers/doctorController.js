@@ -3,7 +3,9 @@
  * Handles doctor-related operations
  */
 
+const moment = require('moment-timezone');
 const User = require('../models/User');
+const availabilityService = require('../services/availabilityService');
 const logger = require('../utils/logger');
 
 // Helper function for consistent responses
@@ -26,6 +28,17 @@ const sendErrorResponse = (res, error, statusCode = 500) => {
   });
 };
 
+// Profile fields a doctor's record may be updated with; role, permissions and security settings change elsewhere
+const PROFILE_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'specialization', 'licenseNumber', 'experience',
+  'education', 'certifications', 'dateOfBirth', 'gender', 'profilePicture', 'bio'
+];
+
+const pickProfileFields = (body) => PROFILE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
 /**
  * @desc    Get all doctors
  * @route   GET /api/v1/doctors
@@ -124,9 +137,10 @@ const createDoctor = async (req, res) => {
  */
 const updateDoctor = async (req, res) => {
   try {
+    // Updates skip the hashing save hook; passwords change through change-password or a reset link
     const doctor = await User.findOneAndUpdate(
       { _id: req.params.id, role: 'doctor' },
-      req.body,
+      pickProfileFields(req.body),
       { new: true, runValidators: true }
     ).select('-password -twoFactorSecret -backupCodes');
     
@@ -194,11 +208,60 @@ const searchDoctors = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get doctor's open appointment slots
+ * @route   GET /api/v1/doctors/:id/availability
+ * @access  Private
+ */
+const getDoctorAvailability = async (req, res) => {
+  try {
+    const doctor = await User.findOne({ _id: req.params.id, role: 'doctor', isActive: true })
+      .select('firstName lastName workingHours preferences');
+    
+    if (!doctor) {
+      return sendErrorResponse(res, { message: 'Doctor not found' }, 404);
+    }
+    
+    const timezone = availabilityService.getDoctorTimezone(doctor);
+    const from = req.query.from
+      ? moment.tz(req.query.from, timezone).format('YYYY-MM-DD')
+      : moment.tz(timezone).format('YYYY-MM-DD');
+    const to = req.query.to
+      ? moment.tz(req.query.to, timezone).format('YYYY-MM-DD')
+      : moment.tz(from, timezone).add(6, 'days').format('YYYY-MM-DD');
+    const duration = parseInt(req.query.duration) || 30;
+    
+    const rangeDays = moment(to).diff(moment(from), 'days');
+    if (rangeDays < 0) {
+      return sendErrorResponse(res, { message: 'End date must be on or after start date' }, 400);
+    }
+    if (rangeDays >= availabilityService.MAX_RANGE_DAYS) {
+      return sendErrorResponse(res, { message: `Date range cannot exceed ${availabilityService.MAX_RANGE_DAYS} days` }, 400);
+    }
+    
+    const availability = await availabilityService.getAvailability(doctor, { from, to, duration });
+    
+    sendSuccessResponse(res, {
+      doctor: {
+        id: doctor._id,
+        name: doctor.fullName
+      },
+      from,
+      to,
+      ...availability
+    }, 'Doctor availability retrieved successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
 module.exports = {
   getAllDoctors,
   getDoctorById,
   createDoctor,
   updateDoctor,
   deleteDoctor,
-  searchDoctors
+  searchDoctors,
+  getDoctorAvailability
 };
@@ -0,0 +1,402 @@
+/**
+ * Insurance Controller
+ * Insurer registry, insurance claims and claim aging
+ */
+
+const Insurer = require('../models/Insurer');
+const InsuranceClaim = require('../models/InsuranceClaim');
+const Billing = require('../models/Billing');
+const logger = require('../utils/logger');
+
+// Helper function for consistent responses
+const sendSuccessResponse = (res, data, message = 'Success', statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendErrorResponse = (res, error, statusCode = 500) => {
+  logger.error('Insurance Controller Error:', error);
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      message: error.message || 'Internal server error',
+      statusCode
+    }
+  });
+};
+
+// Model errors carry their status code; duplicates and concurrent changes are conflicts
+const sendClaimError = (res, error) => {
+  if (error.name === 'VersionError') {
+    return sendErrorResponse(res, { message: 'Record was modified by another request, please retry' }, 409);
+  }
+  if (error.code === 11000) {
+    return sendErrorResponse(res, { message: 'A record with these details already exists' }, 409);
+  }
+  sendErrorResponse(res, error, error.statusCode || 500);
+};
+
+// Fields a client may set on an insurer
+const INSURER_FIELDS = ['name', 'nameAr', 'code', 'contact', 'defaultCoverage', 'paymentTermsDays', 'isActive', 'notes'];
+
+const pickInsurerFields = (body) => INSURER_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+const populateClaim = (query) => query
+  .populate('patient', 'name nationalId phone')
+  .populate('insurer', 'name nameAr code')
+  .populate('billing', 'invoiceNumber total status');
+
+/**
+ * @desc    Get insurers
+ * @route   GET /api/v1/insurance/insurers
+ * @access  Private (Manager, Secretary)
+ */
+const getInsurers = async (req, res) => {
+  try {
+    const { active, search } = req.query;
+
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const insurers = await Insurer.find(query).sort({ name: 1 });
+
+    sendSuccessResponse(res, { insurers }, 'Insurers retrieved successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Register an insurer
+ * @route   POST /api/v1/insurance/insurers
+ * @access  Private (Manager only)
+ */
+const createInsurer = async (req, res) => {
+  try {
+    const insurer = await Insurer.create({ ...pickInsurerFields(req.body), createdBy: req.user.id });
+
+    sendSuccessResponse(res, { insurer }, 'Insurer created successfully', 201);
+
+  } catch (error) {
+    sendClaimError(res, error);
+  }
+};
+
+/**
+ * @desc    Update an insurer
+ * @route   PUT /api/v1/insurance/insurers/:id
+ * @access  Private (Manager only)
+ */
+const updateInsurer = async (req, res) => {
+  try {
+    const insurer = await Insurer.findByIdAndUpdate(
+      req.params.id,
+      { ...pickInsurerFields(req.body), updatedBy: req.user.id },
+      { new: true, runValidators: true }
+    );
+
+    if (!insurer) {
+      return sendErrorResponse(res, { message: 'Insurer not found' }, 404);
+    }
+
+    sendSuccessResponse(res, { insurer }, 'Insurer updated successfully');
+
+  } catch (error) {
+    sendClaimError(res, error);
+  }
+};
+
+/**
+ * @desc    Get insurance claims
+ * @route   GET /api/v1/insurance/claims
+ * @access  Private (Manager, Secretary)
+ */
+const getClaims = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, insurer, patient, billing, from, to } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (insurer) query.insurer = insurer;
+    if (patient) query.patient = patient;
+    if (billing) query.billing = billing;
+    if (from || to) {
+      query.submittedAt = {};
+      if (from) query.submittedAt.$gte = new Date(from);
+      if (to) query.submittedAt.$lte = new Date(to);
+    }
+
+    const claims = await populateClaim(InsuranceClaim.find(query))
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ submittedAt: -1 });
+
+    const total = await InsuranceClaim.countDocuments(query);
+
+    sendSuccessResponse(res, {
+      claims,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    }, 'Insurance claims retrieved successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Get insurance claim by ID
+ * @route   GET /api/v1/insurance/claims/:id
+ * @access  Private (Manager, Secretary)
+ */
+const getClaimById = async (req, res) => {
+  try {
+    const claim = await populateClaim(InsuranceClaim.findById(req.params.id))
+      .populate('statusHistory.changedBy', 'firstName lastName');
+
+    if (!claim) {
+      return sendErrorResponse(res, { message: 'Insurance claim not found' }, 404);
+    }
+
+    sendSuccessResponse(res, { claim }, 'Insurance claim retrieved successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Create a claim for the insurer's share of a bill
+ * @route   POST /api/v1/insurance/claims
+ * @access  Private (Manager, Secretary)
+ */
+const createClaim = async (req, res) => {
+  try {
+    const { billing: billingId, insurer: insurerId, policyNumber, coverage, notes } = req.body;
+
+    const billing = await Billing.findById(billingId);
+    if (!billing) {
+      return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
+    }
+    if (billing.status === 'cancelled') {
+      return sendErrorResponse(res, { message: 'Cannot claim a cancelled bill' }, 409);
+    }
+    if (billing.status === 'draft') {
+      return sendErrorResponse(res, { message: 'Issue the draft bill before claiming it' }, 409);
+    }
+    if (billing.netTotal <= 0) {
+      return sendErrorResponse(res, { message: 'Credit notes have offset this bill in full' }, 409);
+    }
+
+    const insurer = await Insurer.findById(insurerId);
+    if (!insurer) {
+      return sendErrorResponse(res, { message: 'Insurer not found' }, 404);
+    }
+    if (!insurer.isActive) {
+      return sendErrorResponse(res, { message: 'Insurer is not active' }, 400);
+    }
+
+    if (await InsuranceClaim.exists({ billing: billing._id })) {
+      return sendErrorResponse(res, { message: 'This bill already has an insurance claim' }, 409);
+    }
+
+    const split = billing.getInsuranceSplit(coverage ?? billing.insuranceCoverage ?? insurer.defaultCoverage);
+    if (split.insuranceShare <= 0) {
+      return sendErrorResponse(res, { message: 'The insurer share of this bill is zero' }, 400);
+    }
+
+    const claim = new InsuranceClaim({
+      billing: billing._id,
+      patient: billing.patient,
+      insurer: insurer._id,
+      policyNumber: policyNumber || billing.insurancePolicyNumber,
+      coverage: split.coverage,
+      billTotal: billing.netTotal,
+      claimedAmount: split.insuranceShare,
+      patientShare: split.patientShare,
+      notes,
+      submissions: [{ submittedBy: req.user.id, claimedAmount: split.insuranceShare, notes }],
+      statusHistory: [{ status: 'submitted', changedBy: req.user.id, notes }],
+      createdBy: req.user.id
+    });
+    await claim.saveNumbered();
+
+    // Keep the bill's insurance details in line with the claim
+    billing.insuranceProvider = insurer.name;
+    billing.insurancePolicyNumber = claim.policyNumber;
+    billing.insuranceCoverage = split.coverage;
+    billing.updatedBy = req.user.id;
+    await billing.save();
+
+    const populatedClaim = await populateClaim(InsuranceClaim.findById(claim._id));
+
+    sendSuccessResponse(res, { claim: populatedClaim }, 'Insurance claim submitted successfully', 201);
+
+  } catch (error) {
+    sendClaimError(res, error);
+  }
+};
+
+/**
+ * @desc    Record the insurer's decision on a claim
+ * @route   POST /api/v1/insurance/claims/:id/response
+ * @access  Private (Manager, Secretary)
+ */
+const recordClaimResponse = async (req, res) => {
+  try {
+    const { decision, approvedAmount, rejectionReason, notes } = req.body;
+
+    const claim = await InsuranceClaim.findById(req.params.id);
+    if (!claim) {
+      return sendErrorResponse(res, { message: 'Insurance claim not found' }, 404);
+    }
+
+    claim.recordResponse({ decision, approvedAmount, rejectionReason, notes, userId: req.user.id });
+    await claim.save();
+
+    sendSuccessResponse(res, { claim }, `Insurance claim ${decision}`);
+
+  } catch (error) {
+    sendClaimError(res, error);
+  }
+};
+
+/**
+ * @desc    Resubmit a rejected claim
+ * @route   POST /api/v1/insurance/claims/:id/resubmit
+ * @access  Private (Manager, Secretary)
+ */
+const resubmitClaim = async (req, res) => {
+  try {
+    const { claimedAmount, notes } = req.body;
+
+    const claim = await InsuranceClaim.findById(req.params.id);
+    if (!claim) {
+      return sendErrorResponse(res, { message: 'Insurance claim not found' }, 404);
+    }
+
+    claim.resubmit({ claimedAmount, notes, userId: req.user.id });
+    await claim.save();
+
+    sendSuccessResponse(res, { claim }, 'Insurance claim resubmitted successfully');
+
+  } catch (error) {
+    sendClaimError(res, error);
+  }
+};
+
+/**
+ * @desc    Record a payment from the insurer; it is also posted to the bill's payments ledger
+ * @route   POST /api/v1/insurance/claims/:id/payments
+ * @access  Private (Manager, Secretary)
+ */
+const recordClaimPayment = async (req, res) => {
+  try {
+    const { amount, reference, date } = req.body;
+
+    const claim = await InsuranceClaim.findById(req.params.id);
+    if (!claim) {
+      return sendErrorResponse(res, { message: 'Insurance claim not found' }, 404);
+    }
+
+    const billing = await Billing.findById(claim.billing);
+    if (!billing) {
+      return sendErrorResponse(res, { message: 'Billing record not found' }, 404);
+    }
+
+    const remittance = claim.recordRemittance({ amount, reference, receivedAt: date, userId: req.user.id });
+    const payment = billing.recordPayment({
+      amount,
+      method: 'insurance',
+      reference: reference || claim.claimNumber,
+      date,
+      notes: `Insurance claim ${claim.claimNumber}`,
+      receivedBy: req.user.id
+    });
+    remittance.billingPayment = payment._id;
+
+    billing.updatedBy = req.user.id;
+    await Promise.all([billing.validate(), claim.validate()]);
+    await billing.save();
+
+    // Without a transaction the bill is written first; if the claim then fails to save,
+    // the payment is voided again so the bill does not show money the claim never received
+    try {
+      await claim.save();
+    } catch (error) {
+      try {
+        billing.voidPayment(payment._id, {
+          reason: `Insurance claim ${claim.claimNumber} could not be updated`,
+          voidedBy: req.user.id
+        });
+        await billing.save();
+      } catch (compensationError) {
+        logger.error(`Failed to void payment ${payment._id} on bill ${billing.invoiceNumber} after claim ${claim.claimNumber} failed to save:`, compensationError);
+      }
+      throw error;
+    }
+
+    sendSuccessResponse(res, {
+      claim,
+      billing: {
+        _id: billing._id,
+        status: billing.status,
+        amountPaid: billing.amountPaid,
+        outstandingAmount: billing.outstandingAmount
+      }
+    }, 'Insurance payment recorded successfully', 201);
+
+  } catch (error) {
+    sendClaimError(res, error);
+  }
+};
+
+/**
+ * @desc    Aging of outstanding claims per insurer
+ * @route   GET /api/v1/insurance/reports/aging
+ * @access  Private (Manager, Secretary)
+ */
+const getClaimsAging = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    const report = await InsuranceClaim.getAgingReport(asOf, { insurer: req.query.insurer });
+
+    sendSuccessResponse(res, report, 'Claims aging report generated successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getInsurers,
+  createInsurer,
+  updateInsurer,
+  getClaims,
+  getClaimById,
+  createClaim,
+  recordClaimResponse,
+  resubmitClaim,
+  recordClaimPayment,
+  getClaimsAging
+};
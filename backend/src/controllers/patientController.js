@@ -108,7 +108,9 @@ const createPatient = async (req, res) => {
       occupation,
       maritalStatus,
       insuranceProvider,
-      insuranceNumber
+      insuranceNumber,
+      allergies,
+      reminderPreferences
     } = req.body;
 
     // Check if patient with national ID already exists
@@ -133,7 +135,9 @@ const createPatient = async (req, res) => {
       occupation,
       maritalStatus,
       insuranceProvider,
-      insuranceNumber
+      insuranceNumber,
+      allergies,
+      reminderPreferences
     });
 
     await patient.save();
@@ -329,6 +333,50 @@ const uploadPatientPhoto = async (req, res) => {
   }
 };
 
+// Fields a client may set on each medical history section; audit fields are set server-side
+const HISTORY_FIELDS = {
+  conditions: ['condition', 'icd10Code', 'status', 'diagnosedDate', 'resolvedDate', 'notes'],
+  allergies: ['allergen', 'category', 'reaction', 'severity', 'status', 'resolvedDate', 'notes'],
+  medications: ['name', 'dosage', 'frequency', 'status', 'startDate', 'endDate', 'notes'],
+  surgeries: ['procedure', 'date', 'hospital', 'surgeon', 'notes'],
+  'family-history': ['relation', 'condition', 'icd10Code', 'notes']
+};
+
+const pickHistoryFields = (section, body) => HISTORY_FIELDS[section].reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Who recorded an entry; medications keep the prescriber in prescribedBy
+const recordedByField = (section) => (section === 'medications' ? 'prescribedBy' : 'recordedBy');
+
+// Shared error handling for medical history writes
+const sendHistoryError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(err => err.message).join(', ');
+    return sendErrorResponse(res, message, 400, 'ValidationError');
+  }
+
+  logger.error(`${action} error:`, error);
+  sendErrorResponse(res, `Failed to ${action.toLowerCase()}`, 500, 'ServerError');
+};
+
+const addSectionEntry = async (req, res, section, data, label) => {
+  const patient = await Patient.findById(req.params.id);
+  if (!patient) {
+    return sendErrorResponse(res, 'Patient not found', 404, 'PatientNotFoundError');
+  }
+
+  await patient.addHistoryEntry(section, {
+    ...data,
+    [recordedByField(section)]: req.user.id
+  });
+
+  logger.api(`${label} added to patient: ${patient.name} (ID: ${patient._id})`);
+
+  sendSuccessResponse(res, { patient }, `${label} added successfully`, 201);
+};
+
 /**
  * @desc    Add medical condition to patient
  * @route   POST /api/v1/patients/:id/medical-condition
@@ -336,97 +384,181 @@ const uploadPatientPhoto = async (req, res) => {
  */
 const addMedicalCondition = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { condition, diagnosedDate, status, notes } = req.body;
+    const { diagnosedDate, status } = req.body;
+
+    await addSectionEntry(req, res, 'conditions', {
+      ...pickHistoryFields('conditions', req.body),
+      diagnosedDate: diagnosedDate || new Date(),
+      status: status || 'active'
+    }, 'Medical condition');
+
+  } catch (error) {
+    sendHistoryError(res, error, 'Add medical condition');
+  }
+};
+
+/**
+ * @desc    Add medication to patient
+ * @route   POST /api/v1/patients/:id/medication
+ * @access  Private
+ */
+const addMedication = async (req, res) => {
+  try {
+    const { startDate } = req.body;
+
+    await addSectionEntry(req, res, 'medications', {
+      ...pickHistoryFields('medications', req.body),
+      startDate: startDate || new Date()
+    }, 'Medication');
+
+  } catch (error) {
+    sendHistoryError(res, error, 'Add medication');
+  }
+};
+
+/**
+ * @desc    Add allergy to patient
+ * @route   POST /api/v1/patients/:id/allergy
+ * @access  Private
+ */
+const addAllergy = async (req, res) => {
+  try {
+    await addSectionEntry(req, res, 'allergies', pickHistoryFields('allergies', req.body), 'Allergy');
+
+  } catch (error) {
+    sendHistoryError(res, error, 'Add allergy');
+  }
+};
+
+/**
+ * @desc    Get patient medical history
+ * @route   GET /api/v1/patients/:id/medical-history
+ * @access  Private
+ */
+const getMedicalHistory = async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.params.id)
+      .select('name medicalConditions allergies medications surgicalHistory familyHistory')
+      .populate('medications.prescribedBy', 'firstName lastName');
+
+    if (!patient) {
+      return sendErrorResponse(res, 'Patient not found', 404, 'PatientNotFoundError');
+    }
+
+    const { medicalConditions, allergies, medications, surgicalHistory, familyHistory } = patient;
+
+    sendSuccessResponse(res, {
+      medicalHistory: { medicalConditions, allergies, medications, surgicalHistory, familyHistory }
+    }, 'Medical history retrieved successfully');
+
+  } catch (error) {
+    logger.error('Get medical history error:', error);
+    sendErrorResponse(res, 'Failed to retrieve medical history', 500, 'ServerError');
+  }
+};
+
+/**
+ * @desc    Add medical history entry
+ * @route   POST /api/v1/patients/:id/medical-history/:section
+ * @access  Private
+ */
+const addHistoryEntry = async (req, res) => {
+  try {
+    const { section } = req.params;
+
+    await addSectionEntry(req, res, section, pickHistoryFields(section, req.body), 'Medical history entry');
+
+  } catch (error) {
+    sendHistoryError(res, error, 'Add medical history entry');
+  }
+};
+
+/**
+ * @desc    Update medical history entry
+ * @route   PUT /api/v1/patients/:id/medical-history/:section/:entryId
+ * @access  Private
+ */
+const updateHistoryEntry = async (req, res) => {
+  try {
+    const { id, section, entryId } = req.params;
 
     const patient = await Patient.findById(id);
     if (!patient) {
       return sendErrorResponse(res, 'Patient not found', 404, 'PatientNotFoundError');
     }
 
-    // Add medical condition
-    await patient.addMedicalCondition({
-      condition,
-      diagnosedDate: diagnosedDate || new Date(),
-      status: status || 'active',
-      notes
-    });
+    const entry = await patient.updateHistoryEntry(section, entryId, pickHistoryFields(section, req.body));
+    if (!entry) {
+      return sendErrorResponse(res, 'Medical history entry not found', 404, 'EntryNotFoundError');
+    }
 
-    logger.api(`Medical condition added to patient: ${patient.name} (ID: ${patient._id})`);
+    logger.api(`Medical history entry updated for patient: ${patient.name} (ID: ${patient._id})`);
 
-    sendSuccessResponse(res, { patient }, 'Medical condition added successfully');
+    sendSuccessResponse(res, { entry }, 'Medical history entry updated successfully');
 
   } catch (error) {
-    logger.error('Add medical condition error:', error);
-    sendErrorResponse(res, 'Failed to add medical condition', 500, 'ServerError');
+    sendHistoryError(res, error, 'Update medical history entry');
   }
 };
 
 /**
- * @desc    Add medication to patient
- * @route   POST /api/v1/patients/:id/medication
+ * @desc    Resolve a condition or allergy, or discontinue a medication
+ * @route   POST /api/v1/patients/:id/medical-history/:section/:entryId/resolve
  * @access  Private
  */
-const addMedication = async (req, res) => {
+const resolveHistoryEntry = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, dosage, frequency, startDate, endDate, notes } = req.body;
+    const { id, section, entryId } = req.params;
+
+    if (!Patient.HISTORY_SECTIONS[section].resolve) {
+      return sendErrorResponse(res, `Entries in ${section} cannot be resolved`, 400, 'ValidationError');
+    }
 
     const patient = await Patient.findById(id);
     if (!patient) {
       return sendErrorResponse(res, 'Patient not found', 404, 'PatientNotFoundError');
     }
 
-    // Add medication
-    await patient.addMedication({
-      name,
-      dosage,
-      frequency,
-      startDate: startDate || new Date(),
-      endDate,
-      prescribedBy: req.user.id,
-      notes
-    });
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+    const entry = await patient.resolveHistoryEntry(section, entryId, date);
+    if (!entry) {
+      return sendErrorResponse(res, 'Medical history entry not found', 404, 'EntryNotFoundError');
+    }
 
-    logger.api(`Medication added to patient: ${patient.name} (ID: ${patient._id})`);
+    logger.api(`Medical history entry resolved for patient: ${patient.name} (ID: ${patient._id})`);
 
-    sendSuccessResponse(res, { patient }, 'Medication added successfully');
+    sendSuccessResponse(res, { entry }, 'Medical history entry resolved successfully');
 
   } catch (error) {
-    logger.error('Add medication error:', error);
-    sendErrorResponse(res, 'Failed to add medication', 500, 'ServerError');
+    sendHistoryError(res, error, 'Resolve medical history entry');
   }
 };
 
 /**
- * @desc    Add allergy to patient
- * @route   POST /api/v1/patients/:id/allergy
+ * @desc    Remove medical history entry (for entries recorded in error)
+ * @route   DELETE /api/v1/patients/:id/medical-history/:section/:entryId
  * @access  Private
  */
-const addAllergy = async (req, res) => {
+const removeHistoryEntry = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { allergen, severity, notes } = req.body;
+    const { id, section, entryId } = req.params;
 
     const patient = await Patient.findById(id);
     if (!patient) {
       return sendErrorResponse(res, 'Patient not found', 404, 'PatientNotFoundError');
     }
 
-    // Add allergy
-    await patient.addAllergy({
-      allergen,
-      severity,
-      notes
-    });
+    const entry = await patient.removeHistoryEntry(section, entryId);
+    if (!entry) {
+      return sendErrorResponse(res, 'Medical history entry not found', 404, 'EntryNotFoundError');
+    }
 
-    logger.api(`Allergy added to patient: ${patient.name} (ID: ${patient._id})`);
+    logger.api(`Medical history entry removed from patient: ${patient.name} (ID: ${patient._id})`);
 
-    sendSuccessResponse(res, { patient }, 'Allergy added successfully');
+    sendSuccessResponse(res, null, 'Medical history entry removed successfully');
 
   } catch (error) {
-    logger.error('Add allergy error:', error);
-    sendErrorResponse(res, 'Failed to add allergy', 500, 'ServerError');
+    sendHistoryError(res, error, 'Remove medical history entry');
   }
 };
 
@@ -440,5 +572,10 @@ module.exports = {
   uploadPatientPhoto,
   addMedicalCondition,
   addMedication,
-  addAllergy
+  addAllergy,
+  getMedicalHistory,
+  addHistoryEntry,
+  updateHistoryEntry,
+  resolveHistoryEntry,
+  removeHistoryEntry
 };
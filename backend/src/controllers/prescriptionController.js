@@ -6,8 +6,26 @@
 const Prescription = require('../models/Prescription');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
+const { checkMedications } = require('../services/interactionService');
 const logger = require('../utils/logger');
 
+// Reject contraindicated combinations unless the doctor gave a reason
+const sendInteractionBlocked = (res, interactionCheck) => {
+  return res.status(409).json({
+    success: false,
+    message: 'Contraindicated interaction found. Provide an override reason to prescribe anyway.',
+    warnings: interactionCheck.warnings
+  });
+};
+
+// Store the check result (and override, when one was needed) on the prescription
+const applyInteractionCheck = (prescription, interactionCheck, overrideReason, userId) => {
+  prescription.interactionWarnings = interactionCheck.warnings;
+  prescription.interactionOverride = interactionCheck.requiresOverride
+    ? { reason: overrideReason, overriddenBy: userId, overriddenAt: new Date() }
+    : undefined;
+};
+
 /**
  * Create a new prescription
  */
@@ -23,7 +41,8 @@ const createPrescription = async (req, res) => {
       medications,
       qrSettings,
       language,
-      notes
+      notes,
+      overrideReason
     } = req.body;
 
     // Validate required fields
@@ -52,6 +71,13 @@ const createPrescription = async (req, res) => {
       });
     }
 
+    // Check medications against allergies and current medications
+    const interactionCheck = await checkMedications(patient, medications);
+    if (interactionCheck.requiresOverride && !overrideReason) {
+      logger.warn(`Prescription blocked for patient ${patientId}: contraindicated interaction`);
+      return sendInteractionBlocked(res, interactionCheck);
+    }
+
     // Create prescription
     const prescription = new Prescription({
       patient: patientId,
@@ -71,6 +97,11 @@ const createPrescription = async (req, res) => {
       notes
     });
 
+    applyInteractionCheck(prescription, interactionCheck, overrideReason, req.user.id);
+    if (interactionCheck.requiresOverride) {
+      logger.warn(`Contraindicated interaction overridden by ${req.user.email} for patient ${patientId}: ${overrideReason}`);
+    }
+
     await prescription.save();
 
     // Populate patient and doctor info
@@ -81,7 +112,8 @@ const createPrescription = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Prescription created successfully',
-      data: prescription
+      data: prescription,
+      warnings: interactionCheck.warnings
     });
 
   } catch (error) {
@@ -201,7 +233,7 @@ const getPrescription = async (req, res) => {
 const updatePrescription = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const { overrideReason, interactionWarnings, interactionOverride, ...updateData } = req.body;
 
     const prescription = await Prescription.findById(id);
     if (!prescription) {
@@ -213,6 +245,21 @@ const updatePrescription = async (req, res) => {
 
     // Update prescription
     Object.assign(prescription, updateData);
+
+    // Re-check interactions when the medication list changed
+    let warnings = prescription.interactionWarnings;
+    if (prescription.isModified('medications')) {
+      const patient = await Patient.findById(prescription.patient);
+      const interactionCheck = await checkMedications(patient, prescription.medications, { excludePrescriptionId: prescription._id });
+      if (interactionCheck.requiresOverride && !overrideReason) {
+        logger.warn(`Prescription update blocked for ${id}: contraindicated interaction`);
+        return sendInteractionBlocked(res, interactionCheck);
+      }
+
+      applyInteractionCheck(prescription, interactionCheck, overrideReason, req.user.id);
+      warnings = interactionCheck.warnings;
+    }
+
     await prescription.save();
 
     // Populate patient and doctor info
@@ -223,7 +270,8 @@ const updatePrescription = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Prescription updated successfully',
-      data: prescription
+      data: prescription,
+      warnings
     });
 
   } catch (error) {
@@ -6,9 +6,42 @@
 const Patient = require('../models/Patient');
 const Appointment = require('../models/Appointment');
 const Billing = require('../models/Billing');
+const CreditNote = require('../models/CreditNote');
 const User = require('../models/User');
+const taxConfig = require('../config/tax');
 const logger = require('../utils/logger');
 
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Revenue figures net out credit notes: invoices count when issued, credit notes when they are issued.
+// Paid is what the payments ledger holds, pending what is still owed on bills that are not cancelled.
+const summarizeRevenue = (billing, creditNotes) => {
+  const grossRevenue = billing.reduce((sum, bill) => sum + bill.total, 0);
+  const totalCredits = creditNotes.reduce((sum, note) => sum + note.amount, 0);
+
+  return {
+    grossRevenue: roundAmount(grossRevenue),
+    totalCredits: roundAmount(totalCredits),
+    totalRevenue: roundAmount(grossRevenue - totalCredits),
+    paidRevenue: roundAmount(billing.reduce((sum, bill) => sum + bill.amountPaid, 0)),
+    pendingRevenue: roundAmount(billing
+      .filter(bill => bill.status !== 'cancelled')
+      .reduce((sum, bill) => sum + bill.outstandingAmount, 0))
+  };
+};
+
+// Key of the day, week or month a date falls in
+const getTimeKey = (date, groupBy = 'month') => {
+  if (groupBy === 'day') {
+    return date.toISOString().split('T')[0];
+  } else if (groupBy === 'week') {
+    const weekStart = new Date(date);
+    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+    return weekStart.toISOString().split('T')[0];
+  }
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
 // Helper function for consistent responses
 const sendSuccessResponse = (res, data, message = 'Success', statusCode = 200) => {
   res.status(statusCode).json({
@@ -97,29 +130,32 @@ const getBillingReports = async (req, res) => {
   try {
     const { startDate, endDate, status, paymentMethod } = req.query;
     
+    // Draft bills are not issued yet, so they only show when asked for, by creation date
+    const dateField = status === 'draft' ? 'createdAt' : 'issuedAt';
     const query = {};
     if (startDate && endDate) {
-      query.createdAt = {
+      query[dateField] = {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
       };
     }
-    if (status) query.status = status;
+    query.status = status || { $ne: 'draft' };
     if (paymentMethod) query.paymentMethod = paymentMethod;
     
     const billing = await Billing.find(query)
       .populate('patient', 'name nationalId')
       .populate('appointment', 'appointmentDate appointmentTime')
-      .sort({ createdAt: -1 });
+      .sort({ [dateField]: -1 });
+    
+    // With bill filters only the credit notes of matching bills count
+    const creditNotes = await CreditNote.findForReport(
+      startDate,
+      endDate,
+      status || paymentMethod ? billing.map(bill => bill._id) : null
+    );
     
     // Calculate totals
-    const totalRevenue = billing.reduce((sum, bill) => sum + bill.total, 0);
-    const paidRevenue = billing
-      .filter(bill => bill.status === 'paid')
-      .reduce((sum, bill) => sum + bill.total, 0);
-    const pendingRevenue = billing
-      .filter(bill => bill.status === 'pending')
-      .reduce((sum, bill) => sum + bill.total, 0);
+    const revenue = summarizeRevenue(billing, creditNotes);
     
     // Group by status
     const statusStats = billing.reduce((acc, bill) => {
@@ -133,22 +169,26 @@ const getBillingReports = async (req, res) => {
       return acc;
     }, {});
     
-    // Group by date
+    // Group by date, net of credit notes issued that day
     const dateStats = billing.reduce((acc, bill) => {
-      const date = bill.createdAt.toISOString().split('T')[0];
+      const date = bill[dateField].toISOString().split('T')[0];
       acc[date] = (acc[date] || 0) + bill.total;
       return acc;
     }, {});
+    creditNotes.forEach(note => {
+      const date = note.issuedAt.toISOString().split('T')[0];
+      dateStats[date] = roundAmount((dateStats[date] || 0) - note.amount);
+    });
     
     const report = {
       totalBills: billing.length,
-      totalRevenue,
-      paidRevenue,
-      pendingRevenue,
+      ...revenue,
+      creditNoteCount: creditNotes.length,
       statusStats,
       paymentMethodStats,
       dateStats,
-      billing
+      billing,
+      creditNotes
     };
     
     sendSuccessResponse(res, { report }, 'Billing report generated successfully');
@@ -307,51 +347,56 @@ const getFinancialReports = async (req, res) => {
     
     const dateQuery = {};
     if (startDate && endDate) {
-      dateQuery.createdAt = {
+      dateQuery.issuedAt = {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
       };
     }
     
-    const billing = await Billing.find(dateQuery)
+    const billing = await Billing.find({ ...dateQuery, status: { $ne: 'draft' } })
       .populate('patient', 'name')
       .populate('appointment', 'appointmentDate')
-      .sort({ createdAt: 1 });
+      .sort({ issuedAt: 1 });
     
-    // Group by time period
-    const timeStats = billing.reduce((acc, bill) => {
-      let timeKey;
-      if (groupBy === 'day') {
-        timeKey = bill.createdAt.toISOString().split('T')[0];
-      } else if (groupBy === 'week') {
-        const weekStart = new Date(bill.createdAt);
-        weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-        timeKey = weekStart.toISOString().split('T')[0];
-      } else {
-        timeKey = `${bill.createdAt.getFullYear()}-${String(bill.createdAt.getMonth() + 1).padStart(2, '0')}`;
-      }
-      
+    const creditNotes = await CreditNote.findForReport(startDate, endDate);
+    
+    const getPeriodStats = (acc, timeKey) => {
       if (!acc[timeKey]) {
         acc[timeKey] = {
           total: 0,
+          credits: 0,
+          net: 0,
           paid: 0,
           pending: 0,
           count: 0
         };
       }
+      return acc[timeKey];
+    };
+    
+    // Group by time period
+    const timeStats = billing.reduce((acc, bill) => {
+      const stats = getPeriodStats(acc, getTimeKey(bill.issuedAt, groupBy));
       
-      acc[timeKey].total += bill.total;
-      acc[timeKey].count += 1;
+      stats.total = roundAmount(stats.total + bill.total);
+      stats.net = roundAmount(stats.net + bill.total);
+      stats.paid = roundAmount(stats.paid + bill.amountPaid);
+      stats.count += 1;
       
-      if (bill.status === 'paid') {
-        acc[timeKey].paid += bill.total;
-      } else if (bill.status === 'pending') {
-        acc[timeKey].pending += bill.total;
+      if (bill.status !== 'cancelled') {
+        stats.pending = roundAmount(stats.pending + bill.outstandingAmount);
       }
       
       return acc;
     }, {});
     
+    // Credit notes reduce the period they were issued in
+    creditNotes.forEach(note => {
+      const stats = getPeriodStats(timeStats, getTimeKey(note.issuedAt, groupBy));
+      stats.credits = roundAmount(stats.credits + note.amount);
+      stats.net = roundAmount(stats.net - note.amount);
+    });
+    
     // Payment method breakdown
     const paymentMethodStats = billing.reduce((acc, bill) => {
       acc[bill.paymentMethod] = (acc[bill.paymentMethod] || 0) + bill.total;
@@ -364,18 +409,9 @@ const getFinancialReports = async (req, res) => {
       return acc;
     }, {});
     
-    const totalRevenue = billing.reduce((sum, bill) => sum + bill.total, 0);
-    const paidRevenue = billing
-      .filter(bill => bill.status === 'paid')
-      .reduce((sum, bill) => sum + bill.total, 0);
-    const pendingRevenue = billing
-      .filter(bill => bill.status === 'pending')
-      .reduce((sum, bill) => sum + bill.total, 0);
-    
     const report = {
-      totalRevenue,
-      paidRevenue,
-      pendingRevenue,
+      ...summarizeRevenue(billing, creditNotes),
+      creditNoteCount: creditNotes.length,
       timeStats,
       paymentMethodStats,
       statusStats,
@@ -389,10 +425,133 @@ const getFinancialReports = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get tax summary report
+ * @route   GET /api/v1/reports/tax
+ * @access  Private
+ */
+const getTaxReports = async (req, res) => {
+  try {
+    const { startDate, endDate, groupBy = 'month' } = req.query;
+    
+    const dateQuery = {};
+    if (startDate && endDate) {
+      dateQuery.issuedAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+    
+    const billing = await Billing.find({ ...dateQuery, status: { $ne: 'draft' } })
+      .select('invoiceNumber items subtotal tax discount total issuedAt')
+      .sort({ issuedAt: 1 });
+    
+    const creditNotes = await CreditNote.findForReport(startDate, endDate)
+      .populate('billing', 'invoiceNumber items subtotal tax discount total');
+    
+    const rateStats = new Map();
+    const getRateStats = ({ taxCategory, rate }) => {
+      const key = `${taxCategory}:${rate}`;
+      if (!rateStats.has(key)) {
+        rateStats.set(key, {
+          taxCategory,
+          rate,
+          label: taxCategory ? taxConfig.rates[taxCategory]?.label || taxCategory : 'Unclassified',
+          invoiceCount: 0,
+          taxableAmount: 0,
+          tax: 0,
+          creditedTaxableAmount: 0,
+          creditedTax: 0
+        });
+      }
+      return rateStats.get(key);
+    };
+    
+    const getPeriodStats = (acc, timeKey) => {
+      if (!acc[timeKey]) {
+        acc[timeKey] = {
+          taxableAmount: 0,
+          tax: 0,
+          creditedTax: 0,
+          netTax: 0
+        };
+      }
+      return acc[timeKey];
+    };
+    
+    // Tax is due in the period the invoice was issued
+    const timeStats = {};
+    billing.forEach(bill => {
+      const period = getPeriodStats(timeStats, getTimeKey(bill.issuedAt, groupBy));
+      
+      bill.getTaxSummary().forEach(entry => {
+        const stats = getRateStats(entry);
+        stats.invoiceCount += 1;
+        stats.taxableAmount = roundAmount(stats.taxableAmount + entry.taxableAmount);
+        stats.tax = roundAmount(stats.tax + entry.tax);
+        
+        period.taxableAmount = roundAmount(period.taxableAmount + entry.taxableAmount);
+        period.tax = roundAmount(period.tax + entry.tax);
+        period.netTax = roundAmount(period.netTax + entry.tax);
+      });
+    });
+    
+    // Credit notes reverse the tax of their bill pro rata, in the period they were issued
+    creditNotes.forEach(note => {
+      if (!note.billing || !(note.billing.total > 0)) return;
+      
+      const share = Math.min(1, note.amount / note.billing.total);
+      const period = getPeriodStats(timeStats, getTimeKey(note.issuedAt, groupBy));
+      
+      note.billing.getTaxSummary().forEach(entry => {
+        const stats = getRateStats(entry);
+        const creditedTax = roundAmount(entry.tax * share);
+        stats.creditedTaxableAmount = roundAmount(stats.creditedTaxableAmount + entry.taxableAmount * share);
+        stats.creditedTax = roundAmount(stats.creditedTax + creditedTax);
+        
+        period.creditedTax = roundAmount(period.creditedTax + creditedTax);
+        period.netTax = roundAmount(period.netTax - creditedTax);
+      });
+    });
+    
+    const rates = [...rateStats.values()]
+      .map(stats => ({
+        ...stats,
+        netTaxableAmount: roundAmount(stats.taxableAmount - stats.creditedTaxableAmount),
+        netTax: roundAmount(stats.tax - stats.creditedTax)
+      }))
+      .sort((a, b) => (b.rate ?? -1) - (a.rate ?? -1));
+    
+    const sum = (field) => roundAmount(rates.reduce((total, stats) => total + stats[field], 0));
+    
+    const report = {
+      period: { startDate, endDate },
+      invoiceCount: billing.length,
+      creditNoteCount: creditNotes.length,
+      totals: {
+        taxableAmount: sum('taxableAmount'),
+        tax: sum('tax'),
+        creditedTaxableAmount: sum('creditedTaxableAmount'),
+        creditedTax: sum('creditedTax'),
+        netTaxableAmount: sum('netTaxableAmount'),
+        netTax: sum('netTax')
+      },
+      rates,
+      timeStats
+    };
+    
+    sendSuccessResponse(res, { report }, 'Tax report generated successfully');
+    
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
 module.exports = {
   getAppointmentReports,
   getBillingReports,
   getPatientReports,
   getDoctorReports,
-  getFinancialReports
+  getFinancialReports,
+  getTaxReports
 };
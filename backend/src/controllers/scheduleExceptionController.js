@@ -0,0 +1,312 @@
+/**
+ * Schedule Exception Controller
+ * Handles doctor time-off and clinic-wide holidays
+ */
+
+const ScheduleException = require('../models/ScheduleException');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { sendToRoom } = require('../websockets/setup');
+const logger = require('../utils/logger');
+
+// Helper function for consistent responses
+const sendSuccessResponse = (res, data, message = 'Success', statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendErrorResponse = (res, error, statusCode = 500) => {
+  logger.error('Schedule Exception Controller Error:', error);
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      message: error.message || 'Internal server error',
+      statusCode
+    }
+  });
+};
+
+// Fields a client may set on an exception
+const EDITABLE_FIELDS = ['type', 'reason', 'startDate', 'endDate', 'startTime', 'endTime'];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Flag booked appointments that now fall inside the exception and notify managers
+const flagAffectedAppointments = async (exception) => {
+  await Appointment.updateMany(
+    { 'scheduleConflict.exception': exception._id },
+    { $unset: { scheduleConflict: 1 } }
+  );
+
+  const affectedAppointments = await exception.findAffectedAppointments();
+
+  if (affectedAppointments.length > 0) {
+    await Appointment.updateMany(
+      { _id: { $in: affectedAppointments.map(appointment => appointment._id) } },
+      { scheduleConflict: { exception: exception._id, flaggedAt: new Date() } }
+    );
+
+    logger.warn(`Schedule exception ${exception._id} overlaps ${affectedAppointments.length} booked appointment(s)`);
+
+    sendToRoom('admin', 'schedule-conflict', {
+      exceptionId: exception._id,
+      type: exception.type,
+      appointmentIds: affectedAppointments.map(appointment => appointment._id)
+    });
+  }
+
+  return affectedAppointments;
+};
+
+// Doctors may only manage their own time-off; users who manage schedules may manage anyone's
+const canManageDoctor = (req, doctorId) => {
+  return req.permissions.includes('manage_schedules') || req.user._id.toString() === doctorId;
+};
+
+/**
+ * @desc    Get doctor time-off
+ * @route   GET /api/v1/doctors/:id/time-off
+ * @access  Private
+ */
+const getDoctorTimeOff = async (req, res) => {
+  try {
+    const { from, to, includeHolidays } = req.query;
+
+    const query = includeHolidays === 'true'
+      ? { $or: [{ doctor: req.params.id }, { scope: 'clinic' }] }
+      : { doctor: req.params.id, scope: 'doctor' };
+    if (from) query.endDate = { $gte: new Date(from) };
+    if (to) query.startDate = { $lte: new Date(to) };
+
+    const timeOff = await ScheduleException.find(query).sort({ startDate: 1 });
+
+    sendSuccessResponse(res, { timeOff }, 'Doctor time-off retrieved successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Add doctor time-off
+ * @route   POST /api/v1/doctors/:id/time-off
+ * @access  Private (Manager or the doctor)
+ */
+const createDoctorTimeOff = async (req, res) => {
+  try {
+    if (!canManageDoctor(req, req.params.id)) {
+      return sendErrorResponse(res, { message: 'You can only manage your own time-off' }, 403);
+    }
+
+    const doctor = await User.findOne({ _id: req.params.id, role: 'doctor' });
+    if (!doctor) {
+      return sendErrorResponse(res, { message: 'Doctor not found' }, 404);
+    }
+
+    const exception = new ScheduleException({
+      ...pickEditableFields(req.body),
+      scope: 'doctor',
+      doctor: doctor._id,
+      createdBy: req.user.id
+    });
+    await exception.save();
+
+    const affectedAppointments = await flagAffectedAppointments(exception);
+
+    sendSuccessResponse(res, { timeOff: exception, affectedAppointments }, 'Doctor time-off added successfully', 201);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendErrorResponse(res, error, 400);
+    }
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Update doctor time-off
+ * @route   PUT /api/v1/doctors/:id/time-off/:exceptionId
+ * @access  Private (Manager or the doctor)
+ */
+const updateDoctorTimeOff = async (req, res) => {
+  try {
+    if (!canManageDoctor(req, req.params.id)) {
+      return sendErrorResponse(res, { message: 'You can only manage your own time-off' }, 403);
+    }
+
+    const exception = await ScheduleException.findOne({
+      _id: req.params.exceptionId,
+      doctor: req.params.id,
+      scope: 'doctor'
+    });
+    if (!exception) {
+      return sendErrorResponse(res, { message: 'Time-off entry not found' }, 404);
+    }
+
+    exception.set(pickEditableFields(req.body));
+    exception.updatedBy = req.user.id;
+    await exception.save();
+
+    const affectedAppointments = await flagAffectedAppointments(exception);
+
+    sendSuccessResponse(res, { timeOff: exception, affectedAppointments }, 'Doctor time-off updated successfully');
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendErrorResponse(res, error, 400);
+    }
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Remove doctor time-off
+ * @route   DELETE /api/v1/doctors/:id/time-off/:exceptionId
+ * @access  Private (Manager or the doctor)
+ */
+const deleteDoctorTimeOff = async (req, res) => {
+  try {
+    if (!canManageDoctor(req, req.params.id)) {
+      return sendErrorResponse(res, { message: 'You can only manage your own time-off' }, 403);
+    }
+
+    const exception = await ScheduleException.findOneAndDelete({
+      _id: req.params.exceptionId,
+      doctor: req.params.id,
+      scope: 'doctor'
+    });
+    if (!exception) {
+      return sendErrorResponse(res, { message: 'Time-off entry not found' }, 404);
+    }
+
+    await Appointment.updateMany(
+      { 'scheduleConflict.exception': exception._id },
+      { $unset: { scheduleConflict: 1 } }
+    );
+
+    sendSuccessResponse(res, {}, 'Doctor time-off removed successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Get clinic holidays
+ * @route   GET /api/v1/admin/holidays
+ * @access  Private (Manager only)
+ */
+const getHolidays = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const query = { scope: 'clinic' };
+    if (from) query.endDate = { $gte: new Date(from) };
+    if (to) query.startDate = { $lte: new Date(to) };
+
+    const holidays = await ScheduleException.find(query).sort({ startDate: 1 });
+
+    sendSuccessResponse(res, { holidays }, 'Holidays retrieved successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Add clinic holiday
+ * @route   POST /api/v1/admin/holidays
+ * @access  Private (Manager only)
+ */
+const createHoliday = async (req, res) => {
+  try {
+    const holiday = new ScheduleException({
+      type: 'public-holiday',
+      ...pickEditableFields(req.body),
+      scope: 'clinic',
+      createdBy: req.user.id
+    });
+    await holiday.save();
+
+    const affectedAppointments = await flagAffectedAppointments(holiday);
+
+    logger.info(`Clinic holiday added by ${req.user.email}: ${holiday.reason || holiday.type}`);
+
+    sendSuccessResponse(res, { holiday, affectedAppointments }, 'Holiday added successfully', 201);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendErrorResponse(res, error, 400);
+    }
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Update clinic holiday
+ * @route   PUT /api/v1/admin/holidays/:id
+ * @access  Private (Manager only)
+ */
+const updateHoliday = async (req, res) => {
+  try {
+    const holiday = await ScheduleException.findOne({ _id: req.params.id, scope: 'clinic' });
+    if (!holiday) {
+      return sendErrorResponse(res, { message: 'Holiday not found' }, 404);
+    }
+
+    holiday.set(pickEditableFields(req.body));
+    holiday.updatedBy = req.user.id;
+    await holiday.save();
+
+    const affectedAppointments = await flagAffectedAppointments(holiday);
+
+    sendSuccessResponse(res, { holiday, affectedAppointments }, 'Holiday updated successfully');
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendErrorResponse(res, error, 400);
+    }
+    sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * @desc    Remove clinic holiday
+ * @route   DELETE /api/v1/admin/holidays/:id
+ * @access  Private (Manager only)
+ */
+const deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await ScheduleException.findOneAndDelete({ _id: req.params.id, scope: 'clinic' });
+    if (!holiday) {
+      return sendErrorResponse(res, { message: 'Holiday not found' }, 404);
+    }
+
+    await Appointment.updateMany(
+      { 'scheduleConflict.exception': holiday._id },
+      { $unset: { scheduleConflict: 1 } }
+    );
+
+    sendSuccessResponse(res, {}, 'Holiday removed successfully');
+
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getDoctorTimeOff,
+  createDoctorTimeOff,
+  updateDoctorTimeOff,
+  deleteDoctorTimeOff,
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday
+};
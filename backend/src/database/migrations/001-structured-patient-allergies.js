@@ -0,0 +1,36 @@
+/**
+ * Convert the free-text Patient.allergies string into structured allergy entries.
+ * The original text is kept in each entry's notes so nothing is lost when parsing is imperfect.
+ */
+
+const mongoose = require('mongoose');
+const { parseLegacyAllergies } = require('../../models/Patient');
+
+module.exports = {
+  description: 'Convert free-text patient allergies to structured entries',
+
+  up: async (db) => {
+    const patients = db.collection('patients');
+    const cursor = patients.find({ allergies: { $type: 'string' } }, { projection: { allergies: 1 } });
+    let converted = 0;
+
+    for await (const patient of cursor) {
+      const now = new Date();
+      const allergies = parseLegacyAllergies(patient.allergies).map(({ allergen }) => ({
+        _id: new mongoose.Types.ObjectId(),
+        allergen,
+        category: 'other',
+        severity: 'unknown',
+        status: 'active',
+        notes: `Migrated from: "${patient.allergies.trim()}"`,
+        createdAt: now,
+        updatedAt: now
+      }));
+
+      await patients.updateOne({ _id: patient._id }, { $set: { allergies } });
+      converted++;
+    }
+
+    return { converted };
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * Seed the document number counters from existing invoices and claims so the first numbers
+ * handed out by the counters continue after the highest existing number of each period.
+ */
+
+const { parseNumber, seedCounter } = require('../../services/sequenceService');
+
+const NUMBERED_COLLECTIONS = [
+  { type: 'invoice', collection: 'billings', field: 'invoiceNumber' },
+  { type: 'claim', collection: 'insuranceclaims', field: 'claimNumber' }
+];
+
+module.exports = {
+  description: 'Seed document number counters from existing invoice and claim numbers',
+
+  up: async (db) => {
+    const result = {};
+
+    for (const { type, collection, field } of NUMBERED_COLLECTIONS) {
+      const highest = new Map();
+      let unmatched = 0;
+
+      const cursor = db.collection(collection).find({ [field]: { $type: 'string' } }, { projection: { [field]: 1 } });
+      for await (const doc of cursor) {
+        const parsed = parseNumber(type, doc[field]);
+        if (!parsed) {
+          unmatched++;
+          continue;
+        }
+        highest.set(parsed.period, Math.max(highest.get(parsed.period) || 0, parsed.seq));
+      }
+
+      for (const [period, seq] of highest) {
+        await seedCounter(type, period, seq);
+      }
+
+      result[type] = { periods: highest.size, unmatched };
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Date every issued bill and let drafts exist without an invoice number: issuedAt is backfilled
+ * from createdAt, and the unique invoice number index only covers bills that have a number.
+ */
+
+const INVOICE_NUMBER_INDEX = 'invoiceNumber_1';
+
+module.exports = {
+  description: 'Backfill bill issue dates and limit the unique invoice number index to numbered bills',
+
+  up: async (db) => {
+    const billings = db.collection('billings');
+
+    const backfill = await billings.updateMany(
+      { status: { $ne: 'draft' }, issuedAt: { $exists: false } },
+      [{ $set: { issuedAt: '$createdAt' } }]
+    );
+
+    const indexes = await billings.indexes();
+    if (indexes.some(index => index.name === INVOICE_NUMBER_INDEX && !index.partialFilterExpression)) {
+      await billings.dropIndex(INVOICE_NUMBER_INDEX);
+    }
+    await billings.createIndex(
+      { invoiceNumber: 1 },
+      { name: INVOICE_NUMBER_INDEX, unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+    );
+    await billings.createIndex({ issuedAt: -1 });
+
+    return { backfilled: backfill.modifiedCount };
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Allow one bill per appointment: bills cancelled before cancellations were dated get their
+ * cancelledAt from updatedAt, then a unique index on appointment and cancelledAt is built. Bills
+ * that are not cancelled have no cancelledAt, so a second one for the same appointment collides.
+ */
+
+const APPOINTMENT_INDEX = 'appointment_1_cancellation.cancelledAt_1';
+
+module.exports = {
+  description: 'Date undated cancellations and allow one bill per appointment that is not cancelled',
+
+  up: async (db) => {
+    const billings = db.collection('billings');
+
+    const backfill = await billings.updateMany(
+      { status: 'cancelled', 'cancellation.cancelledAt': { $exists: false } },
+      [{ $set: { 'cancellation.cancelledAt': '$updatedAt' } }]
+    );
+
+    const duplicates = await billings.aggregate([
+      { $match: { appointment: { $type: 'objectId' }, 'cancellation.cancelledAt': { $exists: false } } },
+      { $group: { _id: '$appointment', count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]).toArray();
+    if (duplicates.length > 0) {
+      throw new Error(`Appointments with more than one bill that is not cancelled; cancel the extra bills first: ${duplicates.map(duplicate => duplicate._id).join(', ')}`);
+    }
+
+    await billings.createIndex(
+      { appointment: 1, 'cancellation.cancelledAt': 1 },
+      { name: APPOINTMENT_INDEX, unique: true, partialFilterExpression: { appointment: { $type: 'objectId' } } }
+    );
+
+    return { backfilled: backfill.modifiedCount };
+  }
+};
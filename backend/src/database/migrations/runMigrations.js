@@ -0,0 +1,57 @@
+/**
+ * Migration Runner
+ * Applies pending migrations in file-name order and records them in the `migrations` collection
+ *
+ * Usage: npm run migrate
+ * Each migration module exports { description, up(db) } and is named NNN-description.js
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { connectDB } = require('../../config/database');
+const logger = require('../../utils/logger');
+
+const MIGRATION_FILE_PATTERN = /^\d{3}-[\w-]+\.js$/;
+
+const getMigrationFiles = () => {
+  return fs.readdirSync(__dirname)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+};
+
+const runMigrations = async () => {
+  const conn = await connectDB();
+  if (!conn) {
+    throw new Error('MONGODB_URI is required to run migrations');
+  }
+
+  const applied = mongoose.connection.db.collection('migrations');
+  const appliedNames = new Set((await applied.find({}).toArray()).map(migration => migration.name));
+  const pending = getMigrationFiles().filter(file => !appliedNames.has(file));
+
+  if (pending.length === 0) {
+    logger.info('No pending migrations');
+    return;
+  }
+
+  for (const file of pending) {
+    const migration = require(path.join(__dirname, file));
+    logger.info(`Running migration ${file}: ${migration.description}`);
+
+    const startedAt = Date.now();
+    const result = await migration.up(mongoose.connection.db);
+
+    await applied.insertOne({ name: file, result, appliedAt: new Date(), durationMs: Date.now() - startedAt });
+    logger.info(`Migration ${file} applied`);
+  }
+};
+
+runMigrations()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -4,6 +4,9 @@
  */
 
 const cron = require('node-cron');
+const { createBackup, applyRetention } = require('../services/backupService');
+const { sendDueReminders } = require('../services/reminderService');
+const { runOverdueSweep } = require('../services/dunningService');
 const logger = require('../utils/logger');
 
 const initScheduledJobs = () => {
@@ -13,8 +16,9 @@ const initScheduledJobs = () => {
   cron.schedule('0 2 * * *', async () => {
     try {
       logger.info('Starting daily database backup...');
-      // TODO: Implement database backup logic
-      logger.info('Daily database backup completed');
+      const backup = await createBackup({ trigger: 'scheduled' });
+      await applyRetention();
+      logger.info(`Daily database backup completed: ${backup.fileName}`);
     } catch (error) {
       logger.error('Database backup failed:', error);
     }
@@ -39,8 +43,8 @@ const initScheduledJobs = () => {
   cron.schedule('0 * * * *', async () => {
     try {
       logger.info('Sending appointment reminders...');
-      // TODO: Implement appointment reminder logic
-      logger.info('Appointment reminders sent');
+      const { due, sent, failed, abandoned } = await sendDueReminders();
+      logger.info(`Appointment reminders sent: ${sent} of ${due} due, ${failed} failed (${abandoned} abandoned)`);
     } catch (error) {
       logger.error('Appointment reminders failed:', error);
     }
@@ -48,6 +52,19 @@ const initScheduledJobs = () => {
     timezone: process.env.TIMEZONE || 'UTC'
   });
 
+  // Mark overdue bills and send payment reminders daily at 8 AM
+  cron.schedule('0 8 * * *', async () => {
+    try {
+      logger.info('Running overdue billing sweep...');
+      const { markedOverdue, due, sent, optedOut, undeliverable, failed } = await runOverdueSweep();
+      logger.info(`Overdue sweep: ${markedOverdue} bills marked overdue, payment reminders sent: ${sent} of ${due} due, ${optedOut} opted out, ${undeliverable} undeliverable, ${failed} failed`);
+    } catch (error) {
+      logger.error('Overdue billing sweep failed:', error);
+    }
+  }, {
+    timezone: process.env.TIMEZONE || 'UTC'
+  });
+
   // Weekly report generation on Sundays at 6 AM
   cron.schedule('0 6 * * 0', async () => {
     try {
@@ -0,0 +1,36 @@
+/**
+ * Audit Context Middleware
+ * Makes the current request available to the audit plugin through AsyncLocalStorage,
+ * so model hooks can record who made a change without threading req through services
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const auditContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+// Actor and request details for the change being made, empty outside a request
+const getAuditContext = () => {
+  const req = storage.getStore()?.req;
+  if (!req) return {};
+
+  return {
+    actor: req.user ? {
+      user: req.user._id || req.user.id,
+      email: req.user.email,
+      role: req.user.role
+    } : undefined,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    method: req.method,
+    path: req.originalUrl
+  };
+};
+
+module.exports = {
+  auditContext,
+  getAuditContext
+};
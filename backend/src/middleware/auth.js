@@ -7,6 +7,10 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 const authConfig = require('../config/auth');
+const { verifyChallenge } = require('../services/twoFactorService');
+const { isSessionActive } = require('../services/authSessionService');
+const { notifyLoginThrottled } = require('../services/lockoutService');
+const { getEffectivePermissions } = require('../services/permissionService');
 
 // Enhanced token verification with multiple sources
 const getTokenFromRequest = (req) => {
@@ -91,6 +95,18 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Check the device has not been signed out
+    if (decoded.sid && !await isSessionActive(decoded.sid)) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Session has been signed out',
+          statusCode: 401,
+          type: 'SessionRevokedError'
+        }
+      });
+    }
+
     // Add user and token info to request object
     req.user = user;
     req.token = decoded;
@@ -173,9 +189,10 @@ const requireManager = authorize('manager');
 const requireDoctor = authorize('doctor');
 const requireSecretary = authorize('secretary');
 
-// Permission-based authorization
-const requirePermission = (permission) => {
-  return (req, res, next) => {
+// Permission-based authorization: the user needs every listed permission, from their
+// role in the security policy matrix or granted to them personally
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -187,20 +204,37 @@ const requirePermission = (permission) => {
       });
     }
 
-    // Check if user has the required permission
-    if (!req.user.permissions || !req.user.permissions.includes(permission)) {
-      logger.security(`Permission denied: User ${req.user.email} attempted to access ${permission}`);
-      return res.status(403).json({
+    try {
+      const effective = await getEffectivePermissions(req.user);
+      const missing = permissions.filter(permission => !effective.includes(permission));
+
+      // Check if user has the required permissions
+      if (missing.length > 0) {
+        logger.security(`Permission denied: User ${req.user.email} lacks ${missing.join(', ')} for ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Insufficient permissions',
+            statusCode: 403,
+            type: 'AuthorizationError'
+          }
+        });
+      }
+
+      // Available to handlers that vary what they return by permission
+      req.permissions = effective;
+      next();
+    } catch (error) {
+      logger.error('Permission check error:', error);
+      res.status(500).json({
         success: false,
         error: {
-          message: 'Insufficient permissions',
-          statusCode: 403,
+          message: 'Authorization error',
+          statusCode: 500,
           type: 'AuthorizationError'
         }
       });
     }
-
-    next();
   };
 };
 
@@ -233,6 +267,38 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Two-factor enrollment: signed-in users, or users whose login is waiting on the enrollment the policy requires
+const authenticateTwoFactorEnrollment = async (req, res, next) => {
+  const { challengeToken } = req.body;
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallenge(challengeToken, 'enroll');
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user || !user.isActive) {
+      throw new Error('User not found or deactivated');
+    }
+
+    req.user = user;
+    req.twoFactorChallenge = decoded;
+    next();
+
+  } catch (error) {
+    logger.security(`Two-factor enrollment challenge rejected: ${error.message}`);
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Invalid or expired challenge token; sign in again',
+        statusCode: 401,
+        type: 'InvalidTokenError'
+      }
+    });
+  }
+};
+
 // Rate limiting for authentication endpoints
 const authRateLimit = require('express-rate-limit')({
   windowMs: authConfig.rateLimit.windowMs,
@@ -245,6 +311,33 @@ const authRateLimit = require('express-rate-limit')({
   }
 });
 
+// Per-IP limit on failed logins across all accounts; successful logins are not counted
+const loginThrottle = require('express-rate-limit')({
+  windowMs: authConfig.account.ipThrottle.windowMs,
+  max: authConfig.account.ipThrottle.maxFailures,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress;
+  },
+  handler: (req, res, next, options) => {
+    // Alert managers once per window, on the first refused attempt
+    if (req.rateLimit.current === options.max + 1) {
+      notifyLoginThrottled(req);
+    }
+    res.status(429).json({
+      success: false,
+      error: {
+        message: 'Too many failed login attempts from this address, please try again later',
+        statusCode: 429,
+        type: 'RateLimitError',
+        retryAfter: Math.ceil(options.windowMs / 1000)
+      }
+    });
+  }
+});
+
 // Session validation middleware
 const validateSession = (req, res, next) => {
   if (!req.session || !req.session.userId) {
@@ -269,7 +362,9 @@ module.exports = {
   requireSecretary,
   requirePermission,
   optionalAuth,
+  authenticateTwoFactorEnrollment,
   authRateLimit,
+  loginThrottle,
   validateSession,
   getTokenFromRequest
 };
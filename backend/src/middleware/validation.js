@@ -3,7 +3,8 @@
  * Handles request validation errors from express-validator
  */
 
-const { validationResult } = require('express-validator');
+const { body, validationResult } = require('express-validator');
+const { getPasswordPolicyErrors, describePolicyErrors } = require('../services/passwordService');
 const logger = require('../utils/logger');
 
 const validateRequest = (req, res, next) => {
@@ -37,6 +38,17 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Password policy from config/security.js, for every field that sets a password
+const passwordPolicyValidation = (field = 'password') => body(field)
+  .custom((value) => {
+    const errors = getPasswordPolicyErrors(value);
+    if (errors.length > 0) {
+      throw new Error(describePolicyErrors(errors));
+    }
+    return true;
+  });
+
 module.exports = {
-  validateRequest
+  validateRequest,
+  passwordPolicyValidation
 };
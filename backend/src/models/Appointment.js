@@ -4,6 +4,13 @@
  */
 
 const mongoose = require('mongoose');
+const { toMinutes, calendarDayStart, calendarDayEnd, intervalsOverlap } = require('../utils/timeUtils');
+const auditPlugin = require('./plugins/auditPlugin');
+
+// Statuses that occupy a doctor's time slot
+const BLOCKING_STATUSES = ['scheduled', 'confirmed'];
+
+const APPOINTMENT_TYPES = ['consultation', 'follow-up', 'emergency', 'routine', 'specialist'];
 
 const appointmentSchema = new mongoose.Schema({
   // Patient Information
@@ -42,7 +49,7 @@ const appointmentSchema = new mongoose.Schema({
   // Appointment Type and Status
   type: {
     type: String,
-    enum: ['consultation', 'follow-up', 'emergency', 'routine', 'specialist'],
+    enum: APPOINTMENT_TYPES,
     default: 'consultation'
   },
   
@@ -90,6 +97,51 @@ const appointmentSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Scheduling Information
+  doubleBookingOverride: {
+    type: Boolean,
+    default: false // true when a manager intentionally double-booked the doctor
+  },
+  
+  // Set when doctor time-off or a holiday is added over this booking
+  scheduleConflict: {
+    exception: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduleException'
+    },
+    flaggedAt: {
+      type: Date
+    }
+  },
+  
+  // Recurring Series Information
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // shared by every occurrence of a recurring series
+  },
+  
+  seriesOccurrence: {
+    type: Number,
+    min: [1, 'Series occurrence must be at least 1']
+  },
+  
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly']
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Recurrence interval must be at least 1']
+    },
+    count: {
+      type: Number
+    },
+    until: {
+      type: Date
+    }
+  },
+  
   // Financial Information
   cost: {
     type: Number,
@@ -111,6 +163,12 @@ const appointmentSchema = new mongoose.Schema({
   reminderDate: {
     type: Date
   },
+
+  // Runs in which every reminder channel failed; retries stop at the service's limit
+  reminderAttempts: {
+    type: Number,
+    default: 0
+  },
   
   // Created and Updated Information
   createdBy: {
@@ -181,6 +239,7 @@ appointmentSchema.index({ appointmentDate: 1 });
 appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ createdBy: 1 });
 appointmentSchema.index({ createdAt: -1 });
+appointmentSchema.index({ seriesId: 1, seriesOccurrence: 1 });
 
 // Compound indexes
 appointmentSchema.index({ doctor: 1, appointmentDate: 1 });
@@ -251,35 +310,45 @@ appointmentSchema.statics.findUpcoming = function(patientId = null, limit = 10)
     .limit(limit);
 };
 
-// Instance method to check for conflicts
-appointmentSchema.methods.hasConflict = async function() {
-  const startTime = this.fullDateTime;
-  const endTime = new Date(startTime.getTime() + this.duration * 60000);
+// Static method to find appointments overlapping a doctor's time slot
+appointmentSchema.statics.findConflicting = async function({ doctor, appointmentDate, appointmentTime, duration = 30, excludeId = null }) {
+  const startMinutes = toMinutes(appointmentTime);
+  const endMinutes = startMinutes + duration;
+  
+  const query = {
+    doctor,
+    appointmentDate: { $gte: calendarDayStart(appointmentDate), $lt: calendarDayEnd(appointmentDate) },
+    status: { $in: BLOCKING_STATUSES }
+  };
+  
+  if (excludeId) query._id = { $ne: excludeId };
+  
+  const sameDayAppointments = await this.find(query)
+    .populate('patient', 'name nationalId phone')
+    .sort({ appointmentTime: 1 });
   
-  const conflictingAppointment = await this.constructor.findOne({
+  return sameDayAppointments.filter(appointment => {
+    const otherStart = toMinutes(appointment.appointmentTime);
+    const otherEnd = otherStart + (appointment.duration || 30);
+    return intervalsOverlap(startMinutes, endMinutes, otherStart, otherEnd);
+  });
+};
+
+// Instance method to find all conflicting appointments
+appointmentSchema.methods.findConflicts = function() {
+  return this.constructor.findConflicting({
     doctor: this.doctor,
-    _id: { $ne: this._id },
     appointmentDate: this.appointmentDate,
-    status: { $in: ['scheduled', 'confirmed'] },
-    $or: [
-      {
-        appointmentTime: {
-          $lt: this.endTime,
-          $gte: this.appointmentTime
-        }
-      },
-      {
-        $expr: {
-          $and: [
-            { $lt: ['$appointmentTime', this.endTime] },
-            { $gte: ['$appointmentTime', this.appointmentTime] }
-          ]
-        }
-      }
-    ]
+    appointmentTime: this.appointmentTime,
+    duration: this.duration,
+    excludeId: this._id
   });
-  
-  return conflictingAppointment;
+};
+
+// Instance method to check for conflicts
+appointmentSchema.methods.hasConflict = async function() {
+  const conflicts = await this.findConflicts();
+  return conflicts[0] || null;
 };
 
 // Instance method to update status
@@ -289,4 +358,9 @@ appointmentSchema.methods.updateStatus = function(newStatus, updatedBy) {
   return this.save();
 };
 
+// Audit trail of every change
+appointmentSchema.plugin(auditPlugin, { entity: 'Appointment', exclude: ['reminderDate', 'reminderAttempts'] });
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
+module.exports.BLOCKING_STATUSES = BLOCKING_STATUSES;
+module.exports.APPOINTMENT_TYPES = APPOINTMENT_TYPES;
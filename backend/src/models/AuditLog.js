@@ -0,0 +1,63 @@
+/**
+ * Audit Log Model
+ * Who changed which clinical or financial record, when, and how
+ */
+
+const mongoose = require('mongoose');
+
+const AUDITED_ENTITIES = ['Patient', 'Appointment', 'Billing', 'Prescription', 'User', 'Insurer', 'InsuranceClaim', 'CreditNote', 'CatalogItem', 'CashSession', 'SecurityPolicy'];
+
+const auditLogSchema = new mongoose.Schema({
+  // Changed Record
+  entity: {
+    type: String,
+    enum: AUDITED_ENTITIES,
+    required: true
+  },
+
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+
+  changes: [{
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    _id: false
+  }],
+
+  // Actor Information (empty for system jobs)
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String
+  },
+
+  // Request Information
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDITED_ENTITIES = AUDITED_ENTITIES;
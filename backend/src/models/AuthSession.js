@@ -0,0 +1,66 @@
+/**
+ * Auth Session Model
+ * Signed-in devices; each holds the one refresh token of its rotation family that is still valid
+ */
+
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'signed-out-remotely', 'signed-out-everywhere', 'token-reuse', 'password-changed'];
+
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the current refresh token; presenting an older token of the family is reuse
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Device details from the request that signed in or last refreshed
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // When the current refresh token expires; the session is removed then
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+authSessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Revoked sessions stay until expiry so a stolen token is still recognised as reuse
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still refresh
+authSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
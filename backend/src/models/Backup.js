@@ -0,0 +1,111 @@
+/**
+ * Backup Model
+ * History of database backup archives and the restores run from them
+ */
+
+const mongoose = require('mongoose');
+
+const backupSchema = new mongoose.Schema({
+  // Archive Information
+  fileName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  filePath: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'expired'],
+    default: 'running'
+  },
+
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual', 'pre-restore'],
+    default: 'manual'
+  },
+
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+
+  // Contents and Integrity
+  collections: [{
+    name: String,
+    count: Number,
+    _id: false
+  }],
+
+  size: {
+    type: Number, // bytes on disk
+    default: 0
+  },
+
+  checksum: {
+    type: String // sha256 of the archive file
+  },
+
+  durationMs: {
+    type: Number
+  },
+
+  error: {
+    type: String
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  completedAt: {
+    type: Date
+  },
+
+  // Restore History
+  restores: [{
+    dryRun: Boolean,
+    succeeded: Boolean,
+    collections: [{
+      name: String,
+      count: Number,
+      invalid: Number,
+      _id: false
+    }],
+    error: String,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    performedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Created Information
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for total number of archived documents
+backupSchema.virtual('documentCount').get(function() {
+  return (this.collections || []).reduce((total, collection) => total + collection.count, 0);
+});
+
+// Indexes for better performance
+backupSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Backup', backupSchema);
@@ -4,13 +4,101 @@
  */
 
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+const numberingPlugin = require('./plugins/numberingPlugin');
+const taxConfig = require('../config/tax');
+const billingConfig = require('../config/billing');
+const logger = require('../utils/logger');
+
+const PAYMENT_METHODS = ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'insurance', 'other'];
+
+// Amounts are kept to the cent so ledger sums compare exactly
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Appointment payment status matching each bill status
+const APPOINTMENT_PAYMENT_STATUS = {
+  draft: 'pending',
+  pending: 'pending',
+  overdue: 'pending',
+  partial: 'partial',
+  paid: 'paid',
+  cancelled: 'waived'
+};
+
+const ledgerError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Ledger entry: money received (payment) or returned (refund); mistakes are voided, never deleted
+const paymentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['payment', 'refund'],
+    default: 'payment'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be greater than zero']
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Payment reference cannot exceed 100 characters']
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Drawer session the money went through, for desk payment methods
+  cashSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashSession'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Payment notes cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'voided'],
+    default: 'completed'
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: Date,
+  voidReason: {
+    type: String,
+    maxlength: [500, 'Void reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
 
 const billingSchema = new mongoose.Schema({
-  // Invoice Information
+  // Invoice Information; drafts get their number when they are issued
   invoiceNumber: {
     type: String,
-    required: true
+    required: function() { return this.status !== 'draft'; }
   },
+  issuedAt: Date,
   
   // Patient Information
   patient: {
@@ -25,12 +113,27 @@ const billingSchema = new mongoose.Schema({
     ref: 'Appointment'
   },
   
+  // Doctor whose catalog prices apply
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
   // Billing Items
   items: [{
+    // Set when the item was filled in from the service catalog
+    serviceCode: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
     description: {
       type: String,
       required: [true, 'Item description is required']
     },
+    descriptionAr: {
+      type: String
+    },
     quantity: {
       type: Number,
       required: [true, 'Quantity is required'],
@@ -45,6 +148,20 @@ const billingSchema = new mongoose.Schema({
       type: Number,
       required: [true, 'Item total is required'],
       min: [0, 'Item total cannot be negative']
+    },
+    taxCategory: {
+      type: String,
+      enum: taxConfig.categories
+    },
+    // Percentage in force when the line was added
+    taxRate: {
+      type: Number,
+      min: [0, 'Tax rate cannot be negative']
+    },
+    tax: {
+      type: Number,
+      default: 0,
+      min: [0, 'Item tax cannot be negative']
     }
   }],
   
@@ -55,6 +172,7 @@ const billingSchema = new mongoose.Schema({
     min: [0, 'Subtotal cannot be negative']
   },
   
+  // Sum of the line item taxes
   tax: {
     type: Number,
     default: 0,
@@ -73,16 +191,16 @@ const billingSchema = new mongoose.Schema({
     min: [0, 'Total cannot be negative']
   },
   
-  // Payment Information
+  // Payment Information; draft bills are not yet issued to the patient
   status: {
     type: String,
-    enum: ['pending', 'paid', 'partial', 'overdue', 'cancelled'],
+    enum: ['draft', 'pending', 'paid', 'partial', 'overdue', 'cancelled'],
     default: 'pending'
   },
   
   paymentMethod: {
     type: String,
-    enum: ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'insurance', 'other'],
+    enum: PAYMENT_METHODS,
     default: 'cash'
   },
   
@@ -90,6 +208,28 @@ const billingSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Payment ledger; status, amountPaid and outstandingAmount are derived from it
+  payments: [paymentSchema],
+  
+  // Sum of credit notes issued against this invoice
+  creditedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credited amount cannot be negative']
+  },
+  
+  cancellation: {
+    reason: {
+      type: String,
+      maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
+  
   dueDate: {
     type: Date,
     required: [true, 'Due date is required']
@@ -131,24 +271,33 @@ const billingSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
-// Virtual for amount paid
+// Virtual for amount paid: completed payments less completed refunds
 billingSchema.virtual('amountPaid').get(function() {
-  if (this.status === 'paid') {
-    return this.total;
-  } else if (this.status === 'partial') {
-    // This would need to be calculated based on payment history
-    return 0;
+  const completed = (this.payments || []).filter(entry => entry.status === 'completed');
+  
+  // Records settled before the ledger existed have no entries
+  if (completed.length === 0) {
+    return this.status === 'paid' && (this.payments || []).length === 0 ? this.total : 0;
   }
-  return 0;
+  
+  return roundAmount(completed.reduce((sum, entry) => (
+    entry.type === 'refund' ? sum - entry.amount : sum + entry.amount
+  ), 0));
+});
+
+// Virtual for the invoice total after credit notes
+billingSchema.virtual('netTotal').get(function() {
+  return roundAmount(this.total - (this.creditedAmount || 0));
 });
 
 // Virtual for outstanding amount
 billingSchema.virtual('outstandingAmount').get(function() {
-  return this.total - this.amountPaid;
+  return roundAmount(this.netTotal - this.amountPaid);
 });
 
 // Virtual for days overdue
@@ -175,42 +324,62 @@ billingSchema.virtual('isOverdue').get(function() {
 
 // Indexes for better performance
 billingSchema.index({ patient: 1 });
-billingSchema.index({ appointment: 1 });
+// One bill per appointment: bills that are not cancelled have no cancelledAt and so collide
+billingSchema.index(
+  { appointment: 1, 'cancellation.cancelledAt': 1 },
+  { unique: true, partialFilterExpression: { appointment: { $type: 'objectId' } } }
+);
 billingSchema.index({ status: 1 });
 billingSchema.index({ dueDate: 1 });
 billingSchema.index({ createdBy: 1 });
 billingSchema.index({ createdAt: -1 });
-billingSchema.index({ invoiceNumber: 1 }, { unique: true });
+billingSchema.index({ invoiceNumber: 1 }, { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } });
+billingSchema.index({ issuedAt: -1 });
 
 // Compound indexes
 billingSchema.index({ patient: 1, status: 1 });
 billingSchema.index({ status: 1, dueDate: 1 });
 billingSchema.index({ createdBy: 1, createdAt: -1 });
+billingSchema.index({ 'payments.cashSession': 1 });
 
-// Pre-save middleware to generate invoice number
-billingSchema.pre('save', async function(next) {
-  if (this.isNew && !this.invoiceNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    
-    // Get count of invoices for this month
-    const count = await this.constructor.countDocuments({
-      createdAt: {
-        $gte: new Date(year, date.getMonth(), 1),
-        $lt: new Date(year, date.getMonth() + 1, 1)
+// Pre-validate middleware to calculate line totals, line taxes and bill totals
+billingSchema.pre('validate', function(next) {
+  // Calculate totals if items or the discount are modified
+  if (this.isModified('items') || this.isModified('discount')) {
+    for (const item of this.items) {
+      item.total = roundAmount(item.quantity * item.unitPrice);
+      if (!item.taxCategory) item.taxCategory = taxConfig.defaultCategory;
+      // Lines keep their rate so later rate changes leave issued bills alone
+      if (item.taxRate === undefined || item.isNew || item.isModified('taxCategory')) {
+        item.taxRate = taxConfig.rates[item.taxCategory]?.rate ?? 0;
       }
-    });
+      item.tax = roundAmount(item.total * item.taxRate / 100);
+    }
     
-    this.invoiceNumber = `INV-${year}${month}-${String(count + 1).padStart(4, '0')}`;
+    this.subtotal = roundAmount(this.items.reduce((sum, item) => sum + item.total, 0));
+    this.tax = roundAmount(this.items.reduce((sum, item) => sum + item.tax, 0));
+    if (this.discount > this.subtotal + this.tax) {
+      return next(ledgerError(`Discount cannot exceed the bill amount of ${roundAmount(this.subtotal + this.tax)}`));
+    }
+    this.total = roundAmount(this.subtotal + this.tax - this.discount);
   }
   
-  // Calculate totals if items are modified
-  if (this.isModified('items')) {
-    this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
-    this.total = this.subtotal + this.tax - this.discount;
+  next();
+});
+
+// Pre-validate middleware to date bills created already issued
+billingSchema.pre('validate', function(next) {
+  if (this.status !== 'draft' && !this.issuedAt) {
+    this.issuedAt = this.createdAt || new Date();
+  }
+  next();
+});
+
+// Pre-save middleware to derive payment status from the ledger
+billingSchema.pre('save', function(next) {
+  if (this.payments.length > 0 && ['payments', 'total', 'creditedAmount'].some(path => this.isModified(path))) {
+    this.syncPaymentStatus();
   }
-  
   next();
 });
 
@@ -228,6 +397,27 @@ billingSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to note changes the linked appointment mirrors
+billingSchema.pre('save', function(next) {
+  this.$locals.syncAppointment = Boolean(this.appointment) &&
+    (this.isNew || ['status', 'total', 'appointment'].some(path => this.isModified(path)));
+  next();
+});
+
+// Post-save middleware to keep the appointment's cost and payment status in line with its bill
+billingSchema.post('save', async function(doc) {
+  if (!doc.$locals.syncAppointment) return;
+  
+  try {
+    await mongoose.model('Appointment').updateOne(
+      { _id: doc.appointment },
+      { cost: doc.total, paymentStatus: APPOINTMENT_PAYMENT_STATUS[doc.status] }
+    );
+  } catch (error) {
+    logger.error(`Failed to sync appointment ${doc.appointment} with bill ${doc.invoiceNumber}:`, error);
+  }
+});
+
 // Static method to find overdue bills
 billingSchema.statics.findOverdue = function() {
   const today = new Date();
@@ -237,6 +427,16 @@ billingSchema.statics.findOverdue = function() {
   }).populate('patient', 'name nationalId phone');
 };
 
+// Static method to move pending bills past their due date to overdue
+// The linked appointments need no sync: both statuses read as pending there
+billingSchema.statics.markOverdue = async function(asOf = new Date()) {
+  const result = await this.updateMany(
+    { status: 'pending', dueDate: { $lt: asOf } },
+    { status: 'overdue' }
+  );
+  return result.modifiedCount;
+};
+
 // Static method to find bills by date range
 billingSchema.statics.findByDateRange = function(startDate, endDate, status = null) {
   const query = {
@@ -278,23 +478,277 @@ billingSchema.statics.getStatistics = async function(startDate, endDate) {
   return stats;
 };
 
+// Instance method splitting the total after credit notes between insurer and patient by coverage percentage
+billingSchema.methods.getInsuranceSplit = function(coverage = this.insuranceCoverage || 0) {
+  const insuranceShare = roundAmount(this.netTotal * coverage / 100);
+  return { coverage, insuranceShare, patientShare: roundAmount(this.netTotal - insuranceShare) };
+};
+
+// Instance method summarising tax per category and rate; lines from before tax categories are grouped without one
+billingSchema.methods.getTaxSummary = function() {
+  const summary = new Map();
+  let untaxedAmount = 0;
+  let classifiedTax = 0;
+  
+  for (const item of this.items) {
+    if (!item.taxCategory) {
+      untaxedAmount += item.total;
+      continue;
+    }
+    
+    const key = `${item.taxCategory}:${item.taxRate}`;
+    if (!summary.has(key)) {
+      summary.set(key, { taxCategory: item.taxCategory, rate: item.taxRate, taxableAmount: 0, tax: 0 });
+    }
+    const entry = summary.get(key);
+    entry.taxableAmount = roundAmount(entry.taxableAmount + item.total);
+    entry.tax = roundAmount(entry.tax + item.tax);
+    classifiedTax += item.tax;
+  }
+  
+  const rows = [...summary.values()].sort((a, b) => b.rate - a.rate);
+  if (untaxedAmount > 0 || this.tax > roundAmount(classifiedTax)) {
+    rows.push({ taxCategory: null, rate: null, taxableAmount: roundAmount(untaxedAmount), tax: roundAmount(this.tax - classifiedTax) });
+  }
+  return rows;
+};
+
+// Instance method to derive status, payment method and date from the ledger
+billingSchema.methods.syncPaymentStatus = function() {
+  if (['draft', 'cancelled'].includes(this.status)) return this;
+  
+  const amountPaid = this.amountPaid;
+  const payments = this.payments
+    .filter(entry => entry.type === 'payment' && entry.status === 'completed')
+    .sort((a, b) => a.date - b.date);
+  const lastPayment = payments[payments.length - 1];
+  
+  if (amountPaid > 0 && amountPaid >= this.netTotal) {
+    this.status = 'paid';
+  } else if (amountPaid > 0) {
+    this.status = 'partial';
+  } else {
+    this.status = this.dueDate && new Date() > new Date(this.dueDate) ? 'overdue' : 'pending';
+  }
+  
+  if (lastPayment) this.paymentMethod = lastPayment.method;
+  this.paymentDate = this.status === 'paid' && lastPayment ? lastPayment.date : undefined;
+  
+  return this;
+};
+
+// Instance method to record a payment against the outstanding amount
+billingSchema.methods.recordPayment = function({ amount, method, reference, date, notes, receivedBy, cashSession }) {
+  if (this.status === 'cancelled') {
+    throw ledgerError('Cannot record payments on a cancelled bill', 409);
+  }
+  if (this.status === 'draft') {
+    throw ledgerError('Issue the draft bill before recording payments', 409);
+  }
+  
+  const value = roundAmount(amount);
+  if (value > this.outstandingAmount) {
+    throw ledgerError(`Payment of ${value} exceeds the outstanding amount of ${this.outstandingAmount}`);
+  }
+  
+  this.payments.push({ type: 'payment', amount: value, method, reference, date: date || new Date(), notes, receivedBy, cashSession });
+  return this.payments[this.payments.length - 1];
+};
+
+// Instance method to refund part or all of a payment
+billingSchema.methods.refundPayment = function(paymentId, { amount, method, reference, notes, receivedBy, cashSession }) {
+  const payment = this.payments.id(paymentId);
+  if (!payment || payment.type !== 'payment') {
+    throw ledgerError('Payment not found', 404);
+  }
+  if (payment.status === 'voided') {
+    throw ledgerError('Cannot refund a voided payment', 409);
+  }
+  
+  const refunded = this.payments
+    .filter(entry => entry.type === 'refund' && entry.status === 'completed' && String(entry.refundOf) === String(payment._id))
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  const refundable = roundAmount(payment.amount - refunded);
+  const value = amount === undefined ? refundable : roundAmount(amount);
+  
+  if (refundable <= 0) {
+    throw ledgerError('Payment has already been fully refunded', 409);
+  }
+  if (value > refundable) {
+    throw ledgerError(`Refund of ${value} exceeds the refundable amount of ${refundable}`);
+  }
+  
+  this.payments.push({
+    type: 'refund',
+    amount: value,
+    method: method || payment.method,
+    reference,
+    notes,
+    refundOf: payment._id,
+    receivedBy,
+    cashSession
+  });
+  return this.payments[this.payments.length - 1];
+};
+
+// Instance method to void a ledger entry recorded in error
+billingSchema.methods.voidPayment = function(paymentId, { reason, voidedBy }) {
+  const entry = this.payments.id(paymentId);
+  if (!entry) {
+    throw ledgerError('Payment not found', 404);
+  }
+  if (entry.status === 'voided') {
+    throw ledgerError('Payment is already voided', 409);
+  }
+  
+  const hasRefunds = this.payments.some(other => (
+    other.status === 'completed' && String(other.refundOf) === String(entry._id)
+  ));
+  if (hasRefunds) {
+    throw ledgerError('Void the refunds of this payment first', 409);
+  }
+  
+  entry.status = 'voided';
+  entry.voidedBy = voidedBy;
+  entry.voidedAt = new Date();
+  entry.voidReason = reason;
+  return entry;
+};
+
+/**
+ * Instance method to move the bill to a requested status consistently with the ledger:
+ * 'paid' records the outstanding balance as a payment, other statuses must match what
+ * the ledger already shows
+ */
+billingSchema.methods.reconcileStatus = function(status, { paymentMethod, paymentDate, receivedBy, cashSession } = {}) {
+  const amountPaid = this.amountPaid;
+  
+  if (this.status === 'cancelled') {
+    throw ledgerError('Cancelled bills cannot be reopened', 409);
+  }
+  if (this.status === 'draft') {
+    throw ledgerError('Issue the draft bill before changing its payment status', 409);
+  }
+  if (status === 'cancelled') {
+    throw ledgerError('Cancel the bill through its cancellation endpoint so a credit note is issued', 409);
+  }
+  
+  if (status === 'paid') {
+    if (this.outstandingAmount > 0) {
+      this.recordPayment({
+        amount: this.outstandingAmount,
+        method: paymentMethod || this.paymentMethod,
+        date: paymentDate,
+        notes: 'Recorded when marking the bill as paid',
+        receivedBy,
+        cashSession
+      });
+    }
+    return this.syncPaymentStatus();
+  }
+  
+  if (status === 'partial' && (amountPaid <= 0 || amountPaid >= this.netTotal)) {
+    throw ledgerError('A bill is only partially paid once payments cover part of the total; record them through the payments ledger', 409);
+  }
+  
+  if (['pending', 'overdue'].includes(status) && amountPaid > 0) {
+    throw ledgerError(`Cannot mark a bill with ${amountPaid} paid as ${status}; refund or void its payments first`, 409);
+  }
+  
+  this.status = status;
+  if (paymentMethod) this.paymentMethod = paymentMethod;
+  return this.syncPaymentStatus();
+};
+
+/**
+ * Instance method to credit part of the unpaid balance; the matching CreditNote is created by the caller.
+ * Crediting the whole invoice cancels it.
+ * @returns {Object} { type: 'full' | 'partial', amount } with the amount rounded to the cent
+ */
+billingSchema.methods.applyCredit = function(amount, { reason, userId }) {
+  if (this.status === 'cancelled') {
+    throw ledgerError('Bill is already cancelled', 409);
+  }
+  if (this.status === 'draft') {
+    throw ledgerError('A draft bill has no invoice to credit; change its items or cancel it', 409);
+  }
+  
+  const value = roundAmount(amount);
+  if (value > this.outstandingAmount) {
+    throw ledgerError(`Credit of ${value} exceeds the unpaid balance of ${this.outstandingAmount}; refund payments first`);
+  }
+  
+  this.creditedAmount = roundAmount((this.creditedAmount || 0) + value);
+  this.updatedBy = userId;
+  
+  if (this.creditedAmount >= this.total) {
+    this.status = 'cancelled';
+    this.cancellation = { reason, cancelledBy: userId, cancelledAt: new Date() };
+    return { type: 'full', amount: value };
+  }
+  
+  this.syncPaymentStatus();
+  return { type: 'partial', amount: value };
+};
+
+/**
+ * Instance method to cancel the bill, crediting whatever has not been credited yet
+ * @returns {Number} Amount the cancellation credit note must cover (0 when nothing is left)
+ */
+billingSchema.methods.cancel = function({ reason, userId }) {
+  if (this.status === 'cancelled') {
+    throw ledgerError('Bill is already cancelled', 409);
+  }
+  if (this.amountPaid > 0) {
+    throw ledgerError(`Cannot cancel a bill with ${this.amountPaid} paid; refund or void its payments first`, 409);
+  }
+  
+  // A draft was never issued, so there is no invoice to credit
+  const remaining = this.status === 'draft' ? 0 : this.netTotal;
+  if (remaining > 0) {
+    this.applyCredit(remaining, { reason, userId });
+  }
+  
+  this.status = 'cancelled';
+  this.cancellation = { reason, cancelledBy: userId, cancelledAt: new Date() };
+  this.updatedBy = userId;
+  return remaining;
+};
+
+/**
+ * Instance method to issue a draft bill to the patient. The invoice number is allocated when the
+ * bill is then saved with saveNumbered(), so numbers follow issue order without gaps from drafts.
+ */
+billingSchema.methods.issue = function({ dueDate, userId } = {}) {
+  if (this.status !== 'draft') {
+    throw ledgerError(`Only draft bills can be issued; bill is ${this.status}`, 409);
+  }
+  
+  const issuedAt = new Date();
+  this.issuedAt = issuedAt;
+  this.dueDate = dueDate || new Date(issuedAt.getTime() + billingConfig.paymentTermsDays * 24 * 60 * 60 * 1000);
+  this.status = 'pending';
+  this.updatedBy = userId;
+  return this.syncPaymentStatus();
+};
+
 // Instance method to mark as paid
-billingSchema.methods.markAsPaid = function(paymentMethod, paymentDate = new Date()) {
-  this.status = 'paid';
-  this.paymentMethod = paymentMethod;
-  this.paymentDate = paymentDate;
+billingSchema.methods.markAsPaid = function(paymentMethod, paymentDate = new Date(), receivedBy = this.updatedBy || this.createdBy) {
+  this.reconcileStatus('paid', { paymentMethod, paymentDate, receivedBy });
   return this.save();
 };
 
 // Instance method to apply discount
 billingSchema.methods.applyDiscount = function(discountAmount) {
-  if (discountAmount > this.subtotal) {
-    throw new Error('Discount cannot exceed subtotal');
-  }
-  
   this.discount = discountAmount;
-  this.total = this.subtotal + this.tax - this.discount;
   return this.save();
 };
 
+// Sequential invoice numbers
+billingSchema.plugin(numberingPlugin, { field: 'invoiceNumber', type: 'invoice', when: billing => billing.status !== 'draft' });
+
+// Audit trail of every change
+billingSchema.plugin(auditPlugin, { entity: 'Billing' });
+
 module.exports = mongoose.model('Billing', billingSchema);
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
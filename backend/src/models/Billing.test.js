@@ -0,0 +1,192 @@
+/**
+ * Billing Model tests
+ * Payments ledger: payments, refunds, voids and the status derived from them; bill totals
+ */
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Billing = require('./Billing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const userId = new mongoose.Types.ObjectId();
+
+const createBill = (fields = {}) => new Billing({
+  invoiceNumber: 'INV-202610-0001',
+  patient: new mongoose.Types.ObjectId(),
+  items: [{ description: 'Consultation', quantity: 1, unitPrice: 100, total: 100 }],
+  subtotal: 100,
+  total: 100,
+  status: 'pending',
+  dueDate: new Date(Date.now() + 30 * DAY_MS),
+  createdBy: userId,
+  ...fields
+});
+
+const pay = (billing, amount, fields = {}) => billing.recordPayment({ amount, method: 'cash', receivedBy: userId, ...fields });
+
+describe('recordPayment', () => {
+  it('adds a payment and derives a partial, then paid status', () => {
+    const billing = createBill();
+
+    pay(billing, 40);
+    billing.syncPaymentStatus();
+    expect(billing.amountPaid).toBe(40);
+    expect(billing.outstandingAmount).toBe(60);
+    expect(billing.status).toBe('partial');
+    expect(billing.paymentDate).toBeUndefined();
+
+    const last = pay(billing, 60, { method: 'credit_card' });
+    billing.syncPaymentStatus();
+    expect(billing.status).toBe('paid');
+    expect(billing.paymentMethod).toBe('credit_card');
+    expect(billing.paymentDate).toEqual(last.date);
+  });
+
+  it('rounds amounts to the cent', () => {
+    const billing = createBill();
+
+    expect(pay(billing, 10.005).amount).toBe(10.01);
+  });
+
+  it('rejects payments above the outstanding amount', () => {
+    const billing = createBill();
+    pay(billing, 90);
+
+    expect(() => pay(billing, 10.01)).toThrow('Payment of 10.01 exceeds the outstanding amount of 10');
+  });
+
+  it('rejects payments on draft and cancelled bills', () => {
+    expect(() => pay(createBill({ status: 'draft' }), 10)).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => pay(createBill({ status: 'cancelled' }), 10)).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  it('only accepts what is left after credit notes', () => {
+    const billing = createBill({ creditedAmount: 30 });
+
+    expect(() => pay(billing, 80)).toThrow('exceeds the outstanding amount of 70');
+    pay(billing, 70);
+    billing.syncPaymentStatus();
+    expect(billing.status).toBe('paid');
+  });
+});
+
+describe('refundPayment', () => {
+  it('refunds the rest of a payment by default and reopens the bill', () => {
+    const billing = createBill();
+    const payment = pay(billing, 100);
+
+    billing.refundPayment(payment._id, { amount: 30, receivedBy: userId });
+    const refund = billing.refundPayment(payment._id, { receivedBy: userId });
+    billing.syncPaymentStatus();
+
+    expect(refund).toMatchObject({ type: 'refund', amount: 70, method: 'cash' });
+    expect(String(refund.refundOf)).toBe(String(payment._id));
+    expect(billing.amountPaid).toBe(0);
+    expect(billing.status).toBe('pending');
+  });
+
+  it('rejects refunds above what is left of the payment', () => {
+    const billing = createBill();
+    const payment = pay(billing, 50);
+    billing.refundPayment(payment._id, { amount: 20, receivedBy: userId });
+
+    expect(() => billing.refundPayment(payment._id, { amount: 31, receivedBy: userId }))
+      .toThrow('Refund of 31 exceeds the refundable amount of 30');
+  });
+
+  it('rejects refunding a fully refunded payment', () => {
+    const billing = createBill();
+    const payment = pay(billing, 50);
+    billing.refundPayment(payment._id, { receivedBy: userId });
+
+    expect(() => billing.refundPayment(payment._id, { receivedBy: userId }))
+      .toThrow(expect.objectContaining({ message: 'Payment has already been fully refunded', statusCode: 409 }));
+  });
+
+  it('rejects unknown and voided payments', () => {
+    const billing = createBill();
+    const payment = pay(billing, 50);
+    billing.voidPayment(payment._id, { reason: 'Entered twice', voidedBy: userId });
+
+    expect(() => billing.refundPayment(new mongoose.Types.ObjectId(), { receivedBy: userId }))
+      .toThrow(expect.objectContaining({ statusCode: 404 }));
+    expect(() => billing.refundPayment(payment._id, { receivedBy: userId }))
+      .toThrow('Cannot refund a voided payment');
+  });
+
+  it('ignores voided refunds when working out what is refundable', () => {
+    const billing = createBill();
+    const payment = pay(billing, 50);
+    const refund = billing.refundPayment(payment._id, { amount: 50, receivedBy: userId });
+    billing.voidPayment(refund._id, { reason: 'Refund never paid out', voidedBy: userId });
+
+    expect(billing.refundPayment(payment._id, { receivedBy: userId }).amount).toBe(50);
+  });
+});
+
+describe('voidPayment', () => {
+  it('keeps the entry but leaves it out of the amount paid', () => {
+    const billing = createBill();
+    const payment = pay(billing, 100);
+
+    billing.voidPayment(payment._id, { reason: 'Wrong bill', voidedBy: userId });
+    billing.syncPaymentStatus();
+
+    expect(billing.payments).toHaveLength(1);
+    expect(billing.payments[0]).toMatchObject({ status: 'voided', voidReason: 'Wrong bill' });
+    expect(billing.amountPaid).toBe(0);
+    expect(billing.status).toBe('pending');
+  });
+
+  it('requires the refunds of a payment to be voided first', () => {
+    const billing = createBill();
+    const payment = pay(billing, 100);
+    billing.refundPayment(payment._id, { amount: 10, receivedBy: userId });
+
+    expect(() => billing.voidPayment(payment._id, { reason: 'Wrong bill', voidedBy: userId }))
+      .toThrow('Void the refunds of this payment first');
+  });
+});
+
+describe('syncPaymentStatus', () => {
+  it('marks unpaid bills past their due date overdue', () => {
+    const billing = createBill({ dueDate: new Date(Date.now() - DAY_MS) });
+
+    expect(billing.syncPaymentStatus().status).toBe('overdue');
+  });
+
+  it('treats a bill credited down to what was paid as paid', () => {
+    const billing = createBill();
+    pay(billing, 60);
+    billing.creditedAmount = 40;
+
+    expect(billing.syncPaymentStatus().status).toBe('paid');
+  });
+
+  it('leaves draft and cancelled bills alone', () => {
+    expect(createBill({ status: 'draft', dueDate: new Date(Date.now() - DAY_MS) }).syncPaymentStatus().status).toBe('draft');
+    expect(createBill({ status: 'cancelled' }).syncPaymentStatus().status).toBe('cancelled');
+  });
+});
+
+describe('totals', () => {
+  // A stored draft, so only the fields a test sets count as modified
+  const loadDraft = () => Billing.hydrate(createBill({ status: 'draft', invoiceNumber: undefined, tax: 15, total: 115 }).toObject());
+
+  it('recalculates the total when only the discount changes', async () => {
+    const billing = loadDraft();
+
+    billing.discount = 15;
+    await billing.validate();
+
+    expect(billing.total).toBe(billing.subtotal + billing.tax - 15);
+  });
+
+  it('rejects a discount above the bill amount', async () => {
+    const billing = loadDraft();
+
+    billing.discount = 1000;
+    await expect(billing.validate()).rejects.toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
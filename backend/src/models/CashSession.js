@@ -0,0 +1,169 @@
+/**
+ * Cash Session Model
+ * A cashier's drawer shift: opening float, payments taken at the desk and the closing count
+ */
+
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+const { PAYMENT_METHODS } = require('./Billing');
+
+// Amounts are kept to the cent so counts compare exactly
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sessionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Closing figures of one payment method; expected comes from the ledger, counted from the cashier
+const methodCountSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true
+  },
+  expected: {
+    type: Number,
+    default: 0
+  },
+  counted: {
+    type: Number,
+    default: 0
+  },
+  variance: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+const cashSessionSchema = new mongoose.Schema({
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+
+  // Cash in the drawer when the shift starts
+  openingFloat: {
+    type: Number,
+    required: [true, 'Opening float is required'],
+    min: [0, 'Opening float cannot be negative']
+  },
+
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  openingNotes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  closedAt: Date,
+
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  closingNotes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  counts: [methodCountSchema],
+
+  totalExpected: Number,
+  totalCounted: Number,
+  totalVariance: Number,
+
+  // Manager sign-off of the Z-report
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    notes: {
+      type: String,
+      maxlength: [500, 'Review notes cannot exceed 500 characters']
+    }
+  }
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+});
+
+// Indexes for better performance
+cashSessionSchema.index({ cashier: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+cashSessionSchema.index({ cashier: 1, openedAt: -1 });
+cashSessionSchema.index({ status: 1, openedAt: -1 });
+
+/**
+ * Instance method to get the amount expected for each payment method from the session's ledger totals.
+ * Cash is expected to hold the opening float plus the net cash taken.
+ * @param {Object[]} ledgerTotals - [{ method, net }] from the session's ledger entries
+ * @returns {Object} Expected amount by payment method
+ */
+cashSessionSchema.methods.getExpectedAmounts = function(ledgerTotals) {
+  const expected = Object.fromEntries(ledgerTotals.map(({ method, net }) => [method, roundAmount(net)]));
+  expected.cash = roundAmount((expected.cash || 0) + this.openingFloat);
+  return expected;
+};
+
+/**
+ * Instance method to record the closing count against the ledger totals;
+ * methods that were neither taken nor counted are left out
+ * @param {Object[]} ledgerTotals - [{ method, net }] from the session's ledger entries
+ * @param {Object} options - { counted } amount by payment method, closing notes and userId
+ */
+cashSessionSchema.methods.close = function(ledgerTotals, { counted, notes, userId }) {
+  if (this.status !== 'open') {
+    throw sessionError('Cash session is already closed', 409);
+  }
+
+  const expectedByMethod = this.getExpectedAmounts(ledgerTotals);
+  const methods = PAYMENT_METHODS.filter(method => method in expectedByMethod || method in counted);
+  this.counts = methods.map(method => {
+    const expected = expectedByMethod[method] || 0;
+    const count = roundAmount(counted[method] || 0);
+    return { method, expected, counted: count, variance: roundAmount(count - expected) };
+  });
+
+  this.totalExpected = roundAmount(this.counts.reduce((sum, entry) => sum + entry.expected, 0));
+  this.totalCounted = roundAmount(this.counts.reduce((sum, entry) => sum + entry.counted, 0));
+  this.totalVariance = roundAmount(this.totalCounted - this.totalExpected);
+  this.status = 'closed';
+  this.closedAt = new Date();
+  this.closedBy = userId;
+  this.closingNotes = notes;
+  return this;
+};
+
+// Instance method for a manager to sign off the closed session
+cashSessionSchema.methods.markReviewed = function({ notes, userId }) {
+  if (this.status !== 'closed') {
+    throw sessionError('Only closed cash sessions can be reviewed', 409);
+  }
+  if (this.review && this.review.reviewedAt) {
+    throw sessionError('Cash session has already been reviewed', 409);
+  }
+
+  this.review = { reviewedBy: userId, reviewedAt: new Date(), notes };
+  return this;
+};
+
+// Audit trail of every change
+cashSessionSchema.plugin(auditPlugin, { entity: 'CashSession' });
+
+module.exports = mongoose.model('CashSession', cashSessionSchema);
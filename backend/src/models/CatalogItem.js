@@ -0,0 +1,139 @@
+/**
+ * Catalog Item Model
+ * Billable services with their standard prices, doctor and specialization price overrides and tax category
+ */
+
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+const taxConfig = require('../config/tax');
+const { APPOINTMENT_TYPES } = require('./Appointment');
+
+const priceOverrideSchema = new mongoose.Schema({
+  // Either a specific doctor or every doctor of a specialization
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  specialization: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Override price is required'],
+    min: [0, 'Price cannot be negative']
+  }
+});
+
+const catalogItemSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Service code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Service code cannot exceed 20 characters']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Service name is required'],
+    trim: true,
+    maxlength: [200, 'Service name cannot exceed 200 characters']
+  },
+
+  nameAr: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Arabic name cannot exceed 200 characters']
+  },
+
+  // Free grouping for listings, e.g. consultation, procedure, lab
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+
+  defaultPrice: {
+    type: Number,
+    required: [true, 'Default price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+
+  taxCategory: {
+    type: String,
+    enum: taxConfig.categories,
+    default: taxConfig.defaultCategory
+  },
+
+  priceOverrides: [priceOverrideSchema],
+
+  // Billed automatically on the draft bill of completed appointments of these types
+  appointmentTypes: [{
+    type: String,
+    enum: APPOINTMENT_TYPES
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+catalogItemSchema.index({ code: 1 }, { unique: true });
+catalogItemSchema.index({ isActive: 1, category: 1, name: 1 });
+catalogItemSchema.index({ appointmentTypes: 1, isActive: 1 });
+
+// Each override targets exactly one doctor or one specialization, at most once
+catalogItemSchema.pre('validate', function(next) {
+  const seen = new Set();
+  for (const override of this.priceOverrides) {
+    if (Boolean(override.doctor) === Boolean(override.specialization)) {
+      this.invalidate('priceOverrides', 'Each price override needs either a doctor or a specialization');
+      break;
+    }
+    const key = override.doctor ? `doctor:${override.doctor}` : `specialization:${override.specialization.toLowerCase()}`;
+    if (seen.has(key)) {
+      this.invalidate('priceOverrides', 'Price overrides cannot repeat a doctor or specialization');
+      break;
+    }
+    seen.add(key);
+  }
+  next();
+});
+
+// Instance method to get the price for a doctor: their own override, then their specialization's, then the default
+catalogItemSchema.methods.getPriceFor = function(doctor) {
+  if (doctor) {
+    const doctorId = (doctor._id || doctor).toString();
+    const own = this.priceOverrides.find(override => override.doctor && override.doctor.toString() === doctorId);
+    if (own) return own.price;
+
+    const specialization = doctor.specialization && doctor.specialization.toLowerCase();
+    const shared = specialization && this.priceOverrides.find(override =>
+      override.specialization && override.specialization.toLowerCase() === specialization);
+    if (shared) return shared.price;
+  }
+
+  return this.defaultPrice;
+};
+
+// Audit trail of every change
+catalogItemSchema.plugin(auditPlugin, { entity: 'CatalogItem' });
+
+module.exports = mongoose.model('CatalogItem', catalogItemSchema);
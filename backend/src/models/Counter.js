@@ -0,0 +1,37 @@
+/**
+ * Counter Model
+ * Atomic sequences behind document numbers, one per numbering type and period
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // "<type>:<period>", e.g. "invoice:202401"
+  key: {
+    type: String,
+    required: true
+  },
+
+  type: {
+    type: String,
+    required: true
+  },
+
+  period: {
+    type: String,
+    required: true
+  },
+
+  // Last number handed out
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sequence cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Counter', counterSchema);
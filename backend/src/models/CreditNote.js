@@ -0,0 +1,99 @@
+/**
+ * Credit Note Model
+ * Reduces the amount owed on an invoice without altering or deleting it
+ */
+
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+const numberingPlugin = require('./plugins/numberingPlugin');
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true
+  },
+
+  billing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Billing',
+    required: [true, 'Billing record is required']
+  },
+
+  // Copied from the bill so credit notes can be listed and reported on their own
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient is required']
+  },
+
+  // full when the credit note brings the invoice to zero
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Credit amount is required'],
+    min: [0.01, 'Credit amount must be greater than zero']
+  },
+
+  reason: {
+    type: String,
+    required: [true, 'Credit reason is required'],
+    trim: true,
+    maxlength: [500, 'Credit reason cannot exceed 500 characters']
+  },
+
+  // Issued as part of cancelling the invoice
+  cancellation: {
+    type: Boolean,
+    default: false
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+creditNoteSchema.index({ creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ billing: 1, issuedAt: 1 });
+creditNoteSchema.index({ issuedAt: -1 });
+
+// Static method to find credit notes issued in a period, optionally only those of some bills
+creditNoteSchema.statics.findForReport = function(startDate, endDate, billingIds = null) {
+  const query = {};
+  if (startDate && endDate) {
+    query.issuedAt = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  }
+  if (billingIds) query.billing = { $in: billingIds };
+
+  return this.find(query).sort({ issuedAt: 1 });
+};
+
+// Sequential credit note numbers
+creditNoteSchema.plugin(numberingPlugin, { field: 'creditNoteNumber', type: 'creditNote' });
+
+// Audit trail of every change
+creditNoteSchema.plugin(auditPlugin, { entity: 'CreditNote' });
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
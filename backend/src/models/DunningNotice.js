@@ -0,0 +1,78 @@
+/**
+ * Dunning Notice Model
+ * Log of the overdue payment reminders sent for each bill, one per reminder stage
+ */
+
+const mongoose = require('mongoose');
+
+const dunningNoticeSchema = new mongoose.Schema({
+  billing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Billing',
+    required: true
+  },
+
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+
+  // Days past the due date the stage is reached
+  stage: {
+    type: Number,
+    required: true
+  },
+
+  template: {
+    type: String,
+    enum: ['first', 'second', 'final'],
+    required: true
+  },
+
+  daysOverdue: {
+    type: Number,
+    required: true
+  },
+
+  outstandingAmount: {
+    type: Number,
+    required: true
+  },
+
+  // sending while the reminder goes out; opted-out patients and patients with no email or
+  // phone for the enabled channels get nothing but the stage is logged
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'opted-out', 'undeliverable'],
+    default: 'sending'
+  },
+
+  deliveries: [{
+    channel: String,
+    to: String,
+    transport: String,
+    skipped: Boolean,
+    error: String,
+    _id: false
+  }],
+
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One notice per bill and stage; creating it claims the stage
+dunningNoticeSchema.index({ billing: 1, stage: 1 }, { unique: true });
+dunningNoticeSchema.index({ patient: 1, sentAt: -1 });
+dunningNoticeSchema.index({ sentAt: -1 });
+
+module.exports = mongoose.model('DunningNotice', dunningNoticeSchema);
@@ -0,0 +1,384 @@
+/**
+ * Insurance Claim Model
+ * Claims for the insurer's share of a bill, from submission through the insurer's response to payment
+ */
+
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+const numberingPlugin = require('./plugins/numberingPlugin');
+
+const CLAIM_STATUSES = ['submitted', 'approved', 'partially-approved', 'rejected', 'paid'];
+const RESPONSE_DECISIONS = ['approved', 'partially-approved', 'rejected'];
+
+// Claims the insurer still owes money on
+const OPEN_STATUSES = ['submitted', 'approved', 'partially-approved'];
+
+const AGING_BUCKETS = [
+  { label: '0-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+', maxDays: Infinity }
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const claimError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const insuranceClaimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    required: true
+  },
+
+  billing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Billing',
+    required: [true, 'Billing record is required']
+  },
+
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient is required']
+  },
+
+  insurer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Insurer',
+    required: [true, 'Insurer is required']
+  },
+
+  policyNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Policy number cannot exceed 50 characters']
+  },
+
+  // Split of the bill total at the time the claim was made
+  coverage: {
+    type: Number,
+    required: true,
+    min: [0, 'Coverage cannot be negative'],
+    max: [100, 'Coverage cannot exceed 100%']
+  },
+
+  billTotal: {
+    type: Number,
+    required: true,
+    min: [0, 'Bill total cannot be negative']
+  },
+
+  claimedAmount: {
+    type: Number,
+    required: [true, 'Claimed amount is required'],
+    min: [0.01, 'Claimed amount must be greater than zero']
+  },
+
+  patientShare: {
+    type: Number,
+    required: true,
+    min: [0, 'Patient share cannot be negative']
+  },
+
+  approvedAmount: {
+    type: Number,
+    min: [0, 'Approved amount cannot be negative']
+  },
+
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Paid amount cannot be negative']
+  },
+
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    default: 'submitted'
+  },
+
+  rejectionReason: {
+    code: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Rejection code cannot exceed 20 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Rejection description cannot exceed 500 characters']
+    }
+  },
+
+  // Every submission, the first one included
+  submissions: [{
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    claimedAmount: Number,
+    notes: String
+  }],
+
+  // Settlements received from the insurer
+  remittances: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Remittance amount must be greater than zero']
+    },
+    reference: String,
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    billingPayment: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  }],
+
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: CLAIM_STATUSES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String,
+    _id: false
+  }],
+
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  respondedAt: Date,
+
+  paidAt: Date,
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the amount the insurer still owes
+insuranceClaimSchema.virtual('outstandingAmount').get(function() {
+  if (!OPEN_STATUSES.includes(this.status)) return 0;
+  const expected = this.status === 'submitted' ? this.claimedAmount : this.approvedAmount;
+  return roundAmount(expected - this.paidAmount);
+});
+
+// Virtual for resubmission count
+insuranceClaimSchema.virtual('resubmissionCount').get(function() {
+  return Math.max(0, (this.submissions || []).length - 1);
+});
+
+// Indexes for better performance
+insuranceClaimSchema.index({ claimNumber: 1 }, { unique: true });
+insuranceClaimSchema.index({ billing: 1 }, { unique: true });
+insuranceClaimSchema.index({ patient: 1 });
+insuranceClaimSchema.index({ insurer: 1, status: 1 });
+insuranceClaimSchema.index({ status: 1, submittedAt: 1 });
+
+// Instance method to change status and keep the history
+insuranceClaimSchema.methods.setStatus = function(status, { userId, notes } = {}) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy: userId, notes });
+  this.updatedBy = userId;
+  return this;
+};
+
+// Instance method to record the insurer's decision on a submitted claim
+insuranceClaimSchema.methods.recordResponse = function({ decision, approvedAmount, rejectionReason, notes, userId }) {
+  if (this.status !== 'submitted') {
+    throw claimError(`Only submitted claims can receive a response; claim is ${this.status}`, 409);
+  }
+
+  if (decision === 'approved') {
+    this.approvedAmount = this.claimedAmount;
+  } else if (decision === 'partially-approved') {
+    if (!(approvedAmount > 0 && approvedAmount < this.claimedAmount)) {
+      throw claimError('A partial approval needs an approved amount above zero and below the claimed amount');
+    }
+    this.approvedAmount = roundAmount(approvedAmount);
+  } else {
+    if (!rejectionReason || !rejectionReason.description) {
+      throw claimError('A rejection reason is required');
+    }
+    this.approvedAmount = 0;
+    this.rejectionReason = rejectionReason;
+  }
+
+  this.respondedAt = new Date();
+  return this.setStatus(decision, { userId, notes });
+};
+
+// Instance method to resubmit a rejected claim, optionally with a corrected amount
+insuranceClaimSchema.methods.resubmit = function({ claimedAmount, notes, userId }) {
+  if (this.status !== 'rejected') {
+    throw claimError('Only rejected claims can be resubmitted', 409);
+  }
+
+  if (claimedAmount !== undefined) {
+    const amount = roundAmount(claimedAmount);
+    if (amount > this.billTotal) {
+      throw claimError(`Claimed amount cannot exceed the bill total of ${this.billTotal}`);
+    }
+    this.claimedAmount = amount;
+    this.patientShare = roundAmount(this.billTotal - amount);
+  }
+
+  this.approvedAmount = undefined;
+  this.rejectionReason = undefined;
+  this.respondedAt = undefined;
+  this.submissions.push({ submittedBy: userId, claimedAmount: this.claimedAmount, notes });
+  return this.setStatus('submitted', { userId, notes });
+};
+
+// Instance method to record money received from the insurer
+insuranceClaimSchema.methods.recordRemittance = function({ amount, reference, receivedAt, billingPayment, userId }) {
+  if (!['approved', 'partially-approved'].includes(this.status)) {
+    throw claimError(`Payments can only be recorded on approved claims; claim is ${this.status}`, 409);
+  }
+
+  const value = roundAmount(amount);
+  if (value > this.outstandingAmount) {
+    throw claimError(`Payment of ${value} exceeds the outstanding approved amount of ${this.outstandingAmount}`);
+  }
+
+  this.remittances.push({ amount: value, reference, receivedAt: receivedAt || new Date(), recordedBy: userId, billingPayment });
+  this.paidAmount = roundAmount(this.paidAmount + value);
+
+  if (this.paidAmount >= this.approvedAmount) {
+    this.paidAt = new Date();
+    this.setStatus('paid', { userId, notes: reference });
+  }
+
+  return this.remittances[this.remittances.length - 1];
+};
+
+// Static method to report outstanding claims per insurer by age since first submission
+insuranceClaimSchema.statics.getAgingReport = async function(asOf = new Date(), { insurer } = {}) {
+  const match = { status: { $in: OPEN_STATUSES }, submittedAt: { $lte: asOf } };
+  if (insurer) match.insurer = new mongoose.Types.ObjectId(insurer);
+
+  const ageDays = { $floor: { $divide: [{ $subtract: [asOf, '$submittedAt'] }, 1000 * 60 * 60 * 24] } };
+  const bucketBranches = AGING_BUCKETS
+    .filter(bucket => bucket.maxDays !== Infinity)
+    .map(bucket => ({ case: { $lte: ['$ageDays', bucket.maxDays] }, then: bucket.label }));
+
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $project: {
+        insurer: 1,
+        ageDays,
+        outstanding: {
+          $subtract: [
+            { $cond: [{ $eq: ['$status', 'submitted'] }, '$claimedAmount', '$approvedAmount'] },
+            '$paidAmount'
+          ]
+        }
+      }
+    },
+    { $match: { outstanding: { $gt: 0 } } },
+    {
+      $project: {
+        insurer: 1,
+        ageDays: 1,
+        outstanding: 1,
+        bucket: { $switch: { branches: bucketBranches, default: AGING_BUCKETS[AGING_BUCKETS.length - 1].label } }
+      }
+    },
+    {
+      $group: {
+        _id: { insurer: '$insurer', bucket: '$bucket' },
+        count: { $sum: 1 },
+        amount: { $sum: '$outstanding' },
+        oldestDays: { $max: '$ageDays' }
+      }
+    },
+    { $lookup: { from: 'insurers', localField: '_id.insurer', foreignField: '_id', as: 'insurer' } },
+    { $unwind: '$insurer' }
+  ]);
+
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.label, { count: 0, amount: 0 }]));
+  const byInsurer = new Map();
+  const totals = { claimCount: 0, outstanding: 0, buckets: emptyBuckets() };
+
+  for (const row of rows) {
+    const key = row.insurer._id.toString();
+    if (!byInsurer.has(key)) {
+      byInsurer.set(key, {
+        insurer: { _id: row.insurer._id, name: row.insurer.name, code: row.insurer.code },
+        claimCount: 0,
+        outstanding: 0,
+        oldestDays: 0,
+        buckets: emptyBuckets()
+      });
+    }
+
+    const entry = byInsurer.get(key);
+    entry.claimCount += row.count;
+    entry.outstanding = roundAmount(entry.outstanding + row.amount);
+    entry.oldestDays = Math.max(entry.oldestDays, row.oldestDays);
+    entry.buckets[row._id.bucket] = { count: row.count, amount: roundAmount(row.amount) };
+
+    totals.claimCount += row.count;
+    totals.outstanding = roundAmount(totals.outstanding + row.amount);
+    totals.buckets[row._id.bucket].count += row.count;
+    totals.buckets[row._id.bucket].amount = roundAmount(totals.buckets[row._id.bucket].amount + row.amount);
+  }
+
+  return {
+    asOf,
+    buckets: AGING_BUCKETS.map(bucket => bucket.label),
+    insurers: [...byInsurer.values()].sort((a, b) => b.outstanding - a.outstanding),
+    totals
+  };
+};
+
+// Sequential claim numbers
+insuranceClaimSchema.plugin(numberingPlugin, { field: 'claimNumber', type: 'claim' });
+
+// Audit trail of every change
+insuranceClaimSchema.plugin(auditPlugin, { entity: 'InsuranceClaim' });
+
+module.exports = mongoose.model('InsuranceClaim', insuranceClaimSchema);
+module.exports.CLAIM_STATUSES = CLAIM_STATUSES;
+module.exports.RESPONSE_DECISIONS = RESPONSE_DECISIONS;
@@ -0,0 +1,93 @@
+/**
+ * Insurer Model
+ * Registry of insurance companies claims are submitted to
+ */
+
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+const insurerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Insurer name is required'],
+    trim: true,
+    maxlength: [100, 'Insurer name cannot exceed 100 characters']
+  },
+
+  nameAr: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Arabic name cannot exceed 100 characters']
+  },
+
+  code: {
+    type: String,
+    required: [true, 'Insurer code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Insurer code cannot exceed 20 characters']
+  },
+
+  contact: {
+    phone: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    address: {
+      type: String,
+      maxlength: [200, 'Address cannot exceed 200 characters']
+    }
+  },
+
+  // Coverage applied to claims when the bill has none recorded
+  defaultCoverage: {
+    type: Number,
+    min: [0, 'Coverage cannot be negative'],
+    max: [100, 'Coverage cannot exceed 100%'],
+    default: 80
+  },
+
+  // Days the insurer has to settle an approved claim
+  paymentTermsDays: {
+    type: Number,
+    min: [0, 'Payment terms cannot be negative'],
+    default: 30
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+insurerSchema.index({ code: 1 }, { unique: true });
+insurerSchema.index({ isActive: 1, name: 1 });
+
+// Audit trail of every change
+insurerSchema.plugin(auditPlugin, { entity: 'Insurer' });
+
+module.exports = mongoose.model('Insurer', insurerSchema);
@@ -0,0 +1,52 @@
+/**
+ * Password Token Model
+ * Single-use links that let a user set a password: forgotten-password resets and staff invitations
+ */
+
+const mongoose = require('mongoose');
+
+const PASSWORD_TOKEN_PURPOSES = ['reset', 'invitation'];
+
+const passwordTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: PASSWORD_TOKEN_PURPOSES,
+    required: true
+  },
+
+  // SHA-256 of the token in the link; the token itself is only ever emailed
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+
+  // Manager who sent an invitation
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+passwordTokenSchema.index({ tokenHash: 1 }, { unique: true });
+passwordTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+passwordTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordToken', passwordTokenSchema);
+module.exports.PASSWORD_TOKEN_PURPOSES = PASSWORD_TOKEN_PURPOSES;
@@ -4,6 +4,179 @@
  */
 
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+// ICD-10-CM code, e.g. E11 or E11.9
+const icd10Pattern = [/^[A-TV-Z][0-9][0-9AB](\.[0-9A-TV-Z]{1,4})?$/, 'Please enter a valid ICD-10 code'];
+
+// Medical History Entries
+const medicalConditionSchema = new mongoose.Schema({
+  condition: {
+    type: String,
+    required: [true, 'Condition name is required'],
+    trim: true
+  },
+  icd10Code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: icd10Pattern
+  },
+  status: {
+    type: String,
+    enum: ['active', 'chronic', 'in-remission', 'resolved'],
+    default: 'active'
+  },
+  diagnosedDate: Date,
+  resolvedDate: Date,
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+const allergySchema = new mongoose.Schema({
+  allergen: {
+    type: String,
+    required: [true, 'Allergen is required'],
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['drug', 'food', 'environmental', 'other'],
+    default: 'other'
+  },
+  reaction: {
+    type: String,
+    trim: true
+  },
+  severity: {
+    type: String,
+    enum: ['mild', 'moderate', 'severe', 'life-threatening', 'unknown'],
+    default: 'unknown'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'resolved'],
+    default: 'active'
+  },
+  resolvedDate: Date,
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+const medicationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Medication name is required'],
+    trim: true
+  },
+  dosage: {
+    type: String,
+    trim: true
+  },
+  frequency: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'discontinued', 'completed'],
+    default: 'active'
+  },
+  startDate: Date,
+  endDate: Date,
+  prescribedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, { timestamps: true });
+
+const surgerySchema = new mongoose.Schema({
+  procedure: {
+    type: String,
+    required: [true, 'Procedure is required'],
+    trim: true
+  },
+  date: Date,
+  hospital: {
+    type: String,
+    trim: true
+  },
+  surgeon: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+const familyHistorySchema = new mongoose.Schema({
+  relation: {
+    type: String,
+    required: [true, 'Relation is required'],
+    trim: true
+  },
+  condition: {
+    type: String,
+    required: [true, 'Condition is required'],
+    trim: true
+  },
+  icd10Code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: icd10Pattern
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+/**
+ * Convert the legacy free-text allergies field ("penicillin, peanuts") into entries
+ */
+const parseLegacyAllergies = (text) => {
+  return (text || '')
+    .split(/[,;\n،]+/)
+    .map(allergen => allergen.trim())
+    .filter(allergen => allergen && !/^(none|no|n\/a|nil|nka|nkda|لا يوجد)$/i.test(allergen))
+    .map(allergen => ({ allergen }));
+};
+
+// Medical history sections keyed by their URL name; resolve describes how an entry is closed
+const HISTORY_SECTIONS = {
+  conditions: { path: 'medicalConditions', resolve: { status: 'resolved', dateField: 'resolvedDate' } },
+  allergies: { path: 'allergies', resolve: { status: 'resolved', dateField: 'resolvedDate' } },
+  medications: { path: 'medications', resolve: { status: 'discontinued', dateField: 'endDate' } },
+  surgeries: { path: 'surgicalHistory' },
+  'family-history': { path: 'familyHistory' }
+};
 
 const patientSchema = new mongoose.Schema({
   name: {
@@ -49,10 +222,16 @@ const patientSchema = new mongoose.Schema({
     enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
     default: undefined
   },
+  // Medical History
+  medicalConditions: [medicalConditionSchema],
   allergies: {
-    type: String,
-    trim: true
+    type: [allergySchema],
+    // Older clients still send allergies as free text
+    set: (value) => (typeof value === 'string' ? parseLegacyAllergies(value) : value)
   },
+  medications: [medicationSchema],
+  surgicalHistory: [surgerySchema],
+  familyHistory: [familyHistorySchema],
   occupation: {
     type: String,
     trim: true
@@ -83,6 +262,22 @@ const patientSchema = new mongoose.Schema({
       trim: true
     }
   },
+  // Channels appointment reminders may use
+  reminderPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // No reminders for overdue bills
+  paymentRemindersOptOut: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -111,4 +306,65 @@ patientSchema.index({ name: 'text', phone: 'text', email: 'text' });
 patientSchema.index({ nationalId: 1 });
 patientSchema.index({ isActive: 1 });
 
+// Virtual for allergies that are still relevant
+patientSchema.virtual('activeAllergies').get(function() {
+  return (this.allergies || []).filter(allergy => allergy.status === 'active');
+});
+
+// Instance method to add an entry to a medical history section
+patientSchema.methods.addHistoryEntry = function(section, data) {
+  const { path } = HISTORY_SECTIONS[section];
+  this[path].push(data);
+  return this.save();
+};
+
+// Instance method to edit an entry of a medical history section; returns null when not found
+patientSchema.methods.updateHistoryEntry = async function(section, entryId, data) {
+  const entry = this[HISTORY_SECTIONS[section].path].id(entryId);
+  if (!entry) return null;
+
+  entry.set(data);
+  await this.save();
+  return entry;
+};
+
+// Instance method to mark a condition, allergy or medication as no longer active
+patientSchema.methods.resolveHistoryEntry = async function(section, entryId, date = new Date()) {
+  const { path, resolve } = HISTORY_SECTIONS[section];
+  const entry = this[path].id(entryId);
+  if (!entry) return null;
+
+  entry.status = resolve.status;
+  entry[resolve.dateField] = date;
+  await this.save();
+  return entry;
+};
+
+// Instance method to remove an entry from a medical history section
+patientSchema.methods.removeHistoryEntry = async function(section, entryId) {
+  const entry = this[HISTORY_SECTIONS[section].path].id(entryId);
+  if (!entry) return null;
+
+  entry.deleteOne();
+  await this.save();
+  return entry;
+};
+
+patientSchema.methods.addMedicalCondition = function(condition) {
+  return this.addHistoryEntry('conditions', condition);
+};
+
+patientSchema.methods.addMedication = function(medication) {
+  return this.addHistoryEntry('medications', medication);
+};
+
+patientSchema.methods.addAllergy = function(allergy) {
+  return this.addHistoryEntry('allergies', allergy);
+};
+
+// Audit trail of every change
+patientSchema.plugin(auditPlugin, { entity: 'Patient' });
+
 module.exports = mongoose.model('Patient', patientSchema);
+module.exports.HISTORY_SECTIONS = HISTORY_SECTIONS;
+module.exports.parseLegacyAllergies = parseLegacyAllergies;
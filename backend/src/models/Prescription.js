@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
 
 const medicationSchema = new mongoose.Schema({
   name: {
@@ -149,6 +150,35 @@ const prescriptionSchema = new mongoose.Schema({
   notes: {
     type: String,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+
+  // Interaction Checking
+  interactionWarnings: [{
+    kind: {
+      type: String,
+      enum: ['drug-allergy', 'drug-drug']
+    },
+    severity: {
+      type: String,
+      enum: ['minor', 'moderate', 'major', 'contraindicated']
+    },
+    drugs: [String],
+    allergen: String,
+    source: String,
+    description: String,
+    _id: false
+  }],
+  interactionOverride: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Override reason cannot exceed 500 characters']
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: Date
   }
 }, {
   timestamps: true,
@@ -244,4 +274,7 @@ prescriptionSchema.methods.removeMedication = function(medicationId) {
   return this.save();
 };
 
+// Audit trail of every change
+prescriptionSchema.plugin(auditPlugin, { entity: 'Prescription' });
+
 module.exports = mongoose.model('Prescription', prescriptionSchema);
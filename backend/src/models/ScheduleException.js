@@ -0,0 +1,159 @@
+/**
+ * Schedule Exception Model
+ * Doctor time-off, conference days, half-days and clinic-wide public holidays
+ */
+
+const mongoose = require('mongoose');
+const Appointment = require('./Appointment');
+const { toMinutes, toDateKey, calendarDayStart, calendarDayEnd, intervalsOverlap } = require('../utils/timeUtils');
+
+const timePattern = [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter a valid time format (HH:MM)'];
+
+const scheduleExceptionSchema = new mongoose.Schema({
+  // Scope: a single doctor or the whole clinic
+  scope: {
+    type: String,
+    enum: ['doctor', 'clinic'],
+    default: 'doctor'
+  },
+
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return this.scope === 'doctor'; }, 'Doctor is required']
+  },
+
+  // Exception Details
+  type: {
+    type: String,
+    enum: ['vacation', 'sick-leave', 'conference', 'half-day', 'public-holiday', 'other'],
+    required: [true, 'Exception type is required']
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+
+  // Affected calendar days (inclusive)
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+
+  // Optional window for partial-day exceptions; whole days are blocked when omitted
+  startTime: {
+    type: String,
+    match: timePattern
+  },
+
+  endTime: {
+    type: String,
+    match: timePattern
+  },
+
+  // Created and Updated Information
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whole-day exceptions
+scheduleExceptionSchema.virtual('isFullDay').get(function() {
+  return !(this.startTime && this.endTime);
+});
+
+// Indexes for better performance
+scheduleExceptionSchema.index({ doctor: 1, startDate: 1, endDate: 1 });
+scheduleExceptionSchema.index({ scope: 1, startDate: 1, endDate: 1 });
+
+// Pre-validate middleware to keep date and time ranges consistent
+scheduleExceptionSchema.pre('validate', function(next) {
+  if (this.scope === 'clinic') {
+    this.doctor = undefined;
+  }
+
+  if (this.startDate) this.startDate = calendarDayStart(this.startDate);
+  if (this.endDate) this.endDate = calendarDayStart(this.endDate);
+
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after start date');
+  }
+
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    this.invalidate('endTime', 'Start time and end time must be provided together');
+  } else if (this.startTime && toMinutes(this.endTime) <= toMinutes(this.startTime)) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+
+  if (this.type === 'half-day' && this.isFullDay) {
+    this.invalidate('startTime', 'Half-day exceptions require a start and end time');
+  }
+
+  next();
+});
+
+// Static method to find exceptions affecting a doctor between two dates
+scheduleExceptionSchema.statics.findInRange = function(doctorId, startDate, endDate) {
+  return this.find({
+    startDate: { $lte: calendarDayStart(endDate) },
+    endDate: { $gte: calendarDayStart(startDate) },
+    $or: [{ scope: 'clinic' }, { doctor: doctorId }]
+  }).sort({ startDate: 1 });
+};
+
+// Static method to find exceptions blocking a specific appointment slot
+scheduleExceptionSchema.statics.findBlocking = async function({ doctor, appointmentDate, appointmentTime, duration = 30 }) {
+  const exceptions = await this.findInRange(doctor, appointmentDate, appointmentDate);
+  const start = toMinutes(appointmentTime);
+
+  return exceptions.filter(exception => exception.blocks(appointmentDate, start, start + duration));
+};
+
+// Instance method to check whether a time window on a given day falls inside the exception
+scheduleExceptionSchema.methods.blocks = function(date, startMinutes, endMinutes) {
+  const dateKey = toDateKey(date);
+  if (dateKey < toDateKey(this.startDate) || dateKey > toDateKey(this.endDate)) return false;
+  if (this.isFullDay) return true;
+
+  return intervalsOverlap(startMinutes, endMinutes, toMinutes(this.startTime), toMinutes(this.endTime));
+};
+
+// Instance method to find booked appointments that fall inside the exception
+scheduleExceptionSchema.methods.findAffectedAppointments = async function() {
+  const query = {
+    appointmentDate: { $gte: this.startDate, $lt: calendarDayEnd(this.endDate) },
+    status: { $in: Appointment.BLOCKING_STATUSES }
+  };
+
+  if (this.scope === 'doctor') query.doctor = this.doctor;
+
+  const appointments = await Appointment.find(query)
+    .populate('patient', 'name nationalId phone')
+    .populate('doctor', 'firstName lastName email')
+    .sort({ appointmentDate: 1, appointmentTime: 1 });
+
+  return appointments.filter(appointment => {
+    const start = toMinutes(appointment.appointmentTime);
+    return this.blocks(appointment.appointmentDate, start, start + (appointment.duration || 30));
+  });
+};
+
+module.exports = mongoose.model('ScheduleException', scheduleExceptionSchema);
@@ -0,0 +1,70 @@
+/**
+ * Security Policy Model
+ * Clinic-wide security settings managers can change at runtime, including the role permission matrix; a single document
+ */
+
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+const { USER_ROLES } = require('./User');
+const authConfig = require('../config/auth');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+const POLICY_KEY = 'default';
+
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: POLICY_KEY,
+    immutable: true
+  },
+
+  // Staff of these roles must enroll in two-factor authentication before they can sign in
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: USER_ROLES
+  }],
+
+  // Permissions each role has before per-user overrides; roles missing from a stored policy get the defaults
+  rolePermissions: Object.fromEntries(USER_ROLES.map(role => [role, {
+    type: [{ type: String, enum: PERMISSIONS }],
+    default: () => [...DEFAULT_ROLE_PERMISSIONS[role]]
+  }])),
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+securityPolicySchema.index({ key: 1 }, { unique: true });
+
+// Static method to get the policy, created from the configured defaults on first use
+securityPolicySchema.statics.getPolicy = async function() {
+  const policy = await this.findOne({ key: POLICY_KEY });
+  if (policy) return policy;
+
+  try {
+    return await this.create({ key: POLICY_KEY, twoFactorRequiredRoles: authConfig.twoFactor.requiredRoles });
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code === 11000) return this.findOne({ key: POLICY_KEY });
+    throw error;
+  }
+};
+
+// Instance method to check whether a role must use two-factor authentication
+securityPolicySchema.methods.requiresTwoFactor = function(role) {
+  return this.twoFactorRequiredRoles.includes(role);
+};
+
+// Instance method to get the role matrix as plain arrays
+securityPolicySchema.methods.getRolePermissions = function() {
+  return Object.fromEntries(USER_ROLES.map(role => [role, [...this.rolePermissions[role]]]));
+};
+
+// Audit trail of every change
+securityPolicySchema.plugin(auditPlugin, { entity: 'SecurityPolicy' });
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -6,6 +6,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const auditPlugin = require('./plugins/auditPlugin');
+const { PERMISSIONS } = require('../config/permissions');
+
+const USER_ROLES = ['manager', 'doctor', 'secretary', 'nurse'];
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -50,22 +54,18 @@ const userSchema = new mongoose.Schema({
   // Role and Permissions
   role: {
     type: String,
-    enum: ['manager', 'doctor', 'secretary', 'nurse'],
+    enum: USER_ROLES,
     default: 'secretary',
     required: true
   },
+  // Per-user overrides of the role's permissions in the security policy matrix
   permissions: [{
     type: String,
-    enum: [
-      'manage_users',
-      'manage_patients',
-      'manage_appointments',
-      'manage_billing',
-      'view_reports',
-      'manage_specializations',
-      'send_notifications',
-      'manage_settings'
-    ]
+    enum: PERMISSIONS
+  }],
+  revokedPermissions: [{
+    type: String,
+    enum: PERMISSIONS
   }],
 
   // Professional Information
@@ -162,14 +162,35 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Staff invited by a manager choose their own password through the invitation link
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: Date,
+  // Failed logins since the last success, lockout or admin reset
   loginAttempts: {
     type: Number,
     default: 0
   },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
   lockUntil: {
     type: Date,
     default: null
   },
+  // Lockouts since the last successful login; each one doubles the next lockout
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
 
   // Two-Factor Authentication
   twoFactorEnabled: {
@@ -180,10 +201,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
-  backupCodes: [{
-    type: String,
+  // bcrypt hashes of the unused one-time backup codes
+  backupCodes: {
+    type: [String],
     select: false
-  }],
+  },
+  // Time step of the last accepted code, so a code cannot be replayed
+  twoFactorLastCounter: {
+    type: Number,
+    select: false
+  },
 
   // Preferences
   preferences: {
@@ -238,6 +265,16 @@ userSchema.virtual('age').get(function() {
   return age;
 });
 
+// Virtual for whether the account is locked out; expires by itself once lockUntil passes
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Virtual for an invitation that has not been accepted yet
+userSchema.virtual('invitationPending').get(function() {
+  return Boolean(this.invitedAt && !this.passwordChangedAt);
+});
+
 // Indexes for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
@@ -245,6 +282,7 @@ userSchema.index({ role: 1 });
 userSchema.index({ specialization: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ lockUntil: 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -307,4 +345,12 @@ userSchema.statics.findByRole = function(role) {
   return this.find({ role, isActive: true });
 };
 
+// Audit trail of every change
+userSchema.plugin(auditPlugin, {
+  entity: 'User',
+  exclude: ['lastLogin', 'twoFactorLastCounter', 'loginAttempts', 'lastFailedLoginAt'],
+  redact: ['password', 'twoFactorSecret', 'backupCodes']
+});
+
 module.exports = mongoose.model('User', userSchema);
+module.exports.USER_ROLES = USER_ROLES;
@@ -0,0 +1,142 @@
+/**
+ * Audit Plugin
+ * Records create/update/delete of documents as AuditLog entries with a field-level diff.
+ * Covers document saves and deletes as well as the query helpers
+ * (findOneAndUpdate, updateOne, updateMany, findOneAndDelete, deleteOne, deleteMany).
+ *
+ * Options:
+ *   entity  - name stored on the audit entry (required)
+ *   exclude - fields never diffed (bookkeeping such as lastLogin)
+ *   redact  - fields whose change is recorded without their values (secrets)
+ */
+
+const AuditLog = require('../AuditLog');
+const { getAuditContext } = require('../../middleware/auditContext');
+const logger = require('../../utils/logger');
+
+const ALWAYS_EXCLUDED = ['_id', '__v', 'createdAt', 'updatedAt'];
+const REDACTED = '[REDACTED]';
+const UPDATE_QUERIES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+const DELETE_QUERIES = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+const AUDIT_BATCH_SIZE = 500;
+
+const toPlain = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false });
+
+// JSON form makes ObjectIds, Dates and nested objects comparable
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Top-level fields an update writes; null for aggregation pipelines, whose targets cannot be read off
+const getUpdatedFields = (update) => {
+  if (!update || Array.isArray(update)) return null;
+
+  const fields = new Set();
+  for (const [key, value] of Object.entries(update)) {
+    let paths = [key];
+    if (key === '$rename') paths = [...Object.keys(value), ...Object.values(value)];
+    else if (key.startsWith('$')) paths = Object.keys(value || {});
+    paths.forEach(path => fields.add(path.split('.')[0]));
+  }
+  return [...fields];
+};
+
+module.exports = function auditPlugin(schema, { entity, exclude = [], redact = [] }) {
+  const excluded = [...ALWAYS_EXCLUDED, ...exclude];
+
+  const diff = (before = {}, after = {}) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...fields]
+      .filter(field => !excluded.includes(field) && !isSameValue(before[field], after[field]))
+      .map(field => (redact.includes(field)
+        ? { field, before: REDACTED, after: REDACTED }
+        : { field, before: before[field], after: after[field] }));
+  };
+
+  // Audit failures are logged but never fail the change itself
+  const record = async (action, entries) => {
+    const context = getAuditContext();
+    const logs = entries
+      .filter(({ changes }) => action !== 'update' || changes.length > 0)
+      .map(({ entityId, changes }) => ({ entity, entityId, action, changes, ...context }));
+
+    if (logs.length === 0) return;
+
+    try {
+      await AuditLog.insertMany(logs);
+    } catch (error) {
+      logger.error(`Failed to write ${entity} audit log:`, error);
+    }
+  };
+
+  // Document middleware
+  schema.post('init', function() {
+    this.$locals.auditSnapshot = toPlain(this);
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditWasNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const after = toPlain(doc);
+    const action = doc.$locals.auditWasNew ? 'create' : 'update';
+    const before = action === 'create' ? {} : doc.$locals.auditSnapshot;
+
+    doc.$locals.auditSnapshot = after;
+    await record(action, [{ entityId: doc._id, changes: diff(before, after) }]);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await record('delete', [{ entityId: doc._id, changes: diff(doc.$locals.auditSnapshot || toPlain(doc), {}) }]);
+  });
+
+  schema.post('insertMany', async function(docs) {
+    await record('create', docs.map(doc => ({ entityId: doc._id, changes: diff({}, toPlain(doc)) })));
+  });
+
+  // Query middleware: snapshot matching documents before the write, diff after it.
+  // Updates only snapshot the audited fields they write, so bulk updates stay small in memory.
+  schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], async function() {
+    const query = this.model.find(this.getFilter()).lean();
+    if (['findOneAndUpdate', 'updateOne', 'findOneAndDelete', 'deleteOne'].includes(this.op)) {
+      query.limit(1);
+    }
+
+    this._auditFields = null;
+    if (UPDATE_QUERIES.includes(this.op)) {
+      const fields = getUpdatedFields(this.getUpdate());
+      if (fields) {
+        this._auditFields = fields.filter(field => !excluded.includes(field));
+        if (this._auditFields.length === 0) {
+          this._auditBefore = [];
+          return;
+        }
+        query.select(this._auditFields);
+      }
+    }
+
+    this._auditBefore = await query;
+  });
+
+  schema.post(UPDATE_QUERIES, async function() {
+    const before = this._auditBefore || [];
+
+    for (let start = 0; start < before.length; start += AUDIT_BATCH_SIZE) {
+      const batch = before.slice(start, start + AUDIT_BATCH_SIZE);
+      const query = this.model.find({ _id: { $in: batch.map(doc => doc._id) } }).lean();
+      if (this._auditFields) query.select(this._auditFields);
+
+      const afterById = new Map((await query).map(doc => [doc._id.toString(), doc]));
+      await record('update', batch.map(doc => ({
+        entityId: doc._id,
+        changes: diff(doc, afterById.get(doc._id.toString()))
+      })));
+    }
+  });
+
+  schema.post(DELETE_QUERIES, async function() {
+    const before = this._auditBefore || [];
+    await record('delete', before.map(doc => ({ entityId: doc._id, changes: diff(doc, {}) })));
+  });
+};
@@ -0,0 +1,40 @@
+/**
+ * Numbering Plugin
+ * Assigns a sequential document number (invoice, claim, ...) to new documents.
+ *
+ * Options:
+ *   field - path holding the number
+ *   type  - numbering type from config/numbering.js
+ *   when  - optional predicate; documents are numbered once it holds instead of when first saved
+ *
+ * Adds saveNumbered(), a save() that allocates a fresh number and retries when the generated
+ * one is already taken (e.g. numbers created before the counters existed).
+ */
+
+const { nextNumber, isDuplicateKeyError } = require('../../services/sequenceService');
+const numberingConfig = require('../../config/numbering');
+const logger = require('../../utils/logger');
+
+module.exports = function numberingPlugin(schema, { field, type, when }) {
+  // Before validation so a required number field is already set
+  schema.pre('validate', async function() {
+    if (!this.get(field) && (when ? when(this) : this.isNew)) {
+      this.set(field, await nextNumber(type));
+      this.$locals.autoNumbered = true;
+    }
+  });
+
+  schema.methods.saveNumbered = async function(options) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.save(options);
+      } catch (error) {
+        const retry = this.$locals.autoNumbered && isDuplicateKeyError(error, field) && attempt < numberingConfig.maxAttempts;
+        if (!retry) throw error;
+
+        logger.warn(`${type} number ${this.get(field)} is already taken, allocating another`);
+        this.set(field, undefined);
+      }
+    }
+  };
+};
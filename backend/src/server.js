@@ -109,7 +109,7 @@ app.use(compression());
 // Logging middleware
 app.use(morgan('combined', {
   stream: {
-    write: (message) => logger.info(message.trim())
+    write: (message) => logger.info(message.trim(), { category: 'api' })
   }
 }));
 
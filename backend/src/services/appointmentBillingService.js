@@ -0,0 +1,63 @@
+/**
+ * Appointment Billing Service
+ * Draft bills for completed appointments
+ */
+
+const Billing = require('../models/Billing');
+const CatalogItem = require('../models/CatalogItem');
+const { resolveDoctor, resolveBillingItems } = require('./catalogService');
+const { isDuplicateKeyError } = require('./sequenceService');
+const billingConfig = require('../config/billing');
+const logger = require('../utils/logger');
+
+/**
+ * Create a draft bill for a completed appointment, with the catalog services set up for its type
+ * priced for its doctor, or the appointment's cost when no service is set up for the type.
+ * Appointments that already have a bill are left alone, including when a concurrent completion
+ * billed the appointment first.
+ * @param {Object} appointment - Completed appointment
+ * @param {Object} options - { userId } recorded as the bill's creator
+ * @returns {Promise<Object|null>} The draft bill, or null when none was created
+ */
+const createDraftBill = async (appointment, { userId }) => {
+  if (await Billing.exists({ appointment: appointment._id })) {
+    return null;
+  }
+
+  const doctor = await resolveDoctor({ doctor: appointment.doctor });
+  const services = await CatalogItem.find({ appointmentTypes: appointment.type, isActive: true }).sort({ code: 1 });
+
+  let items = await resolveBillingItems(services.map(service => ({ code: service.code, quantity: 1 })), { doctor });
+  if (items.length === 0) {
+    if (!(appointment.cost > 0)) {
+      logger.warn(`No catalog service or cost for ${appointment.type} appointment ${appointment._id}; no draft bill created`);
+      return null;
+    }
+    const description = `${appointment.type.charAt(0).toUpperCase()}${appointment.type.slice(1)} appointment`;
+    items = [{ description, quantity: 1, unitPrice: appointment.cost }];
+  }
+
+  const billing = new Billing({
+    patient: appointment.patient,
+    appointment: appointment._id,
+    doctor: doctor ? doctor._id : undefined,
+    items,
+    status: 'draft',
+    dueDate: new Date(Date.now() + billingConfig.paymentTermsDays * 24 * 60 * 60 * 1000),
+    createdBy: userId
+  });
+  try {
+    await billing.save();
+  } catch (error) {
+    if (!isDuplicateKeyError(error, 'appointment')) throw error;
+    logger.info(`Appointment ${appointment._id} was billed concurrently; no draft bill created`);
+    return null;
+  }
+
+  logger.info(`Draft bill ${billing._id} created for completed appointment ${appointment._id}`);
+  return billing;
+};
+
+module.exports = {
+  createDraftBill
+};
@@ -0,0 +1,153 @@
+/**
+ * Auth Session Service
+ * Server-side refresh-token registry: one session per signed-in device, rotation on every refresh,
+ * and reuse detection that signs the whole device out
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const authConfig = require('../config/auth');
+const logger = require('../utils/logger');
+
+const createServiceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Device details recorded on the session
+const getClientDetails = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ipAddress: req.ip
+});
+
+/**
+ * Generate the JWT pair of a session; every refresh token is unique so rotation can tell them apart
+ */
+const generateTokens = (userId, sessionId) => {
+  const accessToken = jwt.sign(
+    { userId, sid: sessionId, type: 'access' },
+    authConfig.jwt.secret,
+    {
+      expiresIn: authConfig.jwt.expiresIn,
+      issuer: authConfig.jwt.issuer,
+      audience: authConfig.jwt.audience,
+      algorithm: 'HS256'
+    }
+  );
+
+  const refreshToken = jwt.sign(
+    { userId, sid: sessionId, type: 'refresh' },
+    authConfig.jwt.refreshSecret,
+    {
+      expiresIn: authConfig.jwt.refreshExpiresIn,
+      issuer: authConfig.jwt.issuer,
+      audience: authConfig.jwt.audience,
+      algorithm: 'HS256',
+      jwtid: crypto.randomUUID()
+    }
+  );
+
+  return { accessToken, refreshToken };
+};
+
+const getExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * Sign a user in on a new device
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ */
+const startSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const tokens = generateTokens(user._id, sessionId);
+
+  const session = await AuthSession.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash: hashToken(tokens.refreshToken),
+    ...getClientDetails(req),
+    expiresAt: getExpiry(tokens.refreshToken)
+  });
+
+  return { ...tokens, session };
+};
+
+/**
+ * Revoke the matching sessions that are still active
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeSessions = async (filter, { reason, revokedBy } = {}) => {
+  const result = await AuthSession.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new pair. The old token stops working; presenting a token
+ * that was already rotated means it leaked, so the session and every token of it are revoked.
+ * Two refreshes racing with the same token count as reuse as well.
+ * @returns {Promise<Object>} { accessToken, refreshToken, userId }
+ */
+const rotateSession = async (refreshToken, req) => {
+  // JWT errors are thrown as they are
+  const decoded = jwt.verify(refreshToken, authConfig.jwt.refreshSecret, {
+    issuer: authConfig.jwt.issuer,
+    audience: authConfig.jwt.audience,
+    algorithms: ['HS256']
+  });
+
+  const session = decoded.sid && await AuthSession.findById(decoded.sid).select('+tokenHash');
+  if (!session || session.revokedAt || String(session.user) !== String(decoded.userId)) {
+    throw createServiceError('Session has been signed out; sign in again', 401);
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const tokens = generateTokens(session.user, session._id);
+
+  const rotated = presentedHash === session.tokenHash && await AuthSession.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      tokenHash: hashToken(tokens.refreshToken),
+      ...getClientDetails(req),
+      lastUsedAt: new Date(),
+      expiresAt: getExpiry(tokens.refreshToken)
+    }
+  );
+
+  if (!rotated) {
+    await revokeSessions({ _id: session._id }, { reason: 'token-reuse' });
+    logger.security(`Refresh token reuse detected, session ${session._id} of user ${session.user} revoked (IP: ${req.ip})`);
+    throw createServiceError('Refresh token has already been used; sign in again', 401);
+  }
+
+  return { ...tokens, userId: session.user };
+};
+
+/**
+ * Whether the session an access token belongs to is still signed in
+ */
+const isSessionActive = async (sessionId) => Boolean(await AuthSession.exists({ _id: sessionId, revokedAt: null }));
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+const listSessions = (userId) => AuthSession.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).sort({ lastUsedAt: -1 });
+
+module.exports = {
+  generateTokens,
+  startSession,
+  rotateSession,
+  revokeSessions,
+  isSessionActive,
+  listSessions
+};
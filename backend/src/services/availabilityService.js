@@ -0,0 +1,113 @@
+/**
+ * Availability Service
+ * Computes open appointment slots from doctor working hours, time-off and existing bookings
+ */
+
+const moment = require('moment-timezone');
+const Appointment = require('../models/Appointment');
+const ScheduleException = require('../models/ScheduleException');
+const { toMinutes, toTime, toDateKey, intervalsOverlap } = require('../utils/timeUtils');
+
+const DEFAULT_TIMEZONE = 'Asia/Riyadh';
+const SLOT_INTERVAL = 15; // minutes between candidate slot start times
+const MAX_RANGE_DAYS = 31;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const getDoctorTimezone = (doctor) => {
+  const timezone = doctor.preferences?.timezone;
+  return timezone && moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Collect booked intervals (in minutes) per calendar day for a doctor
+ */
+const getBusyIntervals = async (doctorId, firstDay, lastDay) => {
+  const appointments = await Appointment.find({
+    doctor: doctorId,
+    appointmentDate: {
+      $gte: new Date(`${firstDay}T00:00:00.000Z`),
+      $lt: moment.utc(lastDay).add(1, 'day').toDate()
+    },
+    status: { $in: Appointment.BLOCKING_STATUSES }
+  }).select('appointmentDate appointmentTime duration');
+
+  return appointments.reduce((acc, appointment) => {
+    const dateKey = toDateKey(appointment.appointmentDate);
+    const start = toMinutes(appointment.appointmentTime);
+    (acc[dateKey] = acc[dateKey] || []).push({ start, end: start + (appointment.duration || 30) });
+    return acc;
+  }, {});
+};
+
+/**
+ * Compute the open slots of a doctor between two calendar dates (inclusive)
+ * @param {Object} doctor - User document with workingHours and preferences
+ * @param {Object} options - { from, to, duration } where from/to are YYYY-MM-DD in the doctor's timezone
+ */
+const getAvailability = async (doctor, { from, to, duration = 30 }) => {
+  const timezone = getDoctorTimezone(doctor);
+  const { startTime = '09:00', endTime = '17:00', workingDays = [] } = doctor.workingHours || {};
+  const dayStart = toMinutes(startTime);
+  const dayEnd = toMinutes(endTime);
+
+  const busyIntervals = await getBusyIntervals(doctor._id, from, to);
+  const exceptions = await ScheduleException.findInRange(doctor._id, from, to);
+  const now = moment.tz(timezone);
+  const days = [];
+
+  for (let day = moment.tz(from, timezone); !day.isAfter(moment.tz(to, timezone), 'day'); day.add(1, 'day')) {
+    const dayName = DAY_NAMES[day.day()];
+
+    // An empty workingDays list means the schedule has not been restricted
+    if (workingDays.length > 0 && !workingDays.includes(dayName)) continue;
+
+    const date = day.format('YYYY-MM-DD');
+    const busy = busyIntervals[date] || [];
+    const dayExceptions = exceptions.filter(exception => exception.blocks(date, dayStart, dayEnd));
+    const slots = [];
+
+    for (let start = dayStart; start + duration <= dayEnd; start += SLOT_INTERVAL) {
+      const end = start + duration;
+      const startsAt = moment.tz(`${date} ${toTime(start)}`, 'YYYY-MM-DD HH:mm', timezone);
+
+      if (startsAt.isBefore(now)) continue;
+      if (busy.some(interval => intervalsOverlap(start, end, interval.start, interval.end))) continue;
+      if (dayExceptions.some(exception => exception.blocks(date, start, end))) continue;
+
+      slots.push({
+        time: toTime(start),
+        endTime: toTime(end),
+        start: startsAt.toISOString(),
+        end: startsAt.clone().add(duration, 'minutes').toISOString()
+      });
+    }
+
+    days.push({
+      date,
+      dayOfWeek: dayName,
+      slots,
+      exceptions: dayExceptions.map(exception => ({
+        id: exception._id,
+        scope: exception.scope,
+        type: exception.type,
+        reason: exception.reason,
+        startTime: exception.startTime,
+        endTime: exception.endTime
+      }))
+    });
+  }
+
+  return {
+    timezone,
+    duration,
+    workingHours: { startTime, endTime, workingDays },
+    days
+  };
+};
+
+module.exports = {
+  getAvailability,
+  getDoctorTimezone,
+  MAX_RANGE_DAYS,
+  SLOT_INTERVAL
+};
@@ -0,0 +1,128 @@
+/**
+ * Availability Service tests
+ * Slot computation from working hours, bookings and schedule exceptions, with queries mocked
+ */
+
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const ScheduleException = require('../models/ScheduleException');
+const { getAvailability, getDoctorTimezone, SLOT_INTERVAL } = require('./availabilityService');
+
+// 2099-01-05 is a Monday, far enough ahead that no slot lies in the past
+const MONDAY = '2099-01-05';
+const TUESDAY = '2099-01-06';
+
+const doctor = {
+  _id: new mongoose.Types.ObjectId(),
+  workingHours: { startTime: '09:00', endTime: '10:00', workingDays: ['monday'] },
+  preferences: { timezone: 'UTC' }
+};
+
+const mockBookings = (bookings) => jest.spyOn(Appointment, 'find').mockReturnValue({
+  select: jest.fn().mockResolvedValue(bookings.map(([date, appointmentTime, duration]) => ({
+    appointmentDate: new Date(`${date}T00:00:00.000Z`),
+    appointmentTime,
+    duration
+  })))
+});
+
+const mockExceptions = (exceptions) => jest.spyOn(ScheduleException, 'findInRange')
+  .mockResolvedValue(exceptions.map(fields => new ScheduleException({ scope: 'clinic', type: 'other', createdBy: doctor._id, ...fields })));
+
+const slotTimes = (result, date = MONDAY) => result.days.find(day => day.date === date).slots.map(slot => slot.time);
+
+beforeEach(() => {
+  mockBookings([]);
+  mockExceptions([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getAvailability', () => {
+  it('offers slots every SLOT_INTERVAL minutes that fit within working hours', async () => {
+    const result = await getAvailability(doctor, { from: MONDAY, to: MONDAY, duration: 30 });
+
+    expect(SLOT_INTERVAL).toBe(15);
+    expect(slotTimes(result)).toEqual(['09:00', '09:15', '09:30']);
+    expect(result.days[0].slots[0]).toEqual({
+      time: '09:00',
+      endTime: '09:30',
+      start: `${MONDAY}T09:00:00.000Z`,
+      end: `${MONDAY}T09:30:00.000Z`
+    });
+  });
+
+  it('skips days outside the working days', async () => {
+    const result = await getAvailability(doctor, { from: MONDAY, to: TUESDAY, duration: 30 });
+
+    expect(result.days.map(day => day.date)).toEqual([MONDAY]);
+  });
+
+  it('treats an empty working days list as every day', async () => {
+    const result = await getAvailability(
+      { ...doctor, workingHours: { ...doctor.workingHours, workingDays: [] } },
+      { from: MONDAY, to: TUESDAY, duration: 30 }
+    );
+
+    expect(result.days.map(day => day.date)).toEqual([MONDAY, TUESDAY]);
+  });
+
+  it('leaves out slots overlapping a booking', async () => {
+    mockBookings([[MONDAY, '09:15', 15]]);
+
+    const result = await getAvailability(doctor, { from: MONDAY, to: MONDAY, duration: 15 });
+
+    expect(slotTimes(result)).toEqual(['09:00', '09:30', '09:45']);
+  });
+
+  it('assumes 30 minutes for bookings without a duration', async () => {
+    mockBookings([[MONDAY, '09:00']]);
+
+    const result = await getAvailability(doctor, { from: MONDAY, to: MONDAY, duration: 15 });
+
+    expect(slotTimes(result)).toEqual(['09:30', '09:45']);
+  });
+
+  it('leaves out slots inside a partial-day exception and reports it', async () => {
+    mockExceptions([{ type: 'half-day', startDate: new Date(MONDAY), endDate: new Date(MONDAY), startTime: '09:30', endTime: '10:00', reason: 'Staff meeting' }]);
+
+    const result = await getAvailability(doctor, { from: MONDAY, to: MONDAY, duration: 15 });
+
+    expect(slotTimes(result)).toEqual(['09:00', '09:15']);
+    expect(result.days[0].exceptions).toEqual([expect.objectContaining({ type: 'half-day', startTime: '09:30', endTime: '10:00', reason: 'Staff meeting' })]);
+  });
+
+  it('offers nothing on a full-day exception', async () => {
+    mockExceptions([{ type: 'public-holiday', startDate: new Date(MONDAY), endDate: new Date(MONDAY) }]);
+
+    const result = await getAvailability(doctor, { from: MONDAY, to: MONDAY, duration: 15 });
+
+    expect(slotTimes(result)).toEqual([]);
+  });
+
+  it('never offers slots in the past', async () => {
+    const result = await getAvailability(doctor, { from: '2000-01-03', to: '2000-01-03', duration: 15 });
+
+    expect(slotTimes(result, '2000-01-03')).toEqual([]);
+  });
+
+  it('computes slot instants in the doctor\'s timezone', async () => {
+    const result = await getAvailability(
+      { ...doctor, preferences: { timezone: 'Asia/Riyadh' } },
+      { from: MONDAY, to: MONDAY, duration: 60 }
+    );
+
+    expect(result.timezone).toBe('Asia/Riyadh');
+    expect(result.days[0].slots).toEqual([expect.objectContaining({ time: '09:00', start: `${MONDAY}T06:00:00.000Z` })]);
+  });
+});
+
+describe('getDoctorTimezone', () => {
+  it('falls back to the clinic timezone for missing or unknown zones', () => {
+    expect(getDoctorTimezone({ preferences: { timezone: 'Europe/Berlin' } })).toBe('Europe/Berlin');
+    expect(getDoctorTimezone({ preferences: { timezone: 'Mars/Olympus' } })).toBe('Asia/Riyadh');
+    expect(getDoctorTimezone({})).toBe('Asia/Riyadh');
+  });
+});
@@ -0,0 +1,413 @@
+/**
+ * Backup Service
+ * Dumps clinic collections to gzip (optionally AES-256-GCM encrypted) archives,
+ * enforces retention and restores archives with an optional dry-run validation pass.
+ *
+ * Archive layout: newline-delimited EJSON, a header line followed by one line per document.
+ * Encrypted archives are wrapped as [12-byte IV][ciphertext][16-byte auth tag].
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const readline = require('readline');
+const stream = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const Backup = require('../models/Backup');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+const AuditLog = require('../models/AuditLog');
+const Billing = require('../models/Billing');
+const CatalogItem = require('../models/CatalogItem');
+const CashSession = require('../models/CashSession');
+const CreditNote = require('../models/CreditNote');
+const DunningNotice = require('../models/DunningNotice');
+const Counter = require('../models/Counter');
+const Insurer = require('../models/Insurer');
+const InsuranceClaim = require('../models/InsuranceClaim');
+const Prescription = require('../models/Prescription');
+const ScheduleException = require('../models/ScheduleException');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const BACKUP_PATH = process.env.BACKUP_PATH || './backups';
+const ARCHIVE_VERSION = 1;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const RESTORE_BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 5;
+
+// Collections included in every backup, keyed by archive name. Sign-in sessions and password
+// tokens are left out on purpose: restoring them would bring back revoked credentials.
+const BACKUP_MODELS = {
+  users: User,
+  patients: Patient,
+  appointments: Appointment,
+  billings: Billing,
+  catalogitems: CatalogItem,
+  cashsessions: CashSession,
+  creditnotes: CreditNote,
+  dunningnotices: DunningNotice,
+  counters: Counter,
+  insurers: Insurer,
+  insuranceclaims: InsuranceClaim,
+  prescriptions: Prescription,
+  scheduleexceptions: ScheduleException,
+  securitypolicies: SecurityPolicy,
+  auditlogs: AuditLog
+};
+
+// Only one backup or restore may touch the archives at a time
+let activeOperation = null;
+
+const createServiceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getEncryptionKey = () => {
+  const secret = process.env.BACKUP_ENCRYPTION_KEY;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+};
+
+const getRetentionDays = () => parseInt(process.env.BACKUP_RETENTION_DAYS, 10) || 30;
+
+const runExclusive = async (name, operation) => {
+  if (activeOperation) {
+    throw createServiceError(`A ${activeOperation} is already in progress`, 409);
+  }
+
+  activeOperation = name;
+  try {
+    return await operation();
+  } finally {
+    activeOperation = null;
+  }
+};
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+// Yield the archive lines, counting documents per collection as they stream out
+async function* archiveLines(counts) {
+  yield `${JSON.stringify({ type: 'header', version: ARCHIVE_VERSION, createdAt: new Date(), collections: Object.keys(BACKUP_MODELS) })}\n`;
+
+  for (const [name, Model] of Object.entries(BACKUP_MODELS)) {
+    counts[name] = 0;
+    // Raw driver cursor so hashed passwords and other select:false fields are kept as stored
+    for await (const document of Model.collection.find({})) {
+      counts[name]++;
+      yield `${EJSON.stringify({ collection: name, document }, { relaxed: false })}\n`;
+    }
+  }
+}
+
+const writeArchive = async (filePath, counts) => {
+  const key = getEncryptionKey();
+  const output = fs.createWriteStream(filePath);
+
+  if (!key) {
+    await pipeline(stream.Readable.from(archiveLines(counts)), zlib.createGzip(), output);
+    return false;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  output.write(iv);
+  await pipeline(stream.Readable.from(archiveLines(counts)), zlib.createGzip(), cipher, output);
+  await fs.promises.appendFile(filePath, cipher.getAuthTag());
+  return true;
+};
+
+// Read decoded lines; stream.pipeline forwards read, decrypt and gunzip errors to the line reader
+const createLineReader = (...streams) => {
+  const gunzip = zlib.createGunzip();
+  stream.pipeline(...streams, gunzip, () => {});
+  return readline.createInterface({ input: gunzip, crlfDelay: Infinity });
+};
+
+// Open an archive as a stream of lines, decrypting when needed
+const readArchive = async (backup) => {
+  if (!backup.encrypted) {
+    return createLineReader(fs.createReadStream(backup.filePath));
+  }
+
+  const key = getEncryptionKey();
+  if (!key) {
+    throw createServiceError('BACKUP_ENCRYPTION_KEY is required to read an encrypted backup', 400);
+  }
+
+  const { size } = await fs.promises.stat(backup.filePath);
+  const handle = await fs.promises.open(backup.filePath, 'r');
+  const iv = Buffer.alloc(IV_LENGTH);
+  const authTag = Buffer.alloc(AUTH_TAG_LENGTH);
+  try {
+    await handle.read(iv, 0, IV_LENGTH, 0);
+    await handle.read(authTag, 0, AUTH_TAG_LENGTH, size - AUTH_TAG_LENGTH);
+  } finally {
+    await handle.close();
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(authTag);
+
+  return createLineReader(
+    fs.createReadStream(backup.filePath, { start: IV_LENGTH, end: size - AUTH_TAG_LENGTH - 1 }),
+    decipher
+  );
+};
+
+/**
+ * Stream every document of an archive to a callback
+ * @param {Object} backup - Backup document
+ * @param {Function} onDocument - async (collectionName, document) => void
+ */
+const eachArchivedDocument = async (backup, onDocument) => {
+  const lines = await readArchive(backup);
+  let header = null;
+
+  for await (const line of lines) {
+    if (!line) continue;
+
+    if (!header) {
+      header = JSON.parse(line);
+      if (header.type !== 'header' || header.version !== ARCHIVE_VERSION) {
+        throw createServiceError('Unsupported backup archive format', 400);
+      }
+      continue;
+    }
+
+    const { collection, document } = EJSON.parse(line, { relaxed: false });
+    await onDocument(collection, document);
+  }
+
+  if (!header) {
+    throw createServiceError('Backup archive is empty', 400);
+  }
+};
+
+// Dump all clinic collections to a new archive and record it; the caller holds the exclusive lock
+const writeBackup = async ({ trigger, userId }) => {
+  await fs.promises.mkdir(BACKUP_PATH, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const fileName = `clinic-backup-${timestamp}.ndjson.gz${getEncryptionKey() ? '.enc' : ''}`;
+  const backup = await Backup.create({
+    fileName,
+    filePath: path.resolve(BACKUP_PATH, fileName),
+    trigger,
+    createdBy: userId
+  });
+
+  const counts = {};
+  try {
+    backup.encrypted = await writeArchive(backup.filePath, counts);
+
+    const { size } = await fs.promises.stat(backup.filePath);
+    backup.set({
+      status: 'completed',
+      size,
+      checksum: await hashFile(backup.filePath),
+      collections: Object.entries(counts).map(([name, count]) => ({ name, count })),
+      completedAt: new Date()
+    });
+    backup.durationMs = backup.completedAt - backup.startedAt;
+    await backup.save();
+
+    logger.info(`Backup ${backup.fileName} completed: ${backup.documentCount} documents, ${size} bytes in ${backup.durationMs}ms`);
+    return backup;
+
+  } catch (error) {
+    backup.set({ status: 'failed', error: error.message, completedAt: new Date() });
+    backup.durationMs = backup.completedAt - backup.startedAt;
+    await backup.save();
+    await fs.promises.rm(backup.filePath, { force: true });
+
+    logger.error(`Backup ${backup.fileName} failed:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Dump all clinic collections to a new archive and record it
+ * @param {Object} options - { trigger, userId }
+ */
+const createBackup = ({ trigger = 'manual', userId } = {}) =>
+  runExclusive('backup', () => writeBackup({ trigger, userId }));
+
+/**
+ * Delete archives older than BACKUP_RETENTION_DAYS, keeping their history records
+ * @returns {Number} Number of expired backups
+ */
+const applyRetention = () => runExclusive('retention', async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const expired = await Backup.find({ status: 'completed', createdAt: { $lt: cutoff } });
+
+  for (const backup of expired) {
+    await fs.promises.rm(backup.filePath, { force: true });
+    backup.status = 'expired';
+    await backup.save();
+  }
+
+  if (expired.length > 0) {
+    logger.info(`Backup retention: expired ${expired.length} archive(s) older than ${getRetentionDays()} days`);
+  }
+
+  return expired.length;
+});
+
+// Check checksum and decode every document, validating it against its model
+const validateArchive = async (backup) => {
+  if (backup.status !== 'completed') {
+    throw createServiceError(`Backup is ${backup.status} and cannot be restored`, 400);
+  }
+
+  try {
+    await fs.promises.access(backup.filePath);
+  } catch (error) {
+    throw createServiceError('Backup archive file is missing', 404);
+  }
+
+  if (await hashFile(backup.filePath) !== backup.checksum) {
+    throw createServiceError('Backup archive checksum does not match', 400);
+  }
+
+  const report = Object.fromEntries(Object.keys(BACKUP_MODELS).map(name => [name, { name, count: 0, invalid: 0, errors: [] }]));
+
+  await eachArchivedDocument(backup, async (collection, document) => {
+    const entry = report[collection];
+    if (!entry) {
+      throw createServiceError(`Backup archive contains unknown collection: ${collection}`, 400);
+    }
+
+    entry.count++;
+    const validationError = new BACKUP_MODELS[collection](document).validateSync();
+    if (validationError) {
+      entry.invalid++;
+      if (entry.errors.length < MAX_REPORTED_ERRORS) {
+        entry.errors.push({ id: document._id, message: validationError.message });
+      }
+    }
+  });
+
+  for (const { name, count } of backup.collections) {
+    if (report[name] && report[name].count !== count) {
+      throw createServiceError(`Backup archive has ${report[name].count} ${name}, expected ${count}`, 400);
+    }
+  }
+
+  return Object.values(report);
+};
+
+// Replace the collections the archive holds; collections added after it was taken are left alone
+const replaceCollections = async (backup) => {
+  for (const { name } of backup.collections) {
+    if (BACKUP_MODELS[name]) {
+      await BACKUP_MODELS[name].collection.deleteMany({});
+    }
+  }
+
+  const batches = {};
+  const flush = async (collection) => {
+    if (batches[collection]?.length) {
+      await BACKUP_MODELS[collection].collection.insertMany(batches[collection], { ordered: false });
+      batches[collection] = [];
+    }
+  };
+
+  await eachArchivedDocument(backup, async (collection, document) => {
+    (batches[collection] = batches[collection] || []).push(document);
+    if (batches[collection].length >= RESTORE_BATCH_SIZE) await flush(collection);
+  });
+
+  for (const collection of Object.keys(batches)) {
+    await flush(collection);
+  }
+};
+
+/**
+ * Restore a backup, or only validate it when dryRun is set
+ * A real restore first snapshots the current data as a pre-restore backup. Validation, the
+ * snapshot and the restore run under one lock, so no scheduled backup or retention sweep
+ * can touch the archives in between.
+ * @returns {Object} { dryRun, collections, safetyBackup }
+ */
+const restoreBackup = async (backupId, { dryRun = true, userId } = {}) => {
+  const backup = await Backup.findById(backupId);
+  if (!backup) {
+    throw createServiceError('Backup not found', 404);
+  }
+
+  let collections = [];
+  let safetyBackup = null;
+
+  try {
+    await runExclusive(dryRun ? 'restore validation' : 'restore', async () => {
+      collections = await validateArchive(backup);
+      if (dryRun) return;
+
+      safetyBackup = await writeBackup({ trigger: 'pre-restore', userId });
+      await replaceCollections(backup);
+      logger.warn(`Database restored from backup ${backup.fileName} (safety backup ${safetyBackup.fileName})`);
+    });
+
+    backup.restores.push({
+      dryRun,
+      succeeded: true,
+      collections: collections.map(({ name, count, invalid }) => ({ name, count, invalid })),
+      performedBy: userId
+    });
+    await backup.save();
+
+    return { dryRun, collections, safetyBackup };
+
+  } catch (error) {
+    backup.restores.push({ dryRun, succeeded: false, error: error.message, performedBy: userId });
+    await backup.save();
+    throw error;
+  }
+};
+
+/**
+ * Summarize backup history for the admin dashboard
+ */
+const getBackupOverview = async ({ limit = 20 } = {}) => {
+  const [lastBackup, history] = await Promise.all([
+    Backup.findOne({ status: 'completed' }).sort({ createdAt: -1 }),
+    Backup.find().sort({ createdAt: -1 }).limit(limit).populate('createdBy', 'firstName lastName email')
+  ]);
+
+  const retained = await Backup.aggregate([
+    { $match: { status: 'completed' } },
+    { $group: { _id: null, count: { $sum: 1 }, totalSize: { $sum: '$size' } } }
+  ]);
+
+  return {
+    lastBackup,
+    inProgress: activeOperation,
+    retentionDays: getRetentionDays(),
+    encryptionEnabled: Boolean(getEncryptionKey()),
+    retained: {
+      count: retained[0]?.count || 0,
+      totalSize: retained[0]?.totalSize || 0
+    },
+    history
+  };
+};
+
+module.exports = {
+  createBackup,
+  restoreBackup,
+  applyRetention,
+  getBackupOverview,
+  BACKUP_COLLECTIONS: Object.keys(BACKUP_MODELS)
+};
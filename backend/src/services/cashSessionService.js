@@ -0,0 +1,183 @@
+/**
+ * Cash Session Service
+ * Drawer sessions of the cashiers: attributing desk payments, closing counts and Z-reports
+ */
+
+const mongoose = require('mongoose');
+const Billing = require('../models/Billing');
+const CashSession = require('../models/CashSession');
+const billingConfig = require('../config/billing');
+
+// Amounts are kept to the cent so counts compare exactly
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const createServiceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Open a drawer session for a cashier; each cashier has at most one open session
+ */
+const openSession = async ({ userId, openingFloat, notes }) => {
+  try {
+    return await CashSession.create({ cashier: userId, openingFloat: roundAmount(openingFloat), openingNotes: notes });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createServiceError('You already have an open cash session; close it first', 409);
+    }
+    throw error;
+  }
+};
+
+const findOpenSession = (userId) => CashSession.findOne({ cashier: userId, status: 'open' });
+
+/**
+ * Session a ledger entry taken by a cashier belongs to. Only desk payment methods go
+ * through the drawer; taking one without an open session is refused unless sessions
+ * are optional.
+ * @returns {Promise<ObjectId|undefined>} Session ID, or undefined for entries outside the drawer
+ */
+const resolveCashSession = async (userId, method) => {
+  if (!billingConfig.drawerMethods.includes(method)) return undefined;
+
+  const session = await findOpenSession(userId);
+  if (session) return session._id;
+
+  if (billingConfig.requireCashSession) {
+    throw createServiceError(`Open a cash session before taking ${method.replace('_', ' ')} payments`, 409);
+  }
+  return undefined;
+};
+
+/**
+ * Refuse to void a ledger entry counted in a closed session; the closed count would no longer match
+ */
+const assertEntryVoidable = async (entry) => {
+  if (!entry || !entry.cashSession) return;
+
+  const session = await CashSession.findById(entry.cashSession).select('status');
+  if (session && session.status === 'closed') {
+    throw createServiceError('Entries of a closed cash session cannot be voided; record a refund instead', 409);
+  }
+};
+
+/**
+ * Ledger entries taken in a session, oldest first
+ */
+const getSessionEntries = (sessionId) => {
+  const id = new mongoose.Types.ObjectId(String(sessionId));
+
+  return Billing.aggregate([
+    { $match: { 'payments.cashSession': id } },
+    { $unwind: '$payments' },
+    { $match: { 'payments.cashSession': id } },
+    {
+      $project: {
+        _id: '$payments._id',
+        billing: '$_id',
+        invoiceNumber: 1,
+        patient: 1,
+        type: '$payments.type',
+        amount: '$payments.amount',
+        method: '$payments.method',
+        reference: '$payments.reference',
+        date: '$payments.date',
+        refundOf: '$payments.refundOf',
+        status: '$payments.status',
+        voidReason: '$payments.voidReason'
+      }
+    },
+    { $sort: { date: 1 } }
+  ]);
+};
+
+/**
+ * Totals by payment method of the completed entries, plus what was voided
+ */
+const summarizeEntries = (entries) => {
+  const byMethod = new Map();
+  const voided = { count: 0, amount: 0 };
+
+  for (const entry of entries) {
+    if (entry.status === 'voided') {
+      voided.count++;
+      voided.amount = roundAmount(voided.amount + entry.amount);
+      continue;
+    }
+
+    const totals = byMethod.get(entry.method) || { method: entry.method, payments: 0, paymentCount: 0, refunds: 0, refundCount: 0 };
+    if (entry.type === 'refund') {
+      totals.refunds = roundAmount(totals.refunds + entry.amount);
+      totals.refundCount++;
+    } else {
+      totals.payments = roundAmount(totals.payments + entry.amount);
+      totals.paymentCount++;
+    }
+    byMethod.set(entry.method, totals);
+  }
+
+  const methods = [...byMethod.values()].map(totals => ({ ...totals, net: roundAmount(totals.payments - totals.refunds) }));
+  return { methods, voided };
+};
+
+/**
+ * Close a session with the amounts counted per payment method
+ * @param {Object} counted - Counted amount by payment method, e.g. { cash: 950, credit_card: 420 }
+ */
+const closeSession = async (session, { counted, notes, userId }) => {
+  const { methods } = summarizeEntries(await getSessionEntries(session._id));
+  session.close(methods, { counted, notes, userId });
+  return session.save();
+};
+
+/**
+ * Z-report of a session: totals taken per payment method against the closing count and
+ * every ledger entry of the session. Open sessions report the running expected amounts.
+ */
+const buildZReport = async (session) => {
+  const transactions = await getSessionEntries(session._id);
+  const { methods, voided } = summarizeEntries(transactions);
+
+  let counts = session.counts;
+  if (session.status === 'open') {
+    counts = Object.entries(session.getExpectedAmounts(methods)).map(([method, expected]) => ({ method, expected }));
+  }
+
+  const byMethod = counts.map(count => ({
+    method: count.method,
+    ...(methods.find(totals => totals.method === count.method) ||
+      { payments: 0, paymentCount: 0, refunds: 0, refundCount: 0, net: 0 }),
+    expected: count.expected,
+    counted: count.counted,
+    variance: count.variance
+  }));
+
+  const sum = (field) => roundAmount(byMethod.reduce((total, entry) => total + (entry[field] || 0), 0));
+
+  return {
+    session,
+    methods: byMethod,
+    totals: {
+      openingFloat: session.openingFloat,
+      payments: sum('payments'),
+      refunds: sum('refunds'),
+      net: sum('net'),
+      expected: sum('expected'),
+      counted: session.status === 'closed' ? session.totalCounted : undefined,
+      variance: session.status === 'closed' ? session.totalVariance : undefined
+    },
+    voided,
+    transactions
+  };
+};
+
+module.exports = {
+  openSession,
+  findOpenSession,
+  resolveCashSession,
+  assertEntryVoidable,
+  closeSession,
+  buildZReport
+};
@@ -0,0 +1,76 @@
+/**
+ * Catalog Service
+ * Fills billing line items from the service catalog
+ */
+
+const CatalogItem = require('../models/CatalogItem');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+
+const createServiceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * Doctor whose catalog prices apply: the one given, otherwise the doctor of the appointment
+ * @param {Object} source - { doctor, appointment } IDs
+ * @returns {Promise<Object|null>} doctor with their specialization
+ */
+const resolveDoctor = async ({ doctor, appointment } = {}) => {
+  let doctorId = doctor;
+  if (!doctorId && appointment) {
+    const linked = await Appointment.findById(appointment).select('doctor');
+    doctorId = linked && linked.doctor;
+  }
+  if (!doctorId) return null;
+
+  const user = await User.findOne({ _id: doctorId, role: 'doctor' }).select('firstName lastName specialization');
+  if (!user) {
+    throw createServiceError('Doctor not found', 404);
+  }
+  return user;
+};
+
+/**
+ * Turn requested line items into billing items. Items with a catalog code get their description,
+ * price and tax category from the catalog. Totals and tax are left to the Billing model.
+ * @param {Array} items - requested items: { code, quantity } or { description, quantity, unitPrice, taxCategory }
+ * @param {Object} options - { doctor } the catalog prices are looked up for
+ * @returns {Promise<Array>} billing items
+ */
+const resolveBillingItems = async (items, { doctor = null } = {}) => {
+  const codes = [...new Set(items.filter(item => item.code).map(item => normalizeCode(item.code)))];
+  const catalogItems = codes.length > 0 ? await CatalogItem.find({ code: { $in: codes } }) : [];
+  const catalog = new Map(catalogItems.map(entry => [entry.code, entry]));
+
+  // Calculated amounts sent by the caller are dropped
+  return items.map(({ code, total, taxRate, tax, ...item }) => {
+    if (!code) return item;
+
+    const entry = catalog.get(normalizeCode(code));
+    if (!entry) {
+      throw createServiceError(`Unknown service code ${normalizeCode(code)}`);
+    }
+    if (!entry.isActive) {
+      throw createServiceError(`Service ${entry.code} is no longer offered`);
+    }
+
+    return {
+      ...item,
+      serviceCode: entry.code,
+      description: entry.name,
+      descriptionAr: entry.nameAr,
+      unitPrice: entry.getPriceFor(doctor),
+      taxCategory: entry.taxCategory
+    };
+  });
+};
+
+module.exports = {
+  resolveDoctor,
+  resolveBillingItems
+};
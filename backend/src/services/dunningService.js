@@ -0,0 +1,230 @@
+/**
+ * Dunning Service
+ * Marks bills overdue once their due date passes and sends escalating payment reminders
+ */
+
+const fs = require('fs');
+const Billing = require('../models/Billing');
+const DunningNotice = require('../models/DunningNotice');
+const notificationService = require('./notificationService');
+const dunningConfig = require('../config/dunning');
+const { toDateKey } = require('../utils/timeUtils');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CURRENCY = process.env.INVOICE_CURRENCY || 'SAR';
+
+let templates = null;
+
+// Default templates merged with the overrides file, read once
+const getTemplates = () => {
+  if (templates) return templates;
+
+  let overrides = {};
+  if (dunningConfig.templatesPath) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(dunningConfig.templatesPath, 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to load dunning templates from ${dunningConfig.templatesPath}; using defaults:`, error);
+    }
+  }
+
+  templates = Object.fromEntries(Object.entries(dunningConfig.templates).map(([name, template]) =>
+    [name, { ...template, ...overrides[name] }]));
+  return templates;
+};
+
+const render = (template, values) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+
+// Highest stage the bill has reached, with the template used for it
+const resolveStage = (daysOverdue) => {
+  const { stages } = dunningConfig;
+  let index = -1;
+  stages.forEach((stage, i) => {
+    if (daysOverdue >= stage) index = i;
+  });
+  if (index < 0) return null;
+
+  let template = 'second';
+  if (index === 0) template = 'first';
+  else if (index === stages.length - 1) template = 'final';
+  return { stage: stages[index], template };
+};
+
+// Build the deliveries for one notice from the patient's contact data and the configured channels
+const buildDunningMessages = (billing, notice) => {
+  const { patient } = billing;
+  const template = getTemplates()[notice.template];
+  const values = {
+    patientName: patient.name,
+    invoiceNumber: billing.invoiceNumber,
+    amount: `${notice.outstandingAmount.toFixed(2)} ${CURRENCY}`,
+    dueDate: toDateKey(billing.dueDate),
+    daysOverdue: notice.daysOverdue,
+    clinicName: process.env.CLINIC_NAME || 'Medical Clinic'
+  };
+  const messages = [];
+
+  if (dunningConfig.channels.includes('email') && patient.email) {
+    messages.push(['email', {
+      to: patient.email,
+      subject: render(template.subject, values),
+      text: render(template.email, values)
+    }]);
+  }
+
+  if (dunningConfig.channels.includes('sms') && patient.phone) {
+    messages.push(['sms', {
+      to: patient.phone,
+      text: render(template.sms, values)
+    }]);
+  }
+
+  return messages;
+};
+
+/**
+ * Send one notice over every applicable channel
+ * @returns {Object[]} Delivery log entries, failed ones carrying an error message
+ */
+const sendDunningNotice = async (billing, notice) => {
+  const deliveries = [];
+
+  for (const [channel, message] of buildDunningMessages(billing, notice)) {
+    try {
+      const result = await notificationService.send(channel, message);
+      deliveries.push({ channel, to: message.to, transport: result.transport, skipped: result.skipped });
+    } catch (error) {
+      logger.error(`Payment reminder for bill ${billing.invoiceNumber} failed on ${channel}:`, error);
+      deliveries.push({ channel, to: message.to, error: error.message });
+    }
+  }
+
+  return deliveries;
+};
+
+// Highest stage a bill has reached going by its due date, as an aggregation expression
+const reachedStageExpression = (now) => ({
+  $max: {
+    $filter: {
+      input: dunningConfig.stages,
+      as: 'stage',
+      cond: { $lte: [{ $multiply: ['$$stage', DAY_MS] }, { $subtract: [now, '$dueDate'] }] }
+    }
+  }
+});
+
+/**
+ * Oldest overdue bills whose reached stage has no notice yet
+ * Bills already handled for their stage are left out before the batch limit, so bills past
+ * their final stage never crowd out newer ones.
+ */
+const findBillsDue = async (now) => {
+  const candidates = await Billing.aggregate([
+    {
+      $match: {
+        status: { $in: ['overdue', 'partial'] },
+        dueDate: { $lte: new Date(now.getTime() - dunningConfig.stages[0] * DAY_MS) }
+      }
+    },
+    { $sort: { dueDate: 1 } },
+    { $addFields: { reachedStage: reachedStageExpression(now) } },
+    {
+      $lookup: {
+        from: DunningNotice.collection.name,
+        let: { billing: '$_id', stage: '$reachedStage' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$billing', '$$billing'] }, { $eq: ['$stage', '$$stage'] }] } } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'reachedNotice'
+      }
+    },
+    { $match: { reachedNotice: { $size: 0 } } },
+    { $limit: BATCH_SIZE },
+    { $project: { reachedStage: 0, reachedNotice: 0 } }
+  ]);
+
+  const bills = candidates.map(bill => Billing.hydrate(bill));
+  return Billing.populate(bills, { path: 'patient', select: 'name phone email paymentRemindersOptOut' });
+};
+
+/**
+ * Send the reminder of the highest stage each unpaid overdue bill has reached
+ * Each stage is claimed by creating its notice first, so overlapping runs never send it
+ * twice; the claim is released again when every channel failed. Stages a bill skipped
+ * past, e.g. while its patient had opted out, are not sent late. Patients without any
+ * contact details for the enabled channels get the stage logged as undeliverable.
+ */
+const sendDunningNotices = async (now = new Date()) => {
+  const summary = { due: 0, sent: 0, optedOut: 0, undeliverable: 0, failed: 0 };
+  if (!dunningConfig.enabled || dunningConfig.stages.length === 0) return summary;
+
+  const bills = await findBillsDue(now);
+
+  for (const billing of bills) {
+    if (!billing.patient || billing.outstandingAmount <= 0) continue;
+
+    const daysOverdue = Math.floor((now - billing.dueDate) / DAY_MS);
+    const reached = resolveStage(daysOverdue);
+    if (!reached) continue;
+
+    let notice;
+    try {
+      notice = await DunningNotice.create({
+        billing: billing._id,
+        invoiceNumber: billing.invoiceNumber,
+        patient: billing.patient._id,
+        ...reached,
+        daysOverdue,
+        outstandingAmount: billing.outstandingAmount,
+        sentAt: now
+      });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+    summary.due++;
+
+    if (billing.patient.paymentRemindersOptOut) {
+      notice.status = 'opted-out';
+      await notice.save();
+      summary.optedOut++;
+      continue;
+    }
+
+    const deliveries = await sendDunningNotice(billing, notice);
+    if (deliveries.length === 0) {
+      notice.status = 'undeliverable';
+      await notice.save();
+      summary.undeliverable++;
+    } else if (deliveries.every(delivery => delivery.error)) {
+      await DunningNotice.deleteOne({ _id: notice._id });
+      summary.failed++;
+    } else {
+      notice.deliveries = deliveries;
+      notice.status = 'sent';
+      await notice.save();
+      summary.sent++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Mark pending bills past their due date overdue, then send the reminders that are due
+ */
+const runOverdueSweep = async (now = new Date()) => {
+  const markedOverdue = await Billing.markOverdue(now);
+  const reminders = await sendDunningNotices(now);
+  return { markedOverdue, ...reminders };
+};
+
+module.exports = {
+  runOverdueSweep,
+  sendDunningNotices
+};
@@ -0,0 +1,223 @@
+/**
+ * Interaction Service
+ * Checks prescribed medications against the patient's allergies and other current medications
+ * using a locally maintained rules dataset.
+ *
+ * The dataset defaults to src/data/interactionRules.json; INTERACTION_RULES_PATH may point to
+ * another JSON file of the same shape or to a CSV file with the columns
+ *   rule,term_a,term_b,severity,description
+ * where rule is "class" (term_b lists members separated by |), "allergy" or "interaction".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Prescription = require('../models/Prescription');
+const logger = require('../utils/logger');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../data/interactionRules.json');
+const SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+let rules = null;
+
+// Minimal CSV parsing with support for quoted fields
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+};
+
+const parseCsvRules = (text) => {
+  const dataset = { drugClasses: {}, allergyRules: [], interactions: [] };
+  const [, ...lines] = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+
+  for (const line of lines) {
+    const [rule, termA, termB, severity, description] = parseCsvLine(line);
+    if (rule === 'class') {
+      dataset.drugClasses[termA] = termB.split('|').map(term => term.trim()).filter(Boolean);
+    } else if (rule === 'allergy') {
+      dataset.allergyRules.push({ allergen: termA, drug: termB, severity, description });
+    } else if (rule === 'interaction') {
+      dataset.interactions.push({ drugs: [termA, termB], severity, description });
+    }
+  }
+
+  return dataset;
+};
+
+const validateRules = (dataset, source) => {
+  const invalid = [...dataset.allergyRules, ...dataset.interactions]
+    .filter(rule => !SEVERITIES.includes(rule.severity));
+  if (invalid.length > 0) {
+    throw new Error(`Interaction rules in ${source} have invalid severity: ${invalid.map(rule => rule.severity).join(', ')}`);
+  }
+};
+
+/**
+ * Load (or reload) the rules dataset from disk
+ */
+const loadRules = () => {
+  const source = process.env.INTERACTION_RULES_PATH || DEFAULT_RULES_PATH;
+  const text = fs.readFileSync(source, 'utf8');
+  const dataset = source.endsWith('.csv') ? parseCsvRules(text) : JSON.parse(text);
+
+  const loaded = {
+    drugClasses: dataset.drugClasses || {},
+    allergyRules: dataset.allergyRules || [],
+    interactions: dataset.interactions || []
+  };
+  validateRules(loaded, source);
+
+  rules = loaded;
+  logger.info(`Loaded ${rules.allergyRules.length} allergy and ${rules.interactions.length} interaction rules from ${source}`);
+  return rules;
+};
+
+const getRules = () => rules || loadRules();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive match that also accepts a plural form
+const mentions = (text, term) => {
+  return new RegExp(`(^|[^a-z])${escapeRegExp(term.toLowerCase())}s?([^a-z]|$)`).test((text || '').toLowerCase());
+};
+
+// A class name expands to itself plus its members
+const expandTerm = (term) => [term, ...(getRules().drugClasses[term] || [])];
+
+const matchesTerm = (text, term) => expandTerm(term).some(candidate => mentions(text, candidate));
+
+const severityRank = (severity) => SEVERITIES.indexOf(severity);
+
+// Keep only the most severe warning per key
+const addWarning = (warnings, key, warning) => {
+  const existing = warnings.get(key);
+  if (!existing || severityRank(warning.severity) > severityRank(existing.severity)) {
+    warnings.set(key, warning);
+  }
+};
+
+const checkAllergies = (medications, allergies, warnings) => {
+  const { allergyRules } = getRules();
+
+  for (const medication of medications) {
+    for (const allergy of allergies) {
+      const key = `allergy:${medication.name}:${allergy.allergen}`;
+      const warning = {
+        kind: 'drug-allergy',
+        drugs: [medication.name],
+        allergen: allergy.allergen
+      };
+
+      // The drug itself is a documented allergen
+      if (mentions(medication.name, allergy.allergen)) {
+        addWarning(warnings, key, { ...warning, severity: 'contraindicated', description: `Patient is allergic to ${allergy.allergen}` });
+      }
+
+      for (const rule of allergyRules) {
+        if (matchesTerm(allergy.allergen, rule.allergen) && matchesTerm(medication.name, rule.drug)) {
+          addWarning(warnings, key, { ...warning, severity: rule.severity, description: rule.description });
+        }
+      }
+    }
+  }
+};
+
+const checkDrugPairs = (medications, otherMedications, warnings) => {
+  const { interactions } = getRules();
+  const candidates = [...medications, ...otherMedications];
+
+  medications.forEach((medication, index) => {
+    candidates.forEach((other, otherIndex) => {
+      // Each pair of new medications is compared once
+      if (otherIndex < medications.length && otherIndex <= index) return;
+
+      for (const rule of interactions) {
+        const [termA, termB] = rule.drugs;
+        const matched = (matchesTerm(medication.name, termA) && matchesTerm(other.name, termB))
+          || (matchesTerm(medication.name, termB) && matchesTerm(other.name, termA));
+
+        if (matched) {
+          addWarning(warnings, `drug:${[medication.name, other.name].sort().join(':')}`, {
+            kind: 'drug-drug',
+            drugs: [medication.name, other.name],
+            source: other.source || 'prescription',
+            severity: rule.severity,
+            description: rule.description
+          });
+        }
+      }
+    });
+  });
+};
+
+// Medications the patient is already taking: active prescriptions plus recorded current medications
+const getCurrentMedications = async (patient, excludePrescriptionId) => {
+  const query = { patient: patient._id, status: 'active' };
+  if (excludePrescriptionId) query._id = { $ne: excludePrescriptionId };
+
+  const prescriptions = await Prescription.find(query).select('medications.name');
+
+  return [
+    ...prescriptions.flatMap(prescription => prescription.medications.map(({ name }) => ({
+      name,
+      source: 'active-prescription'
+    }))),
+    ...(patient.medications || [])
+      .filter(medication => medication.status === 'active')
+      .map(({ name }) => ({ name, source: 'current-medication' }))
+  ];
+};
+
+/**
+ * Check a set of medications for a patient
+ * @param {Object} patient - Patient document (allergies and medications are read)
+ * @param {Object[]} medications - Medications being prescribed ({ name })
+ * @param {Object} options - { excludePrescriptionId } to ignore the prescription being edited
+ * @returns {Object} { warnings, highestSeverity, requiresOverride }
+ */
+const checkMedications = async (patient, medications, { excludePrescriptionId } = {}) => {
+  const warnings = new Map();
+  const allergies = (patient.allergies || []).filter(allergy => allergy.status !== 'resolved');
+
+  checkAllergies(medications, allergies, warnings);
+  checkDrugPairs(medications, await getCurrentMedications(patient, excludePrescriptionId), warnings);
+
+  const sorted = [...warnings.values()].sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+  const highestSeverity = sorted[0]?.severity || null;
+
+  return {
+    warnings: sorted,
+    highestSeverity,
+    requiresOverride: highestSeverity === 'contraindicated'
+  };
+};
+
+module.exports = {
+  checkMedications,
+  loadRules,
+  SEVERITIES
+};
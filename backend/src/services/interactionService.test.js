@@ -0,0 +1,176 @@
+/**
+ * Interaction Service tests
+ * Drug-allergy and drug-drug checks against rules loaded from fixture files
+ */
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Prescription = require('../models/Prescription');
+const { checkMedications, loadRules } = require('./interactionService');
+
+const RULES = {
+  drugClasses: {
+    penicillins: ['amoxicillin', 'ampicillin'],
+    nsaids: ['ibuprofen', 'naproxen']
+  },
+  allergyRules: [
+    { allergen: 'penicillins', drug: 'penicillins', severity: 'contraindicated', description: 'Penicillin allergy' },
+    { allergen: 'penicillins', drug: 'cephalexin', severity: 'moderate', description: 'Possible cross-reactivity' }
+  ],
+  interactions: [
+    { drugs: ['warfarin', 'nsaids'], severity: 'major', description: 'Bleeding risk' },
+    { drugs: ['simvastatin', 'clarithromycin'], severity: 'contraindicated', description: 'Myopathy risk' }
+  ]
+};
+
+const CSV_RULES = [
+  'rule,term_a,term_b,severity,description',
+  '# comment lines are skipped',
+  'class,nsaids,ibuprofen|naproxen,,',
+  'allergy,sulfa,sulfamethoxazole,major,"Sulfonamide allergy, avoid"',
+  'interaction,warfarin,nsaids,major,Bleeding risk'
+].join('\n');
+
+let directory;
+const originalRulesPath = process.env.INTERACTION_RULES_PATH;
+
+const useRules = (fileName, contents) => {
+  const filePath = path.join(directory, fileName);
+  fs.writeFileSync(filePath, contents);
+  process.env.INTERACTION_RULES_PATH = filePath;
+  return loadRules();
+};
+
+const mockActivePrescriptions = (...names) => jest.spyOn(Prescription, 'find').mockReturnValue({
+  select: jest.fn().mockResolvedValue(names.map(name => ({ medications: [{ name }] })))
+});
+
+const patient = (fields = {}) => ({ _id: new mongoose.Types.ObjectId(), allergies: [], medications: [], ...fields });
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'interaction-rules-'));
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+  if (originalRulesPath === undefined) delete process.env.INTERACTION_RULES_PATH;
+  else process.env.INTERACTION_RULES_PATH = originalRulesPath;
+});
+
+beforeEach(() => {
+  useRules('rules.json', JSON.stringify(RULES));
+  mockActivePrescriptions();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkMedications', () => {
+  it('returns no warnings when nothing matches', async () => {
+    const result = await checkMedications(patient(), [{ name: 'Paracetamol 500mg' }]);
+
+    expect(result).toEqual({ warnings: [], highestSeverity: null, requiresOverride: false });
+  });
+
+  it('flags a drug the patient is allergic to, matching class members', async () => {
+    const result = await checkMedications(
+      patient({ allergies: [{ allergen: 'Penicillins' }] }),
+      [{ name: 'Amoxicillin 500mg' }]
+    );
+
+    expect(result.warnings).toEqual([expect.objectContaining({
+      kind: 'drug-allergy',
+      drugs: ['Amoxicillin 500mg'],
+      allergen: 'Penicillins',
+      severity: 'contraindicated'
+    })]);
+    expect(result.requiresOverride).toBe(true);
+  });
+
+  it('flags the allergen itself being prescribed', async () => {
+    const result = await checkMedications(patient({ allergies: [{ allergen: 'ibuprofen' }] }), [{ name: 'Ibuprofen 400mg' }]);
+
+    expect(result.warnings[0]).toMatchObject({ severity: 'contraindicated', description: 'Patient is allergic to ibuprofen' });
+  });
+
+  it('ignores resolved allergies', async () => {
+    const result = await checkMedications(
+      patient({ allergies: [{ allergen: 'penicillins', status: 'resolved' }] }),
+      [{ name: 'Amoxicillin' }]
+    );
+
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('matches whole words only', async () => {
+    const result = await checkMedications(patient({ allergies: [{ allergen: 'penicillins' }] }), [{ name: 'Xamoxicillinol' }]);
+
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('flags interactions between the new medications, once per pair', async () => {
+    const result = await checkMedications(patient(), [{ name: 'Warfarin 5mg' }, { name: 'Naproxen' }]);
+
+    expect(result.warnings).toEqual([expect.objectContaining({
+      kind: 'drug-drug',
+      drugs: ['Warfarin 5mg', 'Naproxen'],
+      severity: 'major'
+    })]);
+    expect(result.requiresOverride).toBe(false);
+  });
+
+  it('checks against active prescriptions and recorded current medications', async () => {
+    mockActivePrescriptions('Clarithromycin');
+
+    const result = await checkMedications(
+      patient({ medications: [{ name: 'Warfarin', status: 'active' }, { name: 'Ibuprofen', status: 'stopped' }] }),
+      [{ name: 'Simvastatin' }, { name: 'Ibuprofen' }]
+    );
+
+    expect(result.warnings.map(warning => [warning.drugs, warning.source])).toEqual([
+      [['Simvastatin', 'Clarithromycin'], 'active-prescription'],
+      [['Ibuprofen', 'Warfarin'], 'current-medication']
+    ]);
+    expect(result.highestSeverity).toBe('contraindicated');
+  });
+
+  it('leaves out the prescription being edited', async () => {
+    const prescriptionId = new mongoose.Types.ObjectId();
+    const current = patient();
+
+    await checkMedications(current, [{ name: 'Warfarin' }], { excludePrescriptionId: prescriptionId });
+
+    expect(Prescription.find).toHaveBeenCalledWith({ patient: current._id, status: 'active', _id: { $ne: prescriptionId } });
+  });
+
+  it('orders warnings by severity and keeps the most severe per pair', async () => {
+    const result = await checkMedications(
+      patient({ allergies: [{ allergen: 'penicillins' }] }),
+      [{ name: 'Cephalexin' }, { name: 'Warfarin' }, { name: 'Ibuprofen' }, { name: 'Ampicillin' }]
+    );
+
+    expect(result.warnings.map(warning => warning.severity)).toEqual(['contraindicated', 'major', 'moderate']);
+  });
+});
+
+describe('loadRules', () => {
+  it('reads CSV datasets', async () => {
+    const rules = useRules('rules.csv', CSV_RULES);
+
+    expect(rules.drugClasses).toEqual({ nsaids: ['ibuprofen', 'naproxen'] });
+    expect(rules.allergyRules).toEqual([{ allergen: 'sulfa', drug: 'sulfamethoxazole', severity: 'major', description: 'Sulfonamide allergy, avoid' }]);
+
+    const result = await checkMedications(patient(), [{ name: 'Warfarin' }, { name: 'Naproxen' }]);
+    expect(result.highestSeverity).toBe('major');
+  });
+
+  it('rejects rules with an unknown severity', () => {
+    expect(() => useRules('invalid.json', JSON.stringify({ interactions: [{ drugs: ['a', 'b'], severity: 'fatal' }] })))
+      .toThrow('have invalid severity: fatal');
+  });
+});
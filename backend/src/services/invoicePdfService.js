@@ -0,0 +1,515 @@
+/**
+ * Invoice PDF Service
+ * Renders printable invoices in English or Arabic (right-to-left) with a verification QR code.
+ *
+ * The standard PDF fonts have no Arabic glyphs, so Arabic invoices need INVOICE_FONT_PATH
+ * (and optionally INVOICE_BOLD_FONT_PATH) pointing to a TTF/OTF font that covers Arabic.
+ * Without it Arabic requests fall back to the English layout.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const bidiFactory = require('bidi-js');
+const QRCode = require('qrcode');
+const moment = require('moment-timezone');
+const taxConfig = require('../config/tax');
+const authConfig = require('../config/auth');
+const logger = require('../utils/logger');
+
+const PAGE_MARGIN = 50;
+const CURRENCY = process.env.INVOICE_CURRENCY || 'SAR';
+
+const bidi = bidiFactory();
+const RTL_SCRIPT = /[\p{Script=Arabic}\p{Script=Hebrew}]/u;
+
+const LABELS = {
+  en: {
+    title: 'INVOICE',
+    invoiceNumber: 'Invoice No.',
+    issueDate: 'Issue Date',
+    dueDate: 'Due Date',
+    billTo: 'Bill To',
+    nationalId: 'National ID',
+    phone: 'Phone',
+    email: 'Email',
+    appointment: 'Appointment',
+    description: 'Description',
+    quantity: 'Qty',
+    unitPrice: 'Unit Price',
+    taxRate: 'Tax %',
+    total: 'Total',
+    subtotal: 'Subtotal',
+    tax: 'Tax',
+    taxOn: 'on',
+    discount: 'Discount',
+    credited: 'Credit Notes',
+    grandTotal: 'Total Due',
+    insurance: 'Insurance',
+    insuranceProvider: 'Provider',
+    policyNumber: 'Policy No.',
+    insuranceShare: 'Insurance Share',
+    patientShare: 'Patient Share',
+    amountPaid: 'Amount Paid',
+    outstanding: 'Balance Due',
+    payment: 'Payment',
+    paymentStatus: 'Payment Status',
+    paymentMethod: 'Payment Method',
+    paymentDate: 'Payment Date',
+    notes: 'Notes',
+    verify: 'Scan to verify this invoice',
+    taxNumber: 'VAT No.',
+    status: {
+      draft: 'Draft',
+      pending: 'Pending',
+      paid: 'Paid',
+      partial: 'Partially Paid',
+      overdue: 'Overdue',
+      cancelled: 'Cancelled'
+    },
+    method: {
+      cash: 'Cash',
+      credit_card: 'Credit Card',
+      debit_card: 'Debit Card',
+      bank_transfer: 'Bank Transfer',
+      insurance: 'Insurance',
+      other: 'Other'
+    }
+  },
+  ar: {
+    title: 'فاتورة',
+    invoiceNumber: 'رقم الفاتورة',
+    issueDate: 'تاريخ الإصدار',
+    dueDate: 'تاريخ الاستحقاق',
+    billTo: 'فاتورة إلى',
+    nationalId: 'رقم الهوية',
+    phone: 'الهاتف',
+    email: 'البريد الإلكتروني',
+    appointment: 'الموعد',
+    description: 'الوصف',
+    quantity: 'الكمية',
+    unitPrice: 'سعر الوحدة',
+    taxRate: 'نسبة الضريبة',
+    total: 'الإجمالي',
+    subtotal: 'المجموع الفرعي',
+    tax: 'الضريبة',
+    taxOn: 'على',
+    discount: 'الخصم',
+    credited: 'الإشعارات الدائنة',
+    grandTotal: 'المبلغ المستحق',
+    insurance: 'التأمين',
+    insuranceProvider: 'شركة التأمين',
+    policyNumber: 'رقم الوثيقة',
+    insuranceShare: 'حصة التأمين',
+    patientShare: 'حصة المريض',
+    amountPaid: 'المبلغ المدفوع',
+    outstanding: 'الرصيد المتبقي',
+    payment: 'الدفع',
+    paymentStatus: 'حالة الدفع',
+    paymentMethod: 'طريقة الدفع',
+    paymentDate: 'تاريخ الدفع',
+    notes: 'ملاحظات',
+    verify: 'امسح الرمز للتحقق من الفاتورة',
+    taxNumber: 'الرقم الضريبي',
+    status: {
+      draft: 'مسودة',
+      pending: 'قيد الانتظار',
+      paid: 'مدفوعة',
+      partial: 'مدفوعة جزئياً',
+      overdue: 'متأخرة',
+      cancelled: 'ملغاة'
+    },
+    method: {
+      cash: 'نقداً',
+      credit_card: 'بطاقة ائتمان',
+      debit_card: 'بطاقة مدى',
+      bank_transfer: 'تحويل بنكي',
+      insurance: 'تأمين',
+      other: 'أخرى'
+    }
+  }
+};
+
+const getClinicDetails = (language) => ({
+  name: (language === 'ar' && process.env.CLINIC_NAME_AR) || process.env.CLINIC_NAME || 'Medical Clinic',
+  address: (language === 'ar' && process.env.CLINIC_ADDRESS_AR) || process.env.CLINIC_ADDRESS || '',
+  phone: process.env.CLINIC_PHONE || '',
+  email: process.env.CLINIC_EMAIL || '',
+  taxNumber: process.env.CLINIC_TAX_NUMBER || ''
+});
+
+// Falls back to the JWT secret, itself random per process when unset, so signatures are never keyless
+const getSigningSecret = () => process.env.INVOICE_SIGNING_SECRET || authConfig.jwt.secret;
+
+/**
+ * Signature embedded in the QR code; binds the invoice number to its total and issue date
+ * so a printed invoice can be checked against the records
+ */
+const signInvoice = (billing) => {
+  const payload = `${billing.invoiceNumber}|${Number(billing.total).toFixed(2)}|${new Date(billing.createdAt).toISOString()}`;
+  return crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('hex').slice(0, 32);
+};
+
+const verifyInvoiceSignature = (billing, signature) => {
+  const expected = Buffer.from(signInvoice(billing));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const getVerificationUrl = (billing) => {
+  const baseUrl = process.env.INVOICE_VERIFY_URL || `${process.env.FRONTEND_URL || 'http://localhost:4200'}/invoices/verify`;
+  return `${baseUrl}/${encodeURIComponent(billing.invoiceNumber)}?sig=${signInvoice(billing)}`;
+};
+
+// Arabic needs an embedded font; returns the language actually rendered
+const registerFonts = (doc, language) => {
+  const regular = process.env.INVOICE_FONT_PATH;
+  const bold = process.env.INVOICE_BOLD_FONT_PATH || regular;
+
+  if (regular && fs.existsSync(regular) && fs.existsSync(bold)) {
+    doc.registerFont('Invoice', regular);
+    doc.registerFont('Invoice-Bold', bold);
+    return language;
+  }
+
+  doc.registerFont('Invoice', 'Helvetica');
+  doc.registerFont('Invoice-Bold', 'Helvetica-Bold');
+
+  if (language === 'ar') {
+    logger.warn('INVOICE_FONT_PATH is not set to a font with Arabic glyphs; rendering invoice in English');
+    return 'en';
+  }
+  return language;
+};
+
+const formatAmount = (amount) => `${Number(amount || 0).toFixed(2)} ${CURRENCY}`;
+
+const formatDate = (date) => (date ? moment(date).tz(process.env.TIMEZONE || 'UTC').format('YYYY-MM-DD') : '-');
+
+// Break a paragraph into lines that fit the width, as inclusive [start, end] offsets without the breaking spaces
+const wrapParagraph = (doc, paragraph, width) => {
+  const lines = [];
+  let start = null;
+  let end = -1;
+
+  for (const word of paragraph.matchAll(/\S+/g)) {
+    const wordEnd = word.index + word[0].length - 1;
+    if (start !== null && doc.widthOfString(paragraph.slice(start, wordEnd + 1)) > width) {
+      lines.push([start, end]);
+      start = null;
+    }
+    if (start === null) start = word.index;
+    end = wordEnd;
+  }
+
+  if (start !== null) lines.push([start, end]);
+  return lines;
+};
+
+// One line in display order, split into runs of a single direction
+const getVisualRuns = (doc, paragraph, embedding, start, end) => {
+  const order = [];
+  for (let index = start; index <= end; index++) order.push(index);
+  for (const [from, to] of bidi.getReorderSegments(paragraph, embedding, start, end)) {
+    const reversed = order.slice(from - start, to - start + 1).reverse();
+    order.splice(from - start, reversed.length, ...reversed);
+  }
+
+  const mirrored = bidi.getMirroredCharactersMap(paragraph, embedding.levels, start, end);
+  const runs = [];
+  for (const index of order) {
+    const level = embedding.levels[index];
+    const char = mirrored.get(index) || paragraph[index];
+    const last = runs[runs.length - 1];
+    if (last && last.level === level) {
+      last.chars.push(char);
+    } else {
+      runs.push({ level, chars: [char] });
+    }
+  }
+
+  return runs.map(({ level, chars }) => {
+    // fontkit reverses runs in a right-to-left script while shaping them, so those go in logical order
+    const text = level % 2 === 1 && RTL_SCRIPT.test(chars.join('')) ? chars.reverse().join('') : chars.join('');
+    return { text, width: doc.widthOfString(text, { features: [] }) };
+  });
+};
+
+/**
+ * Draw text containing Arabic or Hebrew. pdfkit lays out every word with its trailing space as a
+ * separate run in reading order, which reverses the words of right-to-left text and moves the spaces,
+ * so lines are wrapped and reordered here (Unicode bidi algorithm) and each run is laid out whole.
+ * @returns {Number} The y below the text
+ */
+const drawBidiText = (doc, value, left, top, width, align, direction) => {
+  let y = top;
+
+  for (const paragraph of value.split('\n')) {
+    const embedding = bidi.getEmbeddingLevels(paragraph, direction);
+    const lines = wrapParagraph(doc, paragraph, width);
+
+    for (const [start, end] of lines) {
+      const runs = getVisualRuns(doc, paragraph, embedding, start, end);
+      const lineWidth = runs.reduce((sum, run) => sum + run.width, 0);
+      let x = left;
+      if (align === 'right') x += width - lineWidth;
+      if (align === 'center') x += (width - lineWidth) / 2;
+
+      for (const run of runs) {
+        doc.text(run.text, x, y, { lineBreak: false, features: [] });
+        x += run.width;
+      }
+      y += doc.currentLineHeight(true);
+    }
+
+    if (lines.length === 0) y += doc.currentLineHeight(true);
+  }
+
+  doc.y = y;
+  return y;
+};
+
+/**
+ * Draw helpers working in logical (reading-order) coordinates: x is measured from the start
+ * edge, so in RTL layouts columns are mirrored and alignments flipped
+ */
+const createWriter = (doc, rtl) => {
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const flip = { left: 'right', right: 'left', center: 'center' };
+
+  const text = (value, x, y, width, { align = 'left', bold = false, size = 10, color = '#000000' } = {}) => {
+    const left = rtl ? PAGE_MARGIN + contentWidth - x - width : PAGE_MARGIN + x;
+    const string = String(value ?? '');
+    const alignment = rtl ? flip[align] : align;
+    doc.font(bold ? 'Invoice-Bold' : 'Invoice').fontSize(size).fillColor(color);
+
+    if (RTL_SCRIPT.test(string)) {
+      return drawBidiText(doc, string, left, y, width, alignment, rtl ? 'rtl' : 'ltr');
+    }
+    doc.text(string, left, y, { width, align: alignment });
+    return doc.y;
+  };
+
+  const rule = (y) => {
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + contentWidth, y).strokeColor('#cccccc').lineWidth(1).stroke();
+  };
+
+  const box = (x, y, width, height, color) => {
+    const left = rtl ? PAGE_MARGIN + contentWidth - x - width : PAGE_MARGIN + x;
+    doc.rect(left, y, width, height).fillColor(color).fill();
+  };
+
+  return { text, rule, box, contentWidth, rtl };
+};
+
+const drawHeader = (doc, writer, labels, clinic, qrImage) => {
+  const { text, contentWidth } = writer;
+  const qrSize = 90;
+
+  text(clinic.name, 0, PAGE_MARGIN, contentWidth - qrSize - 10, { bold: true, size: 18 });
+  let y = doc.y + 2;
+  for (const line of [clinic.address, clinic.phone, clinic.email]) {
+    if (line) y = text(line, 0, y, contentWidth - qrSize - 10, { size: 9, color: '#555555' });
+  }
+  if (clinic.taxNumber) {
+    text(labels.taxNumber, 0, y, 80, { size: 9, color: '#555555' });
+    y = text(clinic.taxNumber, 85, y, 200, { size: 9, color: '#555555' });
+  }
+
+  const qrLeft = writer.rtl ? PAGE_MARGIN : PAGE_MARGIN + contentWidth - qrSize;
+  doc.image(qrImage, qrLeft, PAGE_MARGIN - 5, { width: qrSize });
+  text(labels.verify, contentWidth - qrSize - 10, PAGE_MARGIN + qrSize - 5, qrSize + 20, { size: 7, align: 'center', color: '#555555' });
+
+  return Math.max(y, PAGE_MARGIN + qrSize + 20) + 10;
+};
+
+const drawDetails = (doc, writer, billing, labels, startY) => {
+  const { text, rule, contentWidth } = writer;
+  const patient = billing.patient || {};
+  const half = contentWidth / 2;
+
+  text(labels.title, 0, startY, contentWidth, { bold: true, size: 16 });
+  rule(doc.y + 4);
+
+  let y = doc.y + 12;
+  let left = text(labels.billTo, 0, y, half - 10, { bold: true });
+  left = text(patient.name || '-', 0, left + 2, half - 10);
+  const patientRows = [
+    [labels.nationalId, patient.nationalId],
+    [labels.phone, patient.phone],
+    [labels.email, patient.email]
+  ].filter(([, value]) => value);
+  for (const [label, value] of patientRows) {
+    text(label, 0, left + 2, 80, { size: 9, color: '#555555' });
+    left = text(value, 85, left + 2, half - 95, { size: 9 });
+  }
+
+  const invoiceRows = [
+    [labels.invoiceNumber, billing.invoiceNumber],
+    [labels.issueDate, formatDate(billing.issuedAt)],
+    [labels.dueDate, formatDate(billing.dueDate)]
+  ];
+  if (billing.appointment?.appointmentDate) {
+    invoiceRows.push([labels.appointment, `${formatDate(billing.appointment.appointmentDate)} ${billing.appointment.appointmentTime || ''}`.trim()]);
+  }
+  let right = y;
+  for (const [label, value] of invoiceRows) {
+    text(label, half, right, 100, { size: 9, color: '#555555' });
+    right = text(value, half + 105, right, half - 105, { size: 9 }) + 2;
+  }
+
+  return Math.max(left, right) + 20;
+};
+
+const drawItems = (doc, writer, billing, labels, startY) => {
+  const { text, rule, box, contentWidth } = writer;
+  const columns = [
+    { key: 'description', x: 0, width: contentWidth - 345, align: 'left' },
+    { key: 'quantity', x: contentWidth - 340, width: 35, align: 'center' },
+    { key: 'unitPrice', x: contentWidth - 300, width: 80, align: 'right' },
+    { key: 'taxRate', x: contentWidth - 215, width: 45, align: 'right' },
+    { key: 'tax', x: contentWidth - 165, width: 75, align: 'right' },
+    { key: 'total', x: contentWidth - 85, width: 85, align: 'right' }
+  ];
+
+  box(0, startY - 4, contentWidth, 20, '#f0f0f0');
+  for (const column of columns) {
+    text(labels[column.key], column.x, startY, column.width, { bold: true, size: 9, align: column.align });
+  }
+
+  let y = startY + 22;
+  for (const item of billing.items) {
+    if (y > doc.page.height - 200) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    const values = {
+      description: (writer.rtl && item.descriptionAr) || item.description,
+      quantity: item.quantity,
+      unitPrice: formatAmount(item.unitPrice),
+      taxRate: item.taxCategory ? `${item.taxRate}%` : '-',
+      tax: item.taxCategory ? formatAmount(item.tax) : '-',
+      total: formatAmount(item.total)
+    };
+    let rowEnd = y;
+    for (const column of columns) {
+      rowEnd = Math.max(rowEnd, text(values[column.key], column.x, y, column.width, { size: 9, align: column.align }));
+    }
+    y = rowEnd + 6;
+    rule(y - 3);
+  }
+
+  return y + 10;
+};
+
+const drawTotals = (doc, writer, billing, labels, startY) => {
+  const { text, rule, contentWidth } = writer;
+  const labelX = contentWidth - 320;
+  const valueX = contentWidth - 120;
+  const { coverage, insuranceShare, patientShare } = billing.getInsuranceSplit();
+  const taxLabelKey = writer.rtl ? 'labelAr' : 'label';
+
+  const row = (label, value, y, options = {}) => {
+    text(label, labelX, y, 195, options);
+    return text(value, valueX, y, 120, { ...options, align: 'right' }) + 4;
+  };
+
+  let y = row(labels.subtotal, formatAmount(billing.subtotal), startY);
+  // One tax row per category and rate, e.g. VAT 15% on 800.00
+  for (const entry of billing.getTaxSummary()) {
+    const name = entry.taxCategory ? `${taxConfig.rates[entry.taxCategory]?.[taxLabelKey] || entry.taxCategory} ${entry.rate}%` : labels.tax;
+    y = row(`${name} ${labels.taxOn} ${formatAmount(entry.taxableAmount)}`, formatAmount(entry.tax), y, { size: 9 });
+  }
+  y = row(labels.discount, `-${formatAmount(billing.discount)}`, y);
+  if (billing.creditedAmount > 0) {
+    y = row(labels.credited, `-${formatAmount(billing.creditedAmount)}`, y);
+  }
+  rule(y);
+  y = row(labels.grandTotal, formatAmount(billing.netTotal ?? billing.total), y + 6, { bold: true, size: 12 });
+
+  if (coverage > 0) {
+    y = row(`${labels.insuranceShare} (${coverage}%)`, formatAmount(insuranceShare), y + 4);
+    y = row(labels.patientShare, formatAmount(patientShare), y, { bold: true });
+  }
+
+  if (billing.amountPaid > 0) {
+    y = row(labels.amountPaid, formatAmount(billing.amountPaid), y + 4);
+    y = row(labels.outstanding, formatAmount(billing.outstandingAmount), y, { bold: true });
+  }
+
+  return y + 16;
+};
+
+const drawPaymentAndInsurance = (doc, writer, billing, labels, startY) => {
+  const { text, contentWidth } = writer;
+  const half = contentWidth / 2;
+
+  let left = text(labels.payment, 0, startY, half - 10, { bold: true });
+  const paymentRows = [
+    [labels.paymentStatus, labels.status[billing.status] || billing.status],
+    [labels.paymentMethod, labels.method[billing.paymentMethod] || billing.paymentMethod],
+    ...(billing.paymentDate ? [[labels.paymentDate, formatDate(billing.paymentDate)]] : [])
+  ];
+  for (const [label, value] of paymentRows) {
+    text(label, 0, left + 2, 100, { size: 9, color: '#555555' });
+    left = text(value, 105, left + 2, half - 115, { size: 9 });
+  }
+
+  let right = startY;
+  if (billing.insuranceProvider) {
+    right = text(labels.insurance, half, startY, half, { bold: true });
+    for (const [label, value] of [[labels.insuranceProvider, billing.insuranceProvider], [labels.policyNumber, billing.insurancePolicyNumber]]) {
+      if (!value) continue;
+      text(label, half, right + 2, 100, { size: 9, color: '#555555' });
+      right = text(value, half + 105, right + 2, half - 105, { size: 9 });
+    }
+  }
+
+  let y = Math.max(left, right) + 16;
+  if (billing.notes) {
+    y = text(labels.notes, 0, y, contentWidth, { bold: true });
+    y = text(billing.notes, 0, y + 2, contentWidth, { size: 9 });
+  }
+
+  return y;
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} billing - Billing document with patient and appointment populated
+ * @param {Object} options - { language: 'en' | 'ar' }
+ * @returns {Promise<Buffer>} PDF contents
+ */
+const generateInvoicePdf = async (billing, { language = 'en' } = {}) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: `Invoice ${billing.invoiceNumber}`, Author: getClinicDetails('en').name }
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const rendered = registerFonts(doc, LABELS[language] ? language : 'en');
+  const labels = LABELS[rendered];
+  const writer = createWriter(doc, rendered === 'ar');
+  const qrImage = await QRCode.toBuffer(getVerificationUrl(billing), { margin: 1, width: 180 });
+
+  let y = drawHeader(doc, writer, labels, getClinicDetails(rendered), qrImage);
+  y = drawDetails(doc, writer, billing, labels, y);
+  y = drawItems(doc, writer, billing, labels, y);
+  y = drawTotals(doc, writer, billing, labels, y);
+  drawPaymentAndInsurance(doc, writer, billing, labels, y);
+
+  doc.end();
+  return done;
+};
+
+module.exports = {
+  generateInvoicePdf,
+  verifyInvoiceSignature
+};
@@ -0,0 +1,105 @@
+/**
+ * Lockout Service
+ * Per-account lockout after repeated failed logins, with progressive backoff and manager alerts
+ */
+
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+const { sendToRoom } = require('../websockets/setup');
+const logger = require('../utils/logger');
+
+// Each lockout since the last successful login doubles the next one, up to the maximum
+const getLockoutDuration = (lockoutCount) => Math.min(
+  authConfig.account.lockoutDuration * 2 ** lockoutCount,
+  authConfig.account.maxLockoutDuration
+);
+
+// Seconds until a locked account can sign in again, for the Retry-After header
+const getRetryAfterSeconds = (user) => Math.max(0, Math.ceil((user.lockUntil - Date.now()) / 1000));
+
+/**
+ * Count a failed password or second-factor attempt and lock the account once there are too many.
+ * The count is kept with atomic updates so parallel guesses cannot slip past the limit.
+ * @returns {Promise<Object>} { locked, lockUntil }
+ */
+const recordFailedLogin = async (user, req) => {
+  const now = new Date();
+  const { maxLoginAttempts, loginAttemptWindow } = authConfig.account;
+
+  // Failures older than the window start a new count
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id, lastFailedLoginAt: { $gte: new Date(now - loginAttemptWindow) } },
+    { $inc: { loginAttempts: 1 }, lastFailedLoginAt: now },
+    { new: true }
+  ) || await User.findByIdAndUpdate(
+    user._id,
+    { loginAttempts: 1, lastFailedLoginAt: now },
+    { new: true }
+  );
+
+  if (!counted || counted.loginAttempts < maxLoginAttempts) {
+    return { locked: false };
+  }
+
+  // Only the attempt that reaches the limit locks; the count starts over once the lock expires
+  const lockUntil = new Date(now.getTime() + getLockoutDuration(counted.lockoutCount));
+  const locked = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      loginAttempts: { $gte: maxLoginAttempts },
+      $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }]
+    },
+    { lockUntil, loginAttempts: 0, $inc: { lockoutCount: 1 } },
+    { new: true }
+  );
+
+  if (!locked) {
+    return { locked: true, lockUntil: counted.lockUntil };
+  }
+
+  logger.security(`Account locked after ${maxLoginAttempts} failed login attempts - ${locked.email} until ${lockUntil.toISOString()} (lockout ${locked.lockoutCount}, IP: ${req.ip})`);
+
+  sendToRoom('admin', 'account-locked', {
+    userId: locked._id,
+    email: locked.email,
+    name: `${locked.firstName} ${locked.lastName}`,
+    role: locked.role,
+    lockUntil,
+    lockoutCount: locked.lockoutCount,
+    ipAddress: req.ip
+  });
+
+  return { locked: true, lockUntil };
+};
+
+/**
+ * Clear failed attempts and any lock, after a successful login or by a manager; the caller saves the user
+ */
+const resetLockout = (user) => {
+  user.loginAttempts = 0;
+  user.lastFailedLoginAt = null;
+  user.lockUntil = null;
+  user.lockoutCount = 0;
+  return user;
+};
+
+/**
+ * Tell managers an IP address hit the failed-login limit across accounts
+ */
+const notifyLoginThrottled = (req) => {
+  logger.security(`Login throttled: too many failed attempts from IP ${req.ip}`);
+
+  sendToRoom('admin', 'login-throttled', {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    email: req.body && req.body.email
+  });
+};
+
+module.exports = {
+  getLockoutDuration,
+  getRetryAfterSeconds,
+  recordFailedLogin,
+  resetLockout,
+  notifyLoginThrottled
+};
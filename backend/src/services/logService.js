@@ -0,0 +1,178 @@
+/**
+ * Log Service
+ * Reads the winston JSON log files for the admin log viewer and streams new entries live
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const logger = require('../utils/logger');
+
+const LOG_FILE_PATTERN = /^combined(\d*)\.log$/;
+const LEVELS = Object.keys(winston.config.npm.levels);
+const CATEGORIES = ['api', 'security', 'auth', 'database', 'job', 'notification', 'websocket', 'file', 'system', 'general'];
+const DEFAULT_CATEGORY = 'general';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const READ_CHUNK_SIZE = 64 * 1024;
+const NEWLINE = 0x0a;
+
+// Shape a winston info object or parsed log line for API consumers
+const toLogEntry = ({ timestamp, level, message, category, stack, service, environment, ...meta }) => ({
+  timestamp,
+  level,
+  category: category || DEFAULT_CATEGORY,
+  message,
+  ...(stack && { stack }),
+  ...(Object.keys(meta).length > 0 && { meta })
+});
+
+// With tailable rotation combined.log is the newest file, then combined1.log, combined2.log, ...
+const getLogFiles = async () => {
+  const files = await fs.promises.readdir(logger.logsDir);
+
+  return files
+    .map(file => ({ file, match: file.match(LOG_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => (Number(a.match[1]) || 0) - (Number(b.match[1]) || 0))
+    .map(({ file }) => path.join(logger.logsDir, file));
+};
+
+// Read a file's lines last to first, a chunk at a time, so a page of recent entries never loads the whole file
+async function* readLinesBackward(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    let position = (await handle.stat()).size;
+    // Start of the line cut off by the chunk boundary; splitting on the newline byte is UTF-8 safe
+    let remainder = Buffer.alloc(0);
+
+    while (position > 0) {
+      const size = Math.min(READ_CHUNK_SIZE, position);
+      position -= size;
+
+      const chunk = Buffer.alloc(size);
+      await handle.read(chunk, 0, size, position);
+
+      const buffer = Buffer.concat([chunk, remainder]);
+      let end = buffer.length;
+      for (let index = end - 1; index >= 0; index--) {
+        if (buffer[index] === NEWLINE) {
+          yield buffer.toString('utf8', index + 1, end);
+          end = index;
+        }
+      }
+      remainder = buffer.subarray(0, end);
+    }
+
+    if (remainder.length > 0) {
+      yield remainder.toString('utf8');
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// Entries of every log file, newest first; lines that are not JSON (older format) are skipped
+async function* readLogEntries() {
+  for (const file of await getLogFiles()) {
+    for await (const line of readLinesBackward(file)) {
+      if (!line.startsWith('{')) continue;
+      try {
+        yield toLogEntry(JSON.parse(line));
+      } catch (error) {
+        // Partially written line at the end of the active file
+      }
+    }
+  }
+}
+
+const getFromTime = (from) => (from ? new Date(from).getTime() : null);
+
+const buildFilter = ({ level, category, from, to, search }) => {
+  const fromTime = getFromTime(from);
+  // A plain YYYY-MM-DD upper bound includes that whole day
+  const toTime = to ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? DAY_MS - 1 : 0) : null;
+  const needle = search ? search.toLowerCase() : null;
+
+  return (entry) => {
+    if (level && entry.level !== level) return false;
+    if (category && entry.category !== category) return false;
+
+    const time = new Date(entry.timestamp).getTime();
+    if (fromTime && time < fromTime) return false;
+    if (toTime && time > toTime) return false;
+
+    if (needle) {
+      const text = `${entry.message} ${entry.stack || ''} ${entry.meta ? JSON.stringify(entry.meta) : ''}`;
+      if (!text.toLowerCase().includes(needle)) return false;
+    }
+
+    return true;
+  };
+};
+
+/**
+ * Page through log entries, newest first. Files are read from their end and reading stops once the
+ * page is filled, so there is no total count; hasNextPage tells whether an older entry matches.
+ * @param {Object} options - { level, category, from, to, search, page, limit }
+ */
+const queryLogs = async ({ page = 1, limit = 50, ...filters } = {}) => {
+  const matches = buildFilter(filters);
+  const fromTime = getFromTime(filters.from);
+  const skip = (page - 1) * limit;
+  const logs = [];
+  let matched = 0;
+  let hasNextPage = false;
+
+  for await (const entry of readLogEntries()) {
+    // Entries are in time order, so nothing older can fall inside the range
+    if (fromTime && new Date(entry.timestamp).getTime() < fromTime) break;
+    if (!matches(entry)) continue;
+
+    matched++;
+    if (matched <= skip) continue;
+    if (logs.length === limit) {
+      hasNextPage = true;
+      break;
+    }
+    logs.push(entry);
+  }
+
+  return {
+    logs,
+    pagination: {
+      currentPage: parseInt(page),
+      itemsPerPage: parseInt(limit),
+      hasNextPage,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+// Winston transport handing every new entry to a callback (used for the live tail)
+class LogStreamTransport extends winston.Transport {
+  constructor({ onEntry, ...options }) {
+    super(options);
+    this.onEntry = onEntry;
+  }
+
+  log(info, callback) {
+    setImmediate(() => this.onEntry(toLogEntry(info)));
+    callback();
+  }
+}
+
+/**
+ * Start forwarding new log entries to a callback
+ * @param {Function} onEntry - Receives each entry as returned by queryLogs
+ */
+const streamLogs = (onEntry, { level = 'info' } = {}) => {
+  logger.add(new LogStreamTransport({ onEntry, level }));
+};
+
+module.exports = {
+  queryLogs,
+  streamLogs,
+  LEVELS,
+  CATEGORIES
+};
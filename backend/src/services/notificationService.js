@@ -0,0 +1,128 @@
+/**
+ * Notification Service
+ * Delivers messages over email (nodemailer), SMS (twilio) and in-app (websocket) channels.
+ * With NOTIFICATION_TRANSPORT=outbox every channel writes to local JSONL files instead,
+ * so notifications can be inspected without SMTP or Twilio credentials.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const twilio = require('twilio');
+const { sendNotification } = require('../websockets/setup');
+const logger = require('../utils/logger');
+
+const OUTBOX_PATH = process.env.NOTIFICATION_OUTBOX_PATH || './outbox';
+
+let mailTransporter;
+let smsClient;
+
+// Outbox is the default everywhere except production
+const getTransport = () => {
+  return process.env.NOTIFICATION_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'live' : 'outbox');
+};
+
+const writeToOutbox = async (channel, message) => {
+  await fs.promises.mkdir(OUTBOX_PATH, { recursive: true });
+
+  const entry = { channel, ...message, createdAt: new Date().toISOString() };
+  await fs.promises.appendFile(path.join(OUTBOX_PATH, `${channel}.jsonl`), `${JSON.stringify(entry)}\n`);
+
+  return { transport: 'outbox' };
+};
+
+const getMailTransporter = () => {
+  if (!mailTransporter) {
+    const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+    mailTransporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: port === 465,
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+  return mailTransporter;
+};
+
+const getSmsClient = () => {
+  if (!smsClient) {
+    smsClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return smsClient;
+};
+
+// Each channel knows whether it is switched on and how to deliver live
+const channels = {
+  email: {
+    enabled: () => process.env.ENABLE_EMAIL_NOTIFICATIONS !== 'false',
+    send: async ({ to, subject, text, html, attachments }) => {
+      const info = await getMailTransporter().sendMail({
+        from: process.env.EMAIL_FROM,
+        to,
+        subject,
+        text,
+        html,
+        attachments
+      });
+      return { transport: 'smtp', id: info.messageId };
+    }
+  },
+
+  sms: {
+    enabled: () => process.env.ENABLE_SMS_NOTIFICATIONS !== 'false',
+    send: async ({ to, text }) => {
+      const message = await getSmsClient().messages.create({
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to,
+        body: text
+      });
+      return { transport: 'twilio', id: message.sid };
+    }
+  },
+
+  inApp: {
+    enabled: () => process.env.ENABLE_PUSH_NOTIFICATIONS !== 'false',
+    send: async ({ to, title, text, data }) => {
+      sendNotification(to, { title, message: text, data });
+      return { transport: 'websocket' };
+    }
+  }
+};
+
+/**
+ * Send a message through one channel
+ * @param {String} channel - email, sms or inApp
+ * @param {Object} message - { to, subject, title, text, html, data }
+ * @returns {Object} Delivery result, { skipped: true } when the channel is disabled
+ */
+const send = async (channel, message) => {
+  const handler = channels[channel];
+  if (!handler) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+
+  if (!handler.enabled()) {
+    return { channel, skipped: true };
+  }
+
+  if (!message.to) {
+    throw new Error(`Notification channel ${channel} requires a recipient`);
+  }
+
+  const result = getTransport() === 'outbox'
+    ? await writeToOutbox(channel, message)
+    : await handler.send(message);
+
+  logger.info(`Notification sent via ${channel} (${result.transport}) to ${message.to}`);
+
+  return { channel, ...result };
+};
+
+module.exports = {
+  send,
+  getTransport,
+  CHANNELS: Object.keys(channels)
+};
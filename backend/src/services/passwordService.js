@@ -0,0 +1,197 @@
+/**
+ * Password Service
+ * Password policy, forgotten-password resets and staff invitations. Reset and invitation links carry
+ * single-use, expiring tokens of which only a hash is stored; the links are delivered by email.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const PasswordToken = require('../models/PasswordToken');
+const authConfig = require('../config/auth');
+const securityConfig = require('../config/security');
+const notificationService = require('./notificationService');
+const { revokeSessions } = require('./authSessionService');
+const { resetLockout } = require('./lockoutService');
+const logger = require('../utils/logger');
+
+const createServiceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const getClinicName = () => process.env.CLINIC_NAME || 'Medical Clinic';
+
+/**
+ * Check a password against the policy in config/security.js
+ * @returns {String[]} The unmet requirements, empty when the password is acceptable
+ */
+const getPasswordPolicyErrors = (password) => {
+  const policy = securityConfig.password;
+  const value = typeof password === 'string' ? password : '';
+  const errors = [];
+
+  if (value.length < policy.minLength) errors.push(`at least ${policy.minLength} characters`);
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) errors.push('an uppercase letter');
+  if (policy.requireLowercase && !/[a-z]/.test(value)) errors.push('a lowercase letter');
+  if (policy.requireNumbers && !/\d/.test(value)) errors.push('a number');
+  if (policy.requireSpecialChars && !/[^A-Za-z0-9]/.test(value)) errors.push('a special character');
+
+  return errors;
+};
+
+const describePolicyErrors = (errors) => `Password must contain ${errors.join(', ')}`;
+
+const assertPasswordPolicy = (password) => {
+  const errors = getPasswordPolicyErrors(password);
+  if (errors.length > 0) {
+    throw createServiceError(describePolicyErrors(errors), 400);
+  }
+};
+
+/**
+ * Set a new password and sign out the sessions that used the old one
+ * @param {Object} user - User document
+ * @param {Object} options - { keepSessionId } to stay signed in on the device making the change
+ */
+const setPassword = async (user, password, { keepSessionId } = {}) => {
+  assertPasswordPolicy(password);
+
+  // Hashed by the User pre-save hook
+  user.password = password;
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  const filter = { user: user._id };
+  if (keepSessionId) {
+    filter._id = { $ne: keepSessionId };
+  }
+  await revokeSessions(filter, { reason: 'password-changed' });
+
+  // Links sent before the change no longer work
+  await PasswordToken.deleteMany({ user: user._id, usedAt: null });
+};
+
+/**
+ * Create a link token, replacing any unused one of the same purpose
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+const issuePasswordToken = async (user, purpose, { createdBy, req } = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const lifetime = purpose === 'invitation'
+    ? authConfig.passwordLinks.invitationExpiresIn
+    : authConfig.passwordLinks.resetExpiresIn;
+  const expiresAt = new Date(Date.now() + lifetime);
+
+  await PasswordToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await PasswordToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt,
+    createdBy,
+    ipAddress: req && req.ip
+  });
+
+  return { token, expiresAt };
+};
+
+const buildLink = (baseUrl, token) => `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}token=${token}`;
+
+/**
+ * Email a reset link when the address belongs to an active user. Callers answer the same way
+ * whether or not it does, so the endpoint cannot be used to find out who has an account.
+ */
+const requestPasswordReset = async (email, req) => {
+  const user = await User.findOne({ email: String(email).toLowerCase(), isActive: true });
+  if (!user) {
+    logger.security(`Password reset requested for unknown or inactive account - ${email} (IP: ${req.ip})`);
+    return;
+  }
+
+  const { token, expiresAt } = await issuePasswordToken(user, 'reset', { req });
+  const clinicName = getClinicName();
+
+  await notificationService.send('email', {
+    to: user.email,
+    subject: `Reset your ${clinicName} password`,
+    text: [
+      `Hello ${user.firstName},`,
+      '',
+      `Someone asked to reset the password of your ${clinicName} account. Open this link to choose a new one:`,
+      '',
+      buildLink(authConfig.passwordLinks.resetUrl, token),
+      '',
+      `The link works once and expires at ${expiresAt.toUTCString()}.`,
+      'If you did not ask for this, ignore this email; your password stays the same.'
+    ].join('\n')
+  });
+
+  logger.security(`Password reset link sent: ${user.email} (IP: ${req.ip})`);
+};
+
+/**
+ * Email a new or re-sent invitation to set a password
+ * @returns {Promise<Object>} { expiresAt, sent } where sent is false when email is switched off
+ */
+const sendInvitation = async (user, invitedBy, req) => {
+  const { token, expiresAt } = await issuePasswordToken(user, 'invitation', { createdBy: invitedBy._id, req });
+  const clinicName = getClinicName();
+
+  const delivery = await notificationService.send('email', {
+    to: user.email,
+    subject: `You have been invited to ${clinicName}`,
+    text: [
+      `Hello ${user.firstName},`,
+      '',
+      `${invitedBy.firstName} ${invitedBy.lastName} created a ${user.role} account for you at ${clinicName}. Open this link to choose your password:`,
+      '',
+      buildLink(authConfig.passwordLinks.invitationUrl, token),
+      '',
+      `The link works once and expires at ${expiresAt.toUTCString()}.`
+    ].join('\n')
+  });
+
+  return { expiresAt, sent: !delivery.skipped };
+};
+
+/**
+ * Use a reset or invitation link to set the password. The password is checked first so
+ * a rejected one does not use up the link.
+ * @returns {Promise<Object>} The user
+ */
+const redeemPasswordToken = async (token, purpose, password) => {
+  assertPasswordPolicy(password);
+
+  const record = await PasswordToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+  if (!record) {
+    throw createServiceError('This link is invalid or has expired', 400);
+  }
+
+  const user = await User.findById(record.user).select('+password');
+  if (!user || !user.isActive) {
+    throw createServiceError('This link is invalid or has expired', 400);
+  }
+
+  // Opening the emailed link proves the address, and lifts a lockout from guessing the old password
+  user.isVerified = true;
+  resetLockout(user);
+  await setPassword(user, password);
+
+  return user;
+};
+
+module.exports = {
+  getPasswordPolicyErrors,
+  describePolicyErrors,
+  assertPasswordPolicy,
+  setPassword,
+  requestPasswordReset,
+  sendInvitation,
+  redeemPasswordToken
+};
@@ -0,0 +1,109 @@
+/**
+ * Permission Service
+ * Resolves what a user may do: the role's permissions from the security policy matrix,
+ * plus the permissions granted to the user and minus those revoked from them
+ */
+
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { USER_ROLES } = require('../models/User');
+const { LOCKED_MANAGER_PERMISSIONS } = require('../config/permissions');
+
+// Every request checks permissions, so the matrix is read at most once a minute
+// (immediately after a change made through this process)
+const MATRIX_CACHE_TTL = 60 * 1000;
+
+let matrixCache = null;
+
+const createServiceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Current role matrix
+ * @returns {Promise<Object>} { [role]: [permission] }
+ */
+const getRolePermissions = async () => {
+  if (matrixCache && Date.now() - matrixCache.loadedAt < MATRIX_CACHE_TTL) {
+    return matrixCache.rolePermissions;
+  }
+
+  const policy = await SecurityPolicy.getPolicy();
+  matrixCache = { rolePermissions: policy.getRolePermissions(), loadedAt: Date.now() };
+  return matrixCache.rolePermissions;
+};
+
+/**
+ * Everything the user may do
+ * @returns {Promise<String[]>} Sorted permission names
+ */
+const getEffectivePermissions = async (user) => {
+  const rolePermissions = await getRolePermissions();
+  const revoked = new Set(user.revokedPermissions || []);
+  const effective = new Set([...(rolePermissions[user.role] || []), ...(user.permissions || [])]);
+
+  return [...effective].filter(permission => !revoked.has(permission)).sort();
+};
+
+/**
+ * Whether the user has every one of the permissions
+ */
+const hasPermission = async (user, ...permissions) => {
+  const effective = await getEffectivePermissions(user);
+  return permissions.every(permission => effective.includes(permission));
+};
+
+/**
+ * Replace the permissions of the given roles; roles left out keep theirs
+ * @param {Object} updates - { [role]: [permission] }
+ * @returns {Promise<Object>} The updated matrix
+ */
+const updateRolePermissions = async (updates, updatedBy) => {
+  const unknownRoles = Object.keys(updates).filter(role => !USER_ROLES.includes(role));
+  if (unknownRoles.length > 0) {
+    throw createServiceError(`Unknown role: ${unknownRoles.join(', ')}`, 400);
+  }
+
+  if (updates.manager) {
+    const missing = LOCKED_MANAGER_PERMISSIONS.filter(permission => !updates.manager.includes(permission));
+    if (missing.length > 0) {
+      throw createServiceError(`The manager role must keep ${missing.join(', ')}`, 400);
+    }
+  }
+
+  const policy = await SecurityPolicy.getPolicy();
+  Object.entries(updates).forEach(([role, permissions]) => {
+    policy.rolePermissions[role] = [...new Set(permissions)];
+  });
+  policy.updatedBy = updatedBy;
+  await policy.save();
+
+  matrixCache = null;
+  return policy.getRolePermissions();
+};
+
+/**
+ * Replace a user's overrides of the role matrix; the caller saves the user
+ * @param {Object} overrides - { granted, revoked }, each optional
+ */
+const setUserOverrides = (user, { granted, revoked }, changedBy) => {
+  if (revoked && String(user._id) === String(changedBy._id)) {
+    const locked = LOCKED_MANAGER_PERMISSIONS.filter(permission => revoked.includes(permission));
+    if (locked.length > 0) {
+      throw createServiceError(`You cannot revoke ${locked.join(', ')} from yourself`, 400);
+    }
+  }
+
+  if (granted) user.permissions = [...new Set(granted)];
+  if (revoked) user.revokedPermissions = [...new Set(revoked)];
+  return user;
+};
+
+module.exports = {
+  getRolePermissions,
+  getEffectivePermissions,
+  hasPermission,
+  updateRolePermissions,
+  setUserOverrides
+};
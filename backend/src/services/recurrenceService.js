@@ -0,0 +1,56 @@
+/**
+ * Recurrence Service
+ * Expands RRULE-like recurrence patterns into appointment dates
+ */
+
+const moment = require('moment-timezone');
+
+const MAX_OCCURRENCES = 52;
+
+const FREQUENCY_UNITS = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months'
+};
+
+/**
+ * Expand a recurrence rule into calendar days (UTC midnight dates)
+ * @param {Date|String} startDate - Date of the first occurrence
+ * @param {Object} recurrence - { frequency, interval, count, until }
+ * @returns {Date[]} Occurrence dates, the first one being startDate
+ * @throws {Error} When until without count spans more than MAX_OCCURRENCES occurrences
+ */
+const expandOccurrences = (startDate, { frequency = 'weekly', interval = 1, count, until }) => {
+  const unit = FREQUENCY_UNITS[frequency];
+  if (!unit) {
+    throw new Error(`Unsupported recurrence frequency: ${frequency}`);
+  }
+  if (!count && !until) {
+    throw new Error('Recurrence requires either count or until');
+  }
+
+  const first = moment.utc(startDate).startOf('day');
+  const last = until ? moment.utc(until).startOf('day') : null;
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  // Always step from the first date so monthly series keep their day of month
+  for (let i = 0; dates.length < limit; i++) {
+    const date = first.clone().add(i * interval, unit);
+    if (last && date.isAfter(last)) break;
+    dates.push(date.toDate());
+  }
+
+  // An until date beyond the cap would otherwise end the series early without telling anyone
+  if (last && !count && !first.clone().add(dates.length * interval, unit).isAfter(last)) {
+    throw new Error(`Recurrence until ${last.format('YYYY-MM-DD')} exceeds the maximum of ${MAX_OCCURRENCES} occurrences; use an earlier date or a count`);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  expandOccurrences,
+  MAX_OCCURRENCES,
+  FREQUENCIES: Object.keys(FREQUENCY_UNITS)
+};
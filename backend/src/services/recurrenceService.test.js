@@ -0,0 +1,59 @@
+/**
+ * Recurrence Service tests
+ * Expansion of recurrence rules into occurrence dates
+ */
+
+const { expandOccurrences, MAX_OCCURRENCES } = require('./recurrenceService');
+
+const toKeys = (dates) => dates.map(date => date.toISOString().slice(0, 10));
+
+describe('expandOccurrences', () => {
+  it('expands a weekly rule by count, starting with the start date', () => {
+    expect(toKeys(expandOccurrences('2026-10-19', { frequency: 'weekly', count: 3 })))
+      .toEqual(['2026-10-19', '2026-10-26', '2026-11-02']);
+  });
+
+  it('steps by the interval', () => {
+    expect(toKeys(expandOccurrences('2026-10-19', { frequency: 'daily', interval: 2, count: 3 })))
+      .toEqual(['2026-10-19', '2026-10-21', '2026-10-23']);
+  });
+
+  it('keeps the day of month for monthly rules, clamping short months', () => {
+    expect(toKeys(expandOccurrences('2026-01-31', { frequency: 'monthly', count: 4 })))
+      .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  it('returns calendar days at UTC midnight', () => {
+    const [first] = expandOccurrences(new Date('2026-10-19T15:45:00Z'), { count: 1 });
+
+    expect(first.toISOString()).toBe('2026-10-19T00:00:00.000Z');
+  });
+
+  it('includes the until date', () => {
+    expect(toKeys(expandOccurrences('2026-10-19', { frequency: 'weekly', until: '2026-11-02' })))
+      .toEqual(['2026-10-19', '2026-10-26', '2026-11-02']);
+  });
+
+  it('stops at whichever of count and until comes first', () => {
+    expect(expandOccurrences('2026-10-19', { frequency: 'daily', count: 10, until: '2026-10-21' })).toHaveLength(3);
+    expect(expandOccurrences('2026-10-19', { frequency: 'daily', count: 2, until: '2026-10-30' })).toHaveLength(2);
+  });
+
+  it('caps the count at the maximum number of occurrences', () => {
+    expect(expandOccurrences('2026-10-19', { frequency: 'daily', count: 500 })).toHaveLength(MAX_OCCURRENCES);
+  });
+
+  it('accepts an until date reaching exactly the maximum number of occurrences', () => {
+    expect(expandOccurrences('2026-01-01', { frequency: 'daily', until: '2026-02-21' })).toHaveLength(MAX_OCCURRENCES);
+  });
+
+  it('rejects an until date beyond the maximum number of occurrences', () => {
+    expect(() => expandOccurrences('2026-01-01', { frequency: 'daily', until: '2026-02-22' }))
+      .toThrow(`exceeds the maximum of ${MAX_OCCURRENCES} occurrences`);
+  });
+
+  it('rejects unsupported frequencies and rules without an end', () => {
+    expect(() => expandOccurrences('2026-10-19', { frequency: 'yearly', count: 2 })).toThrow('Unsupported recurrence frequency: yearly');
+    expect(() => expandOccurrences('2026-10-19', { frequency: 'weekly' })).toThrow('Recurrence requires either count or until');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Reminder Service
+ * Sends appointment reminders once their reminderDate has passed
+ */
+
+const Appointment = require('../models/Appointment');
+const notificationService = require('./notificationService');
+const { toDateKey, calendarDayStart } = require('../utils/timeUtils');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 200;
+
+// Runs in which every channel may fail before the reminder is given up
+const MAX_REMINDER_ATTEMPTS = 3;
+
+// Build the deliveries for one appointment from contact data and each recipient's channel preferences
+const buildReminderMessages = (appointment) => {
+  const { patient, doctor } = appointment;
+  const date = toDateKey(appointment.appointmentDate);
+  const doctorName = doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : 'your doctor';
+  const messages = [];
+
+  if (patient?.email && patient.reminderPreferences?.email !== false) {
+    messages.push(['email', {
+      to: patient.email,
+      subject: 'Appointment reminder',
+      text: `Dear ${patient.name}, this is a reminder of your appointment with ${doctorName} on ${date} at ${appointment.appointmentTime}.`
+    }]);
+  }
+
+  if (patient?.phone && patient.reminderPreferences?.sms !== false) {
+    messages.push(['sms', {
+      to: patient.phone,
+      text: `Reminder: appointment with ${doctorName} on ${date} at ${appointment.appointmentTime}.`
+    }]);
+  }
+
+  // Staff choose each channel in their notification preferences
+  const staffChannels = doctor?.preferences?.notifications || {};
+  const patientLabel = patient?.name || 'Patient';
+
+  if (doctor?.email && staffChannels.email !== false) {
+    messages.push(['email', {
+      to: doctor.email,
+      subject: 'Upcoming appointment',
+      text: `Reminder: appointment with ${patientLabel} on ${date} at ${appointment.appointmentTime}.`
+    }]);
+  }
+
+  if (doctor?.phone && staffChannels.sms !== false) {
+    messages.push(['sms', {
+      to: doctor.phone,
+      text: `Reminder: appointment with ${patientLabel} on ${date} at ${appointment.appointmentTime}.`
+    }]);
+  }
+
+  if (doctor && staffChannels.push !== false) {
+    messages.push(['inApp', {
+      to: doctor._id.toString(),
+      title: 'Upcoming appointment',
+      text: `${patientLabel} on ${date} at ${appointment.appointmentTime}`,
+      data: { type: 'appointment-reminder', appointmentId: appointment._id }
+    }]);
+  }
+
+  return messages;
+};
+
+/**
+ * Send one appointment's reminder over every applicable channel
+ * @returns {Object[]} Delivery results, failed ones carrying an error message
+ */
+const sendAppointmentReminder = async (appointment) => {
+  const results = [];
+
+  for (const [channel, message] of buildReminderMessages(appointment)) {
+    try {
+      results.push(await notificationService.send(channel, message));
+    } catch (error) {
+      logger.error(`Reminder for appointment ${appointment._id} failed on ${channel}:`, error);
+      results.push({ channel, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Send every reminder that is due
+ * Each appointment is claimed by flipping reminderSent first, so overlapping runs
+ * never notify twice; the flag is released again when every channel failed, until
+ * MAX_REMINDER_ATTEMPTS runs have failed.
+ */
+const sendDueReminders = async (now = new Date()) => {
+  const appointments = await Appointment.find({
+    reminderSent: false,
+    reminderDate: { $lte: now },
+    appointmentDate: { $gte: calendarDayStart(now) },
+    status: { $in: Appointment.BLOCKING_STATUSES }
+  })
+    .populate('patient', 'name phone email reminderPreferences')
+    .populate('doctor', 'firstName lastName email phone preferences')
+    .sort({ appointmentDate: 1, appointmentTime: 1 })
+    .limit(BATCH_SIZE);
+
+  const summary = { due: appointments.length, sent: 0, failed: 0, abandoned: 0 };
+
+  for (const appointment of appointments) {
+    const claim = await Appointment.updateOne(
+      { _id: appointment._id, reminderSent: false },
+      { reminderSent: true }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    const results = await sendAppointmentReminder(appointment);
+    const failures = results.filter(result => result.error);
+
+    if (failures.length > 0 && failures.length === results.length) {
+      const attempts = (appointment.reminderAttempts || 0) + 1;
+      const retry = attempts < MAX_REMINDER_ATTEMPTS;
+
+      await Appointment.updateOne({ _id: appointment._id }, { reminderSent: !retry, reminderAttempts: attempts });
+      summary.failed++;
+
+      if (!retry) {
+        logger.warn(`Reminder for appointment ${appointment._id} abandoned after ${attempts} failed attempts`);
+        summary.abandoned++;
+      }
+    } else {
+      summary.sent++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  sendDueReminders,
+  sendAppointmentReminder
+};
@@ -0,0 +1,150 @@
+/**
+ * Sequence Service
+ * Race-free document numbers from atomic counters, one counter per numbering type and period.
+ * Numbers are never reused: deleting a document leaves a gap instead of a duplicate.
+ */
+
+const moment = require('moment-timezone');
+const Counter = require('../models/Counter');
+const numberingConfig = require('../config/numbering');
+
+const TOKEN_PATTERN = /\{(CLINIC|YYYY|YY|MM|SEQ(?::(\d+))?)\}/g;
+const NO_PERIOD = 'all';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getFormat = (type) => {
+  const format = numberingConfig.formats[type];
+  if (!format) {
+    throw new Error(`Unknown numbering type: ${type}`);
+  }
+  return format;
+};
+
+// The counter restarts with the most specific date token in the format
+const getPeriod = (format, date) => {
+  const local = moment(date).tz(numberingConfig.timezone);
+  if (format.includes('{MM}')) return local.format('YYYYMM');
+  if (format.includes('{YYYY}') || format.includes('{YY}')) return local.format('YYYY');
+  return NO_PERIOD;
+};
+
+const formatNumber = (format, date, seq) => {
+  const local = moment(date).tz(numberingConfig.timezone);
+  const values = {
+    CLINIC: numberingConfig.clinicCode,
+    YYYY: local.format('YYYY'),
+    YY: local.format('YY'),
+    MM: local.format('MM')
+  };
+
+  return format.replace(TOKEN_PATTERN, (match, token, width) => (
+    token.startsWith('SEQ') ? String(seq).padStart(parseInt(width) || 1, '0') : values[token]
+  ));
+};
+
+/**
+ * Allocate consecutive sequence values
+ * @returns {Number} First allocated value
+ */
+const allocate = async (type, period, count = 1) => {
+  const key = `${type}:${period}`;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { key },
+        { $inc: { seq: count }, $setOnInsert: { type, period } },
+        { upsert: true, new: true }
+      );
+      return counter.seq - count + 1;
+    } catch (error) {
+      // Two first allocations of a period can both try the upsert; the loser retries as an update
+      if (error.code === 11000 && attempt === 1) continue;
+      throw error;
+    }
+  }
+};
+
+/**
+ * Next number for a numbering type
+ * @param {String} type - invoice, creditNote or claim
+ * @param {Date} date - Date the number belongs to (defaults to now)
+ */
+const nextNumber = async (type, date = new Date()) => {
+  const format = getFormat(type);
+  const seq = await allocate(type, getPeriod(format, date));
+  return formatNumber(format, date, seq);
+};
+
+/**
+ * Reserve a block of consecutive numbers, e.g. for credit notes issued together or prepared offline
+ * @returns {String[]} Reserved numbers in order
+ */
+const reserveNumbers = async (type, count, date = new Date()) => {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Count must be a positive integer');
+  }
+
+  const format = getFormat(type);
+  const first = await allocate(type, getPeriod(format, date), count);
+  return Array.from({ length: count }, (value, index) => formatNumber(format, date, first + index));
+};
+
+/**
+ * Split a number back into its period and sequence, or null when it does not match the format
+ */
+const parseNumber = (type, value) => {
+  const format = getFormat(type);
+  const groups = [];
+  let pattern = '';
+  let lastIndex = 0;
+
+  for (const match of format.matchAll(TOKEN_PATTERN)) {
+    pattern += escapeRegExp(format.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const token = match[1].startsWith('SEQ') ? 'SEQ' : match[1];
+    groups.push(token);
+    pattern += {
+      CLINIC: `(${escapeRegExp(numberingConfig.clinicCode)})`,
+      YYYY: '(\\d{4})',
+      YY: '(\\d{2})',
+      MM: '(\\d{2})',
+      SEQ: '(\\d+)'
+    }[token];
+  }
+  pattern += escapeRegExp(format.slice(lastIndex));
+
+  const match = new RegExp(`^${pattern}$`).exec(value || '');
+  if (!match) return null;
+
+  const parts = Object.fromEntries(groups.map((token, index) => [token, match[index + 1]]));
+  const year = parts.YYYY || (parts.YY && `20${parts.YY}`);
+  const period = format.includes('{MM}') ? `${year}${parts.MM}` : (year || NO_PERIOD);
+
+  return { period, seq: parseInt(parts.SEQ) };
+};
+
+/**
+ * Raise a counter to at least the given value (used when seeding from existing documents)
+ */
+const seedCounter = (type, period, seq) => {
+  return Counter.updateOne(
+    { key: `${type}:${period}` },
+    { $max: { seq }, $setOnInsert: { type, period } },
+    { upsert: true }
+  );
+};
+
+const isDuplicateKeyError = (error, field) => {
+  return error.code === 11000 && Boolean(error.keyPattern?.[field] || error.message?.includes(field));
+};
+
+module.exports = {
+  nextNumber,
+  reserveNumbers,
+  parseNumber,
+  seedCounter,
+  isDuplicateKeyError
+};
@@ -0,0 +1,126 @@
+/**
+ * Sequence Service tests
+ * Number formatting, periods and parsing, with the counter collection mocked
+ */
+
+jest.mock('../models/Counter', () => ({ findOneAndUpdate: jest.fn() }));
+
+const Counter = require('../models/Counter');
+const numberingConfig = require('../config/numbering');
+const { nextNumber, reserveNumbers, parseNumber, isDuplicateKeyError } = require('./sequenceService');
+
+const ORIGINAL_CONFIG = JSON.parse(JSON.stringify(numberingConfig));
+
+// The counter holds `seq` once the allocation is applied
+const mockCounter = (seq) => Counter.findOneAndUpdate.mockResolvedValueOnce({ seq });
+
+beforeEach(() => {
+  Object.assign(numberingConfig, JSON.parse(JSON.stringify(ORIGINAL_CONFIG)));
+  numberingConfig.clinicCode = 'RYD';
+  numberingConfig.timezone = 'UTC';
+  numberingConfig.formats.invoice = 'INV-{YYYY}{MM}-{SEQ:4}';
+  numberingConfig.formats.claim = '{CLINIC}/{YY}/{SEQ:3}';
+  numberingConfig.formats.creditNote = 'CN-{SEQ:5}';
+  Counter.findOneAndUpdate.mockReset();
+});
+
+describe('nextNumber', () => {
+  it('formats the next sequence value for the month', async () => {
+    mockCounter(7);
+
+    await expect(nextNumber('invoice', new Date('2026-10-19T08:00:00Z'))).resolves.toBe('INV-202610-0007');
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+      { key: 'invoice:202610' },
+      { $inc: { seq: 1 }, $setOnInsert: { type: 'invoice', period: '202610' } },
+      { upsert: true, new: true }
+    );
+  });
+
+  it('uses the configured timezone for the period', async () => {
+    numberingConfig.timezone = 'Asia/Riyadh';
+    mockCounter(1);
+
+    await expect(nextNumber('invoice', new Date('2026-10-31T22:00:00Z'))).resolves.toBe('INV-202611-0001');
+    expect(Counter.findOneAndUpdate.mock.calls[0][0]).toEqual({ key: 'invoice:202611' });
+  });
+
+  it('restarts yearly with only a year token and never without date tokens', async () => {
+    mockCounter(3);
+    mockCounter(4);
+
+    await expect(nextNumber('claim', new Date('2026-10-19T08:00:00Z'))).resolves.toBe('RYD/26/003');
+    await expect(nextNumber('creditNote', new Date('2026-10-19T08:00:00Z'))).resolves.toBe('CN-00004');
+    expect(Counter.findOneAndUpdate.mock.calls.map(([filter]) => filter.key)).toEqual(['claim:2026', 'creditNote:all']);
+  });
+
+  it('lets the sequence outgrow its padding', async () => {
+    mockCounter(12345);
+
+    await expect(nextNumber('invoice', new Date('2026-10-19T08:00:00Z'))).resolves.toBe('INV-202610-12345');
+  });
+
+  it('retries once when two first allocations race on the upsert', async () => {
+    Counter.findOneAndUpdate.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    mockCounter(1);
+
+    await expect(nextNumber('invoice', new Date('2026-10-19T08:00:00Z'))).resolves.toBe('INV-202610-0001');
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects unknown numbering types', async () => {
+    await expect(nextNumber('receipt')).rejects.toThrow('Unknown numbering type: receipt');
+  });
+});
+
+describe('reserveNumbers', () => {
+  it('returns a block of consecutive numbers', async () => {
+    mockCounter(5);
+
+    await expect(reserveNumbers('claim', 3, new Date('2026-10-19T08:00:00Z'))).resolves.toEqual(['RYD/26/003', 'RYD/26/004', 'RYD/26/005']);
+    expect(Counter.findOneAndUpdate.mock.calls[0][1].$inc).toEqual({ seq: 3 });
+  });
+
+  it('rejects a count that is not a positive integer', async () => {
+    await expect(reserveNumbers('claim', 0)).rejects.toThrow('Count must be a positive integer');
+    await expect(reserveNumbers('claim', 1.5)).rejects.toThrow('Count must be a positive integer');
+  });
+});
+
+describe('parseNumber', () => {
+  it('splits a number into its period and sequence', () => {
+    expect(parseNumber('invoice', 'INV-202610-0042')).toEqual({ period: '202610', seq: 42 });
+    expect(parseNumber('claim', 'RYD/26/007')).toEqual({ period: '2026', seq: 7 });
+    expect(parseNumber('creditNote', 'CN-00012')).toEqual({ period: 'all', seq: 12 });
+  });
+
+  it('reads back what nextNumber formats', async () => {
+    mockCounter(31);
+
+    const number = await nextNumber('invoice', new Date('2026-01-15T08:00:00Z'));
+    expect(parseNumber('invoice', number)).toEqual({ period: '202601', seq: 31 });
+  });
+
+  it('returns null for numbers in another format', () => {
+    expect(parseNumber('invoice', 'INV-2026-0042')).toBeNull();
+    expect(parseNumber('invoice', 'XINV-202610-0042')).toBeNull();
+    expect(parseNumber('claim', 'JED/26/007')).toBeNull();
+    expect(parseNumber('invoice', undefined)).toBeNull();
+  });
+
+  it('treats regular expression characters in the format literally', () => {
+    numberingConfig.formats.invoice = 'INV.{YYYY}+{SEQ:2}';
+
+    expect(parseNumber('invoice', 'INV.2026+05')).toEqual({ period: '2026', seq: 5 });
+    expect(parseNumber('invoice', 'INVX2026+05')).toBeNull();
+  });
+});
+
+describe('isDuplicateKeyError', () => {
+  it('matches duplicate key errors on the given field only', () => {
+    const error = Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { invoiceNumber: 1 } });
+
+    expect(isDuplicateKeyError(error, 'invoiceNumber')).toBe(true);
+    expect(isDuplicateKeyError(error, 'appointment')).toBe(false);
+    expect(isDuplicateKeyError(new Error('other'), 'invoiceNumber')).toBe(false);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Two-Factor Service
+ * TOTP enrollment and verification, one-time backup codes and the login challenge token
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const authConfig = require('../config/auth');
+
+const TOTP_STEP_SECONDS = 30;
+const BACKUP_CODE_ROUNDS = 10;
+
+// Fields a two-factor check needs, all excluded from queries by default
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +backupCodes +twoFactorLastCounter';
+
+const createServiceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Sign the short-lived token that stands in for the password between the two login steps
+ * @param {String} purpose - 'login' to enter a code, 'enroll' to set up two-factor first
+ */
+const createChallenge = (user, purpose) => jwt.sign(
+  { userId: user._id, type: 'two_factor', purpose },
+  authConfig.twoFactor.challengeSecret,
+  {
+    expiresIn: authConfig.twoFactor.challengeExpiresIn,
+    issuer: authConfig.jwt.issuer,
+    audience: authConfig.jwt.audience,
+    algorithm: 'HS256'
+  }
+);
+
+/**
+ * Verify a challenge token issued for the given purpose
+ * @returns {Object} Decoded token; JWT errors are thrown as they are
+ */
+const verifyChallenge = (token, purpose) => {
+  const decoded = jwt.verify(token, authConfig.twoFactor.challengeSecret, {
+    issuer: authConfig.jwt.issuer,
+    audience: authConfig.jwt.audience,
+    algorithms: ['HS256']
+  });
+
+  if (decoded.type !== 'two_factor' || decoded.purpose !== purpose) {
+    throw createServiceError('Invalid challenge token', 401);
+  }
+  return decoded;
+};
+
+// Whether the security policy requires two-factor authentication for the user's role
+const isTwoFactorRequired = async (user) => {
+  const policy = await SecurityPolicy.getPolicy();
+  return policy.requiresTwoFactor(user.role);
+};
+
+/**
+ * Check a TOTP code and remember its time step so it cannot be used twice; the caller saves the user
+ */
+const verifyTotp = (user, code) => {
+  if (!user.twoFactorSecret || !code) return false;
+
+  const result = speakeasy.totp.verifyDelta({
+    secret: user.twoFactorSecret,
+    encoding: 'base32',
+    token: String(code).replace(/\s/g, ''),
+    window: authConfig.twoFactor.window
+  });
+  if (!result) return false;
+
+  const counter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta;
+  if (Number.isInteger(user.twoFactorLastCounter) && counter <= user.twoFactorLastCounter) return false;
+
+  user.twoFactorLastCounter = counter;
+  return true;
+};
+
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+/**
+ * Replace the user's backup codes; only the hashes are stored, the caller saves the user
+ * @returns {Promise<String[]>} The new codes, shown to the user once
+ */
+const generateBackupCodes = async (user) => {
+  const codes = Array.from({ length: authConfig.twoFactor.backupCodeCount }, () => {
+    const value = crypto.randomBytes(5).toString('hex');
+    return `${value.slice(0, 5)}-${value.slice(5)}`;
+  });
+
+  user.backupCodes = await Promise.all(codes.map(code => bcrypt.hash(normalizeBackupCode(code), BACKUP_CODE_ROUNDS)));
+  return codes;
+};
+
+/**
+ * Use up a backup code; the caller saves the user
+ */
+const consumeBackupCode = async (user, code) => {
+  const normalized = normalizeBackupCode(code || '');
+  if (!normalized || !user.backupCodes) return false;
+
+  for (const [index, hash] of user.backupCodes.entries()) {
+    if (await bcrypt.compare(normalized, hash)) {
+      user.backupCodes.splice(index, 1);
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Verify the second factor of a login: a TOTP code or else a backup code
+ * @returns {Promise<String|null>} 'totp' or 'backup-code' for the factor used, null when neither matched
+ */
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (code && verifyTotp(user, code)) return 'totp';
+  if (backupCode && await consumeBackupCode(user, backupCode)) return 'backup-code';
+  return null;
+};
+
+/**
+ * Start enrollment with a new secret, replacing any unconfirmed one; the caller saves the user
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } with the QR code as a data URL
+ */
+const startEnrollment = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw createServiceError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = speakeasy.generateSecret({ length: 20 }).base32;
+  const otpauthUrl = speakeasy.otpauthURL({
+    secret,
+    encoding: 'base32',
+    label: `${authConfig.twoFactor.issuer}:${user.email}`,
+    issuer: authConfig.twoFactor.issuer
+  });
+
+  user.twoFactorSecret = secret;
+  user.twoFactorLastCounter = undefined;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app; the caller saves the user
+ * @returns {Promise<String[]>} The initial backup codes
+ */
+const completeEnrollment = async (user, code) => {
+  if (user.twoFactorEnabled) {
+    throw createServiceError('Two-factor authentication is already enabled', 409);
+  }
+  if (!user.twoFactorSecret) {
+    throw createServiceError('Start two-factor setup first', 400);
+  }
+  if (!verifyTotp(user, code)) {
+    throw createServiceError('Invalid two-factor code', 400);
+  }
+
+  user.twoFactorEnabled = true;
+  return generateBackupCodes(user);
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and backup codes; the caller saves the user
+ */
+const resetTwoFactor = (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorLastCounter = undefined;
+  user.backupCodes = [];
+  return user;
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  createChallenge,
+  verifyChallenge,
+  isTwoFactorRequired,
+  verifyTotp,
+  verifySecondFactor,
+  generateBackupCodes,
+  startEnrollment,
+  completeEnrollment,
+  resetTwoFactor
+};
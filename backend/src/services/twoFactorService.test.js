@@ -0,0 +1,87 @@
+/**
+ * Two-Factor Service tests
+ * TOTP verification and its replay protection, with the clock pinned
+ */
+
+const speakeasy = require('speakeasy');
+const { verifyTotp, verifySecondFactor } = require('./twoFactorService');
+
+const SECRET = speakeasy.generateSecret({ length: 20 }).base32;
+const STEP_MS = 30 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 8, 0, 0);
+
+const codeAt = (time) => speakeasy.totp({ secret: SECRET, encoding: 'base32', time: time / 1000 });
+const counterAt = (time) => Math.floor(time / STEP_MS);
+
+const enrolledUser = (fields = {}) => ({ twoFactorSecret: SECRET, ...fields });
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyTotp', () => {
+  it('accepts the current code and remembers its time step', () => {
+    const user = enrolledUser();
+
+    expect(verifyTotp(user, codeAt(NOW))).toBe(true);
+    expect(user.twoFactorLastCounter).toBe(counterAt(NOW));
+  });
+
+  it('accepts codes with spaces', () => {
+    const code = codeAt(NOW);
+
+    expect(verifyTotp(enrolledUser(), `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(true);
+  });
+
+  it('rejects a code that was already used', () => {
+    const user = enrolledUser();
+    const code = codeAt(NOW);
+
+    expect(verifyTotp(user, code)).toBe(true);
+    expect(verifyTotp(user, code)).toBe(false);
+  });
+
+  it('rejects an earlier code once a later one was used', () => {
+    const user = enrolledUser();
+
+    expect(verifyTotp(user, codeAt(NOW + STEP_MS))).toBe(true);
+    expect(verifyTotp(user, codeAt(NOW))).toBe(false);
+    expect(user.twoFactorLastCounter).toBe(counterAt(NOW + STEP_MS));
+  });
+
+  it('accepts the next code after a used one', () => {
+    const user = enrolledUser({ twoFactorLastCounter: counterAt(NOW - STEP_MS) });
+
+    expect(verifyTotp(user, codeAt(NOW))).toBe(true);
+  });
+
+  it('accepts codes one step early or late but not beyond', () => {
+    expect(verifyTotp(enrolledUser(), codeAt(NOW - STEP_MS))).toBe(true);
+    expect(verifyTotp(enrolledUser(), codeAt(NOW + STEP_MS))).toBe(true);
+    expect(verifyTotp(enrolledUser(), codeAt(NOW - 3 * STEP_MS))).toBe(false);
+  });
+
+  it('rejects wrong codes and users without a secret', () => {
+    const user = enrolledUser();
+    const wrong = String((Number(codeAt(NOW)) + 1) % 1000000).padStart(6, '0');
+
+    expect(verifyTotp(user, wrong)).toBe(false);
+    expect(user.twoFactorLastCounter).toBeUndefined();
+    expect(verifyTotp({}, codeAt(NOW))).toBe(false);
+    expect(verifyTotp(user, '')).toBe(false);
+  });
+});
+
+describe('verifySecondFactor', () => {
+  it('reports the TOTP factor and refuses its replay', async () => {
+    const user = enrolledUser();
+    const code = codeAt(NOW);
+
+    await expect(verifySecondFactor(user, { code })).resolves.toBe('totp');
+    await expect(verifySecondFactor(user, { code })).resolves.toBeNull();
+  });
+});
@@ -13,26 +13,11 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
-// Custom log format
-const logFormat = winston.format.combine(
-  winston.format.timestamp({
-    format: 'YYYY-MM-DD HH:mm:ss'
-  }),
+// File format: one JSON object per line so the admin log viewer can page and search entries
+const fileFormat = winston.format.combine(
+  winston.format.timestamp(),
   winston.format.errors({ stack: true }),
-  winston.format.json(),
-  winston.format.printf(({ timestamp, level, message, stack, ...meta }) => {
-    let log = `${timestamp} [${level.toUpperCase()}]: ${message}`;
-    
-    if (stack) {
-      log += `\n${stack}`;
-    }
-    
-    if (Object.keys(meta).length > 0) {
-      log += `\n${JSON.stringify(meta, null, 2)}`;
-    }
-    
-    return log;
-  })
+  winston.format.json()
 );
 
 // Console format for development
@@ -53,7 +38,7 @@ const consoleFormat = winston.format.combine(
 // Create logger instance
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
-  format: logFormat,
+  format: fileFormat,
   defaultMeta: { 
     service: 'medical-clinic-api',
     environment: process.env.NODE_ENV || 'development'
@@ -123,42 +108,49 @@ if (process.env.NODE_ENV === 'production') {
   }));
 }
 
-// Custom logging methods
+// Custom logging methods, tagged with a category for filtering in /admin/logs
 logger.startup = (message) => {
-  logger.info(`🚀 ${message}`);
+  logger.info(`🚀 ${message}`, { category: 'system' });
 };
 
 logger.database = (message) => {
-  logger.info(`🗄️ ${message}`);
+  logger.info(`🗄️ ${message}`, { category: 'database' });
 };
 
 logger.api = (message) => {
-  logger.info(`🌐 ${message}`);
+  logger.info(`🌐 ${message}`, { category: 'api' });
 };
 
 logger.security = (message) => {
-  logger.warn(`🔒 ${message}`);
+  logger.warn(`🔒 ${message}`, { category: 'security' });
+};
+
+logger.auth = (message) => {
+  logger.info(`🔑 ${message}`, { category: 'auth' });
 };
 
 logger.email = (message) => {
-  logger.info(`📧 ${message}`);
+  logger.info(`📧 ${message}`, { category: 'notification' });
 };
 
 logger.sms = (message) => {
-  logger.info(`📱 ${message}`);
+  logger.info(`📱 ${message}`, { category: 'notification' });
 };
 
 logger.file = (message) => {
-  logger.info(`📁 ${message}`);
+  logger.info(`📁 ${message}`, { category: 'file' });
 };
 
 logger.job = (message) => {
-  logger.info(`⏰ ${message}`);
+  logger.info(`⏰ ${message}`, { category: 'job' });
 };
 
 logger.websocket = (message) => {
-  logger.info(`🔌 ${message}`);
+  logger.info(`🔌 ${message}`, { category: 'websocket' });
 };
 
+// Directory of the log files, read back by the admin log viewer
+logger.logsDir = logsDir;
+
 // Export logger instance
 module.exports = logger;
@@ -0,0 +1,42 @@
+/**
+ * Time Utilities
+ * Helpers for HH:MM clock times and calendar-day dates
+ */
+
+// Convert an HH:MM string to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':');
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// Convert minutes since midnight to an HH:MM string
+const toTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+// Calendar days are stored as UTC midnight, so the date key is the UTC date
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// Start of the calendar day containing the given date (UTC midnight)
+const calendarDayStart = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Start of the following calendar day
+const calendarDayEnd = (date) => new Date(calendarDayStart(date).getTime() + 24 * 60 * 60 * 1000);
+
+// Two half-open intervals overlap when each one starts before the other ends
+const intervalsOverlap = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+module.exports = {
+  toMinutes,
+  toTime,
+  toDateKey,
+  calendarDayStart,
+  calendarDayEnd,
+  intervalsOverlap
+};
@@ -6,6 +6,7 @@
 const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const { streamLogs } = require('../services/logService');
 
 let io;
 
@@ -110,6 +111,11 @@ const setupWebSockets = (server) => {
     });
   });
 
+  // Live tail of new log entries for managers
+  streamLogs((entry) => {
+    io.to('admin').emit('log-entry', entry);
+  });
+
   logger.info('WebSocket server initialized successfully');
 };
 
@@ -4,7 +4,7 @@ import { FormsModule } from '@angular/forms';
 import { ActivatedRoute, Router } from '@angular/router';
 import { PatientService } from '../../services/patient.service';
 import { TranslationService } from '../../services/translation.service';
-import { Patient } from '../../models/patient.model';
+import { Allergy, Patient } from '../../models/patient.model';
 import * as QRCode from 'qrcode';
 
 interface Prescription {
@@ -90,6 +90,12 @@ export class PatientPreviewComponent implements OnInit {
     }
   }
 
+  // Resolved allergies stay in the medical history but are not shown here
+  getActiveAllergies(): Allergy[] {
+    const allergies = this.patient?.allergies;
+    return Array.isArray(allergies) ? allergies.filter(allergy => allergy.status !== 'resolved') : [];
+  }
+
   loadPrescriptions(): void {
     const storedPrescriptions = localStorage.getItem(`patient_prescriptions_${this.route.snapshot.paramMap.get('id')}`);
     if (storedPrescriptions) {
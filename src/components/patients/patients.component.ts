@@ -33,7 +33,7 @@ export class PatientsComponent implements OnInit {
     gender: 'male',
     photo: '',
     bloodType: '',
-    allergies: '',
+    allergies: [],
     occupation: '',
     maritalStatus: undefined,
     insuranceProvider: '',
@@ -45,6 +45,9 @@ export class PatientsComponent implements OnInit {
     }
   };
 
+  // Entered as free text, one allergen per comma or line
+  newAllergies: string = '';
+
   constructor(
     private patientService: PatientService,
     private router: Router,
@@ -92,7 +95,7 @@ export class PatientsComponent implements OnInit {
       gender: 'male',
       photo: '',
       bloodType: '',
-      allergies: '',
+      allergies: [],
       occupation: '',
       maritalStatus: undefined,
       insuranceProvider: '',
@@ -103,6 +106,7 @@ export class PatientsComponent implements OnInit {
         relationship: ''
       }
     };
+    this.newAllergies = '';
     this.showAddModal = true;
   }
 
@@ -138,7 +142,13 @@ export class PatientsComponent implements OnInit {
       return;
     }
 
-    this.patientService.addPatient(this.newPatient).subscribe({
+    const allergies = this.newAllergies
+      .split(/[,;\n،]+/)
+      .map(allergen => allergen.trim())
+      .filter(allergen => allergen)
+      .map(allergen => ({ allergen }));
+
+    this.patientService.addPatient({ ...this.newPatient, allergies }).subscribe({
       next: (patient) => {
         this.loadPatients();
         this.closeAddModal();
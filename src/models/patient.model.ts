@@ -9,7 +9,7 @@ export interface Patient {
   gender: 'male' | 'female';
   photo?: string; // Base64 encoded image or URL
   bloodType?: string;
-  allergies?: string;
+  allergies?: Allergy[];
   occupation?: string; // المهنة
   maritalStatus?: 'single' | 'married' | 'divorced' | 'widowed'; // الحالة الاجتماعية
   insuranceProvider?: string; // شركة التأمين
@@ -20,6 +20,17 @@ export interface Patient {
   updatedAt: string;
 }
 
+export interface Allergy {
+  _id?: string;
+  allergen: string;
+  category?: 'drug' | 'food' | 'environmental' | 'other';
+  reaction?: string;
+  severity?: 'mild' | 'moderate' | 'severe' | 'life-threatening' | 'unknown';
+  status?: 'active' | 'resolved';
+  resolvedDate?: string;
+  notes?: string;
+}
+
 export interface EmergencyContact {
   name: string;
   phone: string;
@@ -700,6 +700,22 @@ export class TranslationService {
       en: 'None known',
       ar: 'لا توجد حساسية معروفة'
     },
+    'mild': {
+      en: 'Mild',
+      ar: 'خفيفة'
+    },
+    'moderate': {
+      en: 'Moderate',
+      ar: 'متوسطة'
+    },
+    'severe': {
+      en: 'Severe',
+      ar: 'شديدة'
+    },
+    'life-threatening': {
+      en: 'Life-threatening',
+      ar: 'مهددة للحياة'
+    },
     'required': {
       en: 'Required',
       ar: 'مطلوب'